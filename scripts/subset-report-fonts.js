@@ -0,0 +1,46 @@
+#!/usr/bin/env node
+
+// PDF Report Font Subsetter
+// jsPDF embeds fonts in full, so the report uses DejaVu Sans reduced to the
+// characters it needs: Latin-1, Latin Extended-A (Turkish), punctuation and ₺.
+// Run after updating dejavu-fonts-ttf: npm run fonts:report
+
+import fs from 'fs';
+import path from 'path';
+import { createRequire } from 'module';
+import { fileURLToPath } from 'url';
+import subsetFont from 'subset-font';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const require = createRequire(import.meta.url);
+
+const OUTPUT_DIR = path.join(__dirname, '..', 'src', 'assets', 'fonts');
+
+const FONTS = [
+  { source: 'DejaVuSans.ttf', output: 'DejaVuSans-Report.ttf' },
+  { source: 'DejaVuSans-Bold.ttf', output: 'DejaVuSans-Bold-Report.ttf' },
+];
+
+const range = (from, to) =>
+  Array.from({ length: to - from + 1 }, (_, index) => String.fromCodePoint(from + index)).join('');
+
+const CHARACTERS = [
+  range(0x20, 0x7e), // ASCII
+  range(0xa0, 0xff), // Latin-1
+  range(0x100, 0x17f), // Latin Extended-A (ğ, ı, İ, ş ...)
+  range(0x2010, 0x2027), // Dashes, quotes, bullet, ellipsis
+  '‰‹›€₺™−', // Per mille, angle quotes, euro, lira, trademark, minus
+].join('');
+
+for (const font of FONTS) {
+  const sourcePath = require.resolve(`dejavu-fonts-ttf/ttf/${font.source}`);
+  const subset = await subsetFont(fs.readFileSync(sourcePath), CHARACTERS, { targetFormat: 'sfnt' });
+
+  fs.mkdirSync(OUTPUT_DIR, { recursive: true });
+  fs.writeFileSync(path.join(OUTPUT_DIR, font.output), subset);
+  console.log(`✅ ${font.output}: ${fs.statSync(sourcePath).size} -> ${subset.length} bytes`);
+}
+
+// The Bitstream Vera / DejaVu license ships with the fonts
+fs.copyFileSync(require.resolve('dejavu-fonts-ttf/LICENSE'), path.join(OUTPUT_DIR, 'LICENSE'));
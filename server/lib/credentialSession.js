@@ -0,0 +1,142 @@
+// Kimlik bilgisi oturumları
+// Proxy, kasadaki (credentialVault) bilgileri kullanıcı adına çözer, AES-256-GCM
+// ile şifreleyip bellekte tutar ve istemciye yalnızca imzalı, kısa ömürlü bir
+// oturum anahtarı verir. İstemci bu anahtarı X-Trendyol-Session başlığında
+// taşır; böylece bilgiler URL'ye, proxy/CDN loglarına ve tarayıcıya düşmez.
+// Bellek yalnızca önbellektir: anahtarı imzalı kullanıcıya ait bilgiler, başka
+// bir sunucu örneğinde (ör. Vercel) kasadan yeniden çözülür.
+const crypto = require('crypto');
+const { deriveKey, createCipher } = require('./encryption');
+const credentialVault = require('./credentialVault');
+
+const SESSION_HEADER = 'x-trendyol-session';
+const SESSION_TTL_MS = 30 * 60 * 1000; // 30 dakika
+// Önbellekteki bilgiler bu süreden sonra kasayla yeniden doğrulanır; başka örnekte
+// kaldırılan veya yenilenen anahtarlar en geç bu kadar sonra geçersiz olur
+const SESSION_RECHECK_MS = 60 * 1000;
+const SESSION_EXPIRED_MESSAGE = 'Oturum geçersiz veya süresi dolmuş, lütfen tekrar bağlanın';
+
+// Birden fazla sunucu örneğinde aynı anahtar kullanılmalı; geliştirmede yoksa her açılışta
+// yenisi üretilir, production'da sunucu açılmaz
+const SESSION_SECRET = process.env.TRENDYOL_SESSION_SECRET || (() => {
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error('TRENDYOL_SESSION_SECRET tanımlı değil');
+  }
+  console.warn('TRENDYOL_SESSION_SECRET tanımlı değil, geçici anahtar kullanılıyor');
+  return crypto.randomBytes(32).toString('hex');
+})();
+
+const sessionCipher = createCipher(SESSION_SECRET, 'session-encrypt');
+const signingKey = deriveKey(SESSION_SECRET, 'session-sign');
+
+// oturum kimliği -> { uid, credentials (şifreli), expiresAt, checkedAt }
+const sessions = new Map();
+
+function sign(payload) {
+  return crypto.createHmac('sha256', signingKey).update(payload).digest('base64url');
+}
+
+function pruneExpired(now = Date.now()) {
+  sessions.forEach((session, id) => {
+    if (session.expiresAt <= now) sessions.delete(id);
+  });
+}
+
+// Token: "<oturum kimliği>.<kullanıcı kimliği (base64url)>.<bitiş zamanı>.<imza>"
+function parseToken(token) {
+  const parts = typeof token === 'string' ? token.split('.') : [];
+  if (parts.length !== 4) return null;
+
+  const [id, encodedUid, expiresAt, signature] = parts;
+  const expected = Buffer.from(sign(`${id}.${encodedUid}.${expiresAt}`));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) return null;
+
+  return {
+    id,
+    uid: Buffer.from(encodedUid, 'base64url').toString('utf8'),
+    expiresAt: Number(expiresAt)
+  };
+}
+
+function cacheSession(id, uid, { apiKey, apiSecret, sellerId }, expiresAt) {
+  sessions.set(id, {
+    uid,
+    credentials: sessionCipher.encrypt(JSON.stringify({ apiKey, apiSecret, sellerId }), id),
+    expiresAt,
+    checkedAt: Date.now()
+  });
+}
+
+function createSession(uid, credentials) {
+  pruneExpired();
+  const id = crypto.randomBytes(18).toString('base64url');
+  const expiresAt = Date.now() + SESSION_TTL_MS;
+  cacheSession(id, uid, credentials, expiresAt);
+
+  const payload = `${id}.${Buffer.from(uid).toString('base64url')}.${expiresAt}`;
+  return { token: `${payload}.${sign(payload)}`, expiresAt };
+}
+
+// Oturum açıldıktan sonra kasa silindi, anahtarlar yenilendi veya oturum kapatıldıysa null
+async function loadFromVault(parsed) {
+  const vault = await credentialVault.getCredentials(parsed.uid);
+  if (!vault || vault.revokedSessions[parsed.id]) return null;
+
+  const issuedAt = parsed.expiresAt - SESSION_TTL_MS;
+  const changedAt = Date.parse(vault.rotatedAt || vault.createdAt);
+  if (changedAt > issuedAt) return null;
+
+  const { apiKey, apiSecret, sellerId } = vault;
+  cacheSession(parsed.id, parsed.uid, { apiKey, apiSecret, sellerId }, parsed.expiresAt);
+  return { apiKey, apiSecret, sellerId };
+}
+
+// Geçerli token için { uid, apiKey, apiSecret, sellerId }, aksi halde null.
+// uid verilirse oturum yalnızca o kullanıcıya aitse kabul edilir.
+async function resolveSession(token, uid = null) {
+  const parsed = parseToken(token);
+  if (!parsed || parsed.expiresAt <= Date.now()) return null;
+  if (uid && parsed.uid !== uid) return null;
+
+  const session = sessions.get(parsed.id);
+  if (session && Date.now() - session.checkedAt < SESSION_RECHECK_MS) {
+    return { uid: parsed.uid, ...JSON.parse(sessionCipher.decrypt(session.credentials, parsed.id)) };
+  }
+
+  sessions.delete(parsed.id);
+  const credentials = await loadFromVault(parsed);
+  return credentials ? { uid: parsed.uid, ...credentials } : null;
+}
+
+// Kapatma kasaya yazılır; bu örnek oturumu hemen, önbelleğinde tutan diğer
+// örnekler en geç SESSION_RECHECK_MS sonra reddeder
+async function revokeSession(token, uid) {
+  const parsed = parseToken(token);
+  if (!parsed || parsed.uid !== uid || parsed.expiresAt <= Date.now()) return false;
+  await credentialVault.markSessionRevoked(parsed.uid, parsed.id, parsed.expiresAt);
+  return sessions.delete(parsed.id);
+}
+
+// Anahtarlar yenilendiğinde veya kaldırıldığında kullanıcının bu örnekteki oturumlarını
+// kapat; diğer örneklerde kasa denetimi aynı oturumları reddeder
+function revokeUserSessions(uid) {
+  sessions.forEach((session, id) => {
+    if (session.uid === uid) sessions.delete(id);
+  });
+}
+
+function getSessionToken(req) {
+  return req.headers[SESSION_HEADER] || null;
+}
+
+module.exports = {
+  SESSION_HEADER,
+  SESSION_TTL_MS,
+  SESSION_EXPIRED_MESSAGE,
+  createSession,
+  resolveSession,
+  revokeSession,
+  revokeUserSessions,
+  getSessionToken
+};
@@ -0,0 +1,105 @@
+// Trendyol kimlik bilgisi kasası
+// API key/secret, TRENDYOL_VAULT_KEY ile AES-256-GCM şifrelenip trendyolVault/{uid}
+// belgesinde saklanır. Şifreli metin kullanıcı kimliğine bağlıdır (AAD), başka
+// bir kullanıcının belgesine kopyalansa çözülemez. Tarayıcıya yalnızca Seller ID
+// ve anahtarın son dört hanesi döner.
+const { getFirestore } = require('./firebaseAdmin');
+const { createCipher } = require('./encryption');
+
+const VAULT_COLLECTION = 'trendyolVault';
+
+let vaultCipher = null;
+
+// Anahtar sabit olmalı: değişirse kayıtlı bilgiler çözülemez
+function getCipher() {
+  if (!vaultCipher) {
+    if (!process.env.TRENDYOL_VAULT_KEY) {
+      throw new Error('TRENDYOL_VAULT_KEY tanımlı değil');
+    }
+    vaultCipher = createCipher(process.env.TRENDYOL_VAULT_KEY, 'vault');
+  }
+  return vaultCipher;
+}
+
+function vaultRef(uid) {
+  return getFirestore().collection(VAULT_COLLECTION).doc(uid);
+}
+
+function toStatus(data) {
+  if (!data) return { connected: false };
+  return {
+    connected: true,
+    sellerId: data.sellerId,
+    apiKeyHint: data.apiKeyHint,
+    createdAt: data.createdAt,
+    rotatedAt: data.rotatedAt || null
+  };
+}
+
+async function getVaultStatus(uid) {
+  const snapshot = await vaultRef(uid).get();
+  return toStatus(snapshot.exists ? snapshot.data() : null);
+}
+
+// Kaydet veya yenile (rotate): mevcut kayıt varsa üzerine yazılır
+async function saveCredentials(uid, { apiKey, apiSecret, sellerId }) {
+  const ref = vaultRef(uid);
+  const existing = await ref.get();
+  const now = new Date().toISOString();
+
+  const data = {
+    sellerId: String(sellerId),
+    apiKeyHint: String(apiKey).slice(-4),
+    credentials: getCipher().encrypt(JSON.stringify({ apiKey, apiSecret }), uid),
+    createdAt: existing.exists ? existing.data().createdAt : now,
+    rotatedAt: existing.exists ? now : null
+  };
+  await ref.set(data);
+  return toStatus(data);
+}
+
+// Çözülmüş bilgiler ve kayıt zamanları; kayıt yoksa null
+async function getCredentials(uid) {
+  const snapshot = await vaultRef(uid).get();
+  if (!snapshot.exists) return null;
+
+  const data = snapshot.data();
+  const { apiKey, apiSecret } = JSON.parse(getCipher().decrypt(data.credentials, uid));
+  return {
+    apiKey,
+    apiSecret,
+    sellerId: data.sellerId,
+    createdAt: data.createdAt,
+    rotatedAt: data.rotatedAt || null,
+    revokedSessions: data.revokedSessions || {}
+  };
+}
+
+async function revokeCredentials(uid) {
+  await vaultRef(uid).delete();
+}
+
+// Kapatılan oturumu kasada işaretle (oturum kimliği -> bitiş zamanı); her sunucu
+// örneği oturumu kasadan açarken bu işareti görür. Süresi dolan işaretler silinir
+async function markSessionRevoked(uid, sessionId, expiresAt) {
+  const ref = vaultRef(uid);
+  await getFirestore().runTransaction(async (transaction) => {
+    const snapshot = await transaction.get(ref);
+    if (!snapshot.exists) return;
+
+    const now = Date.now();
+    const revokedSessions = Object.fromEntries(
+      Object.entries(snapshot.data().revokedSessions || {}).filter(([, until]) => until > now)
+    );
+    revokedSessions[sessionId] = expiresAt;
+    transaction.update(ref, { revokedSessions });
+  });
+}
+
+module.exports = {
+  getVaultStatus,
+  saveCredentials,
+  getCredentials,
+  revokeCredentials,
+  markSessionRevoked
+};
@@ -0,0 +1,36 @@
+// AES-256-GCM şifreleme yardımcıları
+// Anahtar, verilen gizli değerden ve amaca özel bir etiketten türetilir; böylece
+// aynı gizli değer farklı amaçlar için farklı anahtarlar üretir.
+const crypto = require('crypto');
+
+function deriveKey(secret, purpose) {
+  return crypto.createHash('sha256').update(`${purpose}:${secret}`).digest();
+}
+
+// aad: şifreli metni bir bağlama (ör. kullanıcı kimliği) bağlar; çözerken aynısı verilmelidir
+function createCipher(secret, purpose = 'encrypt') {
+  const key = deriveKey(secret, purpose);
+
+  return {
+    encrypt(text, aad = '') {
+      const iv = crypto.randomBytes(12);
+      const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+      cipher.setAAD(Buffer.from(aad));
+      const data = Buffer.concat([cipher.update(text, 'utf8'), cipher.final()]);
+      return {
+        iv: iv.toString('base64'),
+        data: data.toString('base64'),
+        tag: cipher.getAuthTag().toString('base64')
+      };
+    },
+
+    decrypt({ iv, data, tag }, aad = '') {
+      const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(iv, 'base64'));
+      decipher.setAAD(Buffer.from(aad));
+      decipher.setAuthTag(Buffer.from(tag, 'base64'));
+      return Buffer.concat([decipher.update(Buffer.from(data, 'base64')), decipher.final()]).toString('utf8');
+    }
+  };
+}
+
+module.exports = { deriveKey, createCipher };
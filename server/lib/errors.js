@@ -0,0 +1,108 @@
+// Proxy hata modeli
+// Her hata istemciye { success: false, code, error } olarak döner; code sabittir,
+// istemci kullanıcıya göstereceği mesajı buna göre seçer (trendyolService).
+
+class HttpError extends Error {
+  constructor(status, message, code = null) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+    this.code = code;
+  }
+
+  toJSON() {
+    return { success: false, ...(this.code && { code: this.code }), error: this.message };
+  }
+}
+
+// Trendyol hata kodları ve proxy'nin döndüğü HTTP durumları
+const TRENDYOL_ERROR_CODES = {
+  AUTH_FAILED: 'TRENDYOL_AUTH_FAILED',
+  IP_FORBIDDEN: 'TRENDYOL_IP_FORBIDDEN',
+  NOT_FOUND: 'TRENDYOL_NOT_FOUND',
+  VALIDATION: 'TRENDYOL_VALIDATION',
+  RATE_LIMITED: 'TRENDYOL_RATE_LIMITED',
+  UNAVAILABLE: 'TRENDYOL_UNAVAILABLE',
+  TIMEOUT: 'TRENDYOL_TIMEOUT'
+};
+
+// Trendyol'dan dönen hata; fieldErrors: [{ field, message }], retryAfter: saniye
+class TrendyolApiError extends HttpError {
+  constructor(status, message, code, { upstreamStatus = null, fieldErrors = [], retryAfter = null } = {}) {
+    super(status, message, code);
+    this.name = 'TrendyolApiError';
+    this.upstreamStatus = upstreamStatus;
+    this.fieldErrors = fieldErrors;
+    this.retryAfter = retryAfter;
+  }
+
+  toJSON() {
+    return {
+      ...super.toJSON(),
+      ...(this.upstreamStatus && { upstreamStatus: this.upstreamStatus }),
+      ...(this.fieldErrors.length && { fieldErrors: this.fieldErrors }),
+      ...(this.retryAfter !== null && { retryAfter: this.retryAfter })
+    };
+  }
+}
+
+// Retry-After: saniye veya HTTP tarihi
+function parseRetryAfter(value) {
+  if (!value) return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, Math.ceil(seconds));
+  const date = Date.parse(value);
+  return Number.isFinite(date) ? Math.max(0, Math.ceil((date - Date.now()) / 1000)) : null;
+}
+
+// Trendyol doğrulama hataları: { errors: [{ key, message, errorParams }] }
+function toFieldErrors(data) {
+  if (!Array.isArray(data?.errors)) return [];
+  return data.errors.map((error) => ({
+    field: error.key || null,
+    message: error.message || error.key || ''
+  }));
+}
+
+// Trendyol yanıt durumunu proxy hatasına çevir
+function fromTrendyolResponse(status, data, message, headers = {}) {
+  const details = { upstreamStatus: status };
+
+  if (status === 401) {
+    return new TrendyolApiError(401, message, TRENDYOL_ERROR_CODES.AUTH_FAILED, details);
+  }
+  // Trendyol, IP'si beyaz listede olmayan istekleri 403 ile reddeder
+  if (status === 403) {
+    return new TrendyolApiError(403, message, TRENDYOL_ERROR_CODES.IP_FORBIDDEN, details);
+  }
+  if (status === 404) {
+    return new TrendyolApiError(404, message, TRENDYOL_ERROR_CODES.NOT_FOUND, details);
+  }
+  if (status === 429) {
+    return new TrendyolApiError(429, message, TRENDYOL_ERROR_CODES.RATE_LIMITED, {
+      ...details,
+      retryAfter: parseRetryAfter(headers['retry-after'])
+    });
+  }
+  if (status >= 400 && status < 500) {
+    return new TrendyolApiError(status, message, TRENDYOL_ERROR_CODES.VALIDATION, {
+      ...details,
+      fieldErrors: toFieldErrors(data)
+    });
+  }
+  // 5xx: ağ geçidi hatası olarak iletilir; 503/504 olduğu gibi
+  return new TrendyolApiError(
+    [503, 504].includes(status) ? status : 502,
+    message,
+    TRENDYOL_ERROR_CODES.UNAVAILABLE,
+    details
+  );
+}
+
+module.exports = {
+  HttpError,
+  TrendyolApiError,
+  TRENDYOL_ERROR_CODES,
+  parseRetryAfter,
+  fromTrendyolResponse
+};
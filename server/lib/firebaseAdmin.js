@@ -0,0 +1,79 @@
+// Firebase Admin
+// Proxy, /api/trendyol/* isteklerini yapan kullanıcıyı Firebase ID token'ı ile
+// doğrular ve kasayı Firestore'da yalnızca sunucunun erişebildiği bir koleksiyonda
+// tutar. Kimlik: FIREBASE_SERVICE_ACCOUNT (JSON) veya ortamın varsayılan kimliği.
+// FIREBASE_AUTH_EMULATOR_HOST tanımlıysa (production dışında) Auth emülatörünün
+// imzasız token'ları yerelde doğrulanır; testler servis hesabı gerektirmez.
+const admin = require('firebase-admin');
+
+const FIREBASE_PROJECT_ID = process.env.FIREBASE_PROJECT_ID || 'karhesabi-21f0d';
+const USE_AUTH_EMULATOR = Boolean(process.env.FIREBASE_AUTH_EMULATOR_HOST) && process.env.NODE_ENV !== 'production';
+
+// Tüm kimlik doğrulama hataları bu kodlardan biriyle döner
+const AUTH_ERRORS = {
+  AUTH_REQUIRED: 'Bu işlem için giriş yapmalısınız',
+  AUTH_INVALID: 'Oturumunuzun süresi dolmuş veya geçersiz, lütfen tekrar giriş yapın'
+};
+
+function getApp() {
+  if (!admin.apps.length) {
+    const serviceAccount = process.env.FIREBASE_SERVICE_ACCOUNT;
+    admin.initializeApp({
+      projectId: FIREBASE_PROJECT_ID,
+      credential: serviceAccount
+        ? admin.credential.cert(JSON.parse(serviceAccount))
+        : admin.credential.applicationDefault()
+    });
+  }
+  return admin.app();
+}
+
+function getFirestore() {
+  return getApp().firestore();
+}
+
+function decodeSegment(segment) {
+  return JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+}
+
+// Auth emülatörü "alg: none" ile imzasız token üretir; proje, süre ve kullanıcı yine denetlenir
+function verifyEmulatorToken(idToken) {
+  const [header, payload] = idToken.split('.').slice(0, 2).map(decodeSegment);
+  if (header.alg !== 'none') {
+    throw new Error('Emülatör token\'ı imzasız olmalı');
+  }
+  if (payload.aud !== FIREBASE_PROJECT_ID || payload.iss !== `https://securetoken.google.com/${FIREBASE_PROJECT_ID}`) {
+    throw new Error('Token başka bir Firebase projesine ait');
+  }
+  if (!payload.sub || payload.exp <= Math.floor(Date.now() / 1000)) {
+    throw new Error('Token süresi dolmuş');
+  }
+  return { ...payload, uid: payload.sub };
+}
+
+function verifyIdToken(idToken) {
+  return USE_AUTH_EMULATOR
+    ? Promise.resolve().then(() => verifyEmulatorToken(idToken))
+    : getApp().auth().verifyIdToken(idToken);
+}
+
+// "Authorization: Bearer <ID token>" başlığını doğrula: { user } veya { code }
+async function authenticateRequest(req) {
+  const header = req.headers.authorization || '';
+  const match = header.match(/^Bearer (.+)$/);
+  if (!match) return { code: 'AUTH_REQUIRED' };
+
+  try {
+    return { user: await verifyIdToken(match[1]) };
+  } catch (error) {
+    console.warn('Firebase ID token doğrulanamadı:', error.code || error.message);
+    return { code: 'AUTH_INVALID' };
+  }
+}
+
+module.exports = {
+  AUTH_ERRORS,
+  getFirestore,
+  verifyIdToken,
+  authenticateRequest
+};
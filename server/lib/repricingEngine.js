@@ -0,0 +1,291 @@
+// Otomatik fiyat kuralları motoru
+// Her ürün için taban fiyat (başabaş ve en düşük marjdan büyüğü) ile tavan fiyat
+// arasında adım adım yeni fiyat önerir. Hesaplar istemcideki kâr motoruyla
+// (src/services/profitEngine.js) yapılır; motorun başabaş altında bulduğu hiçbir
+// fiyat gönderilmez. Deneme modunda yalnızca öneri ve denetim kaydı oluşur.
+const crypto = require('crypto');
+const { makeTrendyolRequest, updatePriceAndInventory } = require('./trendyolClient');
+const { getFirestore } = require('./firebaseAdmin');
+const credentialVault = require('./credentialVault');
+const repricingRules = require('./repricingRules');
+const { TRENDYOL_ERROR_CODES } = require('./errors');
+
+const PRODUCT_PAGE_SIZE = 200;
+const PRICE_BATCH_LIMIT = 1000;
+// Vercel fonksiyonu 10 sn'de kesilir; süre isteğin geldiği andan sayılır, denetim kaydına pay bırakılır
+const SERVERLESS_RUN_BUDGET_MS = 7000;
+// Bundan az süre kaldıysa yeni ürün sayfası istenmez
+const MIN_PAGE_BUDGET_MS = 1500;
+// Denetim kaydı belge boyutu sınırına takılmasın diye saklanan satır sayısı
+const MAX_LOGGED_ITEMS = 1000;
+
+let modulesPromise = null;
+
+// Kâr motoru ve maliyet geçmişi istemciyle aynı ES modüllerinden yüklenir
+function loadModules() {
+  if (!modulesPromise) {
+    modulesPromise = Promise.all([
+      import('../../src/services/profitEngine.js'),
+      import('../../src/services/costHistory.js'),
+      import('../../src/services/cargoService.js')
+    ]).then(([profitEngine, costHistory, cargoService]) => ({ ...profitEngine, ...costHistory, ...cargoService }));
+  }
+  return modulesPromise;
+}
+
+const roundPrice = (price) => Math.round(price * 100) / 100;
+const normalize = (value) => (value ?? '').toString().trim().toLocaleLowerCase('tr-TR');
+
+// Ürün kuralı kategori kuralından önce gelir
+function findRule(rules, product) {
+  const active = rules.filter((rule) => rule.enabled);
+  return (
+    active.find((rule) => rule.scope === 'product' && rule.target === product.barcode) ||
+    active.find((rule) => rule.scope === 'category' && normalize(rule.target) === normalize(product.categoryName)) ||
+    null
+  );
+}
+
+const hasEnabledRules = (rules) => (rules || []).some((rule) => rule.enabled);
+
+function findCostEntry(costEntries, product) {
+  return (
+    costEntries.find((entry) => entry.barcode === product.barcode) ||
+    costEntries.find((entry) => entry.stockCode && entry.stockCode === product.stockCode) ||
+    null
+  );
+}
+
+// Tek ürünü değerlendir: { proposedPrice, listPrice, reason, ... } veya { skipped: reason }
+function evaluateProduct(modules, product, rule, costEntry, settings = {}) {
+  const { calculateProfit, solveSalePrice, resolveCostAt, matchCargoProvider, toNumber, DEFAULT_VAT_RATE } = modules;
+  const base = {
+    barcode: product.barcode,
+    title: product.title || '',
+    ruleId: rule.id,
+    currentPrice: toNumber(product.salePrice)
+  };
+
+  // Maliyet bilinmeden başabaş garanti edilemez
+  const cost = resolveCostAt(costEntry);
+  if (!cost) return { ...base, skipped: 'Maliyet kaydı yok' };
+
+  // Kargo bilinmeden başabaş bir kargo ücreti kadar düşük çıkar. Kuraldaki tutar
+  // önceliklidir; desi tarifesi yalnızca satıcının kargo firması seçiliyse kullanılır
+  const desi = toNumber(product.dimensionalWeight);
+  const shippingCost = rule.shippingCost ?? null;
+  const provider = settings.cargoProviderCode ? matchCargoProvider({ code: settings.cargoProviderCode }) : null;
+  if (shippingCost === null) {
+    if (!(desi > 0)) return { ...base, skipped: 'Desi ve kargo maliyeti yok' };
+    if (!provider) return { ...base, skipped: 'Kargo firması seçilmedi' };
+  }
+
+  const input = {
+    commissionRate: rule.commissionRate,
+    vatRate: product.vatRate ?? DEFAULT_VAT_RATE,
+    productCost: cost.productCost,
+    packagingCost: cost.packagingCost,
+    laborCost: cost.laborCost,
+    advertisingCost: rule.advertisingCost || 0,
+    ...(shippingCost !== null ? { shippingCost } : { shipment: { desi, providerCode: provider.code } })
+  };
+
+  const breakEven = solveSalePrice(input, { targetProfit: 0 });
+  const marginPrice = solveSalePrice(input, { targetMargin: rule.minMargin });
+  if (!breakEven || !marginPrice) return { ...base, skipped: 'Taban fiyat hesaplanamadı' };
+
+  const floorPrice = Math.max(breakEven.salePrice, marginPrice.salePrice);
+  const ceilingPrice = rule.ceilingPrice ?? Infinity;
+  const limits = { breakEvenPrice: breakEven.salePrice, floorPrice, ceilingPrice: rule.ceilingPrice };
+  if (ceilingPrice < floorPrice) {
+    return { ...base, ...limits, skipped: 'Tavan fiyat, taban fiyatın altında' };
+  }
+
+  let proposedPrice;
+  let reason;
+  if (base.currentPrice < floorPrice) {
+    proposedPrice = floorPrice;
+    reason = `Fiyat taban fiyatın altında (en düşük marj %${rule.minMargin})`;
+  } else if (base.currentPrice > ceilingPrice) {
+    proposedPrice = ceilingPrice;
+    reason = 'Fiyat tavan fiyatın üzerinde';
+  } else if (rule.direction === 'up') {
+    proposedPrice = Math.min(ceilingPrice, roundPrice(base.currentPrice + rule.stepSize));
+    reason = `${rule.stepSize} TL artış adımı`;
+  } else {
+    proposedPrice = Math.max(floorPrice, roundPrice(base.currentPrice - rule.stepSize));
+    reason = `${rule.stepSize} TL indirim adımı`;
+  }
+
+  if (proposedPrice === base.currentPrice) {
+    return { ...base, ...limits, skipped: 'Fiyat zaten sınırda' };
+  }
+
+  // Son güvenlik: kâr motoru zarar görüyorsa fiyat gönderilmez
+  const result = calculateProfit({ ...input, salePrice: proposedPrice });
+  if (result.finalProfit < 0) {
+    return { ...base, ...limits, skipped: 'Önerilen fiyat başabaşın altında' };
+  }
+
+  return {
+    ...base,
+    ...limits,
+    proposedPrice,
+    listPrice: Math.max(toNumber(product.listPrice), proposedPrice),
+    profit: roundPrice(result.finalProfit),
+    margin: roundPrice(result.profitMargin),
+    reason
+  };
+}
+
+// deadline verilirse süre dolmadan sayfalama durur: { products, truncated }
+async function fetchApprovedProducts(credentials, deadline = null) {
+  const { apiKey, apiSecret, sellerId } = credentials;
+  const products = [];
+  for (let page = 0; ; page++) {
+    const budgetMs = deadline ? deadline - Date.now() : undefined;
+    if (deadline && budgetMs < MIN_PAGE_BUDGET_MS) return { products, truncated: true };
+
+    let response;
+    try {
+      response = await makeTrendyolRequest(`/sapigw/suppliers/${sellerId}/products`, {
+        apiKey,
+        apiSecret,
+        sellerId,
+        budgetMs,
+        params: { approved: true, page, size: PRODUCT_PAGE_SIZE }
+      });
+    } catch (error) {
+      const outOfTime = [TRENDYOL_ERROR_CODES.TIMEOUT, TRENDYOL_ERROR_CODES.RATE_LIMITED].includes(error.code);
+      if (deadline && outOfTime && products.length) return { products, truncated: true };
+      throw error;
+    }
+
+    products.push(...(response?.content || []));
+    if (page + 1 >= (response?.totalPages || 0)) return { products, truncated: false };
+  }
+}
+
+async function fetchCostEntries(uid) {
+  const snapshot = await getFirestore().collection('users').doc(uid).collection('costCatalogue').get();
+  return snapshot.docs.map((item) => item.data());
+}
+
+// Kullanıcının kurallarını çalıştır; denetim kaydını yazıp döndürür.
+// deadline (ms zaman damgası) verilirse yalnızca süreye sığan ürün sayfaları değerlendirilir.
+// config verilmezse kurallar Firestore'dan okunur
+async function runForUser(uid, { credentials, config = null, dryRun = true, trigger = 'manual', deadline = null }) {
+  const run = {
+    id: `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`,
+    trigger,
+    dryRun,
+    startedAt: new Date().toISOString(),
+    finishedAt: null,
+    status: 'completed',
+    evaluatedCount: 0,
+    changeCount: 0,
+    truncated: false,
+    changes: [],
+    skipped: [],
+    batchIds: [],
+    error: null
+  };
+
+  try {
+    const { rules, settings } = config || (await repricingRules.getConfig(uid));
+    // Açık kural yoksa katalog hiç çekilmez
+    if (!hasEnabledRules(rules)) throw new Error('Açık fiyat kuralı yok');
+
+    const [modules, { products, truncated }, costEntries] = await Promise.all([
+      loadModules(),
+      fetchApprovedProducts(credentials, deadline),
+      fetchCostEntries(uid)
+    ]);
+    run.truncated = truncated;
+
+    const evaluations = products
+      .filter((product) => product.barcode)
+      .map((product) => ({ product, rule: findRule(rules, product) }))
+      .filter(({ rule }) => rule)
+      .map(({ product, rule }) =>
+        evaluateProduct(modules, product, rule, findCostEntry(costEntries, product), settings)
+      );
+
+    const changes = evaluations.filter((evaluation) => !evaluation.skipped);
+    run.evaluatedCount = evaluations.length;
+    run.changeCount = changes.length;
+    run.changes = changes.slice(0, MAX_LOGGED_ITEMS);
+    run.skipped = evaluations
+      .filter((evaluation) => evaluation.skipped)
+      .slice(0, MAX_LOGGED_ITEMS)
+      .map(({ barcode, title, ruleId, skipped }) => ({ barcode, title, ruleId, reason: skipped }));
+
+    if (!dryRun) {
+      for (let i = 0; i < changes.length; i += PRICE_BATCH_LIMIT) {
+        const items = changes.slice(i, i + PRICE_BATCH_LIMIT).map((change) => ({
+          barcode: change.barcode,
+          salePrice: change.proposedPrice,
+          listPrice: change.listPrice
+        }));
+        const { batchId } = await updatePriceAndInventory(credentials, items);
+        run.batchIds.push(batchId || null);
+      }
+    }
+  } catch (error) {
+    console.error('Otomatik fiyatlandırma başarısız:', uid, error.message);
+    run.status = 'failed';
+    run.error = error.message;
+  }
+
+  run.finishedAt = new Date().toISOString();
+  await repricingRules.saveRun(uid, run);
+  return run;
+}
+
+let scheduledRunActive = false;
+
+// Zamanlaması açık tüm kullanıcıları sırayla çalıştır; bir önceki tur bitmeden yenisi başlamaz
+async function runScheduled() {
+  if (scheduledRunActive) return;
+  scheduledRunActive = true;
+  try {
+    const configs = await repricingRules.listScheduledConfigs();
+    for (const { uid, rules = [], settings } of configs) {
+      // Kuralı olmayan kullanıcı için kasa ve katalog okunmaz, boş denetim kaydı yazılmaz
+      if (!hasEnabledRules(rules)) continue;
+      try {
+        const credentials = await credentialVault.getCredentials(uid);
+        if (!credentials) continue;
+        const run = await runForUser(uid, {
+          credentials,
+          config: { rules, settings },
+          dryRun: settings.dryRun !== false,
+          trigger: 'schedule'
+        });
+        console.log(`Otomatik fiyatlandırma: ${uid} ${run.changeCount} değişiklik${run.dryRun ? ' (deneme)' : ''}`);
+      } catch (error) {
+        console.error('Otomatik fiyatlandırma çalıştırılamadı:', uid, error.message);
+      }
+    }
+  } catch (error) {
+    console.error('Zamanlanmış fiyat kuralları okunamadı:', error.message);
+  } finally {
+    scheduledRunActive = false;
+  }
+}
+
+// Express sunucusu başlatır; Vercel fonksiyonları kalıcı olmadığından zamanlama orada çalışmaz
+function startRepricingScheduler(intervalMinutes) {
+  if (!(intervalMinutes > 0)) return null;
+  console.log(`⏱️ Otomatik fiyatlandırma her ${intervalMinutes} dakikada çalışacak`);
+  return setInterval(runScheduled, intervalMinutes * 60 * 1000);
+}
+
+module.exports = {
+  SERVERLESS_RUN_BUDGET_MS,
+  evaluateProduct,
+  loadModules,
+  runForUser,
+  runScheduled,
+  startRepricingScheduler
+};
@@ -0,0 +1,75 @@
+import { describe, it, expect, beforeAll } from 'vitest';
+import { createRequire } from 'module';
+import { calculateProfit } from '../../src/services/profitEngine';
+
+// Sunucu modülleri CommonJS olduğu için Node'un kendi require'ı ile yüklenir
+const require = createRequire(import.meta.url);
+const { evaluateProduct, loadModules } = require('./repricingEngine');
+const { normalizeRule } = require('./repricingRules');
+
+const product = { barcode: 'B1', title: 'Kupa', salePrice: 300, listPrice: 300, dimensionalWeight: 3, vatRate: 20 };
+const costEntry = { barcode: 'B1', history: [{ effectiveFrom: '2024-01-01', productCost: 150 }] };
+const rule = {
+  id: 'product:B1',
+  commissionRate: 10,
+  minMargin: 0,
+  ceilingPrice: null,
+  shippingCost: null,
+  advertisingCost: 0,
+  stepSize: 1,
+  direction: 'down',
+  enabled: true
+};
+
+describe('evaluateProduct kargo maliyeti', () => {
+  let modules;
+  beforeAll(async () => {
+    modules = await loadModules();
+  });
+
+  it('desi tarifesini seçilen kargo firmasından alır', () => {
+    // 3 desi: Trendyol Express 44,99 TL, Yurtiçi Kargo 55,99 TL
+    const yk = evaluateProduct(modules, product, rule, costEntry, { cargoProviderCode: 'YK' });
+    const tex = evaluateProduct(modules, product, rule, costEntry, { cargoProviderCode: 'TEX' });
+
+    expect(yk.breakEvenPrice).toBeGreaterThan(tex.breakEvenPrice);
+    const atTexFloor = calculateProfit({
+      commissionRate: 10,
+      vatRate: 20,
+      productCost: 150,
+      salePrice: tex.breakEvenPrice,
+      shipment: { desi: 3, providerCode: 'YK' }
+    });
+    expect(atTexFloor.finalProfit).toBeLessThan(0);
+  });
+
+  it('kargo firması seçilmemişse desili ürünü atlar', () => {
+    expect(evaluateProduct(modules, product, rule, costEntry, {}).skipped).toBe('Kargo firması seçilmedi');
+    expect(evaluateProduct(modules, product, rule, costEntry, { cargoProviderCode: 'XYZ' }).skipped).toBe(
+      'Kargo firması seçilmedi'
+    );
+  });
+
+  it('kuraldaki kargo tutarını desiden önce kullanır', () => {
+    const withCost = evaluateProduct(modules, product, { ...rule, shippingCost: 80 }, costEntry, {
+      cargoProviderCode: 'TEX'
+    });
+    const flat = evaluateProduct(modules, { ...product, dimensionalWeight: 0 }, { ...rule, shippingCost: 80 }, costEntry);
+
+    expect(withCost.breakEvenPrice).toBe(flat.breakEvenPrice);
+  });
+});
+
+describe('normalizeRule', () => {
+  const input = { scope: 'product', target: 'B1', commissionRate: 10, stepSize: 1, direction: 'up' };
+
+  it('yönü olduğu gibi saklar', () => {
+    expect(normalizeRule(input, 0).direction).toBe('up');
+  });
+
+  it('yönü eksik veya bilinmeyen kuralı reddeder', () => {
+    const { direction, ...withoutDirection } = input;
+    expect(() => normalizeRule(withoutDirection, 0)).toThrow('Kural 1: yön indir veya artır olmalı');
+    expect(() => normalizeRule({ ...input, direction: 'sideways' }, 2)).toThrow('Kural 3');
+  });
+});
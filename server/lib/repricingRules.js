@@ -0,0 +1,129 @@
+// Otomatik fiyat kuralları deposu
+// Kurallar ve zamanlama ayarları repricing/{uid} belgesinde, her çalıştırmanın
+// denetim kaydı repricing/{uid}/runs altında tutulur. Koleksiyona yalnızca sunucu
+// erişir; tarayıcı /api/trendyol/repricing-* uçlarını kullanır.
+const { getFirestore } = require('./firebaseAdmin');
+const { HttpError } = require('./errors');
+
+const COLLECTION = 'repricing';
+const RUNS_COLLECTION = 'runs';
+const RUN_LIST_LIMIT = 20;
+const MAX_RULES = 500;
+
+const RULE_SCOPES = ['product', 'category'];
+const RULE_DIRECTIONS = ['down', 'up'];
+
+// Deneme modu varsayılan: fiyat değişikliği yalnızca önerilir.
+// cargoProviderCode: satıcının kargo firması; seçilmezse desi tarifesi kullanılmaz
+const DEFAULT_SETTINGS = { scheduleEnabled: false, dryRun: true, cargoProviderCode: null };
+
+function configRef(uid) {
+  return getFirestore().collection(COLLECTION).doc(uid);
+}
+
+const toOptionalNumber = (value) => (value === null || value === undefined || value === '' ? null : Number(value));
+
+function invalid(index, message) {
+  return new HttpError(400, `Kural ${index + 1}: ${message}`, 'BAD_REQUEST');
+}
+
+// Kuralı doğrula ve yalnızca bilinen alanlarla döndür
+function normalizeRule(rule, index) {
+  if (!RULE_SCOPES.includes(rule?.scope)) throw invalid(index, 'kapsam ürün veya kategori olmalı');
+  const target = String(rule.target ?? '').trim();
+  if (!target) throw invalid(index, rule.scope === 'product' ? 'barkod gerekli' : 'kategori gerekli');
+
+  const commissionRate = Number(rule.commissionRate);
+  if (!Number.isFinite(commissionRate) || commissionRate < 0 || commissionRate >= 100) {
+    throw invalid(index, 'komisyon oranı 0-100 arasında olmalı');
+  }
+  const minMargin = Number(rule.minMargin ?? 0);
+  if (!Number.isFinite(minMargin) || minMargin < 0) throw invalid(index, 'en düşük marj 0 veya pozitif olmalı');
+  const stepSize = Number(rule.stepSize);
+  if (!Number.isFinite(stepSize) || stepSize <= 0) throw invalid(index, 'adım tutarı pozitif olmalı');
+  const ceilingPrice = toOptionalNumber(rule.ceilingPrice);
+  if (ceilingPrice !== null && !(ceilingPrice > 0)) throw invalid(index, 'tavan fiyat pozitif olmalı');
+  // Verilirse kargo desi tarifesi yerine bu tutardan alınır
+  const shippingCost = toOptionalNumber(rule.shippingCost);
+  if (shippingCost !== null && !(shippingCost >= 0)) throw invalid(index, 'kargo maliyeti 0 veya pozitif olmalı');
+  const advertisingCost = Number(rule.advertisingCost || 0);
+  if (!Number.isFinite(advertisingCost) || advertisingCost < 0) throw invalid(index, 'reklam maliyeti 0 veya pozitif olmalı');
+  // Yön varsayılmaz; yanlış yazılmış bir kural fiyatı istenmeyen yöne çekmesin
+  if (!RULE_DIRECTIONS.includes(rule.direction)) throw invalid(index, 'yön indir veya artır olmalı');
+
+  return {
+    id: String(rule.id || `${rule.scope}:${target}`),
+    scope: rule.scope,
+    target,
+    label: String(rule.label || target),
+    commissionRate,
+    minMargin,
+    ceilingPrice,
+    shippingCost,
+    advertisingCost,
+    stepSize,
+    direction: rule.direction,
+    enabled: rule.enabled !== false
+  };
+}
+
+async function getConfig(uid) {
+  const snapshot = await configRef(uid).get();
+  const data = snapshot.exists ? snapshot.data() : {};
+  return {
+    rules: data.rules || [],
+    settings: { ...DEFAULT_SETTINGS, ...data.settings },
+    updatedAt: data.updatedAt || null
+  };
+}
+
+async function saveConfig(uid, { rules = [], settings = {} }) {
+  if (!Array.isArray(rules) || rules.length > MAX_RULES) {
+    throw new HttpError(400, `En fazla ${MAX_RULES} kural tanımlanabilir`, 'BAD_REQUEST');
+  }
+
+  const config = {
+    rules: rules.map(normalizeRule),
+    settings: {
+      scheduleEnabled: Boolean(settings.scheduleEnabled),
+      dryRun: settings.dryRun !== false,
+      cargoProviderCode: String(settings.cargoProviderCode || '').trim().toUpperCase() || null
+    },
+    updatedAt: new Date().toISOString()
+  };
+  await configRef(uid).set(config);
+  return config;
+}
+
+// Zamanlanmış çalıştırması açık kullanıcılar
+async function listScheduledConfigs() {
+  const snapshot = await getFirestore()
+    .collection(COLLECTION)
+    .where('settings.scheduleEnabled', '==', true)
+    .get();
+  return snapshot.docs.map((item) => ({ uid: item.id, ...item.data() }));
+}
+
+async function saveRun(uid, run) {
+  await configRef(uid).collection(RUNS_COLLECTION).doc(run.id).set(run);
+  return run;
+}
+
+async function listRuns(uid) {
+  const snapshot = await configRef(uid)
+    .collection(RUNS_COLLECTION)
+    .orderBy('startedAt', 'desc')
+    .limit(RUN_LIST_LIMIT)
+    .get();
+  return snapshot.docs.map((item) => item.data());
+}
+
+module.exports = {
+  DEFAULT_SETTINGS,
+  normalizeRule,
+  getConfig,
+  saveConfig,
+  listScheduledConfigs,
+  saveRun,
+  listRuns
+};
@@ -0,0 +1,56 @@
+// Satıcı bazlı istek sınırlayıcı
+// Trendyol, aynı satıcıdan gelen istekleri 10 saniyede 50 istekle sınırlar; aşılırsa
+// 429 döner. Proxy istekleri bu pencereye sığacak şekilde sıraya alır, sınır
+// zaten dolmuşsa Trendyol'a gitmeden bekler.
+// Sayaçlar sunucu örneğinin belleğindedir: Vercel'de her fonksiyon örneği kendi
+// penceresini tutar, örnekler arasında sınır paylaşılmaz. Trendyol'un 429 yanıtı
+// yine Retry-After'a uyarak yeniden denenir (bkz. trendyolClient).
+
+const THROTTLE_LIMIT = 50;
+const THROTTLE_WINDOW_MS = 10 * 1000;
+
+// satıcı anahtarı -> son penceredeki istek zamanları
+const windows = new Map();
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+function prune(key, now) {
+  const timestamps = (windows.get(key) || []).filter((time) => time > now - THROTTLE_WINDOW_MS);
+  if (timestamps.length) {
+    windows.set(key, timestamps);
+  } else {
+    windows.delete(key);
+  }
+  return timestamps;
+}
+
+// Bir sonraki isteğin gönderilebileceği ana kadar beklenecek süre (ms)
+function getThrottleDelay(key, now = Date.now()) {
+  const timestamps = prune(key, now);
+  if (timestamps.length < THROTTLE_LIMIT) return 0;
+  return timestamps[timestamps.length - THROTTLE_LIMIT] + THROTTLE_WINDOW_MS - now;
+}
+
+// Pencerede yer açılınca slotu ayır. maxWaitMs aşılacaksa beklemeden
+// { acquired: false, retryAfterMs } döner.
+async function acquireSlot(key, maxWaitMs = Infinity) {
+  for (;;) {
+    const delay = getThrottleDelay(key);
+    if (delay <= 0) {
+      windows.set(key, [...(windows.get(key) || []), Date.now()]);
+      return { acquired: true };
+    }
+    if (delay > maxWaitMs) {
+      return { acquired: false, retryAfterMs: delay };
+    }
+    await sleep(delay);
+    maxWaitMs -= delay;
+  }
+}
+
+module.exports = {
+  THROTTLE_LIMIT,
+  THROTTLE_WINDOW_MS,
+  getThrottleDelay,
+  acquireSlot
+};
@@ -0,0 +1,201 @@
+// Trendyol API istemcisi
+// Express ve Vercel adaptörleri Trendyol'a yalnızca bu modül üzerinden gider.
+const https = require('https');
+const { AsyncLocalStorage } = require('async_hooks');
+const { HttpError, TrendyolApiError, TRENDYOL_ERROR_CODES, fromTrendyolResponse } = require('./errors');
+const { acquireSlot } = require('./sellerThrottle');
+
+const fetch = (...args) => import('node-fetch').then(({ default: nodeFetch }) => nodeFetch(...args));
+
+// TLS 1.2+ için agent
+const httpsAgent = new https.Agent({
+  minVersion: 'TLSv1.2',
+  maxVersion: 'TLSv1.3'
+});
+
+// Trendyol API base URL - Test/Production ortamına göre
+const TRENDYOL_BASE_URL = process.env.TRENDYOL_ENV === 'production'
+  ? 'https://apigw.trendyol.com'
+  : process.env.TRENDYOL_ENV === 'test'
+    ? 'https://stageapigw.trendyol.com'
+    : process.env.NODE_ENV === 'production'
+      ? 'https://apigw.trendyol.com'
+      : 'https://stageapigw.trendyol.com';
+
+function buildUrl(endpoint, params) {
+  let url = `${TRENDYOL_BASE_URL}${endpoint}`;
+  if (!params) return url;
+
+  // null/undefined parametreler gönderilmez
+  const queryParams = new URLSearchParams();
+  Object.keys(params).forEach(key => {
+    if (params[key] !== null && params[key] !== undefined) {
+      queryParams.append(key, params[key]);
+    }
+  });
+  const queryString = queryParams.toString();
+  if (queryString) {
+    url += `?${queryString}`;
+  }
+  return url;
+}
+
+// Yanıt gövdesini oku; JSON değilse ham metin döner
+async function readBody(response) {
+  const text = await response.text();
+  if (!text) return null;
+  try {
+    return JSON.parse(text);
+  } catch {
+    return { rawResponse: text };
+  }
+}
+
+function describeError(data) {
+  if (!data) return '';
+  if (data.message) return data.message;
+  if (data.error) return data.error;
+  if (data.errors?.length) return data.errors.map((error) => error.message || error.key).join(', ');
+  // HTML hata sayfaları loglara ve yanıta kısaltılarak yazılır
+  if (data.rawResponse) return data.rawResponse.replace(/\s+/g, ' ').slice(0, 200);
+  return JSON.stringify(data);
+}
+
+// Vercel fonksiyonu 10 saniyede kesilir (vercel.json maxDuration); tüm denemeler,
+// beklemeler dahil bu sürenin içinde bitmeli. Vercel'de süre isteğin proxy'ye geldiği
+// andan sayılır (bkz. runWithRequestBudget), Express'te her Trendyol isteği için ayrıdır
+const REQUEST_BUDGET_MS = 9000;
+const ATTEMPT_TIMEOUT_MS = 8000;
+const MAX_RETRIES = 2;
+const BACKOFF_BASE_MS = 300;
+const BACKOFF_MAX_MS = 3000;
+
+const RETRYABLE_STATUSES = [429, 500, 502, 503, 504];
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Proxy isteğinin bitmesi gereken an; oturum doğrulama ve kasa okuması da bu süreden yer
+const requestDeadline = new AsyncLocalStorage();
+
+// fn içindeki tüm Trendyol isteklerini receivedAt + REQUEST_BUDGET_MS ile sınırla
+function runWithRequestBudget(receivedAt, fn) {
+  return requestDeadline.run(receivedAt + REQUEST_BUDGET_MS, fn);
+}
+
+// Üstel bekleme, tam jitter: 0 ile base * 2^deneme arası rastgele
+function backoffDelay(attempt) {
+  return Math.random() * Math.min(BACKOFF_MAX_MS, BACKOFF_BASE_MS * 2 ** attempt);
+}
+
+function rateLimitedError(retryAfterMs) {
+  return new TrendyolApiError(
+    429,
+    'Trendyol istek sınırı doldu',
+    TRENDYOL_ERROR_CODES.RATE_LIMITED,
+    { retryAfter: Math.ceil(retryAfterMs / 1000) }
+  );
+}
+
+// Tek deneme: zaman aşımı ve ağ hataları TrendyolApiError'a çevrilir
+async function sendRequest(url, init, timeoutMs) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+  try {
+    const response = await fetch(url, { ...init, signal: controller.signal });
+    return { response, data: await readBody(response) };
+  } catch (error) {
+    if (controller.signal.aborted) {
+      throw new TrendyolApiError(504, `Trendyol API ${timeoutMs} ms içinde yanıt vermedi`, TRENDYOL_ERROR_CODES.TIMEOUT);
+    }
+    // DNS, TLS veya bağlantı hatası: Trendyol'a ulaşılamadı
+    console.error('Trendyol API bağlantı hatası:', error.message);
+    throw new TrendyolApiError(502, `Trendyol API'ye ulaşılamadı: ${error.message}`, TRENDYOL_ERROR_CODES.UNAVAILABLE);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// Helper: Trendyol'a istek at
+// Satıcı başına sınırlandırılır; 429 ve 5xx yanıtlar Retry-After'a uyarak yeniden
+// denenir. 5xx ve ağ hataları yalnızca tekrarı güvenli isteklerde (GET veya
+// idempotent: true) yeniden denenir. Hata durumunda TrendyolApiError (bkz. lib/errors)
+async function makeTrendyolRequest(endpoint, options = {}) {
+  if (typeof options.apiKey !== 'string' || typeof options.apiSecret !== 'string' || !options.apiKey || !options.apiSecret) {
+    throw new HttpError(400, 'API Key ve API Secret gerekli', 'BAD_REQUEST');
+  }
+
+  const url = buildUrl(endpoint, options.params);
+
+  const method = options.method || 'GET';
+  const idempotent = method === 'GET' || Boolean(options.idempotent);
+  const userAgent = options.sellerId
+    ? `${options.sellerId} - SelfIntegration`
+    : 'SelfIntegration';
+  const credentials = Buffer.from(`${options.apiKey}:${options.apiSecret}`, 'utf8').toString('base64');
+  const init = {
+    method,
+    headers: {
+      Authorization: `Basic ${credentials}`,
+      'Content-Type': 'application/json',
+      'User-Agent': userAgent
+    },
+    agent: httpsAgent,
+    ...(options.body && { body: JSON.stringify(options.body) })
+  };
+
+  // budgetMs: çağıranın kendi süre sınırı varsa (ör. otomatik fiyatlandırma) daha kısa bütçe
+  const deadline = Math.min(
+    requestDeadline.getStore() ?? Infinity,
+    Date.now() + Math.min(REQUEST_BUDGET_MS, options.budgetMs ?? REQUEST_BUDGET_MS)
+  );
+  const throttleKey = options.sellerId || options.apiKey;
+
+  for (let attempt = 0; ; attempt++) {
+    const slot = await acquireSlot(throttleKey, deadline - Date.now());
+    if (!slot.acquired) throw rateLimitedError(slot.retryAfterMs);
+
+    let error;
+    try {
+      const { response, data } = await sendRequest(url, init, Math.min(ATTEMPT_TIMEOUT_MS, deadline - Date.now()));
+      if (response.ok) return data;
+
+      const errorMessage = `Trendyol API Error: ${response.status} - ${describeError(data) || response.statusText}`;
+      console.error('Trendyol API Error Details:', errorMessage);
+      error = fromTrendyolResponse(response.status, data, errorMessage, {
+        'retry-after': response.headers.get('retry-after')
+      });
+    } catch (requestError) {
+      error = requestError;
+    }
+
+    const upstreamStatus = error.upstreamStatus || error.status;
+    const retryable = upstreamStatus === 429 || (idempotent && RETRYABLE_STATUSES.includes(upstreamStatus));
+    if (attempt >= MAX_RETRIES || !retryable) throw error;
+
+    // Retry-After varsa ona uyulur; kalan süreye sığmıyorsa beklemeden hata döner
+    const delay = error.retryAfter !== null && error.retryAfter !== undefined
+      ? error.retryAfter * 1000
+      : backoffDelay(attempt);
+    if (Date.now() + delay >= deadline) throw error;
+
+    console.warn(`Trendyol isteği yeniden deneniyor (${attempt + 1}/${MAX_RETRIES}), ${Math.round(delay)} ms sonra`);
+    await sleep(delay);
+  }
+}
+
+// Fiyat ve stok güncellemesi: update-stock, update-price uçları ve otomatik
+// fiyat kuralları aynı isteği kullanır. Mutlak değer gönderildiği için tekrar denemesi güvenli.
+async function updatePriceAndInventory({ apiKey, apiSecret, sellerId }, items) {
+  const result = await makeTrendyolRequest(
+    `/sapigw/suppliers/${sellerId}/products/price-and-inventory`,
+    { method: 'POST', idempotent: true, apiKey, apiSecret, sellerId, body: { items } }
+  );
+  return { result, batchId: result?.batchRequestId };
+}
+
+module.exports = {
+  TRENDYOL_BASE_URL,
+  makeTrendyolRequest,
+  updatePriceAndInventory,
+  runWithRequestBudget
+};
@@ -0,0 +1,442 @@
+// Trendyol proxy uçları
+// Her uç, doğrulama kuralı ve hata eşlemesi yalnızca burada tanımlıdır. Express
+// (server/trendyol-proxy.js) ve Vercel (api/trendyol-proxy.js) adaptörleri
+// isteği dispatch()'e verir, dönen { status, body } değerini aynen yazar.
+const {
+  TRENDYOL_BASE_URL,
+  makeTrendyolRequest,
+  updatePriceAndInventory,
+  runWithRequestBudget
+} = require('./trendyolClient');
+const { authenticateRequest, AUTH_ERRORS } = require('./firebaseAdmin');
+const {
+  createSession,
+  resolveSession,
+  revokeSession,
+  revokeUserSessions,
+  getSessionToken,
+  SESSION_EXPIRED_MESSAGE
+} = require('./credentialSession');
+const credentialVault = require('./credentialVault');
+const { HttpError } = require('./errors');
+const repricingRules = require('./repricingRules');
+const { runForUser, SERVERLESS_RUN_BUDGET_MS } = require('./repricingEngine');
+
+// İzin verilen kaynaklar ve başlıklar (her iki adaptörün CORS ayarı)
+const ALLOWED_ORIGINS = [
+  'https://karhesabi.vercel.app',
+  'https://www.karhesabi.vercel.app',
+  'https://karhesabi-git-main-mcts-projects-2b8b6936.vercel.app',
+  'https://karhesabi-mcts-projects-2b8b6936.vercel.app',
+  'http://localhost:3000',
+  'http://127.0.0.1:3000',
+  'http://localhost:5173',
+  'http://127.0.0.1:5173',
+  'http://192.168.1.51:3000',
+  'http://192.168.1.51:5173',
+  'http://167.71.42.27:3000',
+  'http://167.71.42.27:5173',
+  'https://167.71.42.27:3000',
+  'http://167.71.42.27:4000',
+  'https://167.71.42.27:4000',
+  'https://167.71.42.27:5173'
+];
+const ALLOWED_METHODS = ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'];
+const ALLOWED_HEADERS = ['Content-Type', 'Authorization', 'X-Requested-With', 'X-Trendyol-Session'];
+
+// Zorunlu alanlardan biri boşsa 400
+function requireFields(source, fields, message) {
+  const missing = fields.filter((field) => source?.[field] === undefined || source[field] === null || source[field] === '');
+  if (missing.length) {
+    throw new HttpError(400, message || `${missing.join(', ')} gerekli`, 'BAD_REQUEST');
+  }
+}
+
+// Firebase ID token'ı gerekmeyen uç: public: true
+// Trendyol oturumu gerekmeyen uç: session: false
+// handler({ query, body, headers, user, credentials }) -> yanıta eklenecek alanlar
+const ROUTES = [
+  {
+    method: 'GET',
+    path: 'health',
+    public: true,
+    handler: async () => ({ status: 'OK', timestamp: new Date().toISOString() })
+  },
+
+  // Kaydetmeden önce form bilgileriyle bağlantı testi
+  {
+    method: 'POST',
+    path: 'test-connection',
+    session: false,
+    handler: async ({ body }) => {
+      requireFields(body, ['apiKey', 'apiSecret'], 'API Key ve API Secret gerekli');
+      const { apiKey, apiSecret } = body;
+      const info = await makeTrendyolRequest('/sapigw/suppliers', { apiKey, apiSecret });
+      return { sellerInfo: Array.isArray(info) ? info[0] : info };
+    }
+  },
+
+  // Credential vault: bilgiler Firebase kullanıcısına bağlı, şifreli saklanır
+  {
+    method: 'GET',
+    path: 'vault',
+    session: false,
+    handler: async ({ user }) => ({ vault: await credentialVault.getVaultStatus(user.uid) })
+  },
+  // Kaydet veya yenile (rotate); kullanıcının açık oturumları kapatılır
+  {
+    method: 'PUT',
+    path: 'vault',
+    session: false,
+    handler: async ({ body, user }) => {
+      requireFields(body, ['apiKey', 'apiSecret', 'sellerId'], 'API Key, API Secret ve Seller ID gerekli');
+      const { apiKey, apiSecret, sellerId } = body;
+      const vault = await credentialVault.saveCredentials(user.uid, { apiKey, apiSecret, sellerId });
+      revokeUserSessions(user.uid);
+      return { vault };
+    }
+  },
+  {
+    method: 'DELETE',
+    path: 'vault',
+    session: false,
+    handler: async ({ user }) => {
+      await credentialVault.revokeCredentials(user.uid);
+      revokeUserSessions(user.uid);
+      return {};
+    }
+  },
+
+  // Credential session: kasadaki bilgilerle açılır, sonraki isteklerde yalnızca token taşınır
+  {
+    method: 'POST',
+    path: 'session',
+    session: false,
+    handler: async ({ user }) => {
+      const credentials = await credentialVault.getCredentials(user.uid);
+      if (!credentials) {
+        throw new HttpError(404, 'Kayıtlı Trendyol bilgisi bulunamadı, entegrasyonu tamamlayın', 'VAULT_NOT_FOUND');
+      }
+      const { token, expiresAt } = createSession(user.uid, credentials);
+      return { token, expiresAt, sellerId: credentials.sellerId };
+    }
+  },
+  {
+    method: 'DELETE',
+    path: 'session',
+    session: false,
+    handler: async ({ headers, user }) => {
+      await revokeSession(getSessionToken({ headers }), user.uid);
+      return {};
+    }
+  },
+
+  // Supplier info
+  {
+    method: 'GET',
+    path: 'seller-info',
+    handler: async ({ credentials: { apiKey, apiSecret } }) => {
+      const info = await makeTrendyolRequest('/sapigw/suppliers', { apiKey, apiSecret });
+      return { sellerInfo: Array.isArray(info) ? info[0] : info };
+    }
+  },
+
+  // Products
+  {
+    method: 'GET',
+    path: 'products',
+    handler: async ({ query, credentials: { apiKey, apiSecret, sellerId } }) => {
+      const { page = 0, size = 50, barcode, stockCode, startDate, endDate, dateQueryType } = query;
+      const products = await makeTrendyolRequest(
+        `/sapigw/suppliers/${sellerId}/products`,
+        { apiKey, apiSecret, sellerId, params: { page, size, barcode, stockCode, startDate, endDate, dateQueryType } }
+      );
+      return { products };
+    }
+  },
+
+  // Orders
+  {
+    method: 'GET',
+    path: 'orders',
+    handler: async ({ query, credentials: { apiKey, apiSecret, sellerId } }) => {
+      const { page = 0, size = 50, status, startDate, endDate, orderByField, orderByDirection } = query;
+      const orders = await makeTrendyolRequest(
+        `/sapigw/suppliers/${sellerId}/orders`,
+        { apiKey, apiSecret, sellerId, params: { page, size, status, startDate, endDate, orderByField, orderByDirection } }
+      );
+      return { orders };
+    }
+  },
+
+  // Stock update
+  {
+    method: 'POST',
+    path: 'update-stock',
+    handler: async ({ body, credentials }) => {
+      requireFields(body, ['stockUpdates']);
+      return updatePriceAndInventory(credentials, body.stockUpdates);
+    }
+  },
+
+  // Price update
+  {
+    method: 'POST',
+    path: 'update-price',
+    handler: async ({ body, credentials }) => {
+      requireFields(body, ['priceUpdates']);
+      return updatePriceAndInventory(credentials, body.priceUpdates);
+    }
+  },
+
+  // Product create
+  {
+    method: 'POST',
+    path: 'create-product',
+    handler: async ({ body, credentials: { apiKey, apiSecret, sellerId } }) => {
+      requireFields(body, ['products']);
+      const result = await makeTrendyolRequest(
+        `/sapigw/suppliers/${sellerId}/v2/products`,
+        { method: 'POST', apiKey, apiSecret, sellerId, body: { items: body.products } }
+      );
+      return { result, batchId: result?.batchRequestId };
+    }
+  },
+
+  // Batch status (stok, fiyat ve ürün isteklerinin sonucu)
+  {
+    method: 'GET',
+    path: 'check-batch-status',
+    handler: async ({ query, credentials: { apiKey, apiSecret, sellerId } }) => {
+      requireFields(query, ['batchId']);
+      const result = await makeTrendyolRequest(
+        `/sapigw/suppliers/${sellerId}/products/batch-requests/${encodeURIComponent(query.batchId)}`,
+        { apiKey, apiSecret, sellerId }
+      );
+      return { result };
+    }
+  },
+
+  // Otomatik fiyat kuralları: kurallar ve denetim kayıtları oturum gerektirmez
+  {
+    method: 'GET',
+    path: 'repricing-rules',
+    session: false,
+    handler: async ({ user }) => repricingRules.getConfig(user.uid)
+  },
+  {
+    method: 'PUT',
+    path: 'repricing-rules',
+    session: false,
+    handler: async ({ body, user }) => repricingRules.saveConfig(user.uid, body || {})
+  },
+  {
+    method: 'GET',
+    path: 'repricing-runs',
+    session: false,
+    handler: async ({ user }) => ({ runs: await repricingRules.listRuns(user.uid) })
+  },
+  // Elle çalıştırma; varsayılan deneme modu, fiyat gönderimi update-price ile aynı uçtan.
+  // Serverless fonksiyon tüm kataloğu bitiremeden kesilir: orada yalnızca süre sınırlı
+  // deneme çalıştırılır, canlı gönderim Express sunucusuna kalır
+  {
+    method: 'POST',
+    path: 'repricing-runs',
+    handler: async ({ body, user, credentials, runtime, receivedAt }) => {
+      const dryRun = body?.dryRun !== false;
+      const serverless = runtime === 'serverless';
+      if (serverless && !dryRun) {
+        throw new HttpError(
+          409,
+          'Canlı fiyat gönderimi bu sunucuda yapılamaz; deneme modunda çalıştırın veya Express sunucusunu kullanın',
+          'LIVE_RUN_UNAVAILABLE'
+        );
+      }
+      const run = await runForUser(user.uid, {
+        credentials,
+        dryRun,
+        trigger: 'manual',
+        ...(serverless && { deadline: receivedAt + SERVERLESS_RUN_BUDGET_MS })
+      });
+      return { run };
+    }
+  },
+
+  // Categories
+  {
+    method: 'GET',
+    path: 'categories',
+    aliases: ['get-categories'],
+    handler: async ({ credentials: { apiKey, apiSecret, sellerId } }) => {
+      const categories = await makeTrendyolRequest('/sapigw/product-categories', { apiKey, apiSecret, sellerId });
+      return { categories };
+    }
+  },
+
+  // Origins (menşei ülkeler)
+  {
+    method: 'GET',
+    path: 'get-origins',
+    handler: async ({ credentials: { apiKey, apiSecret, sellerId } }) => {
+      const origins = await makeTrendyolRequest(
+        `/sapigw/suppliers/${sellerId}/origins`,
+        { apiKey, apiSecret, sellerId }
+      );
+      return { origins };
+    }
+  },
+
+  // Shipment providers
+  {
+    method: 'GET',
+    path: 'shipment-providers',
+    handler: async ({ credentials: { apiKey, apiSecret, sellerId } }) => {
+      const providers = await makeTrendyolRequest(
+        `/sapigw/suppliers/${sellerId}/shipment-providers`,
+        { apiKey, apiSecret, sellerId }
+      );
+      return { providers };
+    }
+  },
+
+  // Update order status
+  {
+    method: 'PUT',
+    path: 'update-order-status',
+    handler: async ({ body, credentials: { apiKey, apiSecret, sellerId } }) => {
+      requireFields(body, ['orderId', 'status']);
+      const result = await makeTrendyolRequest(
+        `/sapigw/suppliers/${sellerId}/orders/${encodeURIComponent(body.orderId)}/status`,
+        {
+          method: 'PUT',
+          idempotent: true,
+          apiKey,
+          apiSecret,
+          sellerId,
+          body: { status: body.status, lines: body.lines, params: body.params }
+        }
+      );
+      return { result };
+    }
+  },
+
+  // Create shipment
+  {
+    method: 'POST',
+    path: 'create-shipment',
+    handler: async ({ body, credentials: { apiKey, apiSecret, sellerId } }) => {
+      requireFields(body, ['orderId', 'shipmentData'], 'orderId ve kargo bilgileri gerekli');
+      const result = await makeTrendyolRequest(
+        `/sapigw/suppliers/${sellerId}/orders/${encodeURIComponent(body.orderId)}/shipment`,
+        { method: 'POST', apiKey, apiSecret, sellerId, body: body.shipmentData }
+      );
+      return { result };
+    }
+  },
+
+  // Debug: bilgilerin kendisi veya kodlanmış hali yanıta yazılmaz
+  {
+    method: 'GET',
+    path: 'debug',
+    session: false,
+    handler: async ({ headers, user }) => {
+      const credentials = await resolveSession(getSessionToken({ headers }), user.uid);
+      return {
+        debug: 'Trendyol API Debug Info',
+        endpoint: TRENDYOL_BASE_URL,
+        environment: process.env.TRENDYOL_ENV,
+        nodeEnv: process.env.NODE_ENV,
+        session: credentials
+          ? {
+            sellerId: credentials.sellerId,
+            apiKeyLength: credentials.apiKey.length,
+            apiSecretLength: credentials.apiSecret.length
+          }
+          : null,
+        requestExample: {
+          url: `${TRENDYOL_BASE_URL}/sapigw/suppliers`,
+          headers: {
+            'Authorization': 'Basic [base64_encoded_credentials]',
+            'Content-Type': 'application/json',
+            'User-Agent': 'SelfIntegration'
+          }
+        }
+      };
+    }
+  }
+];
+
+// "/api/trendyol/products?page=0" -> "products", "/api/health" -> "health"; diğerleri null
+function resolvePath(url) {
+  const { pathname } = new URL(url, 'http://localhost');
+  const match = pathname.match(/^\/api\/(?:trendyol\/)?([^/]+)\/?$/);
+  return match ? match[1] : null;
+}
+
+function errorResponse(error) {
+  if (error instanceof HttpError) {
+    return { status: error.status, body: error.toJSON() };
+  }
+
+  console.error('API Error:', error);
+  return {
+    status: 500,
+    body: {
+      success: false,
+      code: 'INTERNAL_ERROR',
+      error: error.message || 'Internal server error',
+      details: process.env.NODE_ENV === 'development' ? error.stack : undefined
+    }
+  };
+}
+
+// İsteği ilgili uca yönlendir: { status, body }
+// runtime: 'server' (Express) veya 'serverless' (Vercel, süre sınırlı)
+async function dispatch({ method, path, headers = {}, query = {}, body = {}, runtime = 'server' }) {
+  const candidates = ROUTES.filter((route) => route.path === path || route.aliases?.includes(path));
+  if (!candidates.length) {
+    return errorResponse(new HttpError(404, 'Endpoint not found', 'NOT_FOUND'));
+  }
+  const route = candidates.find((candidate) => candidate.method === method);
+  if (!route) {
+    return errorResponse(new HttpError(405, 'Method not allowed', 'METHOD_NOT_ALLOWED'));
+  }
+
+  const receivedAt = Date.now();
+  const context = { headers, query: query || {}, body: body || {}, runtime, receivedAt };
+  // Vercel'de Trendyol isteklerinin süresi doğrulama ve kasa okuması dahil buradan sayılır
+  return runtime === 'serverless'
+    ? runWithRequestBudget(receivedAt, () => handleRoute(route, context))
+    : handleRoute(route, context);
+}
+
+// Kimliği ve Trendyol oturumunu doğrulayıp ucu çalıştır
+async function handleRoute(route, context) {
+  const { headers } = context;
+  try {
+    if (!route.public) {
+      const { user, code } = await authenticateRequest({ headers });
+      if (!user) throw new HttpError(401, AUTH_ERRORS[code], code);
+      context.user = user;
+
+      if (route.session !== false) {
+        context.credentials = await resolveSession(getSessionToken({ headers }), user.uid);
+        if (!context.credentials) throw new HttpError(401, SESSION_EXPIRED_MESSAGE, 'SESSION_EXPIRED');
+      }
+    }
+
+    const result = await route.handler(context);
+    return { status: 200, body: { success: true, ...result } };
+  } catch (error) {
+    return errorResponse(error);
+  }
+}
+
+module.exports = {
+  ALLOWED_ORIGINS,
+  ALLOWED_METHODS,
+  ALLOWED_HEADERS,
+  ROUTES,
+  resolvePath,
+  dispatch
+};
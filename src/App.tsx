@@ -16,6 +16,13 @@ import UserProfile from "./components/Auth/UserProfile";
 import PremiumPlans from "./components/Premium/PremiumPlans";
 import TrendyolIntegration from "./components/Integration/TrendyolIntegration";
 import SellerPanel from "./components/Panel/SellerPanel";
+import CostCatalogue from "./components/Panel/CostCatalogue";
+import OrderProfitability from "./components/Panel/OrderProfitability";
+import BatchJobs from "./components/Panel/BatchJobs";
+import Inventory from "./components/Panel/Inventory";
+import Repricing from "./components/Panel/Repricing";
+import AutoRepricing from "./components/Panel/AutoRepricing";
+import Orders from "./components/Panel/Orders";
 import ProfitCalculator from "./components/Calculator/ProfitCalculator";
 
 // Protected Route Component
@@ -73,6 +80,62 @@ function AppContent() {
               </ProtectedRoute>
             }
           />
+          <Route
+            path="/panel/maliyetler"
+            element={
+              <ProtectedRoute>
+                <CostCatalogue />
+              </ProtectedRoute>
+            }
+          />
+          <Route
+            path="/panel/siparis-karliligi"
+            element={
+              <ProtectedRoute>
+                <OrderProfitability />
+              </ProtectedRoute>
+            }
+          />
+          <Route
+            path="/panel/stok"
+            element={
+              <ProtectedRoute>
+                <Inventory />
+              </ProtectedRoute>
+            }
+          />
+          <Route
+            path="/panel/fiyatlandirma"
+            element={
+              <ProtectedRoute>
+                <Repricing />
+              </ProtectedRoute>
+            }
+          />
+          <Route
+            path="/panel/fiyat-kurallari"
+            element={
+              <ProtectedRoute>
+                <AutoRepricing />
+              </ProtectedRoute>
+            }
+          />
+          <Route
+            path="/panel/siparisler"
+            element={
+              <ProtectedRoute>
+                <Orders />
+              </ProtectedRoute>
+            }
+          />
+          <Route
+            path="/panel/toplu-islemler"
+            element={
+              <ProtectedRoute>
+                <BatchJobs />
+              </ProtectedRoute>
+            }
+          />
 
           {/* Public Routes */}
           <Route
@@ -30,6 +30,7 @@ function UserProfile() {
     birthDate: '',
     gender: '',
     companyName: '',
+    companyLogoUrl: '',
     jobTitle: '',
     website: '',
     bio: ''
@@ -48,6 +49,7 @@ function UserProfile() {
         birthDate: userProfile.birthDate || '',
         gender: userProfile.gender || '',
         companyName: userProfile.companyName || '',
+        companyLogoUrl: userProfile.companyLogoUrl || '',
         jobTitle: userProfile.jobTitle || '',
         website: userProfile.website || '',
         bio: userProfile.bio || ''
@@ -83,6 +85,7 @@ function UserProfile() {
       birthDate: userProfile?.birthDate || '',
       gender: userProfile?.gender || '',
       companyName: userProfile?.companyName || '',
+      companyLogoUrl: userProfile?.companyLogoUrl || '',
       jobTitle: userProfile?.jobTitle || '',
       website: userProfile?.website || '',
       bio: userProfile?.bio || ''
@@ -299,6 +302,30 @@ function UserProfile() {
                 )}
               </div>
 
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">
+                  Şirket Logosu (URL)
+                </label>
+                {isEditing ? (
+                  <input
+                    type="url"
+                    name="companyLogoUrl"
+                    value={formData.companyLogoUrl}
+                    onChange={handleChange}
+                    placeholder="https://... (PDF raporlarında kullanılır)"
+                    className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-orange-500 focus:border-orange-500"
+                  />
+                ) : userProfile.companyLogoUrl ? (
+                  <img
+                    src={userProfile.companyLogoUrl}
+                    alt="Şirket logosu"
+                    className="h-12 object-contain"
+                  />
+                ) : (
+                  <p className="text-gray-900">Belirtilmemiş</p>
+                )}
+              </div>
+
               <div>
                 <label className="block text-sm font-medium text-gray-700 mb-1">
                   İş Ünvanı
@@ -0,0 +1,311 @@
+import React, { useState, useMemo } from "react";
+import {
+  Upload,
+  FileSpreadsheet,
+  Download,
+  ArrowUpDown,
+  AlertTriangle,
+  Play,
+} from "lucide-react";
+import toast from "react-hot-toast";
+import {
+  BULK_COLUMNS,
+  readProductFile,
+  guessColumnMapping,
+  getMissingRequiredColumns,
+  runBulkCalculation,
+  downloadEnrichedFile,
+} from "../../services/bulkCalculator";
+
+// Tabloda sıralanabilen kolonlar
+const SORTABLE_COLUMNS = [
+  { key: "rowNumber", label: "Satır", value: (row) => row.rowNumber },
+  { key: "product", label: "Ürün", value: (row) => row.title || row.barcode },
+  { key: "salePrice", label: "Satış Fiyatı", value: (row) => row.result?.originalPrice ?? -Infinity },
+  { key: "totalCosts", label: "Toplam Gider", value: (row) => row.result ? row.result.totalCosts + row.result.platformFees.total : -Infinity },
+  { key: "profit", label: "Net Kâr", value: (row) => row.result?.finalProfit ?? -Infinity },
+  { key: "margin", label: "Kâr Marjı", value: (row) => row.result?.profitMargin ?? -Infinity },
+];
+
+function BulkCalculator() {
+  const [file, setFile] = useState(null);
+  const [mapping, setMapping] = useState({});
+  const [defaultCommission, setDefaultCommission] = useState("");
+  const [rows, setRows] = useState([]);
+  const [sort, setSort] = useState({ key: "rowNumber", direction: "asc" });
+  const [loading, setLoading] = useState(false);
+
+  const handleFileChange = async (e) => {
+    const selected = e.target.files?.[0];
+    if (!selected) return;
+
+    setLoading(true);
+    try {
+      const parsed = await readProductFile(selected);
+      setFile({ name: selected.name, ...parsed });
+      setMapping(guessColumnMapping(parsed.headers));
+      setRows([]);
+    } catch (error) {
+      console.error("Dosya okuma hatası:", error);
+      toast.error(error.message);
+    } finally {
+      setLoading(false);
+      e.target.value = "";
+    }
+  };
+
+  const handleMappingChange = (key, value) => {
+    setMapping((prev) => ({
+      ...prev,
+      [key]: value === "" ? null : parseInt(value, 10),
+    }));
+  };
+
+  // Varsayılan komisyon girildiyse komisyon kolonu zorunlu değil
+  const missingColumns = getMissingRequiredColumns(mapping).filter(
+    (column) => !(column.key === "commission" && defaultCommission !== "")
+  );
+
+  const handleRun = () => {
+    if (missingColumns.length > 0) {
+      toast.error(
+        "Eksik kolon eşlemesi: " + missingColumns.map((column) => column.label).join(", ")
+      );
+      return;
+    }
+    setRows(runBulkCalculation(file.rows, mapping, { commission: defaultCommission }));
+  };
+
+  const handleSort = (key) => {
+    setSort((prev) => ({
+      key,
+      direction: prev.key === key && prev.direction === "asc" ? "desc" : "asc",
+    }));
+  };
+
+  const sortedRows = useMemo(() => {
+    const column = SORTABLE_COLUMNS.find((item) => item.key === sort.key);
+    const sorted = [...rows].sort((a, b) => {
+      const left = column.value(a);
+      const right = column.value(b);
+      if (typeof left === "string") return left.localeCompare(right, "tr");
+      return left - right;
+    });
+    return sort.direction === "asc" ? sorted : sorted.reverse();
+  }, [rows, sort]);
+
+  const summary = useMemo(() => {
+    const calculated = rows.filter((row) => row.result);
+    return {
+      total: rows.length,
+      errors: rows.length - calculated.length,
+      losses: calculated.filter((row) => row.result.isLoss).length,
+      profit: calculated.reduce((sum, row) => sum + row.result.finalProfit, 0),
+    };
+  }, [rows]);
+
+  const handleDownload = async (format) => {
+    try {
+      await downloadEnrichedFile(file.headers, rows, format);
+    } catch (error) {
+      console.error("Dosya indirme hatası:", error);
+      toast.error("Dosya oluşturulurken bir hata oluştu");
+    }
+  };
+
+  return (
+    <div className="space-y-8">
+      <div className="text-center">
+        <h2 className="text-3xl font-bold text-gray-900 mb-4">Toplu Kâr Hesaplama</h2>
+        <p className="text-lg text-gray-600 max-w-2xl mx-auto">
+          CSV veya Excel ürün listenizi yükleyin, tüm ürünlerin kârlılığını tek seferde görün
+        </p>
+      </div>
+
+      {/* Dosya Yükleme */}
+      <div className="bg-white rounded-xl shadow-lg border border-gray-200 p-6">
+        <label className="flex flex-col items-center justify-center border-2 border-dashed border-gray-300 rounded-xl p-8 cursor-pointer hover:border-orange-400 hover:bg-orange-50 transition-colors">
+          {file ? (
+            <FileSpreadsheet className="w-10 h-10 text-green-500 mb-3" />
+          ) : (
+            <Upload className="w-10 h-10 text-gray-400 mb-3" />
+          )}
+          <span className="font-semibold text-gray-800">
+            {loading
+              ? "Dosya okunuyor..."
+              : file
+                ? `${file.name} (${file.rows.length} ürün)`
+                : "CSV veya XLSX dosyası seçin"}
+          </span>
+          <span className="text-sm text-gray-500 mt-1">
+            Başlık satırı zorunludur. Tutarlar KDV dahil olmalıdır.
+          </span>
+          <input
+            type="file"
+            accept=".csv,.txt,.xlsx"
+            onChange={handleFileChange}
+            className="hidden"
+          />
+        </label>
+      </div>
+
+      {/* Kolon Eşleme */}
+      {file && (
+        <div className="bg-white rounded-xl shadow-lg border border-gray-200 p-6">
+          <h3 className="text-xl font-bold text-gray-900 mb-4">Kolon Eşleme</h3>
+          <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4">
+            {BULK_COLUMNS.map((column) => (
+              <div key={column.key} className="space-y-1">
+                <label className="block text-sm font-semibold text-gray-700">
+                  {column.label} {column.required && "*"}
+                </label>
+                <select
+                  value={mapping[column.key] ?? ""}
+                  onChange={(e) => handleMappingChange(column.key, e.target.value)}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-orange-500 focus:border-orange-500"
+                >
+                  <option value="">— Yok —</option>
+                  {file.headers.map((header, index) => (
+                    <option key={`${header}-${index}`} value={index}>
+                      {header || `Kolon ${index + 1}`}
+                    </option>
+                  ))}
+                </select>
+              </div>
+            ))}
+            <div className="space-y-1">
+              <label className="block text-sm font-semibold text-gray-700">
+                Varsayılan Komisyon (%)
+              </label>
+              <input
+                type="number"
+                value={defaultCommission}
+                onChange={(e) => setDefaultCommission(e.target.value)}
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-orange-500 focus:border-orange-500"
+                placeholder="Komisyon kolonu yoksa"
+              />
+            </div>
+          </div>
+          <button
+            onClick={handleRun}
+            className="mt-6 bg-gradient-to-r from-orange-500 to-orange-600 text-white px-6 py-3 rounded-xl font-semibold flex items-center space-x-2 hover:from-orange-600 hover:to-orange-700 transition-colors"
+          >
+            <Play className="w-5 h-5" />
+            <span>Hesapla</span>
+          </button>
+        </div>
+      )}
+
+      {/* Sonuçlar */}
+      {rows.length > 0 && (
+        <div className="bg-white rounded-xl shadow-lg border border-gray-200 p-6">
+          <div className="flex flex-wrap items-center justify-between gap-4 mb-6">
+            <div className="flex flex-wrap gap-3 text-sm">
+              <span className="bg-gray-100 text-gray-800 px-3 py-1 rounded-full">
+                {summary.total} ürün
+              </span>
+              <span className="bg-red-100 text-red-800 px-3 py-1 rounded-full">
+                {summary.losses} zararda
+              </span>
+              {summary.errors > 0 && (
+                <span className="bg-yellow-100 text-yellow-800 px-3 py-1 rounded-full">
+                  {summary.errors} hatalı satır
+                </span>
+              )}
+              <span className="bg-green-100 text-green-800 px-3 py-1 rounded-full">
+                Toplam net kâr: ₺{summary.profit.toFixed(2)}
+              </span>
+            </div>
+            <div className="flex gap-2">
+              <button
+                onClick={() => handleDownload("xlsx")}
+                className="bg-green-600 text-white px-4 py-2 rounded-lg font-medium flex items-center space-x-2 hover:bg-green-700 transition-colors"
+              >
+                <Download className="w-4 h-4" />
+                <span>XLSX</span>
+              </button>
+              <button
+                onClick={() => handleDownload("csv")}
+                className="bg-gray-700 text-white px-4 py-2 rounded-lg font-medium flex items-center space-x-2 hover:bg-gray-800 transition-colors"
+              >
+                <Download className="w-4 h-4" />
+                <span>CSV</span>
+              </button>
+            </div>
+          </div>
+
+          <div className="overflow-x-auto">
+            <table className="min-w-full text-sm">
+              <thead>
+                <tr className="border-b border-gray-200">
+                  {SORTABLE_COLUMNS.map((column) => (
+                    <th key={column.key} className="px-3 py-2 text-left">
+                      <button
+                        onClick={() => handleSort(column.key)}
+                        className="flex items-center font-semibold text-gray-700 hover:text-orange-600"
+                      >
+                        {column.label}
+                        <ArrowUpDown
+                          className={`w-3 h-3 ml-1 ${
+                            sort.key === column.key ? "text-orange-600" : "text-gray-400"
+                          }`}
+                        />
+                      </button>
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {sortedRows.map((row) => (
+                  <tr
+                    key={row.rowNumber}
+                    className={`border-b border-gray-100 ${
+                      row.error ? "bg-yellow-50" : row.result.isLoss ? "bg-red-50" : ""
+                    }`}
+                  >
+                    <td className="px-3 py-2 text-gray-500">{row.rowNumber}</td>
+                    <td className="px-3 py-2 text-gray-900">
+                      {row.title || row.barcode || "-"}
+                    </td>
+                    {row.error ? (
+                      <td colSpan={4} className="px-3 py-2 text-yellow-800">
+                        <span className="flex items-center">
+                          <AlertTriangle className="w-4 h-4 mr-2" />
+                          {row.error}
+                        </span>
+                      </td>
+                    ) : (
+                      <>
+                        <td className="px-3 py-2">₺{row.result.originalPrice.toFixed(2)}</td>
+                        <td className="px-3 py-2 text-red-600">
+                          ₺{(row.result.totalCosts + row.result.platformFees.total).toFixed(2)}
+                        </td>
+                        <td
+                          className={`px-3 py-2 font-semibold ${
+                            row.result.isLoss ? "text-red-600" : "text-green-600"
+                          }`}
+                        >
+                          ₺{row.result.finalProfit.toFixed(2)}
+                        </td>
+                        <td className="px-3 py-2">
+                          %{row.result.profitMargin.toFixed(2)}
+                          {row.result.isLoss && (
+                            <span className="ml-2 inline-flex px-2 py-0.5 text-xs font-medium rounded-full bg-red-100 text-red-800">
+                              Zarar
+                            </span>
+                          )}
+                        </td>
+                      </>
+                    )}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default BulkCalculator;
@@ -0,0 +1,132 @@
+import React, { useState, useEffect } from "react";
+import { Truck, Box } from "lucide-react";
+import { CARGO_PROVIDERS } from "../../config/cargoTariffs";
+import { calculateCargoCost, matchCargoProvider } from "../../services/cargoService";
+import trendyolService from "../../services/trendyolService";
+
+function CargoCalculator({ shipment, onChange }) {
+  const [availableCodes, setAvailableCodes] = useState(null);
+
+  // Entegrasyon varsa satıcının çalıştığı kargo firmalarını işaretle
+  useEffect(() => {
+    trendyolService
+      .ensureCredentials()
+      .then((connected) => (connected ? trendyolService.getShipmentProviders() : null))
+      .then((providers) => {
+        const codes = (Array.isArray(providers) ? providers : [])
+          .map(matchCargoProvider)
+          .filter(Boolean)
+          .map((provider) => provider.code);
+        if (codes.length > 0) setAvailableCodes(codes);
+      })
+      .catch((error) => {
+        console.warn("Kargo firmaları alınamadı:", error);
+      });
+  }, []);
+
+  const handleChange = (e) => {
+    const { name, value, type, checked } = e.target;
+    onChange({
+      ...shipment,
+      [name]: type === "checkbox" ? checked : value,
+    });
+  };
+
+  const breakdown = shipment.enabled ? calculateCargoCost(shipment) : null;
+
+  return (
+    <div className="mt-6 bg-blue-50 border border-blue-200 rounded-xl p-4">
+      <label className="flex items-center space-x-3 cursor-pointer">
+        <input
+          type="checkbox"
+          name="enabled"
+          checked={shipment.enabled}
+          onChange={handleChange}
+          className="w-4 h-4 text-blue-600 rounded focus:ring-blue-500"
+        />
+        <Truck className="w-5 h-5 text-blue-600" />
+        <span className="font-semibold text-blue-900">
+          Kargo giderini desi ile hesapla
+        </span>
+      </label>
+
+      {shipment.enabled && (
+        <div className="mt-4 space-y-4">
+          <div className="space-y-2">
+            <label className="block text-sm font-semibold text-gray-700">
+              Kargo Firması
+            </label>
+            <select
+              name="providerCode"
+              value={shipment.providerCode}
+              onChange={handleChange}
+              className="w-full px-4 py-3 border border-gray-300 rounded-xl focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition-all duration-200"
+            >
+              {CARGO_PROVIDERS.map((provider) => (
+                <option key={provider.code} value={provider.code}>
+                  {provider.name}
+                  {availableCodes && !availableCodes.includes(provider.code)
+                    ? " (mağazanızda tanımlı değil)"
+                    : ""}
+                </option>
+              ))}
+            </select>
+          </div>
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+            {[
+              { name: "width", label: "En (cm)" },
+              { name: "length", label: "Boy (cm)" },
+              { name: "height", label: "Yükseklik (cm)" },
+              { name: "weight", label: "Ağırlık (kg)" },
+            ].map((field) => (
+              <div key={field.name} className="space-y-2">
+                <label className="block text-sm font-semibold text-gray-700">
+                  {field.label}
+                </label>
+                <input
+                  type="number"
+                  name={field.name}
+                  value={shipment[field.name]}
+                  onChange={handleChange}
+                  className="w-full px-4 py-3 border border-gray-300 rounded-xl focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition-all duration-200"
+                  placeholder="0"
+                />
+              </div>
+            ))}
+          </div>
+          {breakdown && (
+            <div className="bg-white rounded-lg p-4 text-sm space-y-2">
+              <div className="flex justify-between">
+                <span className="text-gray-600 flex items-center">
+                  <Box className="w-4 h-4 mr-2" />
+                  Hacimsel Desi:
+                </span>
+                <span className="font-medium">{breakdown.volumetricDesi.toFixed(2)}</span>
+              </div>
+              <div className="flex justify-between">
+                <span className="text-gray-600">Ücretlendirilen Desi:</span>
+                <span className="font-medium">
+                  {breakdown.desi} ({breakdown.basis === "volume" ? "hacim" : "ağırlık"})
+                </span>
+              </div>
+              <div className="flex justify-between">
+                <span className="text-gray-600">Desi Aralığı:</span>
+                <span className="font-medium">
+                  {breakdown.bracket.maxDesi === null
+                    ? `${breakdown.bracket.minDesi}+ desi (+${breakdown.extraDesi} ek desi)`
+                    : `${breakdown.bracket.minDesi}-${breakdown.bracket.maxDesi} desi`}
+                </span>
+              </div>
+              <div className="flex justify-between font-semibold border-t pt-2">
+                <span className="text-gray-900">{breakdown.providerName}:</span>
+                <span className="text-blue-700">₺{breakdown.cost.toFixed(2)}</span>
+              </div>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default CargoCalculator;
@@ -0,0 +1,122 @@
+import React, { useState, useRef, useEffect } from "react";
+import { Search, RefreshCw, Tag } from "lucide-react";
+import toast from "react-hot-toast";
+import commissionService from "../../services/commissionService";
+
+function CategoryPicker({ value, brand, onSelect, onBrandChange }) {
+  const [query, setQuery] = useState(value?.path?.join(" > ") || "");
+  const [open, setOpen] = useState(false);
+  const [refreshing, setRefreshing] = useState(false);
+  const [table, setTable] = useState(() => commissionService.getTable());
+  const containerRef = useRef(null);
+
+  // Dışarı tıklandığında listeyi kapat
+  useEffect(() => {
+    function handleClickOutside(event) {
+      if (containerRef.current && !containerRef.current.contains(event.target)) {
+        setOpen(false);
+      }
+    }
+
+    document.addEventListener("mousedown", handleClickOutside);
+    return () => {
+      document.removeEventListener("mousedown", handleClickOutside);
+    };
+  }, []);
+
+  const results = open ? commissionService.searchCategories(query) : [];
+
+  const handleSelect = (category) => {
+    setQuery(category.path.join(" > "));
+    setOpen(false);
+    onSelect(category, commissionService.getCommissionRate(category.id ?? category.name, brand));
+  };
+
+  const handleBrandChange = (e) => {
+    onBrandChange(e.target.value);
+    if (value) {
+      onSelect(value, commissionService.getCommissionRate(value.id ?? value.name, e.target.value));
+    }
+  };
+
+  const handleRefresh = async () => {
+    setRefreshing(true);
+    try {
+      setTable(await commissionService.refreshFromTrendyol());
+      toast.success("Kategori listesi Trendyol'dan güncellendi");
+    } catch (error) {
+      console.error("Kategori güncelleme hatası:", error);
+      toast.error("Kategoriler güncellenemedi: " + error.message);
+    } finally {
+      setRefreshing(false);
+    }
+  };
+
+  return (
+    <div className="space-y-3">
+      <div className="relative" ref={containerRef}>
+        <div className="relative">
+          <Search className="w-4 h-4 text-gray-400 absolute left-4 top-1/2 -translate-y-1/2" />
+          <input
+            type="text"
+            value={query}
+            onChange={(e) => {
+              setQuery(e.target.value);
+              setOpen(true);
+            }}
+            onFocus={() => setOpen(true)}
+            className="w-full pl-10 pr-4 py-3 border border-gray-300 rounded-xl focus:ring-2 focus:ring-orange-500 focus:border-orange-500 transition-all duration-200"
+            placeholder="Kategori ara (ör. Kadın Giyim)"
+          />
+        </div>
+        {open && (
+          <div className="absolute z-20 mt-1 w-full bg-white border border-gray-200 rounded-xl shadow-lg max-h-64 overflow-y-auto">
+            {results.length > 0 ? (
+              results.map((category) => (
+                <button
+                  key={`${category.id ?? ""}-${category.path.join("/")}`}
+                  type="button"
+                  onClick={() => handleSelect(category)}
+                  className="w-full flex items-center justify-between px-4 py-2 text-left hover:bg-orange-50"
+                >
+                  <span className="text-sm text-gray-800">{category.path.join(" > ")}</span>
+                  <span className="text-sm font-semibold text-orange-600">%{category.rate}</span>
+                </button>
+              ))
+            ) : (
+              <div className="px-4 py-3 text-sm text-gray-500">Kategori bulunamadı</div>
+            )}
+          </div>
+        )}
+      </div>
+      <div className="flex items-center gap-3">
+        <div className="relative flex-1">
+          <Tag className="w-4 h-4 text-gray-400 absolute left-4 top-1/2 -translate-y-1/2" />
+          <input
+            type="text"
+            value={brand}
+            onChange={handleBrandChange}
+            className="w-full pl-10 pr-4 py-2 border border-gray-300 rounded-xl focus:ring-2 focus:ring-orange-500 focus:border-orange-500 transition-all duration-200 text-sm"
+            placeholder="Marka (opsiyonel)"
+          />
+        </div>
+        <button
+          type="button"
+          onClick={handleRefresh}
+          disabled={refreshing}
+          title="Kategori ağacını Trendyol'dan güncelle"
+          className="p-2 text-gray-600 hover:text-orange-600 hover:bg-orange-50 rounded-lg transition-colors disabled:opacity-50"
+        >
+          <RefreshCw className={`w-5 h-5 ${refreshing ? "animate-spin" : ""}`} />
+        </button>
+      </div>
+      <p className="text-xs text-gray-500">
+        Komisyon tablosu v{table.version}
+        {table.updatedAt &&
+          ` · ${new Date(table.updatedAt).toLocaleDateString("tr-TR")} tarihinde güncellendi`}
+      </p>
+    </div>
+  );
+}
+
+export default CategoryPicker;
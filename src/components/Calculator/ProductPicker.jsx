@@ -0,0 +1,176 @@
+import React, { useState, useRef, useEffect } from "react";
+import { Link } from "react-router-dom";
+import { Search, ShoppingBag, X, Loader2 } from "lucide-react";
+import productImportService from "../../services/productImportService";
+
+const SEARCH_DELAY = 400;
+
+function ProductPicker({ value, onSelect, onClear }) {
+  const [query, setQuery] = useState("");
+  const [open, setOpen] = useState(false);
+  const [results, setResults] = useState([]);
+  const [searching, setSearching] = useState(false);
+  const [error, setError] = useState(null);
+  // null: entegrasyon henüz denetleniyor
+  const [available, setAvailable] = useState(null);
+  const containerRef = useRef(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    productImportService.isAvailable().then((result) => {
+      if (!cancelled) setAvailable(result);
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  // Dışarı tıklandığında listeyi kapat
+  useEffect(() => {
+    function handleClickOutside(event) {
+      if (containerRef.current && !containerRef.current.contains(event.target)) {
+        setOpen(false);
+      }
+    }
+
+    document.addEventListener("mousedown", handleClickOutside);
+    return () => {
+      document.removeEventListener("mousedown", handleClickOutside);
+    };
+  }, []);
+
+  // Yazma durduktan sonra ara; eski istek sonucu yenisinin üzerine yazmasın
+  useEffect(() => {
+    if (!available || !query.trim()) {
+      setResults([]);
+      return undefined;
+    }
+
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      setSearching(true);
+      setError(null);
+      try {
+        const products = await productImportService.searchProducts(query);
+        if (!cancelled) setResults(products);
+      } catch (searchError) {
+        console.error("Ürün arama hatası:", searchError);
+        if (!cancelled) setError(searchError.message);
+      } finally {
+        if (!cancelled) setSearching(false);
+      }
+    }, SEARCH_DELAY);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [query, available]);
+
+  const handleSelect = (product) => {
+    setQuery("");
+    setOpen(false);
+    onSelect(product);
+  };
+
+  if (available === null) return null;
+
+  if (!available) {
+    return (
+      <p className="text-sm text-gray-500">
+        Mağazanızdaki ürünleri seçmek için{" "}
+        <Link to="/entegrasyon" className="text-orange-600 font-medium hover:underline">
+          Trendyol entegrasyonunu
+        </Link>{" "}
+        tamamlayın.
+      </p>
+    );
+  }
+
+  if (value) {
+    return (
+      <div className="flex items-center justify-between bg-orange-50 border border-orange-200 rounded-xl px-4 py-3">
+        <div className="flex items-center space-x-3 min-w-0">
+          <ShoppingBag className="w-5 h-5 text-orange-500 flex-shrink-0" />
+          <div className="min-w-0">
+            <p className="text-sm font-semibold text-gray-900 truncate">{value.title}</p>
+            <p className="text-xs text-gray-500">
+              Barkod: {value.barcode}
+              {value.stockCode && ` · Stok Kodu: ${value.stockCode}`}
+            </p>
+          </div>
+        </div>
+        <button
+          type="button"
+          onClick={onClear}
+          title="Ürün seçimini kaldır"
+          className="p-1 text-gray-500 hover:text-red-600 rounded-lg"
+        >
+          <X className="w-5 h-5" />
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <div className="relative" ref={containerRef}>
+      <div className="relative">
+        <Search className="w-4 h-4 text-gray-400 absolute left-4 top-1/2 -translate-y-1/2" />
+        <input
+          type="text"
+          value={query}
+          onChange={(e) => {
+            setQuery(e.target.value);
+            setOpen(true);
+          }}
+          onFocus={() => setOpen(true)}
+          className="w-full pl-10 pr-10 py-3 border border-gray-300 rounded-xl focus:ring-2 focus:ring-orange-500 focus:border-orange-500 transition-all duration-200"
+          placeholder="Barkod, ürün adı veya stok kodu ile ara"
+        />
+        {searching && (
+          <Loader2 className="w-4 h-4 text-orange-500 absolute right-4 top-1/2 -translate-y-1/2 animate-spin" />
+        )}
+      </div>
+      {open && query.trim() && !searching && (
+        <div className="absolute z-20 mt-1 w-full bg-white border border-gray-200 rounded-xl shadow-lg max-h-72 overflow-y-auto">
+          {error ? (
+            <div className="px-4 py-3 text-sm text-red-600">{error}</div>
+          ) : results.length > 0 ? (
+            results.map((product) => (
+              <button
+                key={product.barcode}
+                type="button"
+                onClick={() => handleSelect(product)}
+                className="w-full flex items-center gap-3 px-4 py-2 text-left hover:bg-orange-50"
+              >
+                {product.images?.[0]?.url ? (
+                  <img
+                    src={product.images[0].url}
+                    alt=""
+                    className="w-10 h-10 object-cover rounded-lg flex-shrink-0"
+                  />
+                ) : (
+                  <ShoppingBag className="w-10 h-10 p-2 text-gray-400 bg-gray-100 rounded-lg flex-shrink-0" />
+                )}
+                <div className="flex-1 min-w-0">
+                  <p className="text-sm text-gray-800 truncate">{product.title}</p>
+                  <p className="text-xs text-gray-500">
+                    {product.barcode}
+                    {product.stockCode && ` · ${product.stockCode}`}
+                  </p>
+                </div>
+                <span className="text-sm font-semibold text-orange-600">
+                  ₺{Number(product.salePrice || 0).toFixed(2)}
+                </span>
+              </button>
+            ))
+          ) : (
+            <div className="px-4 py-3 text-sm text-gray-500">Ürün bulunamadı</div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default ProductPicker;
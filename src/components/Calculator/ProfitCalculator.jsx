@@ -1,4 +1,4 @@
-import React, { useState, useRef } from "react";
+import React, { useState } from "react";
 import {
   Calculator,
   DollarSign,
@@ -13,7 +13,36 @@ import {
   FileText,
   Settings,
   Info,
+  Target,
+  Activity,
+  FileSpreadsheet,
+  Bookmark,
 } from "lucide-react";
+import toast from "react-hot-toast";
+import {
+  calculateProfit as runProfitEngine,
+  calculateDiscount,
+  resolveServiceFee,
+  solveSalePrice,
+  toNumber,
+} from "../../services/profitEngine";
+import trendyolService from "../../services/trendyolService";
+import CategoryPicker from "./CategoryPicker";
+import ProductPicker from "./ProductPicker";
+import CargoCalculator from "./CargoCalculator";
+import SensitivityAnalysis from "./SensitivityAnalysis";
+import BulkCalculator from "./BulkCalculator";
+import ScenarioManager from "./ScenarioManager";
+import { toEngineInput } from "../../services/scenarioService";
+import { generateProfitReport } from "../../services/pdfReport";
+import { useAuth } from "../../contexts/AuthContext";
+import costCatalogueService from "../../services/costCatalogueService";
+import productImportService, {
+  productToCalculatorFields,
+  COST_FIELDS,
+} from "../../services/productImportService";
+import { calculateCargoCost } from "../../services/cargoService";
+import { DEFAULT_CARGO_PROVIDER } from "../../config/cargoTariffs";
 
 function ProfitCalculator() {
   const [formData, setFormData] = useState({
@@ -28,11 +57,29 @@ function ProfitCalculator() {
     laborCost: "",
     shippingCost: "",
     advertisingCost: "",
+    saleDate: new Date().toISOString().split("T")[0],
+    serviceFee: "",
   });
 
+  const [product, setProduct] = useState(null);
+  const [category, setCategory] = useState(null);
+  const [brand, setBrand] = useState("");
+  const [shipment, setShipment] = useState({
+    enabled: false,
+    providerCode: DEFAULT_CARGO_PROVIDER,
+    width: "",
+    length: "",
+    height: "",
+    weight: "",
+  });
+  const [mode, setMode] = useState("profit");
+  const [target, setTarget] = useState({ type: "profit", value: "" });
+  const [priceSuggestion, setPriceSuggestion] = useState(null);
   const [result, setResult] = useState(null);
+  const [engineInput, setEngineInput] = useState(null);
   const [activeTab, setActiveTab] = useState("calculator");
-  const reportRef = useRef(null);
+  const [activeScenarioId, setActiveScenarioId] = useState(null);
+  const { currentUser, userProfile } = useAuth();
 
   const handleInputChange = (e) => {
     const { name, value } = e.target;
@@ -42,151 +89,173 @@ function ProfitCalculator() {
     }));
   };
 
-  const calculateProfit = () => {
-    const {
-      salePrice,
-      commission,
-      vatRate,
-      discountType,
-      discountValue,
-      shippingIncome,
-      productCost,
-      packagingCost,
-      laborCost,
-      shippingCost,
-      advertisingCost,
-    } = formData;
+  // Kategori seçildiğinde komisyon oranını tablodan doldur
+  const handleCategorySelect = (selectedCategory, rate) => {
+    setCategory(selectedCategory);
+    setFormData((prev) => ({
+      ...prev,
+      commission: String(rate),
+    }));
+  };
 
-    if (!salePrice || !productCost || !commission) {
-      alert(
-        "Lütfen satış fiyatı, ürün maliyeti ve komisyon oranı alanlarını doldurun."
-      );
-      return;
-    }
+  // Trendyol ürünü seçildiğinde fiyat, KDV, komisyon ve kayıtlı maliyetleri doldur
+  const handleProductSelect = async (selectedProduct) => {
+    const fields = productToCalculatorFields(selectedProduct);
 
-    const price = parseFloat(salePrice) || 0;
-    const commissionRate = parseFloat(commission) || 0;
-    const vat = parseFloat(vatRate) || 0;
-    const vatDivisor = 1 + vat / 100;
-    const vatDecimal = vat / 100;
+    setProduct(selectedProduct);
+    setCategory(fields.category);
+    setBrand(fields.brand);
+    setFormData((prev) => ({ ...prev, ...fields.formData }));
+
+    const remembered = await productImportService.getRememberedCosts(selectedProduct, {
+      uid: currentUser?.uid,
+      date: formData.saleDate,
+    });
+    if (!remembered) return;
 
-    // İndirim hesaplama
-    let discountAmount = 0;
-    if (discountValue) {
-      if (discountType === "percentage") {
-        discountAmount = (price * parseFloat(discountValue)) / 100;
-      } else {
-        discountAmount = parseFloat(discountValue);
-      }
+    setFormData((prev) => ({
+      ...prev,
+      ...COST_FIELDS.reduce((acc, field) => {
+        if (remembered.costs[field] !== undefined) acc[field] = remembered.costs[field];
+        return acc;
+      }, {}),
+    }));
+    toast.success(
+      remembered.source === "catalogue"
+        ? `Maliyetler katalogdan yüklendi (${new Date(remembered.effectiveFrom).toLocaleDateString("tr-TR")} itibarıyla)`
+        : "Bu ürün için kaydettiğiniz maliyetler yüklendi"
+    );
+  };
+
+  // Formdaki maliyetleri satış tarihiyle ürünün katalog geçmişine ekle
+  const saveCostsToCatalogue = async () => {
+    try {
+      await costCatalogueService.saveCost(currentUser.uid, product, formData, formData.saleDate);
+      toast.success("Maliyetler kataloğa kaydedildi");
+    } catch (error) {
+      console.error("Maliyet kataloğu hatası:", error);
+      toast.error(error.message);
     }
-    const discountedPrice = price - discountAmount;
+  };
 
-    // KDV'siz fiyat
-    const priceWithoutVat = discountedPrice / vatDivisor;
-    const saleVat = discountedPrice - priceWithoutVat;
+  // Formdaki fiyat ve tarihe göre tarifeden gelen hizmet bedeli
+  const getScheduledServiceFee = () => {
+    const price = toNumber(formData.salePrice);
+    const discountedPrice =
+      price - calculateDiscount(price, formData.discountType, formData.discountValue);
+    return resolveServiceFee(formData.saleDate, discountedPrice);
+  };
 
-    // Komisyon (KDV'siz fiyattan)
-    const commissionAmount = priceWithoutVat * (commissionRate / 100);
-    const commissionVat = commissionAmount * vatDecimal;
+  // Raporda hizmet bedelinin nereden geldiğini göster
+  const describeServiceFee = (platformFees) => {
+    if (platformFees.serviceFeeSource === "override") {
+      return "Elle girildi";
+    }
+    const rule = platformFees.serviceFeeRule;
+    const band = rule.maxPrice === null
+      ? `${rule.minPrice.toFixed(2)}₺ üzeri`
+      : `${rule.minPrice.toFixed(2)}₺ - ${rule.maxPrice.toFixed(2)}₺`;
+    return `${new Date(rule.effectiveFrom).toLocaleDateString("tr-TR")} tarifesi, ${band}`;
+  };
 
-    // Hizmet Bedeli (KDV dahil, sabit)
-    const serviceFee = 9.79;
+  // Form verisini kâr motorunun beklediği girdiye çevir
+  const buildEngineInput = () => toEngineInput({ formData, shipment });
 
-    // Maliyetlerin KDV'siz ve KDV'li halleri
-    const productCostVal = parseFloat(productCost) || 0;
-    const packagingCostVal = parseFloat(packagingCost) || 0;
-    const laborCostVal = parseFloat(laborCost) || 0;
-    const shippingCostVal = parseFloat(shippingCost) || 0;
-    const advertisingCostVal = parseFloat(advertisingCost) || 0;
+  // Senaryo olarak saklanan hesaplayıcı durumu
+  const getCurrentScenario = () => ({ formData, category, brand, shipment });
 
-    const productCostVat = productCostVal / vatDivisor * vatDecimal;
-    const packagingCostVat = packagingCostVal / vatDivisor * vatDecimal;
-    const shippingCostVat = shippingCostVal / vatDivisor * vatDecimal;
-    const advertisingCostVat = advertisingCostVal / vatDivisor * vatDecimal;
+  // Kayıtlı senaryoyu forma yükle ve hesapla
+  const loadScenario = (scenario, { silent = false } = {}) => {
+    setActiveScenarioId(scenario.id);
+    if (silent) return;
 
-    // Ödenecek KDV
-    // Satış Fiyatı KDV - (Ürün Maliyeti KDV + Paketleme KDV + Kargo KDV + Reklam KDV + Komisyon KDV)
-    const payableVat = saleVat - (
-      productCostVat + packagingCostVat + shippingCostVat + advertisingCostVat + commissionVat
-    );
+    const loadedShipment = scenario.shipment || shipment;
+    setFormData((prev) => ({ ...prev, ...scenario.formData }));
+    setCategory(scenario.category || null);
+    setBrand(scenario.brand || "");
+    setShipment(loadedShipment);
+    setMode("profit");
+    setPriceSuggestion(null);
 
-    // Toplam Kesinti
-    const totalPlatformFees =
-      commissionAmount + serviceFee + commissionVat + payableVat;
+    const input = toEngineInput({
+      formData: { ...formData, ...scenario.formData },
+      shipment: loadedShipment,
+    });
+    setEngineInput(input);
+    setResult(runProfitEngine(input));
+    setActiveTab("calculator");
+  };
 
-    // Toplam maliyet (KDV dahil)
-    const totalCosts =
-      productCostVal + packagingCostVal + laborCostVal + shippingCostVal + advertisingCostVal;
+  const calculateProfit = () => {
+    const { salePrice, commission, productCost } = formData;
 
-    // Net kâr hesabı
-    const netRevenue = discountedPrice + (parseFloat(shippingIncome) || 0);
-    const finalProfit = netRevenue - totalCosts - totalPlatformFees;
+    if (!salePrice || !productCost || !commission) {
+      alert(
+        "Lütfen satış fiyatı, ürün maliyeti ve komisyon oranı alanlarını doldurun."
+      );
+      return;
+    }
 
-    setResult({
-      originalPrice: price,
-      discountAmount,
-      discountedPrice,
-      netRevenue,
-      totalCosts,
-      platformFees: {
-        commission: commissionAmount,
-        serviceFee: serviceFee,
-        serviceFeeBare: serviceFee, // KDV dahil olduğu için aynı
-        serviceFeeVat: 0, // KDV dahil olduğu için ayrı gösterilmiyor
-        payableVat: payableVat,
-        saleVat: saleVat,
-        commissionVat: commissionVat,
-        total: totalPlatformFees,
-        // Ekstra detaylar
-        productCostVat,
-        packagingCostVat,
-        shippingCostVat,
-        advertisingCostVat,
-      },
-      finalProfit,
-      profitMargin: ((finalProfit / netRevenue) * 100).toFixed(2),
-      commissionRate,
-      priceWithoutVat,
-    });
+    const input = buildEngineInput();
+    if (product) productImportService.saveCosts(product.barcode, formData);
+    setPriceSuggestion(null);
+    setEngineInput(input);
+    setResult(runProfitEngine(input));
   };
 
-  const generatePDF = async () => {
-    if (!result) return;
+  // Fiyat Bul: hedef kâr veya marja göre gereken satış fiyatını hesapla
+  const findSalePrice = () => {
+    const { commission, productCost } = formData;
 
-    try {
-      // Dynamic import for PDF generation
-      const { jsPDF } = await import("jspdf");
-      const html2canvas = await import("html2canvas");
+    if (!productCost || !commission || target.value === "") {
+      alert(
+        "Lütfen ürün maliyeti, komisyon oranı ve hedef kâr/marj alanlarını doldurun."
+      );
+      return;
+    }
 
-      const element = reportRef.current;
-      const canvas = await html2canvas.default(element, {
-        scale: 2,
-        useCORS: true,
-        allowTaint: true,
-      });
+    const input = buildEngineInput();
+    if (product) productImportService.saveCosts(product.barcode, formData);
+    const solution = solveSalePrice(
+      input,
+      target.type === "margin"
+        ? { targetMargin: target.value }
+        : { targetProfit: target.value }
+    );
 
-      const imgData = canvas.toDataURL("image/png");
-      const pdf = new jsPDF("p", "mm", "a4");
-      const imgWidth = 210;
-      const pageHeight = 295;
-      const imgHeight = (canvas.height * imgWidth) / canvas.width;
-      let heightLeft = imgHeight;
+    if (!solution) {
+      alert(
+        "Bu hedefe hiçbir satış fiyatıyla ulaşılamıyor. Hedef marjı düşürün veya maliyetleri gözden geçirin."
+      );
+      return;
+    }
 
-      let position = 0;
+    setFormData((prev) => ({
+      ...prev,
+      salePrice: solution.salePrice.toFixed(2),
+    }));
+    setPriceSuggestion({ ...target, salePrice: solution.salePrice });
+    setEngineInput({ ...input, salePrice: solution.salePrice });
+    setResult(solution.result);
+  };
 
-      pdf.addImage(imgData, "PNG", 0, position, imgWidth, imgHeight);
-      heightLeft -= pageHeight;
+  // Satıcı adı: Trendyol mağaza adı, yoksa profildeki şirket/kişi adı
+  const getSellerName = () => {
+    const { sellerInfo } = trendyolService.getStoredIntegration();
+    return sellerInfo?.name || userProfile?.companyName || userProfile?.fullName || "";
+  };
 
-      while (heightLeft >= 0) {
-        position = heightLeft - imgHeight;
-        pdf.addPage();
-        pdf.addImage(imgData, "PNG", 0, position, imgWidth, imgHeight);
-        heightLeft -= pageHeight;
-      }
+  const generatePDF = async () => {
+    if (!result) return;
 
-      pdf.save(
-        `kar-zarar-raporu-${new Date().toISOString().split("T")[0]}.pdf`
-      );
+    try {
+      await generateProfitReport(result, {
+        category,
+        brand,
+        serviceFeeDescription: describeServiceFee(result.platformFees),
+        sellerName: getSellerName(),
+        logoUrl: userProfile?.companyLogoUrl,
+      });
     } catch (error) {
       console.error("PDF oluşturma hatası:", error);
       alert("PDF oluşturulurken bir hata oluştu.");
@@ -199,31 +268,31 @@ function ProfitCalculator() {
     return [
       {
         name: "Ü Maliyeti",
-        value: parseFloat(formData.productCost) || 0,
+        value: result.costs.product,
         color: "#ef4444",
         icon: "📦",
       },
       {
         name: "Paketleme",
-        value: parseFloat(formData.packagingCost) || 0,
+        value: result.costs.packaging,
         color: "#f59e0b",
         icon: "📦",
       },
       {
         name: "İşçilik",
-        value: parseFloat(formData.laborCost) || 0,
+        value: result.costs.labor,
         color: "#10b981",
         icon: "👷",
       },
       {
         name: "Kargo",
-        value: parseFloat(formData.shippingCost) || 0,
+        value: result.costs.shipping,
         color: "#3b82f6",
         icon: "🚚",
       },
       {
         name: "Reklam",
-        value: parseFloat(formData.advertisingCost) || 0,
+        value: result.costs.advertising,
         color: "#a21caf",
         icon: "📢",
       },
@@ -234,7 +303,7 @@ function ProfitCalculator() {
         icon: "🏛️",
       },
       {
-        name: "Hizmet Bedeli (9.79₺)",
+        name: `Hizmet Bedeli (${result.platformFees.serviceFee.toFixed(2)}₺)`,
         value: result.platformFees.serviceFee,
         color: "#ea580c",
         icon: "⚙️",
@@ -264,7 +333,7 @@ function ProfitCalculator() {
   const getProfitabilityAnalysis = () => {
     if (!result) return null;
     
-    const profitMargin = parseFloat(result.profitMargin);
+    const profitMargin = result.profitMargin;
     let status = "excellent";
     let message = "Mükemmel kâr marjı";
     let color = "green";
@@ -580,6 +649,19 @@ function ProfitCalculator() {
                   <span>Grafikler</span>
                 </button>
               )}
+              {result && (
+                <button
+                  onClick={() => setActiveTab("sensitivity")}
+                  className={`px-8 py-4 rounded-xl font-semibold transition-all duration-300 flex items-center space-x-3 transform hover:scale-105 ${
+                    activeTab === "sensitivity"
+                      ? "bg-gradient-to-r from-orange-500 to-orange-600 text-white shadow-lg"
+                      : "text-gray-600 hover:text-orange-600 hover:bg-gradient-to-r hover:from-orange-50 hover:to-orange-100"
+                  }`}
+                >
+                  <Activity className="w-5 h-5" />
+                  <span>Duyarlılık</span>
+                </button>
+              )}
               {result && (
                 <button
                   onClick={() => setActiveTab("report")}
@@ -593,6 +675,28 @@ function ProfitCalculator() {
                   <span>Rapor</span>
                 </button>
               )}
+              <button
+                onClick={() => setActiveTab("bulk")}
+                className={`px-8 py-4 rounded-xl font-semibold transition-all duration-300 flex items-center space-x-3 transform hover:scale-105 ${
+                  activeTab === "bulk"
+                    ? "bg-gradient-to-r from-orange-500 to-orange-600 text-white shadow-lg"
+                    : "text-gray-600 hover:text-orange-600 hover:bg-gradient-to-r hover:from-orange-50 hover:to-orange-100"
+                }`}
+              >
+                <FileSpreadsheet className="w-5 h-5" />
+                <span>Toplu Hesaplama</span>
+              </button>
+              <button
+                onClick={() => setActiveTab("scenarios")}
+                className={`px-8 py-4 rounded-xl font-semibold transition-all duration-300 flex items-center space-x-3 transform hover:scale-105 ${
+                  activeTab === "scenarios"
+                    ? "bg-gradient-to-r from-orange-500 to-orange-600 text-white shadow-lg"
+                    : "text-gray-600 hover:text-orange-600 hover:bg-gradient-to-r hover:from-orange-50 hover:to-orange-100"
+                }`}
+              >
+                <Bookmark className="w-5 h-5" />
+                <span>Senaryolar</span>
+              </button>
             </div>
           </div>
         </div>
@@ -610,29 +714,108 @@ function ProfitCalculator() {
                   <p className="text-orange-100 mt-2 text-sm">Ürününüzün satış bilgilerini girin</p>
                 </div>
                 <div className="p-6">
-                  <div className="mb-4">
+                  <div className="flex flex-wrap items-center justify-between gap-4 mb-4">
                     <span className="inline-block bg-yellow-100 text-yellow-800 px-3 py-1 rounded text-xs font-medium">
                       Tüm gelir ve maliyetler KDV dahil olarak girilmelidir.
                     </span>
+                    <div className="flex bg-gray-100 rounded-xl p-1">
+                      <button
+                        type="button"
+                        onClick={() => setMode("profit")}
+                        className={`px-4 py-2 rounded-lg text-sm font-semibold transition-colors ${
+                          mode === "profit" ? "bg-white text-orange-600 shadow" : "text-gray-600"
+                        }`}
+                      >
+                        Kâr Hesapla
+                      </button>
+                      <button
+                        type="button"
+                        onClick={() => setMode("price")}
+                        className={`px-4 py-2 rounded-lg text-sm font-semibold transition-colors ${
+                          mode === "price" ? "bg-white text-orange-600 shadow" : "text-gray-600"
+                        }`}
+                      >
+                        Fiyat Bul
+                      </button>
+                    </div>
                   </div>
                   <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
-                    {/* Satış Fiyatı */}
-                    <div className="space-y-2">
+                    {/* Trendyol Ürünü */}
+                    <div className="md:col-span-2 space-y-2">
                       <label className="block text-sm font-semibold text-gray-700">
-                        Satış Fiyatı (₺) *
+                        Trendyol Ürünü
                       </label>
-                      <div className="relative">
-                        <input
-                          type="number"
-                          name="salePrice"
-                          value={formData.salePrice}
-                          onChange={handleInputChange}
-                          className="w-full px-4 py-3 border border-gray-300 rounded-xl focus:ring-2 focus:ring-orange-500 focus:border-orange-500 transition-all duration-200"
-                          placeholder="149.99"
-                        />
-                        {/* Dolar işareti kaldırıldı */}
-                      </div>
+                      <ProductPicker
+                        value={product}
+                        onSelect={handleProductSelect}
+                        onClear={() => setProduct(null)}
+                      />
+                      {product && currentUser && (
+                        <button
+                          type="button"
+                          onClick={saveCostsToCatalogue}
+                          className="text-sm text-orange-600 font-medium hover:underline"
+                        >
+                          Maliyetleri {new Date(formData.saleDate).toLocaleDateString("tr-TR")} tarihiyle kataloğa kaydet
+                        </button>
+                      )}
                     </div>
+                    {/* Kategori */}
+                    <div className="md:col-span-2 space-y-2">
+                      <label className="block text-sm font-semibold text-gray-700">
+                        Kategori
+                      </label>
+                      <CategoryPicker
+                        key={category ? category.path.join("/") : "none"}
+                        value={category}
+                        brand={brand}
+                        onSelect={handleCategorySelect}
+                        onBrandChange={setBrand}
+                      />
+                    </div>
+                    {mode === "price" ? (
+                      /* Hedef Kâr / Marj */
+                      <div className="space-y-2">
+                        <label className="block text-sm font-semibold text-gray-700">
+                          Hedef *
+                        </label>
+                        <div className="flex gap-2">
+                          <select
+                            value={target.type}
+                            onChange={(e) => setTarget((prev) => ({ ...prev, type: e.target.value }))}
+                            className="px-3 py-3 border border-gray-300 rounded-xl focus:ring-2 focus:ring-orange-500 focus:border-orange-500 transition-all duration-200"
+                          >
+                            <option value="profit">Net Kâr (₺)</option>
+                            <option value="margin">Kâr Marjı (%)</option>
+                          </select>
+                          <input
+                            type="number"
+                            value={target.value}
+                            onChange={(e) => setTarget((prev) => ({ ...prev, value: e.target.value }))}
+                            className="w-full px-4 py-3 border border-gray-300 rounded-xl focus:ring-2 focus:ring-orange-500 focus:border-orange-500 transition-all duration-200"
+                            placeholder={target.type === "margin" ? "20" : "25.00"}
+                          />
+                        </div>
+                      </div>
+                    ) : (
+                      /* Satış Fiyatı */
+                      <div className="space-y-2">
+                        <label className="block text-sm font-semibold text-gray-700">
+                          Satış Fiyatı (₺) *
+                        </label>
+                        <div className="relative">
+                          <input
+                            type="number"
+                            name="salePrice"
+                            value={formData.salePrice}
+                            onChange={handleInputChange}
+                            className="w-full px-4 py-3 border border-gray-300 rounded-xl focus:ring-2 focus:ring-orange-500 focus:border-orange-500 transition-all duration-200"
+                            placeholder="149.99"
+                          />
+                          {/* Dolar işareti kaldırıldı */}
+                        </div>
+                      </div>
+                    )}
                     {/* Komisyon Oranı */}
                     <div className="space-y-2">
                       <label className="block text-sm font-semibold text-gray-700">
@@ -714,6 +897,36 @@ function ProfitCalculator() {
                         placeholder="9.99"
                       />
                     </div>
+                    {/* Satış Tarihi */}
+                    <div className="space-y-2">
+                      <label className="block text-sm font-semibold text-gray-700">
+                        Satış Tarihi
+                      </label>
+                      <input
+                        type="date"
+                        name="saleDate"
+                        value={formData.saleDate}
+                        onChange={handleInputChange}
+                        className="w-full px-4 py-3 border border-gray-300 rounded-xl focus:ring-2 focus:ring-orange-500 focus:border-orange-500 transition-all duration-200"
+                      />
+                    </div>
+                    {/* Hizmet Bedeli */}
+                    <div className="space-y-2">
+                      <label className="block text-sm font-semibold text-gray-700">
+                        Hizmet Bedeli (₺)
+                      </label>
+                      <input
+                        type="number"
+                        name="serviceFee"
+                        value={formData.serviceFee}
+                        onChange={handleInputChange}
+                        className="w-full px-4 py-3 border border-gray-300 rounded-xl focus:ring-2 focus:ring-orange-500 focus:border-orange-500 transition-all duration-200"
+                        placeholder={getScheduledServiceFee().fee.toFixed(2)}
+                      />
+                      <p className="text-xs text-gray-500">
+                        Boş bırakılırsa tarihe ve fiyata göre tarifeden hesaplanır
+                      </p>
+                    </div>
                   </div>
                   {/* Maliyetler */}
                   <div className="mt-8">
@@ -775,9 +988,14 @@ function ProfitCalculator() {
                         <input
                           type="number"
                           name="shippingCost"
-                          value={formData.shippingCost}
+                          value={
+                            shipment.enabled
+                              ? calculateCargoCost(shipment).cost.toFixed(2)
+                              : formData.shippingCost
+                          }
                           onChange={handleInputChange}
-                          className="w-full px-4 py-3 border border-gray-300 rounded-xl focus:ring-2 focus:ring-green-500 focus:border-green-500 transition-all duration-200"
+                          disabled={shipment.enabled}
+                          className="w-full px-4 py-3 border border-gray-300 rounded-xl focus:ring-2 focus:ring-green-500 focus:border-green-500 transition-all duration-200 disabled:bg-gray-100"
                           placeholder="8.00"
                         />
                       </div>
@@ -796,14 +1014,21 @@ function ProfitCalculator() {
                         />
                       </div>
                     </div>
+                    <CargoCalculator shipment={shipment} onChange={setShipment} />
                   </div>
                   <button
-                    onClick={calculateProfit}
+                    onClick={mode === "price" ? findSalePrice : calculateProfit}
                     className="w-full mt-8 bg-gradient-to-r from-orange-500 via-orange-600 to-red-500 hover:from-orange-600 hover:via-orange-700 hover:to-red-600 text-white font-bold py-5 px-8 rounded-2xl transition-all duration-300 flex items-center justify-center shadow-2xl hover:shadow-3xl transform hover:-translate-y-1 hover:scale-105 relative overflow-hidden group"
                   >
                     <div className="absolute inset-0 bg-gradient-to-r from-white/20 to-transparent opacity-0 group-hover:opacity-100 transition-opacity duration-300"></div>
-                    <Calculator className="w-6 h-6 mr-3 relative z-10" />
-                    <span className="text-lg relative z-10">Kâr/Zarar Hesapla</span>
+                    {mode === "price" ? (
+                      <Target className="w-6 h-6 mr-3 relative z-10" />
+                    ) : (
+                      <Calculator className="w-6 h-6 mr-3 relative z-10" />
+                    )}
+                    <span className="text-lg relative z-10">
+                      {mode === "price" ? "Satış Fiyatını Bul" : "Kâr/Zarar Hesapla"}
+                    </span>
                     <TrendingUp className="w-5 h-5 ml-3 relative z-10" />
                   </button>
                 </div>
@@ -820,6 +1045,29 @@ function ProfitCalculator() {
                   </h3>
 
                   <div className="space-y-6">
+                    {/* Önerilen Fiyat */}
+                    {priceSuggestion && (
+                      <div className="p-6 rounded-xl border-2 bg-gradient-to-br from-orange-50 to-orange-100 border-orange-200">
+                        <div className="flex items-center justify-between mb-2">
+                          <span className="font-semibold text-gray-900 flex items-center">
+                            <Target className="w-5 h-5 mr-2 text-orange-600" />
+                            Önerilen Satış Fiyatı:
+                          </span>
+                          <span className="text-2xl font-bold text-orange-600">
+                            ₺{priceSuggestion.salePrice.toFixed(2)}
+                          </span>
+                        </div>
+                        <div className="text-sm text-gray-600">
+                          Hedef:{" "}
+                          <span className="font-semibold">
+                            {priceSuggestion.type === "margin"
+                              ? `%${toNumber(priceSuggestion.value).toFixed(2)} kâr marjı`
+                              : `₺${toNumber(priceSuggestion.value).toFixed(2)} net kâr`}
+                          </span>
+                        </div>
+                      </div>
+                    )}
+
                     {/* Ana Sonuç */}
                     <div
                       className={`p-6 rounded-xl border-2 ${
@@ -852,7 +1100,7 @@ function ProfitCalculator() {
                       <div className="text-sm text-gray-600">
                         Kâr Marjı:{" "}
                         <span className="font-semibold">
-                          %{result.profitMargin}
+                          %{result.profitMargin.toFixed(2)}
                         </span>
                       </div>
                     </div>
@@ -913,7 +1161,7 @@ function ProfitCalculator() {
                             </span>
                           </div>
                           <div className="flex justify-between">
-                            <span className="text-gray-600">Hizmet Bedeli (9.79₺):</span>
+                            <span className="text-gray-600">Hizmet Bedeli:</span>
                             <span className="text-red-600 font-medium">
                               -₺{result.platformFees.serviceFee.toFixed(2)}
                             </span>
@@ -964,6 +1212,16 @@ function ProfitCalculator() {
                             -₺{result.totalCosts.toFixed(2)}
                           </span>
                         </div>
+                        {result.cargo && (
+                          <div className="flex justify-between text-sm mt-2">
+                            <span className="text-gray-600">
+                              Kargo ({result.cargo.providerName}, {result.cargo.desi} desi):
+                            </span>
+                            <span className="text-red-600 font-medium">
+                              -₺{result.cargo.cost.toFixed(2)}
+                            </span>
+                          </div>
+                        )}
                       </div>
                     </div>
                   </div>
@@ -1056,7 +1314,7 @@ function ProfitCalculator() {
                   <div className={`text-xs mt-1 ${
                     result.finalProfit >= 0 ? 'text-blue-600' : 'text-orange-600'
                   }`}>
-                    %{result.profitMargin} marj
+                    %{result.profitMargin.toFixed(2)} marj
                   </div>
                 </div>
               </div>
@@ -1064,6 +1322,20 @@ function ProfitCalculator() {
           </div>
         )}
 
+        {activeTab === "sensitivity" && result && (
+          <SensitivityAnalysis input={engineInput} result={result} />
+        )}
+
+        {activeTab === "bulk" && <BulkCalculator />}
+
+        {activeTab === "scenarios" && (
+          <ScenarioManager
+            getCurrentScenario={getCurrentScenario}
+            activeScenarioId={activeScenarioId}
+            onLoad={loadScenario}
+          />
+        )}
+
         {activeTab === "report" && result && (
           <div className="bg-white rounded-2xl shadow-lg border border-gray-200 overflow-hidden">
             <div className="bg-gradient-to-r from-blue-500 via-blue-600 to-indigo-600 px-6 py-5 flex items-center justify-between">
@@ -1083,7 +1355,7 @@ function ProfitCalculator() {
               </button>
             </div>
 
-            <div ref={reportRef} className="p-8">
+            <div className="p-8">
               <div className="max-w-4xl mx-auto">
                 {/* Rapor Başlığı */}
                 <div className="text-center mb-8">
@@ -1170,6 +1442,15 @@ function ProfitCalculator() {
                             ₺{result.discountAmount.toFixed(2)}
                           </span>
                         </div>
+                        {category && (
+                          <div className="flex justify-between">
+                            <span className="text-gray-600">Kategori:</span>
+                            <span className="font-medium text-right">
+                              {category.path.join(" > ")}
+                              {brand && ` (${brand})`}
+                            </span>
+                          </div>
+                        )}
                         <div className="flex justify-between">
                           <span className="text-gray-600">Komisyon Oranı:</span>
                           <span className="font-medium">
@@ -1179,7 +1460,7 @@ function ProfitCalculator() {
                         <div className="flex justify-between">
                           <span className="text-gray-600">KDV Oranı:</span>
                           <span className="font-medium">
-                            %{formData.vatRate}
+                            %{result.vatRate}
                           </span>
                         </div>
                       </div>
@@ -1201,9 +1482,7 @@ function ProfitCalculator() {
                           <span className="text-gray-600">Kargo Geliri:</span>
                           <span className="font-medium">
                             ₺
-                            {(parseFloat(formData.shippingIncome) || 0).toFixed(
-                              2
-                            )}
+                            {result.shippingIncome.toFixed(2)}
                           </span>
                         </div>
                         <div className="border-t pt-2 flex justify-between font-semibold">
@@ -1236,11 +1515,17 @@ function ProfitCalculator() {
                           </span>
                         </div>
                         <div className="flex justify-between">
-                          <span className="text-gray-600">Hizmet Bedeli (9.79₺):</span>
+                          <span className="text-gray-600">Hizmet Bedeli:</span>
                           <span className="text-red-600 font-medium">
                             -₺{result.platformFees.serviceFee.toFixed(2)}
                           </span>
                         </div>
+                        <div className="flex justify-between text-xs">
+                          <span className="text-gray-500">Hizmet Bedeli Kaynağı:</span>
+                          <span className="text-gray-500">
+                            {describeServiceFee(result.platformFees)}
+                          </span>
+                        </div>
                         <div className="flex justify-between">
                           <span className="text-gray-600">Komisyon KDV:</span>
                           <span className="text-red-600 font-medium">
@@ -1284,40 +1569,45 @@ function ProfitCalculator() {
                           <span className="text-gray-600">Ürün Maliyeti:</span>
                           <span className="font-medium">
                             ₺
-                            {(parseFloat(formData.productCost) || 0).toFixed(2)}
+                            {result.costs.product.toFixed(2)}
                           </span>
                         </div>
                         <div className="flex justify-between">
                           <span className="text-gray-600">Paketleme:</span>
                           <span className="font-medium">
                             ₺
-                            {(parseFloat(formData.packagingCost) || 0).toFixed(
-                              2
-                            )}
+                            {result.costs.packaging.toFixed(2)}
                           </span>
                         </div>
                         <div className="flex justify-between">
                           <span className="text-gray-600">İşçilik:</span>
                           <span className="font-medium">
-                            ₺{(parseFloat(formData.laborCost) || 0).toFixed(2)}
+                            ₺{result.costs.labor.toFixed(2)}
                           </span>
                         </div>
                         <div className="flex justify-between">
                           <span className="text-gray-600">Kargo:</span>
                           <span className="font-medium">
                             ₺
-                            {(parseFloat(formData.shippingCost) || 0).toFixed(
-                              2
-                            )}
+                            {result.costs.shipping.toFixed(2)}
                           </span>
                         </div>
+                        {result.cargo && (
+                          <div className="flex justify-between text-xs">
+                            <span className="text-gray-500">Kargo Detayı:</span>
+                            <span className="text-gray-500">
+                              {result.cargo.providerName} ·{" "}
+                              {result.cargo.bracket.maxDesi === null
+                                ? `${result.cargo.desi} desi (${result.cargo.bracket.minDesi}+ aralığı)`
+                                : `${result.cargo.desi} desi (${result.cargo.bracket.minDesi}-${result.cargo.bracket.maxDesi} aralığı)`}
+                            </span>
+                          </div>
+                        )}
                         <div className="flex justify-between">
                           <span className="text-gray-600">Reklam:</span>
                           <span className="font-medium">
                             ₺
-                            {(
-                              parseFloat(formData.advertisingCost) || 0
-                            ).toFixed(2)}
+                            {result.costs.advertising.toFixed(2)}
                           </span>
                         </div>
                         <div className="border-t pt-2 flex justify-between font-semibold">
@@ -1340,7 +1630,7 @@ function ProfitCalculator() {
                   <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
                     <div className="text-center">
                       <div className="text-2xl font-bold text-purple-600">
-                        %{result.profitMargin}
+                        %{result.profitMargin.toFixed(2)}
                       </div>
                       <div className="text-sm text-gray-600">Kâr Marjı</div>
                     </div>
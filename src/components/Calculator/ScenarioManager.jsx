@@ -0,0 +1,368 @@
+import React, { useState, useEffect, useMemo } from "react";
+import { Link } from "react-router-dom";
+import {
+  Save,
+  FolderOpen,
+  Copy,
+  Edit3,
+  Trash2,
+  Check,
+  X,
+  GitCompare,
+  LogIn,
+} from "lucide-react";
+import toast from "react-hot-toast";
+import { useAuth } from "../../contexts/AuthContext";
+import scenarioService, { toEngineInput } from "../../services/scenarioService";
+import { calculateProfit } from "../../services/profitEngine";
+
+// Karşılaştırma tablosundaki satırlar
+const COMPARISON_ROWS = [
+  { label: "Satış Fiyatı", value: (result) => result.originalPrice },
+  { label: "İndirimli Fiyat", value: (result) => result.discountedPrice },
+  { label: "Komisyon", value: (result) => result.platformFees.commission },
+  { label: "Hizmet Bedeli", value: (result) => result.platformFees.serviceFee },
+  { label: "Ödenecek KDV", value: (result) => result.platformFees.payableVat },
+  { label: "Toplam Maliyet", value: (result) => result.totalCosts },
+  { label: "Net Kâr", value: (result) => result.finalProfit, highlight: true },
+  { label: "Kâr Marjı", value: (result) => result.profitMargin, percent: true },
+];
+
+function ScenarioManager({ getCurrentScenario, activeScenarioId, onLoad }) {
+  const { currentUser } = useAuth();
+  const [scenarios, setScenarios] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [newName, setNewName] = useState("");
+  const [editing, setEditing] = useState({ id: null, name: "" });
+  const [compareIds, setCompareIds] = useState([]);
+
+  const uid = currentUser?.uid;
+
+  useEffect(() => {
+    if (!uid) return;
+
+    setLoading(true);
+    scenarioService
+      .listScenarios(uid)
+      .then(setScenarios)
+      .catch((error) => {
+        console.error("Senaryolar yüklenemedi:", error);
+        toast.error("Senaryolar yüklenemedi");
+      })
+      .finally(() => setLoading(false));
+  }, [uid]);
+
+  const activeScenario = scenarios.find((scenario) => scenario.id === activeScenarioId);
+
+  const handleSave = async () => {
+    if (!newName.trim()) {
+      toast.error("Lütfen senaryoya bir isim verin");
+      return;
+    }
+    try {
+      const saved = await scenarioService.saveScenario(uid, {
+        name: newName,
+        ...getCurrentScenario(),
+      });
+      setScenarios((prev) => [saved, ...prev]);
+      setNewName("");
+      onLoad(saved, { silent: true });
+      toast.success("Senaryo kaydedildi");
+    } catch (error) {
+      console.error("Senaryo kaydedilemedi:", error);
+      toast.error("Senaryo kaydedilemedi");
+    }
+  };
+
+  // Yüklü senaryoyu formdaki değerlerle güncelle
+  const handleUpdate = async () => {
+    try {
+      const changes = await scenarioService.updateScenario(
+        uid,
+        activeScenarioId,
+        getCurrentScenario()
+      );
+      setScenarios((prev) =>
+        prev.map((scenario) =>
+          scenario.id === activeScenarioId ? { ...scenario, ...changes } : scenario
+        )
+      );
+      toast.success("Senaryo güncellendi");
+    } catch (error) {
+      console.error("Senaryo güncellenemedi:", error);
+      toast.error("Senaryo güncellenemedi");
+    }
+  };
+
+  const handleDuplicate = async (scenarioId) => {
+    try {
+      const copy = await scenarioService.duplicateScenario(uid, scenarioId);
+      setScenarios((prev) => [copy, ...prev]);
+      toast.success("Senaryo kopyalandı");
+    } catch (error) {
+      console.error("Senaryo kopyalanamadı:", error);
+      toast.error(error.message);
+    }
+  };
+
+  const handleRename = async () => {
+    if (!editing.name.trim()) return;
+    try {
+      const changes = await scenarioService.renameScenario(uid, editing.id, editing.name);
+      setScenarios((prev) =>
+        prev.map((scenario) =>
+          scenario.id === editing.id ? { ...scenario, ...changes } : scenario
+        )
+      );
+      setEditing({ id: null, name: "" });
+    } catch (error) {
+      console.error("Senaryo yeniden adlandırılamadı:", error);
+      toast.error("Senaryo yeniden adlandırılamadı");
+    }
+  };
+
+  const handleDelete = async (scenario) => {
+    if (!window.confirm(`"${scenario.name}" senaryosu silinsin mi?`)) return;
+    try {
+      await scenarioService.deleteScenario(uid, scenario.id);
+      setScenarios((prev) => prev.filter((item) => item.id !== scenario.id));
+      setCompareIds((prev) => prev.filter((id) => id !== scenario.id));
+      toast.success("Senaryo silindi");
+    } catch (error) {
+      console.error("Senaryo silinemedi:", error);
+      toast.error("Senaryo silinemedi");
+    }
+  };
+
+  const toggleCompare = (scenarioId) => {
+    setCompareIds((prev) =>
+      prev.includes(scenarioId)
+        ? prev.filter((id) => id !== scenarioId)
+        : [...prev, scenarioId]
+    );
+  };
+
+  // Seçilen senaryoları kâr motorundan geçir
+  const comparison = useMemo(
+    () =>
+      scenarios
+        .filter((scenario) => compareIds.includes(scenario.id))
+        .map((scenario) => ({
+          scenario,
+          result: calculateProfit(toEngineInput(scenario)),
+        })),
+    [scenarios, compareIds]
+  );
+
+  const bestProfit = comparison.length
+    ? Math.max(...comparison.map((item) => item.result.finalProfit))
+    : null;
+
+  if (!currentUser) {
+    return (
+      <div className="bg-white rounded-xl shadow-lg border border-gray-200 p-10 text-center">
+        <LogIn className="w-12 h-12 text-orange-500 mx-auto mb-4" />
+        <h3 className="text-xl font-bold text-gray-900 mb-2">
+          Senaryolarınızı kaydetmek için giriş yapın
+        </h3>
+        <p className="text-gray-600 mb-6">
+          Kaydedilen hesaplamalar hesabınıza bağlanır ve her cihazdan erişilebilir.
+        </p>
+        <Link
+          to="/giris"
+          className="inline-flex bg-gradient-to-r from-orange-500 to-orange-600 text-white px-6 py-3 rounded-xl font-semibold hover:from-orange-600 hover:to-orange-700 transition-colors"
+        >
+          Giriş Yap
+        </Link>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-8">
+      <div className="text-center">
+        <h2 className="text-3xl font-bold text-gray-900 mb-4">Senaryolar</h2>
+        <p className="text-lg text-gray-600 max-w-2xl mx-auto">
+          Hesaplamalarınızı isimlendirip saklayın, farklı senaryoları yan yana karşılaştırın
+        </p>
+      </div>
+
+      {/* Kaydetme */}
+      <div className="bg-white rounded-xl shadow-lg border border-gray-200 p-6">
+        <div className="flex flex-col md:flex-row gap-3">
+          <input
+            type="text"
+            value={newName}
+            onChange={(e) => setNewName(e.target.value)}
+            className="flex-1 px-4 py-3 border border-gray-300 rounded-xl focus:ring-2 focus:ring-orange-500 focus:border-orange-500"
+            placeholder="Senaryo adı (ör. Kampanya fiyatı)"
+          />
+          <button
+            onClick={handleSave}
+            className="bg-gradient-to-r from-orange-500 to-orange-600 text-white px-6 py-3 rounded-xl font-semibold flex items-center justify-center space-x-2 hover:from-orange-600 hover:to-orange-700 transition-colors"
+          >
+            <Save className="w-5 h-5" />
+            <span>Yeni Senaryo Olarak Kaydet</span>
+          </button>
+          {activeScenario && (
+            <button
+              onClick={handleUpdate}
+              className="bg-blue-600 text-white px-6 py-3 rounded-xl font-semibold flex items-center justify-center space-x-2 hover:bg-blue-700 transition-colors"
+            >
+              <Save className="w-5 h-5" />
+              <span>"{activeScenario.name}" Güncelle</span>
+            </button>
+          )}
+        </div>
+      </div>
+
+      {/* Liste */}
+      <div className="bg-white rounded-xl shadow-lg border border-gray-200 p-6">
+        <h3 className="text-xl font-bold text-gray-900 mb-4">Kayıtlı Senaryolar</h3>
+        {loading ? (
+          <p className="text-gray-500">Yükleniyor...</p>
+        ) : scenarios.length === 0 ? (
+          <p className="text-gray-500">Henüz kayıtlı senaryonuz yok.</p>
+        ) : (
+          <ul className="divide-y divide-gray-100">
+            {scenarios.map((scenario) => (
+              <li
+                key={scenario.id}
+                className={`py-3 flex flex-wrap items-center gap-3 ${
+                  scenario.id === activeScenarioId ? "bg-orange-50 -mx-3 px-3 rounded-lg" : ""
+                }`}
+              >
+                <input
+                  type="checkbox"
+                  checked={compareIds.includes(scenario.id)}
+                  onChange={() => toggleCompare(scenario.id)}
+                  className="w-4 h-4 text-orange-600 rounded focus:ring-orange-500"
+                  title="Karşılaştırmaya ekle"
+                />
+                <div className="flex-1 min-w-0">
+                  {editing.id === scenario.id ? (
+                    <div className="flex items-center gap-2">
+                      <input
+                        type="text"
+                        value={editing.name}
+                        onChange={(e) => setEditing({ ...editing, name: e.target.value })}
+                        onKeyDown={(e) => e.key === "Enter" && handleRename()}
+                        className="flex-1 px-3 py-1 border border-gray-300 rounded-lg focus:ring-2 focus:ring-orange-500"
+                        autoFocus
+                      />
+                      <button onClick={handleRename} className="text-green-600 hover:text-green-700">
+                        <Check className="w-5 h-5" />
+                      </button>
+                      <button
+                        onClick={() => setEditing({ id: null, name: "" })}
+                        className="text-gray-500 hover:text-gray-700"
+                      >
+                        <X className="w-5 h-5" />
+                      </button>
+                    </div>
+                  ) : (
+                    <>
+                      <p className="font-semibold text-gray-900 truncate">{scenario.name}</p>
+                      <p className="text-xs text-gray-500">
+                        {scenario.category?.name ? `${scenario.category.name} · ` : ""}
+                        ₺{scenario.formData.salePrice || "0"} ·{" "}
+                        {new Date(scenario.updatedAt).toLocaleString("tr-TR")}
+                      </p>
+                    </>
+                  )}
+                </div>
+                <div className="flex items-center gap-1">
+                  <button
+                    onClick={() => onLoad(scenario)}
+                    className="p-2 text-orange-600 hover:bg-orange-100 rounded-lg"
+                    title="Yükle"
+                  >
+                    <FolderOpen className="w-4 h-4" />
+                  </button>
+                  <button
+                    onClick={() => handleDuplicate(scenario.id)}
+                    className="p-2 text-gray-600 hover:bg-gray-100 rounded-lg"
+                    title="Kopyala"
+                  >
+                    <Copy className="w-4 h-4" />
+                  </button>
+                  <button
+                    onClick={() => setEditing({ id: scenario.id, name: scenario.name })}
+                    className="p-2 text-gray-600 hover:bg-gray-100 rounded-lg"
+                    title="Yeniden adlandır"
+                  >
+                    <Edit3 className="w-4 h-4" />
+                  </button>
+                  <button
+                    onClick={() => handleDelete(scenario)}
+                    className="p-2 text-red-600 hover:bg-red-100 rounded-lg"
+                    title="Sil"
+                  >
+                    <Trash2 className="w-4 h-4" />
+                  </button>
+                </div>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+
+      {/* Karşılaştırma */}
+      {comparison.length > 0 && (
+        <div className="bg-white rounded-xl shadow-lg border border-gray-200 p-6">
+          <h3 className="text-xl font-bold text-gray-900 mb-4 flex items-center">
+            <GitCompare className="w-6 h-6 mr-3 text-purple-500" />
+            Senaryo Karşılaştırması
+          </h3>
+          {comparison.length < 2 ? (
+            <p className="text-gray-500">Karşılaştırmak için en az iki senaryo seçin.</p>
+          ) : (
+            <div className="overflow-x-auto">
+              <table className="min-w-full text-sm">
+                <thead>
+                  <tr className="border-b border-gray-200">
+                    <th className="px-3 py-2 text-left text-gray-600"></th>
+                    {comparison.map(({ scenario, result }) => (
+                      <th
+                        key={scenario.id}
+                        className={`px-3 py-2 text-right font-semibold ${
+                          result.finalProfit === bestProfit ? "text-green-700" : "text-gray-900"
+                        }`}
+                      >
+                        {scenario.name}
+                      </th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody>
+                  {COMPARISON_ROWS.map((row) => (
+                    <tr key={row.label} className="border-b border-gray-100">
+                      <td className="px-3 py-2 font-medium text-gray-700">{row.label}</td>
+                      {comparison.map(({ scenario, result }) => {
+                        const value = row.value(result);
+                        return (
+                          <td
+                            key={scenario.id}
+                            className={`px-3 py-2 text-right ${
+                              row.highlight
+                                ? `font-bold ${value >= 0 ? "text-green-600" : "text-red-600"}`
+                                : "text-gray-900"
+                            }`}
+                          >
+                            {row.percent ? `%${value.toFixed(2)}` : `₺${value.toFixed(2)}`}
+                          </td>
+                        );
+                      })}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default ScenarioManager;
@@ -0,0 +1,193 @@
+import React, { useState, useMemo } from "react";
+import {
+  ResponsiveContainer,
+  LineChart,
+  Line,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  ReferenceLine,
+} from "recharts";
+import { Activity, Crosshair, Grid3X3 } from "lucide-react";
+import {
+  SENSITIVITY_VARIABLES,
+  buildSensitivitySeries,
+  buildSensitivityMatrix,
+  findBreakEven,
+} from "../../services/sensitivityAnalysis";
+
+// Mevcut sonuca göre her değişken için varsayılan aralık
+const getDefaultRange = (variable, result) => {
+  switch (variable) {
+    case "salePrice":
+      return {
+        from: Math.max(1, result.originalPrice * 0.5),
+        to: Math.max(10, result.originalPrice * 1.5),
+      };
+    case "commissionRate":
+      return { from: 0, to: Math.max(40, result.commissionRate * 2) };
+    default:
+      return { from: 0, to: 50 };
+  }
+};
+
+// İki değişkenli tablodaki indirim kolonları (%)
+const DISCOUNT_STEPS = [0, 5, 10, 15, 20, 25, 30];
+
+const formatValue = (variable, value) =>
+  SENSITIVITY_VARIABLES[variable].unit === "₺"
+    ? `₺${value.toFixed(2)}`
+    : `%${value.toFixed(1)}`;
+
+function SensitivityAnalysis({ input, result }) {
+  const [variable, setVariable] = useState("salePrice");
+
+  const { series, breakEven } = useMemo(() => {
+    const range = getDefaultRange(variable, result);
+    return {
+      series: buildSensitivitySeries(input, variable, range),
+      breakEven: findBreakEven(input, variable, variable === "salePrice" ? {} : range),
+    };
+  }, [input, variable, result]);
+
+  // Fiyat x indirim tablosu
+  const matrix = useMemo(() => {
+    const priceValues = [0.8, 0.9, 1, 1.1, 1.2, 1.3].map(
+      (factor) => result.originalPrice * factor
+    );
+    return buildSensitivityMatrix(input, "salePrice", priceValues, "discountValue", DISCOUNT_STEPS);
+  }, [input, result]);
+
+  const currentValue =
+    variable === "salePrice"
+      ? result.originalPrice
+      : variable === "commissionRate"
+        ? result.commissionRate
+        : input.discountType === "percentage"
+          ? parseFloat(input.discountValue) || 0
+          : null;
+
+  return (
+    <div className="space-y-8">
+      <div className="text-center">
+        <h2 className="text-3xl font-bold text-gray-900 mb-4">Duyarlılık Analizi</h2>
+        <p className="text-lg text-gray-600 max-w-2xl mx-auto">
+          Fiyat, komisyon ve indirim değiştiğinde net kârınızın nasıl değiştiğini görün
+        </p>
+      </div>
+
+      <div className="bg-white rounded-xl shadow-lg border border-gray-200 p-6">
+        <div className="flex flex-wrap items-center justify-between gap-4 mb-6">
+          <h3 className="text-xl font-bold text-gray-900 flex items-center">
+            <Activity className="w-6 h-6 mr-3 text-orange-500" />
+            Net Kâr / {SENSITIVITY_VARIABLES[variable].label}
+          </h3>
+          <div className="flex bg-gray-100 rounded-xl p-1">
+            {Object.entries(SENSITIVITY_VARIABLES).map(([key, meta]) => (
+              <button
+                key={key}
+                onClick={() => setVariable(key)}
+                className={`px-4 py-2 rounded-lg text-sm font-semibold transition-colors ${
+                  variable === key ? "bg-white text-orange-600 shadow" : "text-gray-600"
+                }`}
+              >
+                {meta.label}
+              </button>
+            ))}
+          </div>
+        </div>
+
+        <div className="h-80">
+          <ResponsiveContainer width="100%" height="100%">
+            <LineChart data={series} margin={{ top: 10, right: 20, bottom: 10, left: 10 }}>
+              <CartesianGrid strokeDasharray="3 3" stroke="#e5e7eb" />
+              <XAxis
+                dataKey="value"
+                type="number"
+                domain={["dataMin", "dataMax"]}
+                tickFormatter={(value) => formatValue(variable, value)}
+              />
+              <YAxis tickFormatter={(value) => `₺${value.toFixed(0)}`} />
+              <Tooltip
+                formatter={(value) => [`₺${value.toFixed(2)}`, "Net Kâr"]}
+                labelFormatter={(value) => formatValue(variable, value)}
+              />
+              <ReferenceLine y={0} stroke="#9ca3af" />
+              {breakEven !== null && (
+                <ReferenceLine
+                  x={breakEven}
+                  stroke="#dc2626"
+                  strokeDasharray="4 4"
+                  label={{ value: "Başabaş", position: "top", fill: "#dc2626" }}
+                />
+              )}
+              {currentValue !== null && (
+                <ReferenceLine
+                  x={currentValue}
+                  stroke="#f97316"
+                  label={{ value: "Mevcut", position: "insideTopRight", fill: "#f97316" }}
+                />
+              )}
+              <Line type="monotone" dataKey="profit" stroke="#2563eb" strokeWidth={2} dot={false} />
+            </LineChart>
+          </ResponsiveContainer>
+        </div>
+
+        <div className="mt-6 p-4 bg-gradient-to-r from-red-50 to-orange-50 rounded-lg border border-red-200 flex items-center justify-between">
+          <span className="font-semibold text-red-900 flex items-center">
+            <Crosshair className="w-5 h-5 mr-2" />
+            Başabaş {SENSITIVITY_VARIABLES[variable].label}
+          </span>
+          <span className="text-xl font-bold text-red-700">
+            {breakEven !== null
+              ? formatValue(variable, breakEven)
+              : "Bu aralıkta yok"}
+          </span>
+        </div>
+      </div>
+
+      <div className="bg-white rounded-xl shadow-lg border border-gray-200 p-6">
+        <h3 className="text-xl font-bold text-gray-900 mb-4 flex items-center">
+          <Grid3X3 className="w-6 h-6 mr-3 text-purple-500" />
+          Satış Fiyatı / İndirim Tablosu
+        </h3>
+        <div className="overflow-x-auto">
+          <table className="min-w-full text-sm">
+            <thead>
+              <tr>
+                <th className="px-3 py-2 text-left text-gray-600">Fiyat \ İndirim</th>
+                {DISCOUNT_STEPS.map((discount) => (
+                  <th key={discount} className="px-3 py-2 text-right text-gray-600">
+                    %{discount}
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {matrix.map((row) => (
+                <tr key={row.value} className="border-t border-gray-100">
+                  <td className="px-3 py-2 font-medium text-gray-900">₺{row.value.toFixed(2)}</td>
+                  {row.cells.map((cell) => (
+                    <td
+                      key={cell.value}
+                      className={`px-3 py-2 text-right font-medium ${
+                        cell.profit >= 0
+                          ? "bg-green-50 text-green-700"
+                          : "bg-red-50 text-red-700"
+                      }`}
+                    >
+                      ₺{cell.profit.toFixed(2)}
+                    </td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default SensitivityAnalysis;
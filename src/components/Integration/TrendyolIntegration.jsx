@@ -14,7 +14,9 @@ import {
   TrendingUp,
   Info,
   Key,
-  Lock
+  Lock,
+  RefreshCw,
+  Trash2
 } from 'lucide-react';
 import { useAuth } from '../../contexts/AuthContext';
 import trendyolService from '../../services/trendyolService';
@@ -29,6 +31,10 @@ function TrendyolIntegration() {
   const [sellerInfo, setSellerInfo] = useState(null);
   const [step, setStep] = useState(1);
   const [showHelp, setShowHelp] = useState(false);
+  // Kasada kayıtlı bağlantı: { connected, sellerId, apiKeyHint, createdAt, rotatedAt }
+  const [vault, setVault] = useState(null);
+  const [rotating, setRotating] = useState(false);
+  const [revoking, setRevoking] = useState(false);
 
   // Kullanıcıdan alınacak entegrasyon bilgileri
   const [form, setForm] = useState({
@@ -39,6 +45,8 @@ function TrendyolIntegration() {
     orderStatus: 'Onay Bekliyor',
   });
 
+  const syncDayOptions = [3, 7, 14, 30, 60, 90];
+
   const orderStatusOptions = [
     'Onay Bekliyor',
     'Hazırlanıyor',
@@ -57,6 +65,39 @@ function TrendyolIntegration() {
   //   }
   // }, [currentUser, userProfile, navigate]);
 
+  useEffect(() => {
+    if (!currentUser) return;
+    trendyolService
+      .getVaultStatus()
+      .then(setVault)
+      .catch((error) => console.warn('Kayıtlı bağlantı okunamadı:', error));
+  }, [currentUser]);
+
+  // Anahtarları yenile: aynı form ile test edilip kasadaki kaydın üzerine yazılır
+  const handleStartRotate = () => {
+    setRotating(true);
+    setStep(1);
+    setConnectionStatus(null);
+    setForm((prev) => ({ ...prev, sellerId: vault?.sellerId || '', apiKey: '', apiSecret: '' }));
+  };
+
+  // Bağlantıyı kaldır: bilgiler kasadan silinir, açık oturumlar kapanır
+  const handleRevoke = async () => {
+    if (!window.confirm('Trendyol bağlantısı ve kayıtlı API bilgileri silinsin mi?')) return;
+    setRevoking(true);
+    try {
+      await trendyolService.revokeCredentials();
+      setVault({ connected: false });
+      setRotating(false);
+      toast.success('Trendyol bağlantısı kaldırıldı');
+    } catch (error) {
+      console.error('Bağlantı kaldırılamadı:', error);
+      toast.error('Bağlantı kaldırılamadı: ' + error.message);
+    } finally {
+      setRevoking(false);
+    }
+  };
+
   // Form değişikliği
   const handleFormChange = (e) => {
     setForm({
@@ -97,12 +138,19 @@ function TrendyolIntegration() {
     }
   };
 
-  // Entegrasyonu tamamla (bilgileri kaydet)
+  // Entegrasyonu tamamla (bilgiler proxy kasasına şifreli kaydedilir, tarayıcıda tutulmaz)
   const handleCompleteIntegration = async () => {
     setLoading(true);
     try {
-      // Servis bilgilerini ayarla
-      trendyolService.setCredentials(form.apiKey, form.apiSecret, form.sellerId);
+      const savedVault = await trendyolService.saveCredentials({
+        apiKey: form.apiKey,
+        apiSecret: form.apiSecret,
+        sellerId: form.sellerId,
+        sellerInfo,
+        syncDays: Number(form.syncDays) || 3
+      });
+      setVault(savedVault);
+      setForm((prev) => ({ ...prev, apiKey: '', apiSecret: '' }));
 
       // Temporarily skip Firebase profile update
       // await updateUserProfile(currentUser.uid, {
@@ -110,18 +158,15 @@ function TrendyolIntegration() {
       //   trendyolSellerId: form.sellerId,
       //   trendyolSellerName: sellerInfo?.name,
       //   integrationCompletedAt: new Date().toISOString(),
-      //   trendyolApiKey: form.apiKey,
-      //   trendyolApiSecret: form.apiSecret,
       // });
-      
-      // Store credentials locally for testing
-      localStorage.setItem('trendyol_credentials', JSON.stringify({
-        apiKey: form.apiKey,
-        apiSecret: form.apiSecret,
-        sellerId: form.sellerId,
-        sellerInfo: sellerInfo
-      }));
-      
+
+      if (rotating) {
+        setRotating(false);
+        setStep(1);
+        toast.success('API anahtarları yenilendi');
+        return;
+      }
+
       toast.success('Entegrasyon başarıyla tamamlandı!');
       setTimeout(() => {
         navigate('/panel');
@@ -134,6 +179,9 @@ function TrendyolIntegration() {
     }
   };
 
+  // Kayıtlı bağlantı varsa kurulum adımları yalnızca anahtar yenilerken gösterilir
+  const showSetup = !vault?.connected || rotating;
+
   const getStatusIcon = () => {
     if (testing) return <Loader className="w-6 h-6 animate-spin text-blue-500" />;
     if (connectionStatus === 'success') return <CheckCircle className="w-6 h-6 text-green-500" />;
@@ -171,31 +219,90 @@ function TrendyolIntegration() {
           </p>
         </div>
 
-        {/* Progress Steps */}
-        <div className="mb-8">
-          <div className="flex items-center justify-center space-x-8">
-            <div className={`flex items-center ${step >= 1 ? 'text-orange-600' : 'text-gray-400'}`}>
-              <div className={`w-8 h-8 rounded-full flex items-center justify-center border-2 ${
-                step >= 1 ? 'border-orange-600 bg-orange-600 text-white' : 'border-gray-300'
-              }`}>
-                1
+        {/* Kayıtlı bağlantı */}
+        {vault?.connected && !rotating && (
+          <div className="bg-white rounded-2xl shadow-lg p-8 mb-8 max-w-lg mx-auto">
+            <div className="flex items-center mb-4">
+              <Lock className="w-6 h-6 text-green-500 mr-2" />
+              <h2 className="text-2xl font-bold text-gray-900">Bağlı Mağaza</h2>
+            </div>
+            <div className="space-y-2 text-sm mb-6">
+              <div className="flex justify-between">
+                <span className="text-gray-600">Seller ID:</span>
+                <span className="font-medium text-gray-900">{vault.sellerId}</span>
+              </div>
+              <div className="flex justify-between">
+                <span className="text-gray-600">API Key:</span>
+                <span className="font-medium text-gray-900">•••• {vault.apiKeyHint}</span>
+              </div>
+              <div className="flex justify-between">
+                <span className="text-gray-600">Son güncelleme:</span>
+                <span className="font-medium text-gray-900">
+                  {new Date(vault.rotatedAt || vault.createdAt).toLocaleString('tr-TR')}
+                </span>
               </div>
-              <span className="ml-2 text-sm font-medium">API Bilgileri</span>
             </div>
-            <div className={`w-8 h-0.5 ${step >= 2 ? 'bg-orange-600' : 'bg-gray-300'}`}></div>
-            <div className={`flex items-center ${step >= 2 ? 'text-orange-600' : 'text-gray-400'}`}>
-              <div className={`w-8 h-8 rounded-full flex items-center justify-center border-2 ${
-                step >= 2 ? 'border-orange-600 bg-orange-600 text-white' : 'border-gray-300'
-              }`}>
-                2
+            <p className="text-xs text-gray-500 mb-4">
+              API bilgileriniz sunucuda şifreli saklanır ve tarayıcınızda tutulmaz.
+            </p>
+            <div className="flex space-x-3">
+              <button
+                onClick={handleStartRotate}
+                className="flex-1 flex items-center justify-center px-4 py-2 border border-orange-500 text-orange-600 rounded-lg hover:bg-orange-50"
+              >
+                <RefreshCw className="w-4 h-4 mr-2" />
+                Anahtarları Yenile
+              </button>
+              <button
+                onClick={handleRevoke}
+                disabled={revoking}
+                className="flex-1 flex items-center justify-center px-4 py-2 border border-red-500 text-red-600 rounded-lg hover:bg-red-50 disabled:opacity-50"
+              >
+                {revoking ? <Loader className="w-4 h-4 mr-2 animate-spin" /> : <Trash2 className="w-4 h-4 mr-2" />}
+                Bağlantıyı Kaldır
+              </button>
+            </div>
+          </div>
+        )}
+
+        {/* Progress Steps */}
+        {showSetup && (
+          <div className="mb-8">
+            <div className="flex items-center justify-center space-x-8">
+              <div className={`flex items-center ${step >= 1 ? 'text-orange-600' : 'text-gray-400'}`}>
+                <div className={`w-8 h-8 rounded-full flex items-center justify-center border-2 ${
+                  step >= 1 ? 'border-orange-600 bg-orange-600 text-white' : 'border-gray-300'
+                }`}>
+                  1
+                </div>
+                <span className="ml-2 text-sm font-medium">API Bilgileri</span>
+              </div>
+              <div className={`w-8 h-0.5 ${step >= 2 ? 'bg-orange-600' : 'bg-gray-300'}`}></div>
+              <div className={`flex items-center ${step >= 2 ? 'text-orange-600' : 'text-gray-400'}`}>
+                <div className={`w-8 h-8 rounded-full flex items-center justify-center border-2 ${
+                  step >= 2 ? 'border-orange-600 bg-orange-600 text-white' : 'border-gray-300'
+                }`}>
+                  2
+                </div>
+                <span className="ml-2 text-sm font-medium">Entegrasyon Tamamla</span>
               </div>
-              <span className="ml-2 text-sm font-medium">Entegrasyon Tamamla</span>
             </div>
           </div>
-        </div>
+        )}
 
         {/* Step 1: API Bilgileri Formu ve Bağlantı Testi */}
-        {step === 1 && (
+        {rotating && (
+          <div className="text-center mb-4">
+            <button
+              onClick={() => setRotating(false)}
+              className="text-sm text-gray-600 hover:text-gray-900"
+            >
+              Anahtar yenilemeyi iptal et
+            </button>
+          </div>
+        )}
+
+        {showSetup && step === 1 && (
           <div className="bg-white rounded-2xl shadow-lg p-8 mb-8 max-w-lg mx-auto">
             <div className="flex items-center justify-between mb-6">
               <h2 className="text-2xl font-bold text-gray-900">1. API Bilgilerinizi Girin</h2>
@@ -307,7 +414,7 @@ function TrendyolIntegration() {
         )}
 
         {/* Step 2: Entegrasyon Tamamlama */}
-        {step === 2 && sellerInfo && (
+        {showSetup && step === 2 && sellerInfo && (
           <div className="bg-white rounded-2xl shadow-lg p-8 mb-8 max-w-lg mx-auto">
             <h2 className="text-2xl font-bold text-gray-900 mb-6">2. Entegrasyonu Tamamlayın</h2>
             
@@ -332,6 +439,26 @@ function TrendyolIntegration() {
               </div>
             </div>
 
+            {/* Senkronizasyon */}
+            <div className="mb-6">
+              <label className="block text-sm font-medium text-gray-700 mb-1">
+                Sipariş Geçmişi
+              </label>
+              <select
+                name="syncDays"
+                value={form.syncDays}
+                onChange={handleFormChange}
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-orange-500 focus:border-orange-500"
+              >
+                {syncDayOptions.map((days) => (
+                  <option key={days} value={days}>Son {days} gün</option>
+                ))}
+              </select>
+              <p className="text-xs text-gray-500 mt-1">
+                İlk senkronizasyonda bu kadar geriye gidilir; sonrasında yalnızca değişen siparişler çekilir.
+              </p>
+            </div>
+
             {/* Özellikler */}
             <div className="mb-6">
               <h3 className="font-semibold text-gray-900 mb-3">Entegrasyon Özellikleri</h3>
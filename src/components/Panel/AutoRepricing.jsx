@@ -0,0 +1,528 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import {
+  ArrowLeft,
+  RefreshCw,
+  Plus,
+  Trash2,
+  Save,
+  Play,
+  ChevronDown,
+  ChevronRight
+} from 'lucide-react';
+import { useNavigate } from 'react-router-dom';
+import toast from 'react-hot-toast';
+import productImportService, { productToCalculatorFields } from '../../services/productImportService';
+import trendyolService from '../../services/trendyolService';
+import { DEFAULT_COMMISSION_RATE } from '../../config/commissionRates';
+import { CARGO_PROVIDERS } from '../../config/cargoTariffs';
+
+const EMPTY_RULE = {
+  scope: 'product',
+  target: '',
+  commissionRate: '',
+  minMargin: '10',
+  ceilingPrice: '',
+  shippingCost: '',
+  advertisingCost: '0',
+  stepSize: '1',
+  direction: 'down',
+  enabled: true
+};
+
+const TRIGGER_LABELS = { manual: 'Elle', schedule: 'Zamanlanmış' };
+
+function AutoRepricing() {
+  const navigate = useNavigate();
+  const [catalogue, setCatalogue] = useState([]);
+  const [rules, setRules] = useState([]);
+  const [settings, setSettings] = useState({ scheduleEnabled: false, dryRun: true, cargoProviderCode: null });
+  const [updatedAt, setUpdatedAt] = useState(null);
+  const [draft, setDraft] = useState(EMPTY_RULE);
+  const [runs, setRuns] = useState([]);
+  const [expandedRun, setExpandedRun] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [running, setRunning] = useState(false);
+  const [dirty, setDirty] = useState(false);
+
+  const loadAll = async () => {
+    if (!(await productImportService.isAvailable())) {
+      toast.error('Fiyat kuralları için önce Trendyol entegrasyonunu tamamlayın');
+      navigate('/entegrasyon');
+      return;
+    }
+
+    setLoading(true);
+    try {
+      const [config, runList, products] = await Promise.all([
+        trendyolService.getRepricingRules(),
+        trendyolService.getRepricingRuns(),
+        productImportService.getCatalogue()
+      ]);
+      setRules(config.rules);
+      setSettings(config.settings);
+      setUpdatedAt(config.updatedAt);
+      setRuns(runList);
+      setCatalogue(products);
+      setDirty(false);
+    } catch (error) {
+      console.error('Fiyat kuralları yüklenemedi:', error);
+      toast.error(error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadAll();
+  }, []);
+
+  const categories = useMemo(() => {
+    return [...new Set(catalogue.map((product) => product.categoryName).filter(Boolean))]
+      .sort((a, b) => a.localeCompare(b, 'tr'));
+  }, [catalogue]);
+
+  // Hedef seçilince komisyon katalogdaki üründen (veya kategorinin ilk ürününden) gelir
+  const suggestCommission = (scope, target) => {
+    const product = catalogue.find((item) =>
+      scope === 'product' ? item.barcode === target : item.categoryName === target
+    );
+    return product ? productToCalculatorFields(product).formData.commission : String(DEFAULT_COMMISSION_RATE);
+  };
+
+  const handleTargetChange = (target) => {
+    setDraft({ ...draft, target, commissionRate: suggestCommission(draft.scope, target) });
+  };
+
+  const updateRules = (next) => {
+    setRules(next);
+    setDirty(true);
+  };
+
+  const handleAddRule = () => {
+    const target = draft.target.trim();
+    if (!target) {
+      toast.error(draft.scope === 'product' ? 'Barkod girin' : 'Kategori seçin');
+      return;
+    }
+    const id = `${draft.scope}:${target}`;
+    if (rules.some((rule) => rule.id === id)) {
+      toast.error('Bu hedef için zaten bir kural var');
+      return;
+    }
+
+    const product = draft.scope === 'product' ? catalogue.find((item) => item.barcode === target) : null;
+    updateRules([...rules, { ...draft, id, target, label: product?.title || target }]);
+    setDraft(EMPTY_RULE);
+  };
+
+  const toggleRule = (id) => {
+    updateRules(rules.map((rule) => (rule.id === id ? { ...rule, enabled: !rule.enabled } : rule)));
+  };
+
+  const removeRule = (id) => {
+    updateRules(rules.filter((rule) => rule.id !== id));
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    try {
+      const config = await trendyolService.saveRepricingRules({ rules, settings });
+      setRules(config.rules);
+      setSettings(config.settings);
+      setUpdatedAt(config.updatedAt);
+      setDirty(false);
+      toast.success('Fiyat kuralları kaydedildi');
+    } catch (error) {
+      toast.error(error.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleRun = async () => {
+    if (dirty) {
+      toast.error('Çalıştırmadan önce değişiklikleri kaydedin');
+      return;
+    }
+    if (!settings.dryRun && !window.confirm('Deneme modu kapalı. Önerilen fiyatlar Trendyol\'a gönderilsin mi?')) return;
+
+    setRunning(true);
+    try {
+      const run = await trendyolService.runRepricing({ dryRun: settings.dryRun });
+      setRuns([run, ...runs]);
+      setExpandedRun(run.id);
+      if (run.status === 'failed') {
+        toast.error(`Çalıştırma başarısız: ${run.error}`);
+      } else {
+        toast.success(`${run.changeCount} fiyat değişikliği ${run.dryRun ? 'önerildi' : 'gönderildi'}`);
+      }
+    } catch (error) {
+      toast.error(error.message);
+    } finally {
+      setRunning(false);
+    }
+  };
+
+  const formatCurrency = (amount) => {
+    return new Intl.NumberFormat('tr-TR', {
+      style: 'currency',
+      currency: 'TRY'
+    }).format(amount || 0);
+  };
+
+  const formatDateTime = (value) => {
+    return value ? new Date(value).toLocaleString('tr-TR') : '-';
+  };
+
+  const inputClass = 'border border-gray-300 rounded-lg px-3 py-2 text-sm';
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      {/* Header */}
+      <div className="bg-white border-b border-gray-200 px-6 py-4">
+        <div className="flex flex-wrap items-center justify-between gap-4">
+          <div className="flex items-center space-x-4">
+            <button
+              onClick={() => navigate('/panel/fiyatlandirma')}
+              className="p-2 text-gray-600 hover:text-gray-900 hover:bg-gray-100 rounded-lg"
+            >
+              <ArrowLeft className="w-5 h-5" />
+            </button>
+            <div>
+              <h1 className="text-2xl font-bold text-gray-900">Otomatik Fiyat Kuralları</h1>
+              <p className="text-gray-600">Taban ve tavan fiyat arasında adım adım fiyat önerin; başabaşın altına inilmez</p>
+            </div>
+          </div>
+          <div className="flex items-center gap-3">
+            <button
+              onClick={loadAll}
+              disabled={loading}
+              className="flex items-center space-x-2 px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 disabled:opacity-50"
+            >
+              <RefreshCw className={`w-4 h-4 ${loading ? 'animate-spin' : ''}`} />
+              <span>Yenile</span>
+            </button>
+            <button
+              onClick={handleSave}
+              disabled={saving || !dirty}
+              className="flex items-center space-x-2 px-4 py-2 border border-orange-500 text-orange-600 rounded-lg hover:bg-orange-50 disabled:opacity-50"
+            >
+              <Save className="w-4 h-4" />
+              <span>Kaydet</span>
+            </button>
+            <button
+              onClick={handleRun}
+              disabled={running || !rules.length}
+              className="flex items-center space-x-2 px-4 py-2 bg-orange-500 text-white rounded-lg hover:bg-orange-600 disabled:opacity-50"
+            >
+              {running ? <RefreshCw className="w-4 h-4 animate-spin" /> : <Play className="w-4 h-4" />}
+              <span>Şimdi Çalıştır{settings.dryRun ? ' (Deneme)' : ''}</span>
+            </button>
+          </div>
+        </div>
+      </div>
+
+      <div className="p-6 space-y-6">
+        {/* Ayarlar */}
+        <div className="bg-white rounded-lg shadow p-6">
+          <h2 className="text-lg font-semibold text-gray-900 mb-4">Çalıştırma Ayarları</h2>
+          <div className="flex flex-wrap gap-6">
+            <label className="flex items-center space-x-2 text-sm text-gray-700">
+              <input
+                type="checkbox"
+                checked={settings.scheduleEnabled}
+                onChange={(e) => {
+                  setSettings({ ...settings, scheduleEnabled: e.target.checked });
+                  setDirty(true);
+                }}
+              />
+              <span>Zamanlanmış çalıştır</span>
+            </label>
+            <label className="flex items-center space-x-2 text-sm text-gray-700">
+              <input
+                type="checkbox"
+                checked={settings.dryRun}
+                onChange={(e) => {
+                  setSettings({ ...settings, dryRun: e.target.checked });
+                  setDirty(true);
+                }}
+              />
+              <span>Deneme modu (fiyatları yalnızca öner, gönderme)</span>
+            </label>
+            <label className="flex items-center space-x-2 text-sm text-gray-700">
+              <span>Kargo firması</span>
+              <select
+                value={settings.cargoProviderCode || ''}
+                onChange={(e) => {
+                  setSettings({ ...settings, cargoProviderCode: e.target.value || null });
+                  setDirty(true);
+                }}
+                className={inputClass}
+              >
+                <option value="">Seçilmedi</option>
+                {CARGO_PROVIDERS.map((provider) => (
+                  <option key={provider.code} value={provider.code}>{provider.name}</option>
+                ))}
+              </select>
+            </label>
+          </div>
+          <p className="text-xs text-gray-500 mt-3">
+            Taban fiyat, maliyet kataloğundaki maliyet, kargo, reklam ve en düşük marjla hesaplanır. Kuralda kargo
+            maliyeti girildiyse o tutar, girilmediyse seçilen kargo firmasının desi tarifesi kullanılır. Maliyet kaydı
+            olmayan ürünler ile kargo maliyeti bu ikisinden biriyle bulunamayan ürünler atlanır.
+            {updatedAt && ` Son kayıt: ${formatDateTime(updatedAt)}`}
+          </p>
+        </div>
+
+        {/* Kurallar */}
+        <div className="bg-white rounded-lg shadow">
+          <div className="p-6 border-b border-gray-200">
+            <h2 className="text-lg font-semibold text-gray-900 mb-4">Kurallar</h2>
+            <div className="flex flex-wrap items-end gap-3">
+              <div>
+                <label className="block text-xs text-gray-500 mb-1">Kapsam</label>
+                <select
+                  value={draft.scope}
+                  onChange={(e) => setDraft({ ...EMPTY_RULE, scope: e.target.value })}
+                  className={inputClass}
+                >
+                  <option value="product">Ürün</option>
+                  <option value="category">Kategori</option>
+                </select>
+              </div>
+              <div>
+                <label className="block text-xs text-gray-500 mb-1">
+                  {draft.scope === 'product' ? 'Barkod' : 'Kategori'}
+                </label>
+                {draft.scope === 'product' ? (
+                  <input
+                    type="text"
+                    value={draft.target}
+                    onChange={(e) => handleTargetChange(e.target.value)}
+                    className={`${inputClass} w-48`}
+                  />
+                ) : (
+                  <select
+                    value={draft.target}
+                    onChange={(e) => handleTargetChange(e.target.value)}
+                    className={`${inputClass} w-48`}
+                  >
+                    <option value="">Seçin</option>
+                    {categories.map((category) => (
+                      <option key={category} value={category}>{category}</option>
+                    ))}
+                  </select>
+                )}
+              </div>
+              {[
+                ['commissionRate', 'Komisyon (%)'],
+                ['minMargin', 'En Düşük Marj (%)'],
+                ['ceilingPrice', 'Tavan Fiyat (TL)'],
+                ['shippingCost', 'Kargo (TL)'],
+                ['advertisingCost', 'Reklam (TL/adet)'],
+                ['stepSize', 'Adım (TL)']
+              ].map(([field, label]) => (
+                <div key={field}>
+                  <label className="block text-xs text-gray-500 mb-1">{label}</label>
+                  <input
+                    type="number"
+                    value={draft[field]}
+                    onChange={(e) => setDraft({ ...draft, [field]: e.target.value })}
+                    placeholder={{ ceilingPrice: 'Sınırsız', shippingCost: 'Desiden' }[field] || ''}
+                    className={`${inputClass} w-28`}
+                  />
+                </div>
+              ))}
+              <div>
+                <label className="block text-xs text-gray-500 mb-1">Yön</label>
+                <select
+                  value={draft.direction}
+                  onChange={(e) => setDraft({ ...draft, direction: e.target.value })}
+                  className={inputClass}
+                >
+                  <option value="down">İndir</option>
+                  <option value="up">Artır</option>
+                </select>
+              </div>
+              <button
+                onClick={handleAddRule}
+                className="flex items-center space-x-2 px-4 py-2 bg-gray-900 text-white rounded-lg hover:bg-gray-800 text-sm"
+              >
+                <Plus className="w-4 h-4" />
+                <span>Ekle</span>
+              </button>
+            </div>
+          </div>
+
+          {rules.length === 0 ? (
+            <div className="text-center py-12 text-gray-500">Henüz kural yok</div>
+          ) : (
+            <div className="overflow-x-auto">
+              <table className="min-w-full divide-y divide-gray-200">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Aktif</th>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Hedef</th>
+                    <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase">Komisyon</th>
+                    <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase">En Düşük Marj</th>
+                    <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase">Tavan</th>
+                    <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase">Adım</th>
+                    <th className="px-6 py-3"></th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-200">
+                  {rules.map((rule) => (
+                    <tr key={rule.id} className={rule.enabled ? 'hover:bg-gray-50' : 'bg-gray-50 text-gray-400'}>
+                      <td className="px-6 py-4">
+                        <input type="checkbox" checked={rule.enabled} onChange={() => toggleRule(rule.id)} />
+                      </td>
+                      <td className="px-6 py-4">
+                        <p className="font-medium text-gray-900">{rule.label}</p>
+                        <p className="text-sm text-gray-500">
+                          {rule.scope === 'product' ? `Barkod ${rule.target}` : 'Kategori'}
+                        </p>
+                      </td>
+                      <td className="px-6 py-4 text-right">%{rule.commissionRate}</td>
+                      <td className="px-6 py-4 text-right">
+                        %{rule.minMargin}
+                        <span className="block text-xs text-gray-500">
+                          Kargo {[null, ''].includes(rule.shippingCost) ? 'desiden' : formatCurrency(rule.shippingCost)}
+                          {rule.advertisingCost > 0 && ` · Reklam ${formatCurrency(rule.advertisingCost)}`}
+                        </span>
+                      </td>
+                      <td className="px-6 py-4 text-right">
+                        {rule.ceilingPrice ? formatCurrency(rule.ceilingPrice) : 'Sınırsız'}
+                      </td>
+                      <td className="px-6 py-4 text-right">
+                        {rule.direction === 'up' ? '+' : '-'}{formatCurrency(rule.stepSize)}
+                      </td>
+                      <td className="px-6 py-4 text-right">
+                        <button onClick={() => removeRule(rule.id)} className="text-gray-400 hover:text-red-600">
+                          <Trash2 className="w-4 h-4" />
+                        </button>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+
+        {/* Denetim kaydı */}
+        <div className="bg-white rounded-lg shadow">
+          <div className="p-6 border-b border-gray-200">
+            <h2 className="text-lg font-semibold text-gray-900">Çalıştırma Geçmişi</h2>
+          </div>
+          {runs.length === 0 ? (
+            <div className="text-center py-12 text-gray-500">Henüz çalıştırma yok</div>
+          ) : (
+            <div className="divide-y divide-gray-200">
+              {runs.map((run) => {
+                const expanded = expandedRun === run.id;
+                return (
+                  <div key={run.id}>
+                    <button
+                      onClick={() => setExpandedRun(expanded ? null : run.id)}
+                      className="w-full flex items-center justify-between px-6 py-4 hover:bg-gray-50 text-left"
+                    >
+                      <div className="flex items-center space-x-3">
+                        {expanded ? <ChevronDown className="w-4 h-4" /> : <ChevronRight className="w-4 h-4" />}
+                        <div>
+                          <p className="font-medium text-gray-900">
+                            {formatDateTime(run.startedAt)} · {TRIGGER_LABELS[run.trigger] || run.trigger}
+                          </p>
+                          <p className="text-sm text-gray-500">
+                            {run.evaluatedCount} ürün değerlendirildi · {run.changeCount} değişiklik · {run.skipped.length} atlandı
+                          </p>
+                        </div>
+                      </div>
+                      <div className="flex items-center gap-2">
+                        {run.dryRun && (
+                          <span className="px-2 py-1 text-xs rounded-full bg-gray-100 text-gray-700">Deneme</span>
+                        )}
+                        <span className={`px-2 py-1 text-xs rounded-full ${
+                          run.status === 'failed' ? 'bg-red-100 text-red-700' : 'bg-green-100 text-green-700'
+                        }`}>
+                          {run.status === 'failed' ? 'Başarısız' : run.dryRun ? 'Önerildi' : 'Gönderildi'}
+                        </span>
+                      </div>
+                    </button>
+
+                    {expanded && (
+                      <div className="px-6 pb-6 space-y-4">
+                        {run.error && <p className="text-sm text-red-600">{run.error}</p>}
+                        {run.truncated && (
+                          <p className="text-sm text-yellow-700">
+                            Süre sınırı nedeniyle kataloğun yalnızca ilk {run.evaluatedCount} ürünü değerlendirildi.
+                            Tüm katalog zamanlanmış çalıştırmada işlenir.
+                          </p>
+                        )}
+                        {run.changes.length > 0 && (
+                          <div className="overflow-x-auto">
+                            <table className="min-w-full divide-y divide-gray-200 text-sm">
+                              <thead className="bg-gray-50">
+                                <tr>
+                                  <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Ürün</th>
+                                  <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Mevcut</th>
+                                  <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Önerilen</th>
+                                  <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Taban / Başabaş</th>
+                                  <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Kâr</th>
+                                  <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Neden</th>
+                                </tr>
+                              </thead>
+                              <tbody className="divide-y divide-gray-200">
+                                {run.changes.map((change) => (
+                                  <tr key={change.barcode}>
+                                    <td className="px-4 py-2">
+                                      <p className="text-gray-900">{change.title}</p>
+                                      <p className="text-xs text-gray-500">{change.barcode}</p>
+                                    </td>
+                                    <td className="px-4 py-2 text-right">{formatCurrency(change.currentPrice)}</td>
+                                    <td className="px-4 py-2 text-right font-medium">{formatCurrency(change.proposedPrice)}</td>
+                                    <td className="px-4 py-2 text-right text-gray-600">
+                                      {formatCurrency(change.floorPrice)} / {formatCurrency(change.breakEvenPrice)}
+                                    </td>
+                                    <td className="px-4 py-2 text-right text-green-600">
+                                      {formatCurrency(change.profit)}
+                                      <span className="block text-xs">%{change.margin.toFixed(1)}</span>
+                                    </td>
+                                    <td className="px-4 py-2 text-gray-600">{change.reason}</td>
+                                  </tr>
+                                ))}
+                              </tbody>
+                            </table>
+                          </div>
+                        )}
+                        {run.skipped.length > 0 && (
+                          <div>
+                            <p className="text-sm font-medium text-gray-700 mb-2">Atlanan ürünler</p>
+                            <ul className="text-sm text-gray-600 space-y-1">
+                              {run.skipped.map((item) => (
+                                <li key={item.barcode}>
+                                  {item.title || item.barcode} ({item.barcode}): {item.reason}
+                                </li>
+                              ))}
+                            </ul>
+                          </div>
+                        )}
+                        {run.changeCount > run.changes.length && (
+                          <p className="text-xs text-gray-500">
+                            İlk {run.changes.length} değişiklik gösteriliyor ({run.changeCount} toplam)
+                          </p>
+                        )}
+                      </div>
+                    )}
+                  </div>
+                );
+              })}
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default AutoRepricing;
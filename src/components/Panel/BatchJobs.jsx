@@ -0,0 +1,220 @@
+import React, { useState, useEffect } from 'react';
+import {
+  ArrowLeft,
+  RefreshCw,
+  ChevronDown,
+  ChevronRight,
+  CheckCircle,
+  AlertTriangle,
+  XCircle,
+  Clock,
+  RotateCcw
+} from 'lucide-react';
+import { useNavigate } from 'react-router-dom';
+import toast from 'react-hot-toast';
+import { useAuth } from '../../contexts/AuthContext';
+import batchJobService, { JOB_TYPES, JOB_STATUS, isJobActive } from '../../services/batchJobService';
+
+const STATUS_STYLES = {
+  [JOB_STATUS.PROCESSING]: { label: 'İşleniyor', className: 'bg-blue-100 text-blue-700', icon: RefreshCw },
+  [JOB_STATUS.COMPLETED]: { label: 'Tamamlandı', className: 'bg-green-100 text-green-700', icon: CheckCircle },
+  [JOB_STATUS.PARTIAL]: { label: 'Kısmen Başarılı', className: 'bg-yellow-100 text-yellow-700', icon: AlertTriangle },
+  [JOB_STATUS.FAILED]: { label: 'Başarısız', className: 'bg-red-100 text-red-700', icon: XCircle },
+  [JOB_STATUS.TIMEOUT]: { label: 'Zaman Aşımı', className: 'bg-gray-100 text-gray-700', icon: Clock }
+};
+
+function BatchJobs() {
+  const { currentUser } = useAuth();
+  const navigate = useNavigate();
+  const [jobs, setJobs] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [expanded, setExpanded] = useState(null);
+  const [retrying, setRetrying] = useState(null);
+
+  const loadJobs = async () => {
+    setLoading(true);
+    try {
+      const list = await batchJobService.listJobs(currentUser.uid);
+      setJobs(list);
+      batchJobService.resumePolling(currentUser.uid, list);
+    } catch (error) {
+      console.error('Toplu işlemler yüklenemedi:', error);
+      toast.error(error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    if (currentUser) loadJobs();
+  }, [currentUser]);
+
+  // Yoklanan işlerin güncel durumu listeye yansır
+  useEffect(() => {
+    return batchJobService.subscribe((job) => {
+      setJobs((current) => {
+        const exists = current.some((item) => item.id === job.id);
+        return exists
+          ? current.map((item) => (item.id === job.id ? job : item))
+          : [job, ...current];
+      });
+    });
+  }, []);
+
+  const handleRetry = async (job) => {
+    setRetrying(job.id);
+    try {
+      const created = await batchJobService.retryFailed(currentUser.uid, job);
+      const failed = created.filter((item) => item.status === JOB_STATUS.FAILED);
+      if (failed.length) {
+        toast.error(`Tekrar gönderilemedi: ${failed[0].error}`);
+      } else {
+        toast.success(`${job.failedItems.length} kalem tekrar gönderildi`);
+      }
+    } catch (error) {
+      toast.error(error.message);
+    } finally {
+      setRetrying(null);
+    }
+  };
+
+  const formatDateTime = (value) => {
+    return value ? new Date(value).toLocaleString('tr-TR') : '-';
+  };
+
+  const activeCount = jobs.filter(isJobActive).length;
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      {/* Header */}
+      <div className="bg-white border-b border-gray-200 px-6 py-4">
+        <div className="flex flex-wrap items-center justify-between gap-4">
+          <div className="flex items-center space-x-4">
+            <button
+              onClick={() => navigate('/panel')}
+              className="p-2 text-gray-600 hover:text-gray-900 hover:bg-gray-100 rounded-lg"
+            >
+              <ArrowLeft className="w-5 h-5" />
+            </button>
+            <div>
+              <h1 className="text-2xl font-bold text-gray-900">Toplu İşlemler</h1>
+              <p className="text-gray-600">
+                Trendyol'a gönderilen stok ve fiyat güncellemelerinin durumu
+                {activeCount > 0 && ` · ${activeCount} işlem devam ediyor`}
+              </p>
+            </div>
+          </div>
+          <button
+            onClick={loadJobs}
+            disabled={loading}
+            className="flex items-center space-x-2 px-4 py-2 bg-orange-500 text-white rounded-lg hover:bg-orange-600 disabled:opacity-50"
+          >
+            <RefreshCw className={`w-4 h-4 ${loading ? 'animate-spin' : ''}`} />
+            <span>Yenile</span>
+          </button>
+        </div>
+      </div>
+
+      <div className="p-6">
+        <div className="bg-white rounded-lg shadow">
+          {loading && jobs.length === 0 ? (
+            <div className="flex items-center justify-center py-12">
+              <RefreshCw className="w-6 h-6 animate-spin text-gray-400" />
+            </div>
+          ) : jobs.length === 0 ? (
+            <div className="text-center py-12 text-gray-500">Henüz toplu işlem yok</div>
+          ) : (
+            <div className="divide-y divide-gray-200">
+              {jobs.map((job) => {
+                const style = STATUS_STYLES[job.status] || STATUS_STYLES[JOB_STATUS.PROCESSING];
+                const StatusIcon = style.icon;
+                const progress = job.itemCount ? Math.round((job.processedCount / job.itemCount) * 100) : 0;
+                const isExpanded = expanded === job.id;
+
+                return (
+                  <div key={job.id} className="p-6">
+                    <div className="flex flex-wrap items-center justify-between gap-4">
+                      <button
+                        onClick={() => setExpanded(isExpanded ? null : job.id)}
+                        className="flex items-center space-x-3 text-left"
+                        disabled={!job.failedItems.length}
+                      >
+                        <span className="text-gray-400">
+                          {isExpanded ? <ChevronDown className="w-4 h-4" /> : <ChevronRight className="w-4 h-4" />}
+                        </span>
+                        <div>
+                          <p className="font-medium text-gray-900">
+                            {JOB_TYPES[job.type]?.label || job.type}
+                            {job.retryOf && <span className="ml-2 text-xs text-gray-500">(tekrar deneme)</span>}
+                          </p>
+                          <p className="text-sm text-gray-500">
+                            {formatDateTime(job.createdAt)} · {job.itemCount} kalem
+                            {job.batchId && ` · #${job.batchId}`}
+                          </p>
+                        </div>
+                      </button>
+
+                      <div className="flex items-center space-x-3">
+                        <span className={`inline-flex items-center px-3 py-1 rounded-full text-xs font-medium ${style.className}`}>
+                          <StatusIcon className={`w-3 h-3 mr-1 ${isJobActive(job) ? 'animate-spin' : ''}`} />
+                          {style.label}
+                        </span>
+                        {job.failedItems.length > 0 && !isJobActive(job) && (
+                          <button
+                            onClick={() => handleRetry(job)}
+                            disabled={retrying === job.id}
+                            className="flex items-center space-x-1 px-3 py-1 text-sm border border-orange-300 text-orange-700 rounded-lg hover:bg-orange-50 disabled:opacity-50"
+                          >
+                            <RotateCcw className="w-4 h-4" />
+                            <span>Başarısızları Tekrar Dene</span>
+                          </button>
+                        )}
+                      </div>
+                    </div>
+
+                    <div className="mt-4">
+                      <div className="flex justify-between text-xs text-gray-500 mb-1">
+                        <span>
+                          {job.successCount} başarılı · {job.failedItems.length} başarısız
+                        </span>
+                        <span>%{progress}</span>
+                      </div>
+                      <div className="w-full bg-gray-200 rounded-full h-2">
+                        <div
+                          className={`h-2 rounded-full ${job.failedItems.length ? 'bg-yellow-500' : 'bg-green-500'}`}
+                          style={{ width: `${progress}%` }}
+                        />
+                      </div>
+                      {job.error && <p className="text-sm text-red-600 mt-2">{job.error}</p>}
+                    </div>
+
+                    {isExpanded && job.failedItems.length > 0 && (
+                      <table className="min-w-full mt-4 text-sm">
+                        <thead className="bg-gray-50">
+                          <tr>
+                            <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Barkod</th>
+                            <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Neden</th>
+                          </tr>
+                        </thead>
+                        <tbody className="divide-y divide-gray-200">
+                          {job.failedItems.map((item, index) => (
+                            <tr key={`${item.barcode}-${index}`}>
+                              <td className="px-4 py-2 font-mono text-gray-900">{item.barcode || '-'}</td>
+                              <td className="px-4 py-2 text-red-600">{item.reasons.join(', ')}</td>
+                            </tr>
+                          ))}
+                        </tbody>
+                      </table>
+                    )}
+                  </div>
+                );
+              })}
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default BatchJobs;
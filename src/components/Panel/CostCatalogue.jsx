@@ -0,0 +1,442 @@
+import React, { useState, useEffect, useMemo, useRef } from 'react';
+import {
+  ArrowLeft,
+  Upload,
+  Download,
+  Plus,
+  Search,
+  History,
+  Trash2,
+  RefreshCw,
+  X
+} from 'lucide-react';
+import { useNavigate } from 'react-router-dom';
+import toast from 'react-hot-toast';
+import { useAuth } from '../../contexts/AuthContext';
+import costCatalogueService, {
+  CATALOGUE_COST_FIELDS,
+  resolveCostAt
+} from '../../services/costCatalogueService';
+import { downloadBlob } from '../../services/bulkCalculator';
+
+const emptyForm = () => ({
+  barcode: '',
+  stockCode: '',
+  title: '',
+  effectiveFrom: new Date().toISOString().split('T')[0],
+  productCost: '',
+  packagingCost: '',
+  laborCost: ''
+});
+
+function CostCatalogue() {
+  const { currentUser } = useAuth();
+  const navigate = useNavigate();
+  const [entries, setEntries] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [search, setSearch] = useState('');
+  const [form, setForm] = useState(null);
+  const [expanded, setExpanded] = useState(null);
+  const [importing, setImporting] = useState(false);
+  const fileInputRef = useRef(null);
+
+  const uid = currentUser?.uid;
+
+  const loadEntries = async (force = false) => {
+    setLoading(true);
+    try {
+      setEntries(await costCatalogueService.listEntries(uid, { force }));
+    } catch (error) {
+      console.error('Maliyet kataloğu yüklenemedi:', error);
+      toast.error('Maliyet kataloğu yüklenemedi');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    if (uid) loadEntries();
+  }, [uid]);
+
+  const filteredEntries = useMemo(() => {
+    const term = search.trim().toLocaleLowerCase('tr-TR');
+    if (!term) return entries;
+    return entries.filter((entry) =>
+      [entry.barcode, entry.stockCode, entry.title].some((field) =>
+        (field || '').toLocaleLowerCase('tr-TR').includes(term)
+      )
+    );
+  }, [entries, search]);
+
+  const formatCurrency = (amount) => {
+    return new Intl.NumberFormat('tr-TR', {
+      style: 'currency',
+      currency: 'TRY'
+    }).format(amount || 0);
+  };
+
+  const formatDate = (dateString) => {
+    return new Date(dateString).toLocaleDateString('tr-TR');
+  };
+
+  // Mevcut ürüne yeni tarihli maliyet eklemek için formu doldur
+  const openFormFor = (entry) => {
+    const current = resolveCostAt(entry);
+    setForm({
+      ...emptyForm(),
+      barcode: entry.barcode,
+      stockCode: entry.stockCode || '',
+      title: entry.title || '',
+      productCost: current ? String(current.productCost) : '',
+      packagingCost: current ? String(current.packagingCost) : '',
+      laborCost: current ? String(current.laborCost) : '',
+      existing: true
+    });
+  };
+
+  const handleFormChange = (e) => {
+    const { name, value } = e.target;
+    setForm((prev) => ({ ...prev, [name]: value }));
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    if (!form.barcode.trim() || form.productCost === '') {
+      toast.error('Barkod ve ürün maliyeti zorunludur');
+      return;
+    }
+
+    try {
+      await costCatalogueService.saveCost(
+        uid,
+        { barcode: form.barcode.trim(), stockCode: form.stockCode.trim(), title: form.title.trim() },
+        form,
+        form.effectiveFrom
+      );
+      toast.success('Maliyet kaydedildi');
+      setForm(null);
+      loadEntries(true);
+    } catch (error) {
+      console.error('Maliyet kaydedilemedi:', error);
+      toast.error(error.message);
+    }
+  };
+
+  const handleDeleteRecord = async (entry, record) => {
+    if (!window.confirm(`${formatDate(record.effectiveFrom)} tarihli maliyet kaydı silinsin mi?`)) return;
+    try {
+      await costCatalogueService.deleteCostRecord(uid, entry.barcode, record.effectiveFrom);
+      loadEntries(true);
+    } catch (error) {
+      console.error('Maliyet kaydı silinemedi:', error);
+      toast.error('Maliyet kaydı silinemedi');
+    }
+  };
+
+  const handleDeleteEntry = async (entry) => {
+    if (!window.confirm(`${entry.title || entry.barcode} katalogdan silinsin mi?`)) return;
+    try {
+      await costCatalogueService.deleteEntry(uid, entry.barcode);
+      loadEntries(true);
+    } catch (error) {
+      console.error('Ürün silinemedi:', error);
+      toast.error('Ürün silinemedi');
+    }
+  };
+
+  const handleImport = async (e) => {
+    const file = e.target.files?.[0];
+    if (!file) return;
+
+    setImporting(true);
+    try {
+      const summary = await costCatalogueService.importCsv(uid, await file.text());
+      toast.success(`${summary.imported} maliyet kaydı (${summary.products} ürün) içe aktarıldı`);
+      if (summary.errors.length > 0) {
+        toast.error(
+          `${summary.errors.length} satır atlandı (satır ${summary.errors
+            .slice(0, 5)
+            .map((item) => item.rowNumber)
+            .join(', ')}${summary.errors.length > 5 ? ', ...' : ''})`
+        );
+      }
+      loadEntries(true);
+    } catch (error) {
+      console.error('CSV içe aktarma hatası:', error);
+      toast.error(error.message);
+    } finally {
+      setImporting(false);
+      e.target.value = '';
+    }
+  };
+
+  const handleExport = () => {
+    const csv = costCatalogueService.exportCsv(entries);
+    downloadBlob(
+      new Blob([csv], { type: 'text/csv;charset=utf-8' }),
+      `maliyet-katalogu-${new Date().toISOString().split('T')[0]}.csv`
+    );
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      {/* Header */}
+      <div className="bg-white border-b border-gray-200 px-6 py-4">
+        <div className="flex flex-wrap items-center justify-between gap-4">
+          <div className="flex items-center space-x-4">
+            <button
+              onClick={() => navigate('/panel')}
+              className="p-2 text-gray-600 hover:text-gray-900 hover:bg-gray-100 rounded-lg"
+            >
+              <ArrowLeft className="w-5 h-5" />
+            </button>
+            <div>
+              <h1 className="text-2xl font-bold text-gray-900">Maliyet Kataloğu</h1>
+              <p className="text-gray-600">
+                Ürün maliyetlerinizi geçerlilik tarihleriyle saklayın
+              </p>
+            </div>
+          </div>
+          <div className="flex items-center space-x-3">
+            <input
+              ref={fileInputRef}
+              type="file"
+              accept=".csv,.txt"
+              onChange={handleImport}
+              className="hidden"
+            />
+            <button
+              onClick={() => fileInputRef.current?.click()}
+              disabled={importing}
+              className="flex items-center space-x-2 px-4 py-2 border border-gray-300 rounded-lg hover:bg-gray-50 disabled:opacity-50"
+            >
+              {importing ? <RefreshCw className="w-4 h-4 animate-spin" /> : <Upload className="w-4 h-4" />}
+              <span>CSV İçe Aktar</span>
+            </button>
+            <button
+              onClick={handleExport}
+              disabled={entries.length === 0}
+              className="flex items-center space-x-2 px-4 py-2 border border-gray-300 rounded-lg hover:bg-gray-50 disabled:opacity-50"
+            >
+              <Download className="w-4 h-4" />
+              <span>CSV Dışa Aktar</span>
+            </button>
+            <button
+              onClick={() => setForm(emptyForm())}
+              className="flex items-center space-x-2 px-4 py-2 bg-orange-500 text-white rounded-lg hover:bg-orange-600"
+            >
+              <Plus className="w-4 h-4" />
+              <span>Ürün Ekle</span>
+            </button>
+          </div>
+        </div>
+      </div>
+
+      <div className="p-6 space-y-6">
+        {/* Maliyet Formu */}
+        {form && (
+          <form onSubmit={handleSave} className="bg-white rounded-lg shadow p-6">
+            <div className="flex items-center justify-between mb-4">
+              <h2 className="text-lg font-semibold text-gray-900">
+                {form.existing ? `Yeni Maliyet: ${form.title || form.barcode}` : 'Yeni Ürün'}
+              </h2>
+              <button type="button" onClick={() => setForm(null)} className="text-gray-500 hover:text-gray-700">
+                <X className="w-5 h-5" />
+              </button>
+            </div>
+            <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+              {[
+                { name: 'barcode', label: 'Barkod *', disabled: form.existing },
+                { name: 'stockCode', label: 'Stok Kodu' },
+                { name: 'title', label: 'Ürün Adı' },
+                { name: 'effectiveFrom', label: 'Geçerlilik Tarihi', type: 'date' }
+              ].map((field) => (
+                <div key={field.name}>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">{field.label}</label>
+                  <input
+                    type={field.type || 'text'}
+                    name={field.name}
+                    value={form[field.name]}
+                    onChange={handleFormChange}
+                    disabled={field.disabled}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-orange-500 focus:border-orange-500 disabled:bg-gray-100"
+                  />
+                </div>
+              ))}
+              {CATALOGUE_COST_FIELDS.map((field) => (
+                <div key={field.key}>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    {field.label} (₺){field.key === 'productCost' && ' *'}
+                  </label>
+                  <input
+                    type="number"
+                    step="0.01"
+                    name={field.key}
+                    value={form[field.key]}
+                    onChange={handleFormChange}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-orange-500 focus:border-orange-500"
+                  />
+                </div>
+              ))}
+              <div className="flex items-end">
+                <button
+                  type="submit"
+                  className="w-full bg-orange-500 text-white px-4 py-2 rounded-lg hover:bg-orange-600 transition-colors"
+                >
+                  Kaydet
+                </button>
+              </div>
+            </div>
+          </form>
+        )}
+
+        {/* Katalog */}
+        <div className="bg-white rounded-lg shadow">
+          <div className="p-6 border-b border-gray-200 flex items-center justify-between">
+            <h2 className="text-lg font-semibold text-gray-900">
+              Ürünler ({filteredEntries.length})
+            </h2>
+            <div className="relative w-72">
+              <Search className="w-4 h-4 text-gray-400 absolute left-3 top-1/2 -translate-y-1/2" />
+              <input
+                type="text"
+                value={search}
+                onChange={(e) => setSearch(e.target.value)}
+                placeholder="Barkod, stok kodu veya ürün adı"
+                className="w-full pl-9 pr-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-orange-500 focus:border-orange-500"
+              />
+            </div>
+          </div>
+
+          {loading ? (
+            <div className="flex items-center justify-center py-12">
+              <RefreshCw className="w-6 h-6 animate-spin text-gray-400" />
+            </div>
+          ) : filteredEntries.length === 0 ? (
+            <div className="text-center py-12 text-gray-500">
+              Katalogda ürün yok. Ürün ekleyin veya CSV içe aktarın
+              (Barkod; Stok Kodu; Ürün Adı; Geçerlilik Tarihi; Ürün Maliyeti; Paketleme; İşçilik).
+            </div>
+          ) : (
+            <div className="overflow-x-auto">
+              <table className="min-w-full divide-y divide-gray-200">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Ürün</th>
+                    {CATALOGUE_COST_FIELDS.map((field) => (
+                      <th key={field.key} className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase">
+                        {field.label}
+                      </th>
+                    ))}
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Geçerlilik</th>
+                    <th className="px-6 py-3"></th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-200">
+                  {filteredEntries.map((entry) => {
+                    const current = resolveCostAt(entry);
+                    return (
+                      <React.Fragment key={entry.barcode}>
+                        <tr className="hover:bg-gray-50">
+                          <td className="px-6 py-4">
+                            <p className="font-medium text-gray-900">{entry.title || '-'}</p>
+                            <p className="text-sm text-gray-500">
+                              {entry.barcode}
+                              {entry.stockCode && ` · ${entry.stockCode}`}
+                            </p>
+                          </td>
+                          {CATALOGUE_COST_FIELDS.map((field) => (
+                            <td key={field.key} className="px-6 py-4 text-right text-gray-900">
+                              {current ? formatCurrency(current[field.key]) : '-'}
+                            </td>
+                          ))}
+                          <td className="px-6 py-4 text-sm text-gray-600">
+                            {current ? formatDate(current.effectiveFrom) : 'Gelecek tarihli'}
+                          </td>
+                          <td className="px-6 py-4">
+                            <div className="flex items-center justify-end space-x-1">
+                              <button
+                                onClick={() => openFormFor(entry)}
+                                title="Yeni tarihli maliyet ekle"
+                                className="p-2 text-orange-600 hover:bg-orange-50 rounded-lg"
+                              >
+                                <Plus className="w-4 h-4" />
+                              </button>
+                              <button
+                                onClick={() => setExpanded(expanded === entry.barcode ? null : entry.barcode)}
+                                title="Maliyet geçmişi"
+                                className="p-2 text-gray-600 hover:bg-gray-100 rounded-lg"
+                              >
+                                <History className="w-4 h-4" />
+                              </button>
+                              <button
+                                onClick={() => handleDeleteEntry(entry)}
+                                title="Sil"
+                                className="p-2 text-red-600 hover:bg-red-50 rounded-lg"
+                              >
+                                <Trash2 className="w-4 h-4" />
+                              </button>
+                            </div>
+                          </td>
+                        </tr>
+                        {expanded === entry.barcode && (
+                          <tr>
+                            <td colSpan={CATALOGUE_COST_FIELDS.length + 3} className="px-6 py-4 bg-gray-50">
+                              <table className="min-w-full text-sm">
+                                <thead>
+                                  <tr className="text-gray-500">
+                                    <th className="py-1 text-left font-medium">Geçerlilik Tarihi</th>
+                                    {CATALOGUE_COST_FIELDS.map((field) => (
+                                      <th key={field.key} className="py-1 text-right font-medium">
+                                        {field.label}
+                                      </th>
+                                    ))}
+                                    <th></th>
+                                  </tr>
+                                </thead>
+                                <tbody>
+                                  {[...entry.history].reverse().map((record) => (
+                                    <tr key={record.effectiveFrom} className="border-t border-gray-200">
+                                      <td className="py-2">
+                                        {formatDate(record.effectiveFrom)}
+                                        {record === current && (
+                                          <span className="ml-2 px-2 py-0.5 text-xs rounded-full bg-green-100 text-green-800">
+                                            Geçerli
+                                          </span>
+                                        )}
+                                      </td>
+                                      {CATALOGUE_COST_FIELDS.map((field) => (
+                                        <td key={field.key} className="py-2 text-right">
+                                          {formatCurrency(record[field.key])}
+                                        </td>
+                                      ))}
+                                      <td className="py-2 text-right">
+                                        <button
+                                          onClick={() => handleDeleteRecord(entry, record)}
+                                          className="text-red-600 hover:text-red-700"
+                                          title="Kaydı sil"
+                                        >
+                                          <Trash2 className="w-4 h-4" />
+                                        </button>
+                                      </td>
+                                    </tr>
+                                  ))}
+                                </tbody>
+                              </table>
+                            </td>
+                          </tr>
+                        )}
+                      </React.Fragment>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default CostCatalogue;
@@ -0,0 +1,455 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import {
+  ArrowLeft,
+  RefreshCw,
+  Search,
+  Send,
+  Undo2,
+  X,
+  ArrowUp,
+  ArrowDown
+} from 'lucide-react';
+import { useNavigate } from 'react-router-dom';
+import toast from 'react-hot-toast';
+import { useAuth } from '../../contexts/AuthContext';
+import productImportService from '../../services/productImportService';
+import localCacheService from '../../services/localCacheService';
+import batchJobService, { JOB_STATUS } from '../../services/batchJobService';
+import {
+  STOCK_OPERATIONS,
+  LOW_STOCK_THRESHOLD,
+  isValidQuantity,
+  parseQuantity,
+  applyStockOperation,
+  buildStockChanges
+} from '../../services/inventoryService';
+import SyncStatus from './SyncStatus';
+
+const FILTERS = [
+  { key: 'all', label: 'Tümü' },
+  { key: 'low', label: `Az Stok (≤${LOW_STOCK_THRESHOLD})` },
+  { key: 'out', label: 'Tükenen' },
+  { key: 'edited', label: 'Düzenlenen' }
+];
+
+const PAGE_SIZE = 100;
+
+function Inventory() {
+  const { currentUser } = useAuth();
+  const navigate = useNavigate();
+  const [products, setProducts] = useState([]);
+  const [syncState, setSyncState] = useState({ syncedAt: null, offline: false });
+  const [loading, setLoading] = useState(false);
+  const [search, setSearch] = useState('');
+  const [filter, setFilter] = useState('all');
+  const [visibleCount, setVisibleCount] = useState(PAGE_SIZE);
+  // barkod -> input metni
+  const [edits, setEdits] = useState({});
+  const [selected, setSelected] = useState(new Set());
+  const [bulk, setBulk] = useState({ operation: 'set', amount: '' });
+  const [previewOpen, setPreviewOpen] = useState(false);
+  const [submitting, setSubmitting] = useState(false);
+
+  const loadProducts = async (force = false) => {
+    if (!(await productImportService.isAvailable())) {
+      toast.error('Stok yönetimi için önce Trendyol entegrasyonunu tamamlayın');
+      navigate('/entegrasyon');
+      return;
+    }
+
+    setLoading(true);
+    try {
+      const catalogue = await productImportService.getCatalogue({ force });
+      setProducts(catalogue.filter((product) => product.barcode));
+      const { productsSyncedAt } = localCacheService.isSupported()
+        ? await localCacheService.getStatus()
+        : { productsSyncedAt: Date.now() };
+      setSyncState({ syncedAt: productsSyncedAt, offline: !localCacheService.isOnline() });
+    } catch (error) {
+      console.error('Ürünler yüklenemedi:', error);
+      toast.error(error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    if (currentUser) loadProducts();
+  }, [currentUser]);
+
+  // Düzenleme metinleri sayıya çevrilir; geçersiz olanlar gönderilmez
+  const parsedEdits = useMemo(() => {
+    return Object.fromEntries(
+      Object.entries(edits).map(([barcode, value]) => [barcode, parseQuantity(value)])
+    );
+  }, [edits]);
+
+  const invalidCount = Object.values(parsedEdits).filter((value) => !isValidQuantity(value)).length;
+  const changes = useMemo(() => buildStockChanges(products, parsedEdits), [products, parsedEdits]);
+  const totalDelta = changes.reduce((sum, change) => sum + change.delta, 0);
+
+  const filteredProducts = useMemo(() => {
+    const term = search.trim().toLocaleLowerCase('tr-TR');
+    return products.filter((product) => {
+      const quantity = product.quantity || 0;
+      if (filter === 'low' && quantity > LOW_STOCK_THRESHOLD) return false;
+      if (filter === 'out' && quantity > 0) return false;
+      if (filter === 'edited' && !(product.barcode in edits)) return false;
+      if (!term) return true;
+      return [product.title, product.barcode, product.stockCode]
+        .some((value) => value?.toLocaleLowerCase('tr-TR').includes(term));
+    });
+  }, [products, search, filter, edits]);
+
+  const visibleProducts = filteredProducts.slice(0, visibleCount);
+  const allVisibleSelected = visibleProducts.length > 0 && visibleProducts.every((product) => selected.has(product.barcode));
+
+  const setEdit = (product, value) => {
+    setEdits((current) => {
+      const next = { ...current };
+      // Mevcut stoğa geri dönülürse düzenleme kaldırılır
+      if (value === '' || parseQuantity(value) === (product.quantity || 0)) {
+        delete next[product.barcode];
+      } else {
+        next[product.barcode] = value;
+      }
+      return next;
+    });
+  };
+
+  const toggleSelected = (barcode) => {
+    setSelected((current) => {
+      const next = new Set(current);
+      if (next.has(barcode)) next.delete(barcode);
+      else next.add(barcode);
+      return next;
+    });
+  };
+
+  const toggleAllVisible = () => {
+    setSelected((current) => {
+      const next = new Set(current);
+      visibleProducts.forEach((product) => {
+        if (allVisibleSelected) next.delete(product.barcode);
+        else next.add(product.barcode);
+      });
+      return next;
+    });
+  };
+
+  const applyBulk = () => {
+    const amount = parseQuantity(bulk.amount);
+    if (!isValidQuantity(amount)) {
+      toast.error('Geçerli bir miktar girin');
+      return;
+    }
+
+    products
+      .filter((product) => selected.has(product.barcode))
+      .forEach((product) => {
+        // Artır/azalt, varsa düzenlenmiş değerin üzerine uygulanır
+        const base = isValidQuantity(parsedEdits[product.barcode]) ? parsedEdits[product.barcode] : product.quantity;
+        setEdit(product, String(applyStockOperation(base, bulk.operation, amount)));
+      });
+    toast.success(`${selected.size} ürüne uygulandı`);
+  };
+
+  const resetEdits = () => {
+    setEdits({});
+    setPreviewOpen(false);
+  };
+
+  const handleSubmit = async () => {
+    setSubmitting(true);
+    try {
+      const jobs = await batchJobService.submit(
+        currentUser.uid,
+        'stock',
+        changes.map((change) => ({ barcode: change.barcode, quantity: change.next }))
+      );
+      const failed = jobs.find((job) => job.status === JOB_STATUS.FAILED);
+      if (failed) {
+        toast.error(`Stok güncellemesi gönderilemedi: ${failed.error}`);
+        return;
+      }
+
+      toast.success(`${changes.length} ürünün stoğu Trendyol'a gönderildi`);
+      setEdits({});
+      setSelected(new Set());
+      setPreviewOpen(false);
+      navigate('/panel/toplu-islemler');
+    } catch (error) {
+      toast.error(error.message);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      {/* Header */}
+      <div className="bg-white border-b border-gray-200 px-6 py-4">
+        <div className="flex flex-wrap items-center justify-between gap-4">
+          <div className="flex items-center space-x-4">
+            <button
+              onClick={() => navigate('/panel')}
+              className="p-2 text-gray-600 hover:text-gray-900 hover:bg-gray-100 rounded-lg"
+            >
+              <ArrowLeft className="w-5 h-5" />
+            </button>
+            <div>
+              <h1 className="text-2xl font-bold text-gray-900">Stok Yönetimi</h1>
+              <p className="text-gray-600">Stokları düzenleyin, önizleyin ve toplu olarak Trendyol'a gönderin</p>
+              <div className="mt-1">
+                <SyncStatus syncedAt={syncState.syncedAt} offline={syncState.offline} syncing={loading} />
+              </div>
+            </div>
+          </div>
+          <div className="flex items-center gap-3">
+            <button
+              onClick={resetEdits}
+              disabled={!Object.keys(edits).length}
+              className="flex items-center space-x-2 px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 disabled:opacity-50"
+            >
+              <Undo2 className="w-4 h-4" />
+              <span>Geri Al</span>
+            </button>
+            <button
+              onClick={() => loadProducts(true)}
+              disabled={loading}
+              className="flex items-center space-x-2 px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 disabled:opacity-50"
+            >
+              <RefreshCw className={`w-4 h-4 ${loading ? 'animate-spin' : ''}`} />
+              <span>Yenile</span>
+            </button>
+            <button
+              onClick={() => setPreviewOpen(true)}
+              disabled={!changes.length || invalidCount > 0}
+              title={invalidCount > 0 ? 'Hatalı miktarları düzeltin' : undefined}
+              className="flex items-center space-x-2 px-4 py-2 bg-orange-500 text-white rounded-lg hover:bg-orange-600 disabled:opacity-50"
+            >
+              <Send className="w-4 h-4" />
+              <span>Önizle ve Gönder ({changes.length})</span>
+            </button>
+          </div>
+        </div>
+      </div>
+
+      <div className="p-6 space-y-6">
+        <div className="bg-white rounded-lg shadow">
+          <div className="p-6 border-b border-gray-200 flex flex-wrap items-center justify-between gap-4">
+            <div className="flex flex-wrap items-center gap-3">
+              <div className="relative">
+                <Search className="w-4 h-4 text-gray-400 absolute left-3 top-1/2 -translate-y-1/2" />
+                <input
+                  type="text"
+                  value={search}
+                  onChange={(e) => {
+                    setSearch(e.target.value);
+                    setVisibleCount(PAGE_SIZE);
+                  }}
+                  placeholder="Ürün adı, barkod veya stok kodu"
+                  className="pl-9 border border-gray-300 rounded-lg px-3 py-2 text-sm w-72"
+                />
+              </div>
+              <div className="flex bg-gray-100 rounded-lg p-1">
+                {FILTERS.map((item) => (
+                  <button
+                    key={item.key}
+                    onClick={() => {
+                      setFilter(item.key);
+                      setVisibleCount(PAGE_SIZE);
+                    }}
+                    className={`px-3 py-1 rounded-md text-sm font-medium ${
+                      filter === item.key ? 'bg-white text-orange-600 shadow' : 'text-gray-600'
+                    }`}
+                  >
+                    {item.label}
+                  </button>
+                ))}
+              </div>
+            </div>
+
+            {/* Seçili ürünlere toplu işlem */}
+            <div className="flex flex-wrap items-center gap-2">
+              <span className="text-sm text-gray-600">{selected.size} ürün seçili</span>
+              <select
+                value={bulk.operation}
+                onChange={(e) => setBulk({ ...bulk, operation: e.target.value })}
+                className="border border-gray-300 rounded-lg px-3 py-2 text-sm"
+              >
+                {STOCK_OPERATIONS.map((operation) => (
+                  <option key={operation.key} value={operation.key}>
+                    {operation.label}
+                  </option>
+                ))}
+              </select>
+              <input
+                type="number"
+                min="0"
+                value={bulk.amount}
+                onChange={(e) => setBulk({ ...bulk, amount: e.target.value })}
+                placeholder="Miktar"
+                className="w-24 border border-gray-300 rounded-lg px-3 py-2 text-sm"
+              />
+              <button
+                onClick={applyBulk}
+                disabled={!selected.size}
+                className="px-4 py-2 bg-gray-800 text-white rounded-lg text-sm hover:bg-gray-900 disabled:opacity-50"
+              >
+                Uygula
+              </button>
+            </div>
+          </div>
+
+          {loading && products.length === 0 ? (
+            <div className="flex items-center justify-center py-12">
+              <RefreshCw className="w-6 h-6 animate-spin text-gray-400" />
+            </div>
+          ) : filteredProducts.length === 0 ? (
+            <div className="text-center py-12 text-gray-500">Ürün bulunamadı</div>
+          ) : (
+            <div className="overflow-x-auto">
+              <table className="min-w-full divide-y divide-gray-200">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th className="px-6 py-3">
+                      <input type="checkbox" checked={allVisibleSelected} onChange={toggleAllVisible} />
+                    </th>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Ürün</th>
+                    <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase">Mevcut Stok</th>
+                    <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase">Yeni Stok</th>
+                    <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase">Fark</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-200">
+                  {visibleProducts.map((product) => {
+                    const current = product.quantity || 0;
+                    const edited = product.barcode in edits;
+                    const next = parsedEdits[product.barcode];
+                    const invalid = edited && !isValidQuantity(next);
+                    const delta = edited && !invalid ? next - current : 0;
+
+                    return (
+                      <tr key={product.barcode} className={edited ? 'bg-orange-50' : 'hover:bg-gray-50'}>
+                        <td className="px-6 py-4 text-center">
+                          <input
+                            type="checkbox"
+                            checked={selected.has(product.barcode)}
+                            onChange={() => toggleSelected(product.barcode)}
+                          />
+                        </td>
+                        <td className="px-6 py-4">
+                          <p className="font-medium text-gray-900">{product.title}</p>
+                          <p className="text-sm text-gray-500">
+                            {product.barcode}
+                            {product.stockCode && ` · ${product.stockCode}`}
+                          </p>
+                        </td>
+                        <td className={`px-6 py-4 text-right ${current <= LOW_STOCK_THRESHOLD ? 'text-red-600 font-medium' : 'text-gray-900'}`}>
+                          {current}
+                        </td>
+                        <td className="px-6 py-4 text-right">
+                          <input
+                            type="number"
+                            min="0"
+                            step="1"
+                            value={edited ? edits[product.barcode] : current}
+                            onChange={(e) => setEdit(product, e.target.value)}
+                            className={`w-24 border rounded-lg px-2 py-1 text-sm text-right ${
+                              invalid ? 'border-red-500 bg-red-50' : 'border-gray-300'
+                            }`}
+                          />
+                        </td>
+                        <td className={`px-6 py-4 text-right text-sm ${delta > 0 ? 'text-green-600' : delta < 0 ? 'text-red-600' : 'text-gray-400'}`}>
+                          {invalid ? 'Hatalı' : delta > 0 ? `+${delta}` : delta}
+                        </td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+              {filteredProducts.length > visibleCount && (
+                <div className="p-4 text-center border-t border-gray-200">
+                  <button
+                    onClick={() => setVisibleCount(visibleCount + PAGE_SIZE)}
+                    className="text-sm text-orange-600 hover:text-orange-700 font-medium"
+                  >
+                    Daha fazla göster ({filteredProducts.length - visibleCount} ürün daha)
+                  </button>
+                </div>
+              )}
+            </div>
+          )}
+        </div>
+      </div>
+
+      {/* Gönderim öncesi değişiklik önizlemesi */}
+      {previewOpen && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+          <div className="bg-white rounded-lg shadow-xl w-full max-w-3xl max-h-[80vh] flex flex-col">
+            <div className="p-6 border-b border-gray-200 flex items-center justify-between">
+              <div>
+                <h2 className="text-lg font-semibold text-gray-900">Stok Değişiklikleri</h2>
+                <p className="text-sm text-gray-600">
+                  {changes.length} ürün · toplam {totalDelta > 0 ? `+${totalDelta}` : totalDelta} adet
+                </p>
+              </div>
+              <button onClick={() => setPreviewOpen(false)} className="text-gray-400 hover:text-gray-600">
+                <X className="w-5 h-5" />
+              </button>
+            </div>
+            <div className="overflow-y-auto flex-1">
+              <table className="min-w-full divide-y divide-gray-200 text-sm">
+                <thead className="bg-gray-50 sticky top-0">
+                  <tr>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Ürün</th>
+                    <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase">Mevcut</th>
+                    <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase">Yeni</th>
+                    <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase">Fark</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-200">
+                  {changes.map((change) => (
+                    <tr key={change.barcode}>
+                      <td className="px-6 py-3">
+                        <p className="text-gray-900">{change.title}</p>
+                        <p className="text-xs text-gray-500">{change.barcode}</p>
+                      </td>
+                      <td className="px-6 py-3 text-right text-gray-600">{change.current}</td>
+                      <td className="px-6 py-3 text-right font-medium text-gray-900">{change.next}</td>
+                      <td className={`px-6 py-3 text-right font-medium ${change.delta > 0 ? 'text-green-600' : 'text-red-600'}`}>
+                        <span className="inline-flex items-center">
+                          {change.delta > 0 ? <ArrowUp className="w-3 h-3 mr-1" /> : <ArrowDown className="w-3 h-3 mr-1" />}
+                          {Math.abs(change.delta)}
+                        </span>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+            <div className="p-6 border-t border-gray-200 flex justify-end gap-3">
+              <button
+                onClick={() => setPreviewOpen(false)}
+                className="px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50"
+              >
+                Vazgeç
+              </button>
+              <button
+                onClick={handleSubmit}
+                disabled={submitting}
+                className="flex items-center space-x-2 px-4 py-2 bg-orange-500 text-white rounded-lg hover:bg-orange-600 disabled:opacity-50"
+              >
+                {submitting ? <RefreshCw className="w-4 h-4 animate-spin" /> : <Send className="w-4 h-4" />}
+                <span>Trendyol'a Gönder</span>
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default Inventory;
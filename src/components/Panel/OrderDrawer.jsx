@@ -0,0 +1,222 @@
+import React, { useState, useEffect } from 'react';
+import { X, RefreshCw, Check, Truck } from 'lucide-react';
+import toast from 'react-hot-toast';
+import orderFulfilmentService, {
+  STATUS_TRANSITIONS,
+  TRANSITION_LABELS,
+  getStatusInfo,
+  getNextStatus,
+  normalizeStatus,
+  validateTransition
+} from '../../services/orderFulfilmentService';
+
+// Hazırlama akışının adımları (Created -> ... -> Shipped)
+const FLOW = ['Created', ...Object.values(STATUS_TRANSITIONS).flat()];
+
+function OrderDrawer({ order, onClose, onUpdated }) {
+  const [details, setDetails] = useState({ invoiceNumber: '', providerId: '', trackingNumber: '' });
+  const [providers, setProviders] = useState([]);
+  const [submitting, setSubmitting] = useState(false);
+  // Önceki denemede oluşturulan kargo kaydı: tekrar oluşturulmaz
+  const [pendingShipment, setPendingShipment] = useState(order.pendingShipment || null);
+
+  const status = normalizeStatus(order.status);
+  const nextStatus = getNextStatus(status);
+  const flowIndex = FLOW.indexOf(status);
+
+  useEffect(() => {
+    setDetails({ invoiceNumber: order.invoiceNumber || '', providerId: '', trackingNumber: '' });
+  }, [order.id]);
+
+  useEffect(() => {
+    if (nextStatus !== 'Shipped') return;
+    orderFulfilmentService
+      .withPendingShipment(order, nextStatus)
+      .then((current) => setPendingShipment(current.pendingShipment || null));
+  }, [order, nextStatus]);
+
+  useEffect(() => {
+    if (nextStatus !== 'Shipped') return;
+    orderFulfilmentService
+      .getShipmentProviders()
+      .then((list) => setProviders(list || []))
+      .catch((error) => toast.error(`Kargo firmaları yüklenemedi: ${error.message}`));
+  }, [nextStatus]);
+
+  const handleTransition = async () => {
+    const provider = providers.find((item) => String(item.id) === details.providerId);
+    const transitionDetails = { ...details, providerName: provider?.name };
+    const error = validateTransition({ ...order, pendingShipment }, nextStatus, transitionDetails);
+    if (error) {
+      toast.error(error);
+      return;
+    }
+
+    setSubmitting(true);
+    try {
+      const updated = await orderFulfilmentService.transition(order, nextStatus, transitionDetails);
+      toast.success(`#${order.orderNumber || order.id} ${getStatusInfo(nextStatus).label.toLocaleLowerCase('tr-TR')}`);
+      onUpdated(updated);
+    } catch (transitionError) {
+      toast.error(transitionError.message);
+      // Kargo kaydı oluştu ama durum güncellenmediyse sipariş kayıtla birlikte güncellenir
+      if (transitionError.order) onUpdated(transitionError.order);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const formatCurrency = (amount) => {
+    return new Intl.NumberFormat('tr-TR', {
+      style: 'currency',
+      currency: 'TRY'
+    }).format(amount || 0);
+  };
+
+  const formatDateTime = (value) => {
+    return value ? new Date(value).toLocaleString('tr-TR') : '-';
+  };
+
+  const statusInfo = getStatusInfo(status);
+  const customer = [order.customerFirstName, order.customerLastName].filter(Boolean).join(' ');
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex justify-end z-50" onClick={onClose}>
+      <div className="bg-white w-full max-w-md h-full overflow-y-auto shadow-xl" onClick={(e) => e.stopPropagation()}>
+        <div className="p-6 border-b border-gray-200 flex items-start justify-between">
+          <div>
+            <h2 className="text-lg font-semibold text-gray-900">Sipariş #{order.orderNumber || order.id}</h2>
+            <p className="text-sm text-gray-600">{formatDateTime(order.orderDate)}</p>
+            <span className={`inline-flex mt-2 px-2 py-1 text-xs font-medium rounded-full ${statusInfo.color}`}>
+              {statusInfo.label}
+            </span>
+          </div>
+          <button onClick={onClose} className="p-2 text-gray-400 hover:text-gray-600 rounded-lg">
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+
+        <div className="p-6 space-y-6">
+          {/* Akış */}
+          {flowIndex >= 0 && (
+            <ol className="flex items-center justify-between">
+              {FLOW.map((step, index) => (
+                <li key={step} className="flex flex-col items-center text-xs text-center flex-1">
+                  <span className={`w-7 h-7 rounded-full flex items-center justify-center mb-1 ${
+                    index <= flowIndex ? 'bg-orange-500 text-white' : 'bg-gray-200 text-gray-500'
+                  }`}>
+                    {index < flowIndex ? <Check className="w-4 h-4" /> : index + 1}
+                  </span>
+                  <span className={index === flowIndex ? 'font-medium text-gray-900' : 'text-gray-500'}>
+                    {getStatusInfo(step).label}
+                  </span>
+                </li>
+              ))}
+            </ol>
+          )}
+
+          {/* Sonraki adım */}
+          {nextStatus ? (
+            <div className="bg-gray-50 rounded-lg p-4 space-y-3">
+              {nextStatus === 'Invoiced' && (
+                <div>
+                  <label className="block text-xs text-gray-500 mb-1">Fatura Numarası</label>
+                  <input
+                    type="text"
+                    value={details.invoiceNumber}
+                    onChange={(e) => setDetails({ ...details, invoiceNumber: e.target.value })}
+                    className="w-full border border-gray-300 rounded-lg px-3 py-2 text-sm"
+                  />
+                </div>
+              )}
+              {nextStatus === 'Shipped' && pendingShipment && (
+                <p className="text-sm text-yellow-800 bg-yellow-50 rounded-lg px-3 py-2">
+                  Kargo kaydı oluşturuldu ({pendingShipment.providerName || 'kargo'}, takip no {pendingShipment.trackingNumber}),
+                  ancak durum henüz güncellenmedi. Tekrar denediğinizde yalnızca durum güncellenir.
+                </p>
+              )}
+              {nextStatus === 'Shipped' && !pendingShipment && (
+                <>
+                  <div>
+                    <label className="block text-xs text-gray-500 mb-1">Kargo Firması</label>
+                    <select
+                      value={details.providerId}
+                      onChange={(e) => setDetails({ ...details, providerId: e.target.value })}
+                      className="w-full border border-gray-300 rounded-lg px-3 py-2 text-sm"
+                    >
+                      <option value="">Seçin</option>
+                      {providers.map((provider) => (
+                        <option key={provider.id} value={String(provider.id)}>{provider.name}</option>
+                      ))}
+                    </select>
+                  </div>
+                  <div>
+                    <label className="block text-xs text-gray-500 mb-1">Takip Numarası</label>
+                    <input
+                      type="text"
+                      value={details.trackingNumber}
+                      onChange={(e) => setDetails({ ...details, trackingNumber: e.target.value })}
+                      className="w-full border border-gray-300 rounded-lg px-3 py-2 text-sm"
+                    />
+                  </div>
+                </>
+              )}
+              <button
+                onClick={handleTransition}
+                disabled={submitting}
+                className="w-full flex items-center justify-center space-x-2 px-4 py-2 bg-orange-500 text-white rounded-lg hover:bg-orange-600 disabled:opacity-50"
+              >
+                {submitting ? (
+                  <RefreshCw className="w-4 h-4 animate-spin" />
+                ) : nextStatus === 'Shipped' ? (
+                  <Truck className="w-4 h-4" />
+                ) : (
+                  <Check className="w-4 h-4" />
+                )}
+                <span>{TRANSITION_LABELS[nextStatus]}</span>
+              </button>
+            </div>
+          ) : (
+            <p className="text-sm text-gray-500">Bu sipariş için panelden yapılabilecek bir işlem yok.</p>
+          )}
+
+          {/* Bilgiler */}
+          <dl className="grid grid-cols-2 gap-3 text-sm">
+            <dt className="text-gray-500">Müşteri</dt>
+            <dd className="text-gray-900 text-right">{customer || '-'}</dd>
+            <dt className="text-gray-500">Tutar</dt>
+            <dd className="text-gray-900 text-right">{formatCurrency(order.totalPrice)}</dd>
+            <dt className="text-gray-500">Kargo</dt>
+            <dd className="text-gray-900 text-right">{order.cargoProviderName || '-'}</dd>
+            <dt className="text-gray-500">Takip No</dt>
+            <dd className="text-gray-900 text-right">{order.cargoTrackingNumber || '-'}</dd>
+            {order.invoiceNumber && (
+              <>
+                <dt className="text-gray-500">Fatura No</dt>
+                <dd className="text-gray-900 text-right">{order.invoiceNumber}</dd>
+              </>
+            )}
+          </dl>
+
+          {/* Satırlar */}
+          <div>
+            <h3 className="text-sm font-medium text-gray-700 mb-2">Ürünler</h3>
+            <div className="divide-y divide-gray-200 border border-gray-200 rounded-lg">
+              {(order.lines || []).map((line) => (
+                <div key={line.id || line.barcode} className="p-3 flex justify-between text-sm">
+                  <div>
+                    <p className="text-gray-900">{line.productName}</p>
+                    <p className="text-xs text-gray-500">{line.barcode} · {line.quantity} adet</p>
+                  </div>
+                  <span className="text-gray-900">{formatCurrency(line.amount ?? line.price)}</span>
+                </div>
+              ))}
+            </div>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default OrderDrawer;
@@ -0,0 +1,468 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import {
+  ArrowLeft,
+  RefreshCw,
+  ChevronDown,
+  ChevronRight,
+  AlertTriangle,
+  TrendingUp,
+  TrendingDown,
+  ShoppingCart,
+  DollarSign,
+  X
+} from 'lucide-react';
+import { useNavigate } from 'react-router-dom';
+import toast from 'react-hot-toast';
+import { useAuth } from '../../contexts/AuthContext';
+import orderProfitService, {
+  summarizeOrders,
+  groupByDay,
+  groupByProduct
+} from '../../services/orderProfitService';
+import { DEFAULT_COMMISSION_RATE } from '../../config/commissionRates';
+import SyncStatus from './SyncStatus';
+
+const VIEWS = [
+  { key: 'orders', label: 'Sipariş' },
+  { key: 'days', label: 'Gün' },
+  { key: 'products', label: 'Ürün' }
+];
+
+// Satır dökümünde gösterilen kalemler
+const LINE_BREAKDOWN = [
+  { key: 'revenue', label: 'Gelir' },
+  { key: 'commission', label: 'Komisyon', negative: true },
+  { key: 'commissionVat', label: 'Komisyon KDV', negative: true },
+  { key: 'serviceFee', label: 'Hizmet Bedeli', negative: true },
+  { key: 'cargo', label: 'Kargo', negative: true },
+  { key: 'productCost', label: 'Ürün Maliyeti', negative: true },
+  { key: 'packagingCost', label: 'Paketleme', negative: true },
+  { key: 'laborCost', label: 'İşçilik', negative: true },
+  { key: 'payableVat', label: 'Ödenecek KDV', negative: true }
+];
+
+const toInputDate = (date) => date.toISOString().split('T')[0];
+
+function OrderProfitability() {
+  const { currentUser } = useAuth();
+  const navigate = useNavigate();
+  const [range, setRange] = useState(() => {
+    const end = new Date();
+    const start = new Date();
+    start.setDate(start.getDate() - 30);
+    return { start: toInputDate(start), end: toInputDate(end) };
+  });
+  const [defaultCommission, setDefaultCommission] = useState(String(DEFAULT_COMMISSION_RATE));
+  const [data, setData] = useState({ orders: [], excluded: 0, syncedAt: null, offline: false });
+  const [loading, setLoading] = useState(false);
+  const [view, setView] = useState('orders');
+  const [filter, setFilter] = useState(null);
+  const [expanded, setExpanded] = useState(null);
+
+  const loadData = async () => {
+    setLoading(true);
+    try {
+      const startDate = new Date(`${range.start}T00:00:00`).getTime();
+      const endDate = new Date(`${range.end}T23:59:59`).getTime();
+      const result = await orderProfitService.loadReconciliation(currentUser.uid, {
+        startDate,
+        endDate,
+        defaultCommissionRate: parseFloat(defaultCommission) || DEFAULT_COMMISSION_RATE
+      });
+      setData(result);
+      setFilter(null);
+      setExpanded(null);
+      if (result.offline) {
+        toast('Trendyol\'a ulaşılamadı, yerel veriler gösteriliyor', { icon: '⚠️' });
+      }
+    } catch (error) {
+      console.error('Sipariş kârlılığı yüklenemedi:', error);
+      toast.error(error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    if (currentUser) loadData();
+  }, [currentUser]);
+
+  // Gün veya ürün satırından sipariş listesine inildiğinde uygulanan filtre
+  const visibleOrders = useMemo(() => {
+    if (!filter) return data.orders;
+    if (filter.type === 'day') {
+      return data.orders.filter((order) => order.dayKey === filter.value);
+    }
+    return data.orders.filter((order) =>
+      order.lines.some((line) => (line.barcode || line.merchantSku || line.productName) === filter.value)
+    );
+  }, [data.orders, filter]);
+
+  const summary = useMemo(() => summarizeOrders(visibleOrders), [visibleOrders]);
+  const days = useMemo(() => groupByDay(data.orders), [data.orders]);
+  const products = useMemo(() => groupByProduct(data.orders), [data.orders]);
+
+  const drillDown = (type, value, label) => {
+    setFilter({ type, value, label });
+    setView('orders');
+    setExpanded(null);
+  };
+
+  const formatCurrency = (amount) => {
+    return new Intl.NumberFormat('tr-TR', {
+      style: 'currency',
+      currency: 'TRY'
+    }).format(amount || 0);
+  };
+
+  const formatDate = (value) => {
+    return new Date(value).toLocaleDateString('tr-TR');
+  };
+
+  const profitClass = (value) => (value >= 0 ? 'text-green-600' : 'text-red-600');
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      {/* Header */}
+      <div className="bg-white border-b border-gray-200 px-6 py-4">
+        <div className="flex flex-wrap items-center justify-between gap-4">
+          <div className="flex items-center space-x-4">
+            <button
+              onClick={() => navigate('/panel')}
+              className="p-2 text-gray-600 hover:text-gray-900 hover:bg-gray-100 rounded-lg"
+            >
+              <ArrowLeft className="w-5 h-5" />
+            </button>
+            <div>
+              <h1 className="text-2xl font-bold text-gray-900">Sipariş Kârlılığı</h1>
+              <p className="text-gray-600">
+                Komisyon, hizmet bedeli, kargo ve ürün maliyetleri düşülmüş gerçek net kâr
+              </p>
+              <div className="mt-1">
+                <SyncStatus syncedAt={data.syncedAt} offline={data.offline} syncing={loading} />
+              </div>
+            </div>
+          </div>
+          <div className="flex flex-wrap items-end gap-3">
+            <div>
+              <label className="block text-xs text-gray-500 mb-1">Başlangıç</label>
+              <input
+                type="date"
+                value={range.start}
+                onChange={(e) => setRange({ ...range, start: e.target.value })}
+                className="border border-gray-300 rounded-lg px-3 py-2 text-sm"
+              />
+            </div>
+            <div>
+              <label className="block text-xs text-gray-500 mb-1">Bitiş</label>
+              <input
+                type="date"
+                value={range.end}
+                onChange={(e) => setRange({ ...range, end: e.target.value })}
+                className="border border-gray-300 rounded-lg px-3 py-2 text-sm"
+              />
+            </div>
+            <div>
+              <label className="block text-xs text-gray-500 mb-1">Varsayılan Komisyon (%)</label>
+              <input
+                type="number"
+                value={defaultCommission}
+                onChange={(e) => setDefaultCommission(e.target.value)}
+                title="Siparişte komisyon oranı yoksa kullanılır"
+                className="w-28 border border-gray-300 rounded-lg px-3 py-2 text-sm"
+              />
+            </div>
+            <button
+              onClick={loadData}
+              disabled={loading}
+              className="flex items-center space-x-2 px-4 py-2 bg-orange-500 text-white rounded-lg hover:bg-orange-600 disabled:opacity-50"
+            >
+              <RefreshCw className={`w-4 h-4 ${loading ? 'animate-spin' : ''}`} />
+              <span>Hesapla</span>
+            </button>
+          </div>
+        </div>
+      </div>
+
+      <div className="p-6 space-y-6">
+        {/* Özet */}
+        <div className="grid grid-cols-1 md:grid-cols-4 gap-6">
+          <div className="bg-white rounded-lg shadow p-6">
+            <div className="flex items-center justify-between">
+              <div>
+                <p className="text-sm font-medium text-gray-600">Sipariş</p>
+                <p className="text-2xl font-bold text-gray-900">{summary.orderCount}</p>
+              </div>
+              <ShoppingCart className="w-8 h-8 text-blue-500" />
+            </div>
+            {data.excluded > 0 && (
+              <p className="text-xs text-gray-500 mt-2">
+                {data.excluded} iptal/iade sipariş hariç
+              </p>
+            )}
+          </div>
+          <div className="bg-white rounded-lg shadow p-6">
+            <div className="flex items-center justify-between">
+              <div>
+                <p className="text-sm font-medium text-gray-600">Gelir</p>
+                <p className="text-2xl font-bold text-gray-900">{formatCurrency(summary.revenue)}</p>
+              </div>
+              <DollarSign className="w-8 h-8 text-green-500" />
+            </div>
+          </div>
+          <div className="bg-white rounded-lg shadow p-6">
+            <div className="flex items-center justify-between">
+              <div>
+                <p className="text-sm font-medium text-gray-600">Net Kâr</p>
+                <p className={`text-2xl font-bold ${profitClass(summary.profit)}`}>
+                  {formatCurrency(summary.profit)}
+                </p>
+              </div>
+              {summary.profit >= 0 ? (
+                <TrendingUp className="w-8 h-8 text-green-500" />
+              ) : (
+                <TrendingDown className="w-8 h-8 text-red-500" />
+              )}
+            </div>
+            <p className="text-xs text-gray-500 mt-2">Marj: %{summary.margin.toFixed(2)}</p>
+          </div>
+          <div className="bg-white rounded-lg shadow p-6">
+            <div className="flex items-center justify-between">
+              <div>
+                <p className="text-sm font-medium text-gray-600">Eksik Veri</p>
+                <p className="text-2xl font-bold text-yellow-600">
+                  {summary.missingCostCount + summary.missingCargoCount}
+                </p>
+              </div>
+              <AlertTriangle className="w-8 h-8 text-yellow-500" />
+            </div>
+            <p className="text-xs text-gray-500 mt-2">
+              {summary.missingCostCount} siparişte maliyet, {summary.missingCargoCount} siparişte desi yok
+            </p>
+          </div>
+        </div>
+
+        <div className="bg-white rounded-lg shadow">
+          <div className="p-6 border-b border-gray-200 flex flex-wrap items-center justify-between gap-4">
+            <div className="flex bg-gray-100 rounded-lg p-1">
+              {VIEWS.map((item) => (
+                <button
+                  key={item.key}
+                  onClick={() => setView(item.key)}
+                  className={`px-4 py-2 rounded-md text-sm font-medium ${
+                    view === item.key ? 'bg-white text-orange-600 shadow' : 'text-gray-600'
+                  }`}
+                >
+                  {item.label}
+                </button>
+              ))}
+            </div>
+            {filter && view === 'orders' && (
+              <span className="flex items-center bg-orange-50 text-orange-700 px-3 py-1 rounded-full text-sm">
+                {filter.label}
+                <button onClick={() => setFilter(null)} className="ml-2 hover:text-orange-900">
+                  <X className="w-4 h-4" />
+                </button>
+              </span>
+            )}
+          </div>
+
+          {loading ? (
+            <div className="flex items-center justify-center py-12">
+              <RefreshCw className="w-6 h-6 animate-spin text-gray-400" />
+            </div>
+          ) : data.orders.length === 0 ? (
+            <div className="text-center py-12 text-gray-500">Bu tarih aralığında sipariş yok</div>
+          ) : (
+            <div className="overflow-x-auto">
+              {view === 'orders' && (
+                <table className="min-w-full divide-y divide-gray-200">
+                  <thead className="bg-gray-50">
+                    <tr>
+                      <th className="px-6 py-3"></th>
+                      <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Sipariş</th>
+                      <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Tarih</th>
+                      <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase">Gelir</th>
+                      <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase">Kesinti + Gider</th>
+                      <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase">Net Kâr</th>
+                      <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase">Marj</th>
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y divide-gray-200">
+                    {visibleOrders.map((order) => (
+                      <React.Fragment key={order.id}>
+                        <tr
+                          onClick={() => setExpanded(expanded === order.id ? null : order.id)}
+                          className="hover:bg-gray-50 cursor-pointer"
+                        >
+                          <td className="px-6 py-4 text-gray-400">
+                            {expanded === order.id ? <ChevronDown className="w-4 h-4" /> : <ChevronRight className="w-4 h-4" />}
+                          </td>
+                          <td className="px-6 py-4">
+                            <p className="font-medium text-gray-900">#{order.orderNumber}</p>
+                            <p className="text-sm text-gray-500 flex items-center">
+                              {order.lines.length} kalem · {order.cargoProvider || 'Kargo bilinmiyor'}
+                              {(order.missingCost || order.missingCargo) && (
+                                <AlertTriangle
+                                  className="w-4 h-4 ml-2 text-yellow-500"
+                                  title={order.missingCost ? 'Maliyet eksik' : 'Desi bilgisi eksik'}
+                                />
+                              )}
+                            </p>
+                          </td>
+                          <td className="px-6 py-4 text-sm text-gray-600">{formatDate(order.orderDate)}</td>
+                          <td className="px-6 py-4 text-right text-gray-900">{formatCurrency(order.totals.revenue)}</td>
+                          <td className="px-6 py-4 text-right text-red-600">
+                            -{formatCurrency(order.totals.revenue - order.totals.profit)}
+                          </td>
+                          <td className={`px-6 py-4 text-right font-semibold ${profitClass(order.totals.profit)}`}>
+                            {formatCurrency(order.totals.profit)}
+                          </td>
+                          <td className="px-6 py-4 text-right text-gray-600">%{order.totals.margin.toFixed(1)}</td>
+                        </tr>
+                        {expanded === order.id && (
+                          <tr>
+                            <td colSpan={7} className="px-6 py-4 bg-gray-50">
+                              <table className="min-w-full text-sm">
+                                <thead>
+                                  <tr className="text-gray-500">
+                                    <th className="py-1 text-left font-medium">Kalem</th>
+                                    {order.lines.map((line, index) => (
+                                      <th key={index} className="py-1 px-3 text-right font-medium">
+                                        <span className="block text-gray-900 truncate max-w-xs">{line.productName}</span>
+                                        <span className="block text-xs font-normal">
+                                          {line.quantity} adet · %{line.commissionRate} komisyon
+                                          {line.commissionSource === 'default' && ' (varsayılan)'}
+                                        </span>
+                                        {line.missingCost && (
+                                          <span className="block text-xs font-normal text-yellow-600">
+                                            Katalogda maliyet yok
+                                          </span>
+                                        )}
+                                      </th>
+                                    ))}
+                                  </tr>
+                                </thead>
+                                <tbody>
+                                  {LINE_BREAKDOWN.map((item) => (
+                                    <tr key={item.key} className="border-t border-gray-200">
+                                      <td className="py-1 text-gray-600">{item.label}</td>
+                                      {order.lines.map((line, index) => (
+                                        <td
+                                          key={index}
+                                          className={`py-1 px-3 text-right ${item.negative ? 'text-red-600' : 'text-gray-900'}`}
+                                        >
+                                          {item.negative ? '-' : ''}
+                                          {formatCurrency(line[item.key])}
+                                        </td>
+                                      ))}
+                                    </tr>
+                                  ))}
+                                  <tr className="border-t-2 border-gray-300 font-semibold">
+                                    <td className="py-2 text-gray-900">Net Kâr</td>
+                                    {order.lines.map((line, index) => (
+                                      <td key={index} className={`py-2 px-3 text-right ${profitClass(line.profit)}`}>
+                                        {formatCurrency(line.profit)}
+                                      </td>
+                                    ))}
+                                  </tr>
+                                </tbody>
+                              </table>
+                            </td>
+                          </tr>
+                        )}
+                      </React.Fragment>
+                    ))}
+                  </tbody>
+                </table>
+              )}
+
+              {view === 'days' && (
+                <table className="min-w-full divide-y divide-gray-200">
+                  <thead className="bg-gray-50">
+                    <tr>
+                      <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Gün</th>
+                      <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase">Sipariş</th>
+                      <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase">Gelir</th>
+                      <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase">Komisyon</th>
+                      <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase">Kargo</th>
+                      <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase">Net Kâr</th>
+                      <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase">Marj</th>
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y divide-gray-200">
+                    {days.map((day) => (
+                      <tr
+                        key={day.dayKey}
+                        onClick={() => drillDown('day', day.dayKey, formatDate(`${day.dayKey}T00:00:00`))}
+                        className="hover:bg-gray-50 cursor-pointer"
+                      >
+                        <td className="px-6 py-4 font-medium text-gray-900">{formatDate(`${day.dayKey}T00:00:00`)}</td>
+                        <td className="px-6 py-4 text-right text-gray-600">{day.orderCount}</td>
+                        <td className="px-6 py-4 text-right text-gray-900">{formatCurrency(day.revenue)}</td>
+                        <td className="px-6 py-4 text-right text-red-600">-{formatCurrency(day.commission + day.commissionVat)}</td>
+                        <td className="px-6 py-4 text-right text-red-600">-{formatCurrency(day.cargo)}</td>
+                        <td className={`px-6 py-4 text-right font-semibold ${profitClass(day.profit)}`}>
+                          {formatCurrency(day.profit)}
+                        </td>
+                        <td className="px-6 py-4 text-right text-gray-600">%{day.margin.toFixed(1)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              )}
+
+              {view === 'products' && (
+                <table className="min-w-full divide-y divide-gray-200">
+                  <thead className="bg-gray-50">
+                    <tr>
+                      <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Ürün</th>
+                      <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase">Adet</th>
+                      <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase">Gelir</th>
+                      <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase">Maliyet</th>
+                      <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase">Net Kâr</th>
+                      <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase">Marj</th>
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y divide-gray-200">
+                    {products.map((product) => (
+                      <tr
+                        key={product.key}
+                        onClick={() => drillDown('product', product.key, product.productName)}
+                        className="hover:bg-gray-50 cursor-pointer"
+                      >
+                        <td className="px-6 py-4">
+                          <p className="font-medium text-gray-900">{product.productName}</p>
+                          <p className="text-sm text-gray-500 flex items-center">
+                            {product.barcode}
+                            {product.missingCost && (
+                              <span className="ml-2 text-yellow-600 flex items-center">
+                                <AlertTriangle className="w-3 h-3 mr-1" />
+                                maliyet yok
+                              </span>
+                            )}
+                          </p>
+                        </td>
+                        <td className="px-6 py-4 text-right text-gray-600">{product.quantity}</td>
+                        <td className="px-6 py-4 text-right text-gray-900">{formatCurrency(product.revenue)}</td>
+                        <td className="px-6 py-4 text-right text-red-600">
+                          -{formatCurrency(product.productCost + product.packagingCost + product.laborCost)}
+                        </td>
+                        <td className={`px-6 py-4 text-right font-semibold ${profitClass(product.profit)}`}>
+                          {formatCurrency(product.profit)}
+                        </td>
+                        <td className="px-6 py-4 text-right text-gray-600">%{product.margin.toFixed(1)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              )}
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default OrderProfitability;
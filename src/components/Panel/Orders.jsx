@@ -0,0 +1,427 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import {
+  ArrowLeft,
+  RefreshCw,
+  Search,
+  X,
+  AlertTriangle
+} from 'lucide-react';
+import { useNavigate } from 'react-router-dom';
+import toast from 'react-hot-toast';
+import trendyolService from '../../services/trendyolService';
+import localCacheService from '../../services/localCacheService';
+import orderFulfilmentService, {
+  STATUS_TRANSITIONS,
+  TRANSITION_LABELS,
+  getStatusInfo,
+  normalizeStatus,
+  canTransition
+} from '../../services/orderFulfilmentService';
+import OrderDrawer from './OrderDrawer';
+
+const FILTERS = [
+  { key: 'all', label: 'Tümü' },
+  ...Object.keys(STATUS_TRANSITIONS).map((status) => ({ key: status, label: getStatusInfo(status).label }))
+];
+
+const BULK_TARGETS = Object.values(STATUS_TRANSITIONS).flat();
+
+const PAGE_SIZE = 100;
+
+function Orders() {
+  const navigate = useNavigate();
+  const [orders, setOrders] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [search, setSearch] = useState('');
+  const [filter, setFilter] = useState('all');
+  const [visibleCount, setVisibleCount] = useState(PAGE_SIZE);
+  const [selected, setSelected] = useState(new Set());
+  const [activeOrder, setActiveOrder] = useState(null);
+  // Toplu işlem: hedef durum, sipariş başına fatura/takip no ve ortak kargo firması
+  const [bulkTarget, setBulkTarget] = useState(null);
+  const [bulkDetails, setBulkDetails] = useState({});
+  const [bulkProviderId, setBulkProviderId] = useState('');
+  const [bulkErrors, setBulkErrors] = useState({});
+  const [providers, setProviders] = useState([]);
+  const [submitting, setSubmitting] = useState(false);
+
+  const loadOrders = async () => {
+    if (!(await trendyolService.ensureCredentials())) {
+      toast.error('Siparişler için önce Trendyol entegrasyonunu tamamlayın');
+      navigate('/entegrasyon');
+      return;
+    }
+
+    setLoading(true);
+    try {
+      if (localCacheService.isSupported()) {
+        await localCacheService.sync().catch((error) => console.warn('Siparişler senkronize edilemedi:', error));
+        setOrders(await localCacheService.getOrders());
+      } else {
+        const response = await trendyolService.getOrders(0, 200);
+        setOrders(response.content || []);
+      }
+    } catch (error) {
+      console.error('Siparişler yüklenemedi:', error);
+      toast.error(error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadOrders();
+  }, []);
+
+  useEffect(() => {
+    if (bulkTarget !== 'Shipped') return;
+    orderFulfilmentService
+      .getShipmentProviders()
+      .then((list) => setProviders(list || []))
+      .catch((error) => toast.error(`Kargo firmaları yüklenemedi: ${error.message}`));
+  }, [bulkTarget]);
+
+  const filteredOrders = useMemo(() => {
+    const term = search.trim().toLocaleLowerCase('tr-TR');
+    return orders.filter((order) => {
+      if (filter !== 'all' && normalizeStatus(order.status) !== filter) return false;
+      if (!term) return true;
+      const customer = `${order.customerFirstName || ''} ${order.customerLastName || ''}`;
+      return [String(order.orderNumber || ''), String(order.id), customer]
+        .some((value) => value.toLocaleLowerCase('tr-TR').includes(term));
+    });
+  }, [orders, search, filter]);
+
+  const visibleOrders = filteredOrders.slice(0, visibleCount);
+  const allVisibleSelected = visibleOrders.length > 0 && visibleOrders.every((order) => selected.has(order.id));
+  const selectedOrders = orders.filter((order) => selected.has(order.id));
+
+  const toggleSelected = (id) => {
+    setSelected((current) => {
+      const next = new Set(current);
+      if (next.has(id)) next.delete(id);
+      else next.add(id);
+      return next;
+    });
+  };
+
+  const toggleAllVisible = () => {
+    setSelected((current) => {
+      const next = new Set(current);
+      visibleOrders.forEach((order) => {
+        if (allVisibleSelected) next.delete(order.id);
+        else next.add(order.id);
+      });
+      return next;
+    });
+  };
+
+  const replaceOrders = (updatedOrders) => {
+    const byId = new Map(updatedOrders.map((order) => [order.id, order]));
+    setOrders((current) => current.map((order) => byId.get(order.id) || order));
+  };
+
+  const openBulk = (target) => {
+    setBulkTarget(target);
+    setBulkDetails({});
+    setBulkErrors({});
+  };
+
+  const bulkDetailsFor = (order) => {
+    const value = bulkDetails[order.id] || '';
+    if (bulkTarget === 'Invoiced') return { invoiceNumber: value };
+    const provider = providers.find((item) => String(item.id) === bulkProviderId);
+    return { trackingNumber: value, providerId: bulkProviderId, providerName: provider?.name };
+  };
+
+  // Geçişi kurallara uymayanlar (ör. hâlâ "Oluşturuldu" olan siparişi kargoya vermek) baştan ayrılır
+  const illegalOrders = bulkTarget
+    ? selectedOrders.filter((order) => !canTransition(order.status, bulkTarget))
+    : [];
+  const eligibleOrders = selectedOrders.filter((order) => !illegalOrders.includes(order));
+
+  const handleBulkSubmit = async () => {
+    setSubmitting(true);
+    try {
+      const { updated, failed } = await orderFulfilmentService.bulkTransition(eligibleOrders, bulkTarget, bulkDetailsFor);
+      // Kargo kaydı oluşup durumu güncellenemeyenler de kayıtla birlikte güncellenir
+      replaceOrders([...updated, ...failed.map(({ order }) => order)]);
+      setBulkErrors(Object.fromEntries(failed.map(({ order, error }) => [order.id, error])));
+
+      if (updated.length) {
+        toast.success(`${updated.length} sipariş "${getStatusInfo(bulkTarget).label}" durumuna geçti`);
+      }
+      if (failed.length) {
+        toast.error(`${failed.length} sipariş güncellenemedi`);
+        setSelected(new Set(failed.map(({ order }) => order.id)));
+      } else {
+        setSelected(new Set());
+        setBulkTarget(null);
+      }
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const formatCurrency = (amount) => {
+    return new Intl.NumberFormat('tr-TR', {
+      style: 'currency',
+      currency: 'TRY'
+    }).format(amount || 0);
+  };
+
+  const formatDate = (value) => {
+    return value ? new Date(value).toLocaleDateString('tr-TR') : '-';
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      {/* Header */}
+      <div className="bg-white border-b border-gray-200 px-6 py-4">
+        <div className="flex flex-wrap items-center justify-between gap-4">
+          <div className="flex items-center space-x-4">
+            <button
+              onClick={() => navigate('/panel')}
+              className="p-2 text-gray-600 hover:text-gray-900 hover:bg-gray-100 rounded-lg"
+            >
+              <ArrowLeft className="w-5 h-5" />
+            </button>
+            <div>
+              <h1 className="text-2xl font-bold text-gray-900">Siparişler</h1>
+              <p className="text-gray-600">Siparişleri hazırlayın, faturalayın ve kargoya verin</p>
+            </div>
+          </div>
+          <button
+            onClick={loadOrders}
+            disabled={loading}
+            className="flex items-center space-x-2 px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 disabled:opacity-50"
+          >
+            <RefreshCw className={`w-4 h-4 ${loading ? 'animate-spin' : ''}`} />
+            <span>Yenile</span>
+          </button>
+        </div>
+      </div>
+
+      <div className="p-6">
+        <div className="bg-white rounded-lg shadow">
+          <div className="p-6 border-b border-gray-200 flex flex-wrap items-center justify-between gap-4">
+            <div className="flex flex-wrap items-center gap-4">
+              <div className="relative">
+                <Search className="w-4 h-4 text-gray-400 absolute left-3 top-1/2 -translate-y-1/2" />
+                <input
+                  type="text"
+                  value={search}
+                  onChange={(e) => {
+                    setSearch(e.target.value);
+                    setVisibleCount(PAGE_SIZE);
+                  }}
+                  placeholder="Sipariş no veya müşteri"
+                  className="pl-9 border border-gray-300 rounded-lg px-3 py-2 text-sm w-64"
+                />
+              </div>
+              <div className="flex bg-gray-100 rounded-lg p-1">
+                {FILTERS.map((item) => (
+                  <button
+                    key={item.key}
+                    onClick={() => {
+                      setFilter(item.key);
+                      setVisibleCount(PAGE_SIZE);
+                    }}
+                    className={`px-3 py-1 rounded-md text-sm font-medium ${
+                      filter === item.key ? 'bg-white text-orange-600 shadow' : 'text-gray-600'
+                    }`}
+                  >
+                    {item.label}
+                  </button>
+                ))}
+              </div>
+            </div>
+            {selected.size > 0 && (
+              <div className="flex flex-wrap items-center gap-2">
+                <span className="text-sm text-gray-600">{selected.size} sipariş seçili</span>
+                {BULK_TARGETS.map((target) => (
+                  <button
+                    key={target}
+                    onClick={() => openBulk(target)}
+                    className="px-3 py-2 text-sm border border-orange-500 text-orange-600 rounded-lg hover:bg-orange-50"
+                  >
+                    {TRANSITION_LABELS[target]}
+                  </button>
+                ))}
+              </div>
+            )}
+          </div>
+
+          {loading && orders.length === 0 ? (
+            <div className="flex items-center justify-center py-12">
+              <RefreshCw className="w-6 h-6 animate-spin text-gray-400" />
+            </div>
+          ) : filteredOrders.length === 0 ? (
+            <div className="text-center py-12 text-gray-500">Sipariş bulunamadı</div>
+          ) : (
+            <div className="overflow-x-auto">
+              <table className="min-w-full divide-y divide-gray-200">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th className="px-6 py-3">
+                      <input type="checkbox" checked={allVisibleSelected} onChange={toggleAllVisible} />
+                    </th>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Sipariş</th>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Müşteri</th>
+                    <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase">Tutar</th>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Kargo</th>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Durum</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-200">
+                  {visibleOrders.map((order) => {
+                    const statusInfo = getStatusInfo(order.status);
+                    return (
+                      <tr key={order.id} className="hover:bg-gray-50 cursor-pointer" onClick={() => setActiveOrder(order)}>
+                        <td className="px-6 py-4 text-center" onClick={(e) => e.stopPropagation()}>
+                          <input
+                            type="checkbox"
+                            checked={selected.has(order.id)}
+                            onChange={() => toggleSelected(order.id)}
+                          />
+                        </td>
+                        <td className="px-6 py-4">
+                          <p className="font-medium text-gray-900">#{order.orderNumber || order.id}</p>
+                          <p className="text-sm text-gray-500">{formatDate(order.orderDate)}</p>
+                        </td>
+                        <td className="px-6 py-4 text-sm text-gray-900">
+                          {[order.customerFirstName, order.customerLastName].filter(Boolean).join(' ') || '-'}
+                        </td>
+                        <td className="px-6 py-4 text-right text-gray-900">{formatCurrency(order.totalPrice)}</td>
+                        <td className="px-6 py-4 text-sm text-gray-600">
+                          {order.cargoProviderName || '-'}
+                          {order.cargoTrackingNumber && (
+                            <span className="block text-xs text-gray-500">{order.cargoTrackingNumber}</span>
+                          )}
+                        </td>
+                        <td className="px-6 py-4">
+                          <span className={`inline-flex px-2 py-1 text-xs font-medium rounded-full ${statusInfo.color}`}>
+                            {statusInfo.label}
+                          </span>
+                        </td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+              {filteredOrders.length > visibleCount && (
+                <div className="p-4 text-center border-t border-gray-200">
+                  <button
+                    onClick={() => setVisibleCount(visibleCount + PAGE_SIZE)}
+                    className="text-sm text-orange-600 hover:text-orange-700 font-medium"
+                  >
+                    Daha fazla göster ({filteredOrders.length - visibleCount} sipariş daha)
+                  </button>
+                </div>
+              )}
+            </div>
+          )}
+        </div>
+      </div>
+
+      {activeOrder && (
+        <OrderDrawer
+          order={activeOrder}
+          onClose={() => setActiveOrder(null)}
+          onUpdated={(updated) => {
+            replaceOrders([updated]);
+            setActiveOrder(updated);
+          }}
+        />
+      )}
+
+      {/* Toplu işlem */}
+      {bulkTarget && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+          <div className="bg-white rounded-lg shadow-xl w-full max-w-2xl max-h-[80vh] flex flex-col">
+            <div className="p-6 border-b border-gray-200 flex items-center justify-between">
+              <div>
+                <h2 className="text-lg font-semibold text-gray-900">{TRANSITION_LABELS[bulkTarget]}</h2>
+                <p className="text-sm text-gray-600">{eligibleOrders.length} sipariş güncellenecek</p>
+              </div>
+              <button onClick={() => setBulkTarget(null)} className="text-gray-400 hover:text-gray-600">
+                <X className="w-5 h-5" />
+              </button>
+            </div>
+
+            <div className="overflow-y-auto flex-1 p-6 space-y-4">
+              {illegalOrders.length > 0 && (
+                <div className="flex items-start text-sm text-yellow-800 bg-yellow-50 rounded-lg px-4 py-3">
+                  <AlertTriangle className="w-4 h-4 mr-2 mt-0.5 flex-shrink-0" />
+                  <span>
+                    {illegalOrders.length} sipariş bu adıma geçemez ve gönderilmeyecek:{' '}
+                    {illegalOrders.map((order) => `#${order.orderNumber || order.id} (${getStatusInfo(order.status).label})`).join(', ')}
+                  </span>
+                </div>
+              )}
+
+              {bulkTarget === 'Shipped' && (
+                <div>
+                  <label className="block text-xs text-gray-500 mb-1">Kargo Firması (tüm siparişler)</label>
+                  <select
+                    value={bulkProviderId}
+                    onChange={(e) => setBulkProviderId(e.target.value)}
+                    className="w-full border border-gray-300 rounded-lg px-3 py-2 text-sm"
+                  >
+                    <option value="">Seçin</option>
+                    {providers.map((provider) => (
+                      <option key={provider.id} value={String(provider.id)}>{provider.name}</option>
+                    ))}
+                  </select>
+                </div>
+              )}
+
+              <div className="divide-y divide-gray-200 border border-gray-200 rounded-lg">
+                {eligibleOrders.map((order) => (
+                  <div key={order.id} className="p-3 flex flex-wrap items-center justify-between gap-3 text-sm">
+                    <div>
+                      <p className="text-gray-900">#{order.orderNumber || order.id}</p>
+                      {bulkErrors[order.id] && <p className="text-xs text-red-600">{bulkErrors[order.id]}</p>}
+                    </div>
+                    {bulkTarget === 'Shipped' && order.pendingShipment ? (
+                      <span className="text-xs text-yellow-800">
+                        Kargo kaydı var (takip no {order.pendingShipment.trackingNumber}), yalnızca durum güncellenecek
+                      </span>
+                    ) : bulkTarget !== 'Picking' && (
+                      <input
+                        type="text"
+                        value={bulkDetails[order.id] || ''}
+                        onChange={(e) => setBulkDetails({ ...bulkDetails, [order.id]: e.target.value })}
+                        placeholder={bulkTarget === 'Invoiced' ? 'Fatura numarası' : 'Takip numarası'}
+                        className="border border-gray-300 rounded-lg px-3 py-2 text-sm w-56"
+                      />
+                    )}
+                  </div>
+                ))}
+              </div>
+            </div>
+
+            <div className="p-6 border-t border-gray-200 flex justify-end gap-3">
+              <button
+                onClick={() => setBulkTarget(null)}
+                className="px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50"
+              >
+                Vazgeç
+              </button>
+              <button
+                onClick={handleBulkSubmit}
+                disabled={submitting || !eligibleOrders.length}
+                className="flex items-center space-x-2 px-4 py-2 bg-orange-500 text-white rounded-lg hover:bg-orange-600 disabled:opacity-50"
+              >
+                {submitting && <RefreshCw className="w-4 h-4 animate-spin" />}
+                <span>Uygula ({eligibleOrders.length})</span>
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default Orders;
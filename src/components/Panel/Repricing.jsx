@@ -0,0 +1,377 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import {
+  ArrowLeft,
+  RefreshCw,
+  Search,
+  Send,
+  AlertTriangle,
+  Settings
+} from 'lucide-react';
+import { useNavigate } from 'react-router-dom';
+import toast from 'react-hot-toast';
+import { useAuth } from '../../contexts/AuthContext';
+import productImportService from '../../services/productImportService';
+import repricingService, { REPRICING_RULES, repriceProduct } from '../../services/repricingService';
+import batchJobService, { JOB_STATUS } from '../../services/batchJobService';
+
+const PAGE_SIZE = 100;
+
+function Repricing() {
+  const { currentUser } = useAuth();
+  const navigate = useNavigate();
+  const [candidates, setCandidates] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [search, setSearch] = useState('');
+  const [visibleCount, setVisibleCount] = useState(PAGE_SIZE);
+  const [selected, setSelected] = useState(new Set());
+  const [options, setOptions] = useState({ rule: 'targetMargin', value: '20', round99: false });
+  // Zararına veya maliyeti bilinmeden satış için ayrıca onaylanan barkodlar
+  const [confirmed, setConfirmed] = useState(new Set());
+  const [submitting, setSubmitting] = useState(false);
+
+  const loadCandidates = async () => {
+    if (!(await productImportService.isAvailable())) {
+      toast.error('Fiyatlandırma için önce Trendyol entegrasyonunu tamamlayın');
+      navigate('/entegrasyon');
+      return;
+    }
+
+    setLoading(true);
+    try {
+      setCandidates(await repricingService.loadCandidates(currentUser.uid));
+    } catch (error) {
+      console.error('Ürünler yüklenemedi:', error);
+      toast.error(error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    if (currentUser) loadCandidates();
+  }, [currentUser]);
+
+  // Kural değişince önceki onaylar geçersiz olur
+  useEffect(() => {
+    setConfirmed(new Set());
+  }, [options]);
+
+  const previews = useMemo(() => {
+    return new Map(
+      candidates
+        .filter((candidate) => selected.has(candidate.product.barcode))
+        .map((candidate) => [candidate.product.barcode, repriceProduct(candidate, options)])
+    );
+  }, [candidates, selected, options]);
+
+  const pending = [...previews.values()].filter((preview) => !preview.error && preview.changed);
+  const unconfirmed = pending.filter((preview) => preview.needsConfirmation && !confirmed.has(preview.barcode));
+  const unconfirmedLosses = unconfirmed.filter((preview) => preview.isLoss);
+  const unconfirmedMissingCost = unconfirmed.filter((preview) => !preview.isLoss);
+
+  const filteredCandidates = useMemo(() => {
+    const term = search.trim().toLocaleLowerCase('tr-TR');
+    if (!term) return candidates;
+    return candidates.filter(({ product }) =>
+      [product.title, product.barcode, product.stockCode]
+        .some((value) => value?.toLocaleLowerCase('tr-TR').includes(term))
+    );
+  }, [candidates, search]);
+
+  const visibleCandidates = filteredCandidates.slice(0, visibleCount);
+  const allVisibleSelected = visibleCandidates.length > 0
+    && visibleCandidates.every(({ product }) => selected.has(product.barcode));
+
+  const toggleSet = (setter, barcode) => {
+    setter((current) => {
+      const next = new Set(current);
+      if (next.has(barcode)) next.delete(barcode);
+      else next.add(barcode);
+      return next;
+    });
+  };
+
+  const toggleAllVisible = () => {
+    setSelected((current) => {
+      const next = new Set(current);
+      visibleCandidates.forEach(({ product }) => {
+        if (allVisibleSelected) next.delete(product.barcode);
+        else next.add(product.barcode);
+      });
+      return next;
+    });
+  };
+
+  const handleSubmit = async () => {
+    if (unconfirmed.length) {
+      toast.error('Zararına veya maliyeti bilinmeden satılacak ürünleri onaylayın ya da seçimden çıkarın');
+      return;
+    }
+
+    setSubmitting(true);
+    try {
+      const jobs = await batchJobService.submit(currentUser.uid, 'price', repricingService.toPriceUpdates(pending));
+      const failed = jobs.find((job) => job.status === JOB_STATUS.FAILED);
+      if (failed) {
+        toast.error(`Fiyat güncellemesi gönderilemedi: ${failed.error}`);
+        return;
+      }
+
+      toast.success(`${pending.length} ürünün fiyatı Trendyol'a gönderildi`);
+      setSelected(new Set());
+      navigate('/panel/toplu-islemler');
+    } catch (error) {
+      toast.error(error.message);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const formatCurrency = (amount) => {
+    return new Intl.NumberFormat('tr-TR', {
+      style: 'currency',
+      currency: 'TRY'
+    }).format(amount || 0);
+  };
+
+  const profitClass = (value) => (value >= 0 ? 'text-green-600' : 'text-red-600');
+  const activeRule = REPRICING_RULES.find((rule) => rule.key === options.rule);
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      {/* Header */}
+      <div className="bg-white border-b border-gray-200 px-6 py-4">
+        <div className="flex flex-wrap items-center justify-between gap-4">
+          <div className="flex items-center space-x-4">
+            <button
+              onClick={() => navigate('/panel')}
+              className="p-2 text-gray-600 hover:text-gray-900 hover:bg-gray-100 rounded-lg"
+            >
+              <ArrowLeft className="w-5 h-5" />
+            </button>
+            <div>
+              <h1 className="text-2xl font-bold text-gray-900">Kâr Odaklı Fiyatlandırma</h1>
+              <p className="text-gray-600">Yeni fiyatların net kâra etkisini görün, onaylayıp Trendyol'a gönderin</p>
+            </div>
+          </div>
+          <div className="flex items-center gap-3">
+            <button
+              onClick={() => navigate('/panel/fiyat-kurallari')}
+              className="flex items-center space-x-2 px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50"
+            >
+              <Settings className="w-4 h-4" />
+              <span>Otomatik Kurallar</span>
+            </button>
+            <button
+              onClick={loadCandidates}
+              disabled={loading}
+              className="flex items-center space-x-2 px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 disabled:opacity-50"
+            >
+              <RefreshCw className={`w-4 h-4 ${loading ? 'animate-spin' : ''}`} />
+              <span>Yenile</span>
+            </button>
+            <button
+              onClick={handleSubmit}
+              disabled={submitting || !pending.length || unconfirmed.length > 0}
+              className="flex items-center space-x-2 px-4 py-2 bg-orange-500 text-white rounded-lg hover:bg-orange-600 disabled:opacity-50"
+            >
+              {submitting ? <RefreshCw className="w-4 h-4 animate-spin" /> : <Send className="w-4 h-4" />}
+              <span>Fiyatları Gönder ({pending.length})</span>
+            </button>
+          </div>
+        </div>
+      </div>
+
+      <div className="p-6 space-y-6">
+        {/* Kural */}
+        <div className="bg-white rounded-lg shadow p-6">
+          <h2 className="text-lg font-semibold text-gray-900 mb-4">Fiyatlandırma Kuralı</h2>
+          <div className="flex flex-wrap items-end gap-4">
+            <div className="flex bg-gray-100 rounded-lg p-1">
+              {REPRICING_RULES.map((rule) => (
+                <button
+                  key={rule.key}
+                  onClick={() => setOptions({ ...options, rule: rule.key })}
+                  title={rule.description}
+                  className={`px-4 py-2 rounded-md text-sm font-medium ${
+                    options.rule === rule.key ? 'bg-white text-orange-600 shadow' : 'text-gray-600'
+                  }`}
+                >
+                  {rule.label}
+                </button>
+              ))}
+            </div>
+            {activeRule?.unit && (
+              <div>
+                <label className="block text-xs text-gray-500 mb-1">
+                  {activeRule.label} ({activeRule.unit})
+                </label>
+                <input
+                  type="number"
+                  value={options.value}
+                  onChange={(e) => setOptions({ ...options, value: e.target.value })}
+                  className="w-32 border border-gray-300 rounded-lg px-3 py-2 text-sm"
+                />
+              </div>
+            )}
+            {options.rule !== 'round99' && (
+              <label className="flex items-center space-x-2 text-sm text-gray-700 pb-2">
+                <input
+                  type="checkbox"
+                  checked={options.round99}
+                  onChange={(e) => setOptions({ ...options, round99: e.target.checked })}
+                />
+                <span>Sonucu ,99'a yuvarla</span>
+              </label>
+            )}
+          </div>
+          <p className="text-xs text-gray-500 mt-3">{activeRule?.description}</p>
+          {unconfirmedLosses.length > 0 && (
+            <div className="mt-4 flex items-center text-sm text-red-700 bg-red-50 rounded-lg px-4 py-3">
+              <AlertTriangle className="w-4 h-4 mr-2 flex-shrink-0" />
+              {unconfirmedLosses.length} ürün yeni fiyatla zarar ediyor. Göndermek için her birini ayrıca onaylayın
+              veya seçimden çıkarın.
+            </div>
+          )}
+          {unconfirmedMissingCost.length > 0 && (
+            <div className="mt-4 flex items-center text-sm text-yellow-800 bg-yellow-50 rounded-lg px-4 py-3">
+              <AlertTriangle className="w-4 h-4 mr-2 flex-shrink-0" />
+              {unconfirmedMissingCost.length} ürünün maliyet kaydı yok; kâr maliyetsiz hesaplandığı için zarar
+              görünmeyebilir. Göndermek için her birini ayrıca onaylayın veya seçimden çıkarın.
+            </div>
+          )}
+        </div>
+
+        {/* Ürünler ve önizleme */}
+        <div className="bg-white rounded-lg shadow">
+          <div className="p-6 border-b border-gray-200 flex flex-wrap items-center justify-between gap-4">
+            <div className="relative">
+              <Search className="w-4 h-4 text-gray-400 absolute left-3 top-1/2 -translate-y-1/2" />
+              <input
+                type="text"
+                value={search}
+                onChange={(e) => {
+                  setSearch(e.target.value);
+                  setVisibleCount(PAGE_SIZE);
+                }}
+                placeholder="Ürün adı, barkod veya stok kodu"
+                className="pl-9 border border-gray-300 rounded-lg px-3 py-2 text-sm w-72"
+              />
+            </div>
+            <span className="text-sm text-gray-600">{selected.size} ürün seçili</span>
+          </div>
+
+          {loading && candidates.length === 0 ? (
+            <div className="flex items-center justify-center py-12">
+              <RefreshCw className="w-6 h-6 animate-spin text-gray-400" />
+            </div>
+          ) : filteredCandidates.length === 0 ? (
+            <div className="text-center py-12 text-gray-500">Ürün bulunamadı</div>
+          ) : (
+            <div className="overflow-x-auto">
+              <table className="min-w-full divide-y divide-gray-200">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th className="px-6 py-3">
+                      <input type="checkbox" checked={allVisibleSelected} onChange={toggleAllVisible} />
+                    </th>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Ürün</th>
+                    <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase">Mevcut Fiyat</th>
+                    <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase">Mevcut Kâr</th>
+                    <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase">Yeni Fiyat</th>
+                    <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase">Liste Fiyatı</th>
+                    <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase">Yeni Kâr</th>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Durum</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-200">
+                  {visibleCandidates.map(({ product, missingCost, input }) => {
+                    const preview = previews.get(product.barcode);
+
+                    return (
+                      <tr key={product.barcode} className={preview?.isLoss ? 'bg-red-50' : 'hover:bg-gray-50'}>
+                        <td className="px-6 py-4 text-center">
+                          <input
+                            type="checkbox"
+                            checked={selected.has(product.barcode)}
+                            onChange={() => toggleSet(setSelected, product.barcode)}
+                          />
+                        </td>
+                        <td className="px-6 py-4">
+                          <p className="font-medium text-gray-900">{product.title}</p>
+                          <p className="text-sm text-gray-500 flex items-center">
+                            {product.barcode} · Komisyon %{input.commissionRate}
+                            {missingCost && (
+                              <AlertTriangle className="w-4 h-4 ml-2 text-yellow-500" title="Maliyet kaydı yok, kâr eksik hesaplanır" />
+                            )}
+                          </p>
+                        </td>
+                        <td className="px-6 py-4 text-right text-gray-900">{formatCurrency(product.salePrice)}</td>
+                        <td className={`px-6 py-4 text-right ${preview ? profitClass(preview.current.finalProfit) : 'text-gray-400'}`}>
+                          {preview ? formatCurrency(preview.current.finalProfit) : '-'}
+                        </td>
+                        <td className="px-6 py-4 text-right font-medium text-gray-900">
+                          {preview?.salePrice !== undefined ? formatCurrency(preview.salePrice) : '-'}
+                        </td>
+                        <td className="px-6 py-4 text-right text-gray-600">
+                          {preview?.listPrice !== undefined ? formatCurrency(preview.listPrice) : '-'}
+                        </td>
+                        <td className={`px-6 py-4 text-right font-semibold ${preview?.result ? profitClass(preview.result.finalProfit) : 'text-gray-400'}`}>
+                          {preview?.result ? (
+                            <>
+                              {formatCurrency(preview.result.finalProfit)}
+                              <span className="block text-xs font-normal">%{preview.result.profitMargin.toFixed(1)}</span>
+                            </>
+                          ) : '-'}
+                        </td>
+                        <td className="px-6 py-4 text-sm">
+                          {!preview ? null : preview.error ? (
+                            <span className="text-red-600">{preview.error}</span>
+                          ) : !preview.changed ? (
+                            <span className="text-gray-500">Değişiklik yok</span>
+                          ) : preview.isLoss ? (
+                            <label className="flex items-center space-x-2 text-red-700">
+                              <input
+                                type="checkbox"
+                                checked={confirmed.has(product.barcode)}
+                                onChange={() => toggleSet(setConfirmed, product.barcode)}
+                              />
+                              <span>Zararına satışı onayla</span>
+                            </label>
+                          ) : preview.missingCost ? (
+                            <label className="flex items-center space-x-2 text-yellow-700">
+                              <input
+                                type="checkbox"
+                                checked={confirmed.has(product.barcode)}
+                                onChange={() => toggleSet(setConfirmed, product.barcode)}
+                              />
+                              <span>Maliyetsiz fiyatı onayla</span>
+                            </label>
+                          ) : (
+                            <span className="text-green-600">Hazır</span>
+                          )}
+                        </td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+              {filteredCandidates.length > visibleCount && (
+                <div className="p-4 text-center border-t border-gray-200">
+                  <button
+                    onClick={() => setVisibleCount(visibleCount + PAGE_SIZE)}
+                    className="text-sm text-orange-600 hover:text-orange-700 font-medium"
+                  >
+                    Daha fazla göster ({filteredCandidates.length - visibleCount} ürün daha)
+                  </button>
+                </div>
+              )}
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default Repricing;
@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useMemo } from 'react';
 import { 
   BarChart3, 
   Package, 
@@ -16,12 +16,22 @@ import {
   Bell,
   Search,
   Filter,
-  MoreVertical
+  MoreVertical,
+  Layers,
+  ListChecks,
+  Boxes,
+  Tags
 } from 'lucide-react';
 import { useAuth } from '../../contexts/AuthContext';
 import trendyolService from '../../services/trendyolService';
+import costCatalogueService, { resolveCostAt } from '../../services/costCatalogueService';
+import localCacheService from '../../services/localCacheService';
 import toast from 'react-hot-toast';
 import { useNavigate } from 'react-router-dom';
+import SyncStatus from './SyncStatus';
+import OrderDrawer from './OrderDrawer';
+import { getStatusInfo } from '../../services/orderFulfilmentService';
+import { EXCLUDED_STATUSES, reconcileOrder, summarizeOrders } from '../../services/orderProfitService';
 
 function SellerPanel() {
   const { currentUser, userProfile } = useAuth();
@@ -29,12 +39,16 @@ function SellerPanel() {
   const [stats, setStats] = useState({
     totalProducts: 0,
     totalOrders: 0,
-    totalRevenue: 0,
     activeCustomers: 0
   });
+  // Gelir ve kâr hesaplanan siparişler
+  const [dashboardOrders, setDashboardOrders] = useState([]);
   const [recentOrders, setRecentOrders] = useState([]);
   const [topProducts, setTopProducts] = useState([]);
+  const [costEntries, setCostEntries] = useState([]);
+  const [syncState, setSyncState] = useState({ syncedAt: null, offline: false, syncing: false });
   const [selectedPeriod, setSelectedPeriod] = useState('7d');
+  const [activeOrder, setActiveOrder] = useState(null);
   const navigate = useNavigate();
 
   useEffect(() => {
@@ -45,29 +59,89 @@ function SellerPanel() {
     loadDashboardData();
   }, [currentUser, userProfile]);
 
+  // Panel verilerini yerel depodaki ürün ve siparişlerden hesapla
+  const applyDashboardData = (orders, products) => {
+    const customers = new Set(orders.map((order) => order.customerId ?? order.customerEmail).filter(Boolean));
+
+    setStats({
+      totalProducts: products.length,
+      totalOrders: orders.length,
+      activeCustomers: customers.size
+    });
+
+    setDashboardOrders(orders);
+    setRecentOrders(orders.slice(0, 10));
+    setTopProducts(products.slice(0, 10));
+  };
+
+  const loadCachedData = async () => {
+    const [orders, products, status] = await Promise.all([
+      localCacheService.getOrders(),
+      localCacheService.getProducts(),
+      localCacheService.getStatus()
+    ]);
+    applyDashboardData(orders, products);
+    return status;
+  };
+
+  // Önce yerel depo gösterilir, ardından yalnızca değişenler senkronize edilir
   const loadDashboardData = async () => {
     setLoading(true);
+
+    // Katalog yüklenemezse panel yine de açılsın
+    costCatalogueService
+      .listEntries(currentUser.uid)
+      .then(setCostEntries)
+      .catch((error) => console.warn('Maliyet kataloğu yüklenemedi:', error));
+
+    if (!localCacheService.isSupported()) {
+      await loadLiveData();
+      return;
+    }
+
+    let status = null;
+    try {
+      status = await loadCachedData();
+      setSyncState({ syncedAt: status.lastSyncedAt, offline: false, syncing: true });
+      if (status.lastSyncedAt) setLoading(false);
+
+      if (!localCacheService.isOnline()) {
+        throw new Error('Çevrimdışı');
+      }
+      await localCacheService.sync();
+      status = await loadCachedData();
+      setSyncState({ syncedAt: status.lastSyncedAt, offline: false, syncing: false });
+    } catch (error) {
+      console.error('Dashboard verisi senkronize edilemedi:', error);
+      setSyncState({ syncedAt: status?.lastSyncedAt || null, offline: true, syncing: false });
+      if (status?.lastSyncedAt) {
+        toast('Trendyol\'a ulaşılamadı, son senkronize edilen veriler gösteriliyor', { icon: '⚠️' });
+      } else {
+        toast.error('Veriler yüklenirken hata oluştu');
+      }
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Tarayıcı IndexedDB desteklemiyorsa son kayıtlar canlı çekilir
+  const loadLiveData = async () => {
     try {
-      // Paralel olarak verileri yükle
       const [orders, products] = await Promise.all([
         trendyolService.getOrders(0, 10),
         trendyolService.getProducts(0, 10)
       ]);
 
-      // İstatistikleri hesapla
-      const totalRevenue = orders.content?.reduce((sum, order) => 
-        sum + (order.totalPrice || 0), 0) || 0;
-
       setStats({
         totalProducts: products.totalElements || 0,
         totalOrders: orders.totalElements || 0,
-        totalRevenue: totalRevenue,
         activeCustomers: orders.content?.length || 0
       });
 
+      setDashboardOrders(orders.content || []);
       setRecentOrders(orders.content || []);
       setTopProducts(products.content || []);
-
+      setSyncState({ syncedAt: Date.now(), offline: false, syncing: false });
     } catch (error) {
       console.error('Dashboard verisi yüklenirken hata:', error);
       toast.error('Veriler yüklenirken hata oluştu');
@@ -76,6 +150,13 @@ function SellerPanel() {
     }
   };
 
+  // Gelir ve kâr kâr motorundan: indirim, komisyon, hizmet bedeli, kargo ve katalog maliyeti düşülür
+  const summary = useMemo(() => summarizeOrders(
+    dashboardOrders
+      .filter((order) => !EXCLUDED_STATUSES.includes(order.status))
+      .map((order) => reconcileOrder(order, { costEntries }))
+  ), [dashboardOrders, costEntries]);
+
   const formatCurrency = (amount) => {
     return new Intl.NumberFormat('tr-TR', {
       style: 'currency',
@@ -83,30 +164,15 @@ function SellerPanel() {
     }).format(amount);
   };
 
-  const formatDate = (dateString) => {
-    return new Date(dateString).toLocaleDateString('tr-TR');
-  };
-
-  const getStatusColor = (status) => {
-    switch (status?.toLowerCase()) {
-      case 'created': return 'bg-blue-100 text-blue-800';
-      case 'packaged': return 'bg-yellow-100 text-yellow-800';
-      case 'shipped': return 'bg-purple-100 text-purple-800';
-      case 'delivered': return 'bg-green-100 text-green-800';
-      case 'cancelled': return 'bg-red-100 text-red-800';
-      default: return 'bg-gray-100 text-gray-800';
-    }
+  // Ürünün bugün geçerli katalog maliyeti
+  const getCurrentCost = (product) => {
+    const entry = costEntries.find((item) => item.barcode === product.barcode)
+      || costEntries.find((item) => item.stockCode && item.stockCode === product.stockCode);
+    return resolveCostAt(entry);
   };
 
-  const getStatusText = (status) => {
-    switch (status?.toLowerCase()) {
-      case 'created': return 'Oluşturuldu';
-      case 'packaged': return 'Paketlendi';
-      case 'shipped': return 'Kargoda';
-      case 'delivered': return 'Teslim Edildi';
-      case 'cancelled': return 'İptal Edildi';
-      default: return status || 'Bilinmiyor';
-    }
+  const formatDate = (dateString) => {
+    return new Date(dateString).toLocaleDateString('tr-TR');
   };
 
   if (!currentUser || !userProfile?.trendyolConnected) {
@@ -140,14 +206,18 @@ function SellerPanel() {
             <p className="text-gray-600">
               Hoş geldiniz, {userProfile.trendyolSellerName || 'Satıcı'}
             </p>
+            <div className="mt-1">
+              <SyncStatus {...syncState} />
+            </div>
           </div>
           <div className="flex items-center space-x-4">
             <button
               onClick={loadDashboardData}
-              disabled={loading}
+              disabled={loading || syncState.syncing}
+              title="Senkronize et"
               className="p-2 text-gray-600 hover:text-gray-900 hover:bg-gray-100 rounded-lg transition-colors"
             >
-              <RefreshCw className={`w-5 h-5 ${loading ? 'animate-spin' : ''}`} />
+              <RefreshCw className={`w-5 h-5 ${loading || syncState.syncing ? 'animate-spin' : ''}`} />
             </button>
             <button className="p-2 text-gray-600 hover:text-gray-900 hover:bg-gray-100 rounded-lg transition-colors">
               <Bell className="w-5 h-5" />
@@ -200,7 +270,11 @@ function SellerPanel() {
             <div className="flex items-center justify-between">
               <div>
                 <p className="text-sm font-medium text-gray-600">Toplam Gelir</p>
-                <p className="text-2xl font-bold text-gray-900">{formatCurrency(stats.totalRevenue)}</p>
+                <p className="text-2xl font-bold text-gray-900">{formatCurrency(summary.revenue)}</p>
+                <p className={`text-sm ${summary.profit < 0 ? 'text-red-600' : 'text-gray-500'}`}>
+                  Net kâr {formatCurrency(summary.profit)}
+                  {summary.missingCostCount > 0 && ` · ${summary.missingCostCount} siparişte maliyet yok`}
+                </p>
               </div>
               <div className="p-3 bg-yellow-100 rounded-lg">
                 <DollarSign className="w-6 h-6 text-yellow-600" />
@@ -237,7 +311,10 @@ function SellerPanel() {
             <div className="p-6 border-b border-gray-200">
               <div className="flex items-center justify-between">
                 <h2 className="text-lg font-semibold text-gray-900">Son Siparişler</h2>
-                <button className="text-orange-600 hover:text-orange-700 text-sm font-medium">
+                <button
+                  onClick={() => navigate('/panel/siparisler')}
+                  className="text-orange-600 hover:text-orange-700 text-sm font-medium"
+                >
                   Tümünü Gör
                 </button>
               </div>
@@ -250,7 +327,11 @@ function SellerPanel() {
               ) : recentOrders.length > 0 ? (
                 <div className="space-y-4">
                   {recentOrders.slice(0, 5).map((order) => (
-                    <div key={order.id} className="flex items-center justify-between p-4 bg-gray-50 rounded-lg">
+                    <div
+                      key={order.id}
+                      onClick={() => setActiveOrder(order)}
+                      className="flex items-center justify-between p-4 bg-gray-50 rounded-lg cursor-pointer hover:bg-gray-100"
+                    >
                       <div className="flex items-center space-x-4">
                         <div className="w-10 h-10 bg-orange-100 rounded-lg flex items-center justify-center">
                           <ShoppingCart className="w-5 h-5 text-orange-600" />
@@ -262,8 +343,8 @@ function SellerPanel() {
                       </div>
                       <div className="text-right">
                         <p className="font-medium text-gray-900">{formatCurrency(order.totalPrice)}</p>
-                        <span className={`inline-flex px-2 py-1 text-xs font-medium rounded-full ${getStatusColor(order.status)}`}>
-                          {getStatusText(order.status)}
+                        <span className={`inline-flex px-2 py-1 text-xs font-medium rounded-full ${getStatusInfo(order.status).color}`}>
+                          {getStatusInfo(order.status).label}
                         </span>
                       </div>
                     </div>
@@ -308,6 +389,11 @@ function SellerPanel() {
                       <div className="text-right">
                         <p className="font-medium text-gray-900">{formatCurrency(product.salePrice)}</p>
                         <p className="text-sm text-gray-600">Satış: {product.salesCount || 0}</p>
+                        {getCurrentCost(product) && (
+                          <p className="text-sm text-gray-500">
+                            Maliyet: {formatCurrency(getCurrentCost(product).productCost)}
+                          </p>
+                        )}
                       </div>
                     </div>
                   ))}
@@ -341,9 +427,55 @@ function SellerPanel() {
               <Settings className="w-5 h-5 text-purple-600" />
               <span className="font-medium text-gray-900">Ayarlar</span>
             </button>
+            <button
+              onClick={() => navigate('/panel/maliyetler')}
+              className="flex items-center space-x-3 p-4 bg-yellow-50 rounded-lg hover:bg-yellow-100 transition-colors"
+            >
+              <Layers className="w-5 h-5 text-yellow-600" />
+              <span className="font-medium text-gray-900">Maliyet Kataloğu</span>
+            </button>
+            <button
+              onClick={() => navigate('/panel/siparis-karliligi')}
+              className="flex items-center space-x-3 p-4 bg-emerald-50 rounded-lg hover:bg-emerald-100 transition-colors"
+            >
+              <TrendingUp className="w-5 h-5 text-emerald-600" />
+              <span className="font-medium text-gray-900">Sipariş Kârlılığı</span>
+            </button>
+            <button
+              onClick={() => navigate('/panel/stok')}
+              className="flex items-center space-x-3 p-4 bg-teal-50 rounded-lg hover:bg-teal-100 transition-colors"
+            >
+              <Boxes className="w-5 h-5 text-teal-600" />
+              <span className="font-medium text-gray-900">Stok Yönetimi</span>
+            </button>
+            <button
+              onClick={() => navigate('/panel/fiyatlandirma')}
+              className="flex items-center space-x-3 p-4 bg-rose-50 rounded-lg hover:bg-rose-100 transition-colors"
+            >
+              <Tags className="w-5 h-5 text-rose-600" />
+              <span className="font-medium text-gray-900">Fiyatlandırma</span>
+            </button>
+            <button
+              onClick={() => navigate('/panel/toplu-islemler')}
+              className="flex items-center space-x-3 p-4 bg-indigo-50 rounded-lg hover:bg-indigo-100 transition-colors"
+            >
+              <ListChecks className="w-5 h-5 text-indigo-600" />
+              <span className="font-medium text-gray-900">Toplu İşlemler</span>
+            </button>
           </div>
         </div>
       </div>
+
+      {activeOrder && (
+        <OrderDrawer
+          order={activeOrder}
+          onClose={() => setActiveOrder(null)}
+          onUpdated={(updated) => {
+            setRecentOrders((orders) => orders.map((order) => (order.id === updated.id ? updated : order)));
+            setActiveOrder(updated);
+          }}
+        />
+      )}
     </div>
   );
 }
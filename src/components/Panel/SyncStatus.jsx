@@ -0,0 +1,43 @@
+import React from 'react';
+import { CloudOff, CheckCircle, Loader } from 'lucide-react';
+
+// "Son senkronizasyon" göstergesi
+function SyncStatus({ syncedAt, offline = false, syncing = false }) {
+  const formatSyncedAt = (value) => {
+    return new Date(value).toLocaleString('tr-TR', {
+      day: '2-digit',
+      month: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit'
+    });
+  };
+
+  if (syncing) {
+    return (
+      <span className="flex items-center text-xs text-gray-500">
+        <Loader className="w-4 h-4 mr-1 animate-spin" />
+        Senkronize ediliyor...
+      </span>
+    );
+  }
+
+  if (!syncedAt) {
+    return <span className="text-xs text-gray-400">Henüz senkronize edilmedi</span>;
+  }
+
+  return (
+    <span
+      className={`flex items-center text-xs ${offline ? 'text-yellow-700' : 'text-gray-500'}`}
+      title={offline ? 'Trendyol\'a ulaşılamadı, yerel veriler gösteriliyor' : undefined}
+    >
+      {offline ? (
+        <CloudOff className="w-4 h-4 mr-1" />
+      ) : (
+        <CheckCircle className="w-4 h-4 mr-1 text-green-500" />
+      )}
+      {offline ? 'Çevrimdışı · ' : ''}Son senkronizasyon: {formatSyncedAt(syncedAt)}
+    </span>
+  );
+}
+
+export default SyncStatus;
@@ -0,0 +1,107 @@
+// Trendyol Anlaşmalı Kargo Tarifeleri
+// Fiyatlar KDV dahil TL'dir ve desi aralığına göre uygulanır.
+// Son aralığın üzerindeki her desi için extraDesiPrice eklenir.
+// trendyolNames: /shipment-providers cevabındaki isimlerle eşleştirmek için
+
+export const CARGO_TARIFF_VERSION = '2025-01-01';
+
+export const CARGO_PROVIDERS = [
+  {
+    code: 'TEX',
+    name: 'Trendyol Express',
+    trendyolNames: ['Trendyol Express', 'TEX', 'Trendyol Express Marketplace'],
+    brackets: [
+      { maxDesi: 1, price: 34.99 },
+      { maxDesi: 2, price: 39.99 },
+      { maxDesi: 3, price: 44.99 },
+      { maxDesi: 5, price: 54.99 },
+      { maxDesi: 10, price: 74.99 },
+      { maxDesi: 15, price: 94.99 },
+      { maxDesi: 20, price: 114.99 },
+      { maxDesi: 30, price: 159.99 },
+    ],
+    extraDesiPrice: 4.99,
+  },
+  {
+    code: 'ARAS',
+    name: 'Aras Kargo',
+    trendyolNames: ['Aras Kargo', 'Aras Kargo Marketplace'],
+    brackets: [
+      { maxDesi: 1, price: 42.99 },
+      { maxDesi: 2, price: 47.99 },
+      { maxDesi: 3, price: 52.99 },
+      { maxDesi: 5, price: 63.99 },
+      { maxDesi: 10, price: 86.99 },
+      { maxDesi: 15, price: 109.99 },
+      { maxDesi: 20, price: 132.99 },
+      { maxDesi: 30, price: 184.99 },
+    ],
+    extraDesiPrice: 5.99,
+  },
+  {
+    code: 'YK',
+    name: 'Yurtiçi Kargo',
+    trendyolNames: ['Yurtiçi Kargo', 'Yurtici Kargo', 'Yurtiçi Kargo Marketplace'],
+    brackets: [
+      { maxDesi: 1, price: 44.99 },
+      { maxDesi: 2, price: 49.99 },
+      { maxDesi: 3, price: 55.99 },
+      { maxDesi: 5, price: 66.99 },
+      { maxDesi: 10, price: 89.99 },
+      { maxDesi: 15, price: 113.99 },
+      { maxDesi: 20, price: 137.99 },
+      { maxDesi: 30, price: 189.99 },
+    ],
+    extraDesiPrice: 6.19,
+  },
+  {
+    code: 'MNG',
+    name: 'MNG Kargo',
+    trendyolNames: ['MNG Kargo', 'MNG Kargo Marketplace'],
+    brackets: [
+      { maxDesi: 1, price: 41.99 },
+      { maxDesi: 2, price: 46.99 },
+      { maxDesi: 3, price: 51.99 },
+      { maxDesi: 5, price: 61.99 },
+      { maxDesi: 10, price: 84.99 },
+      { maxDesi: 15, price: 106.99 },
+      { maxDesi: 20, price: 129.99 },
+      { maxDesi: 30, price: 179.99 },
+    ],
+    extraDesiPrice: 5.79,
+  },
+  {
+    code: 'PTT',
+    name: 'PTT Kargo',
+    trendyolNames: ['PTT Kargo', 'PTT Kargo Marketplace'],
+    brackets: [
+      { maxDesi: 1, price: 36.99 },
+      { maxDesi: 2, price: 41.99 },
+      { maxDesi: 3, price: 46.99 },
+      { maxDesi: 5, price: 57.99 },
+      { maxDesi: 10, price: 79.99 },
+      { maxDesi: 15, price: 101.99 },
+      { maxDesi: 20, price: 123.99 },
+      { maxDesi: 30, price: 171.99 },
+    ],
+    extraDesiPrice: 5.49,
+  },
+  {
+    code: 'SURAT',
+    name: 'Sürat Kargo',
+    trendyolNames: ['Sürat Kargo', 'Surat Kargo', 'Sürat Kargo Marketplace'],
+    brackets: [
+      { maxDesi: 1, price: 40.99 },
+      { maxDesi: 2, price: 45.99 },
+      { maxDesi: 3, price: 50.99 },
+      { maxDesi: 5, price: 60.99 },
+      { maxDesi: 10, price: 82.99 },
+      { maxDesi: 15, price: 104.99 },
+      { maxDesi: 20, price: 126.99 },
+      { maxDesi: 30, price: 176.99 },
+    ],
+    extraDesiPrice: 5.69,
+  },
+];
+
+export const DEFAULT_CARGO_PROVIDER = 'TEX';
@@ -0,0 +1,120 @@
+// Trendyol Kategori Komisyon Tablosu
+// Oranlar yüzde olarak ve KDV hariç satış tutarı üzerinden uygulanır.
+// Trendyol oranları güncellediğinde sürüm numarası da artırılmalı; tarayıcıda
+// saklanan kategori ağacı bu sürümle birlikte tutulur.
+
+export const COMMISSION_TABLE_VERSION = '2025.1';
+
+// Kategori ağacında oran bulunamazsa kullanılacak oran
+export const DEFAULT_COMMISSION_RATE = 20;
+
+// Alt kategoride oran yoksa üst kategorinin oranı geçerlidir.
+// brands: markaya özel anlaşmalı oranlar (opsiyonel)
+// id: Trendyol kategori kimliği (opsiyonel); verilirse Trendyol ağacıyla isim yolu
+// yerine kimlikle eşleştirilir
+export const COMMISSION_TREE = [
+  {
+    name: 'Elektronik',
+    rate: 12,
+    subCategories: [
+      { name: 'Cep Telefonu', rate: 8, brands: { Apple: 6, Samsung: 7 } },
+      { name: 'Bilgisayar', rate: 8 },
+      { name: 'Tablet', rate: 8 },
+      { name: 'Televizyon', rate: 8 },
+      { name: 'Beyaz Eşya', rate: 10 },
+      { name: 'Küçük Ev Aletleri', rate: 13 },
+      { name: 'Kulaklık', rate: 15 },
+      { name: 'Telefon Aksesuarları', rate: 20 },
+    ],
+  },
+  {
+    name: 'Moda',
+    rate: 21.5,
+    subCategories: [
+      { name: 'Kadın Giyim', rate: 21.5 },
+      { name: 'Erkek Giyim', rate: 21.5 },
+      { name: 'Çocuk Giyim', rate: 21.5 },
+      { name: 'Ayakkabı', rate: 21.5 },
+      { name: 'Çanta', rate: 21.5 },
+      { name: 'Saat', rate: 17 },
+      { name: 'Takı & Mücevher', rate: 20 },
+      { name: 'Gözlük', rate: 20 },
+    ],
+  },
+  {
+    name: 'Kozmetik & Kişisel Bakım',
+    rate: 15,
+    subCategories: [
+      { name: 'Parfüm', rate: 15 },
+      { name: 'Makyaj', rate: 15 },
+      { name: 'Cilt Bakımı', rate: 15 },
+      { name: 'Saç Bakımı', rate: 15 },
+      { name: 'Ağız & Diş Bakımı', rate: 12 },
+    ],
+  },
+  {
+    name: 'Ev & Yaşam',
+    rate: 18,
+    subCategories: [
+      { name: 'Ev Tekstili', rate: 19 },
+      { name: 'Mutfak Gereçleri', rate: 18 },
+      { name: 'Dekorasyon', rate: 19 },
+      { name: 'Mobilya', rate: 16 },
+      { name: 'Aydınlatma', rate: 18 },
+    ],
+  },
+  {
+    name: 'Anne & Çocuk',
+    rate: 15,
+    subCategories: [
+      { name: 'Bebek Bezi', rate: 10 },
+      { name: 'Bebek Bakım', rate: 13 },
+      { name: 'Oyuncak', rate: 17 },
+    ],
+  },
+  {
+    name: 'Spor & Outdoor',
+    rate: 17,
+    subCategories: [
+      { name: 'Spor Giyim', rate: 19 },
+      { name: 'Fitness & Kondisyon', rate: 15 },
+      { name: 'Kamp & Outdoor', rate: 17 },
+      { name: 'Bisiklet', rate: 12 },
+    ],
+  },
+  {
+    name: 'Süpermarket',
+    rate: 11,
+    subCategories: [
+      { name: 'Gıda', rate: 10 },
+      { name: 'Deterjan & Temizlik', rate: 12 },
+      { name: 'Evcil Hayvan', rate: 14 },
+    ],
+  },
+  {
+    name: 'Kitap & Kırtasiye',
+    rate: 14,
+    subCategories: [
+      { name: 'Kitap', rate: 12 },
+      { name: 'Kırtasiye', rate: 16 },
+      { name: 'Hobi & Sanat', rate: 16 },
+    ],
+  },
+  {
+    name: 'Otomotiv & Motosiklet',
+    rate: 16,
+    subCategories: [
+      { name: 'Oto Aksesuar', rate: 16 },
+      { name: 'Oto Bakım', rate: 14 },
+    ],
+  },
+  {
+    name: 'Bahçe & Yapı Market',
+    rate: 15,
+    subCategories: [
+      { name: 'Bahçe', rate: 15 },
+      { name: 'Elektrikli El Aletleri', rate: 12 },
+      { name: 'Hırdavat', rate: 16 },
+    ],
+  },
+];
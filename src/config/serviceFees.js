@@ -0,0 +1,23 @@
+// Trendyol Platform Hizmet Bedeli Tarifesi
+// Her dönem bir yürürlük tarihi ile başlar ve bir sonraki döneme kadar geçerlidir.
+// Bantlar indirimli satış fiyatına (KDV dahil) göre seçilir; maxPrice'ı olmayan
+// bant üst sınırsızdır. Ücretler KDV dahildir.
+// Trendyol yeni tarife duyurduğunda listeye yeni dönem eklenmeli, eskiler silinmemeli
+// (geçmiş tarihli hesaplamalar o günün tarifesiyle yapılır).
+
+export const SERVICE_FEE_SCHEDULE = [
+  {
+    effectiveFrom: '2024-01-01',
+    bands: [
+      { maxPrice: null, fee: 9.79 },
+    ],
+  },
+  {
+    effectiveFrom: '2025-01-01',
+    bands: [
+      { maxPrice: 149.99, fee: 6.99 },
+      { maxPrice: 299.99, fee: 10.19 },
+      { maxPrice: null, fee: 13.49 },
+    ],
+  },
+];
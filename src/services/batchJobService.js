@@ -0,0 +1,228 @@
+// Toplu işlem takibi
+// Stok ve fiyat güncellemeleri Trendyol'da asenkron işlenir: istek bir batchRequestId
+// döner, sonuç daha sonra sorgulanır. Her gönderim users/{uid}/batchJobs altında
+// kaydedilir, tamamlanana kadar yoklanır ve başarısız barkodlar nedenleriyle saklanır.
+import {
+  collection,
+  doc,
+  getDocs,
+  setDoc,
+  query,
+  orderBy,
+  limit,
+} from 'firebase/firestore';
+import { db } from '../config/firebase';
+import trendyolService from './trendyolService';
+
+// Trendyol tek istekte en fazla 1000 kalem kabul eder
+export const BATCH_ITEM_LIMIT = 1000;
+
+export const JOB_TYPES = {
+  stock: { label: 'Stok Güncelleme' },
+  price: { label: 'Fiyat Güncelleme' },
+};
+
+export const JOB_STATUS = {
+  PROCESSING: 'processing',
+  COMPLETED: 'completed',
+  PARTIAL: 'partial',
+  FAILED: 'failed',
+  TIMEOUT: 'timeout',
+};
+
+const POLL_INTERVAL_MS = 5 * 1000;
+const POLL_MAX_INTERVAL_MS = 30 * 1000;
+// Bu süre içinde tamamlanmayan iş "zaman aşımı" olarak işaretlenir
+const POLL_TIMEOUT_MS = 30 * 60 * 1000;
+const JOB_LIST_LIMIT = 50;
+
+const chunk = (items, size) => {
+  const chunks = [];
+  for (let i = 0; i < items.length; i += size) {
+    chunks.push(items.slice(i, i + size));
+  }
+  return chunks;
+};
+
+const toReason = (reason) => (typeof reason === 'string' ? reason : reason?.message || JSON.stringify(reason));
+
+// Trendyol batch sonucunu iş özetine çevir
+export const summarizeBatchResult = (result, requestedCount = 0) => {
+  const items = result?.items || [];
+  const failedItems = items
+    .filter((item) => item.status === 'FAILED')
+    .map((item) => ({
+      barcode: item.requestItem?.barcode ?? item.requestItem?.product?.barcode ?? null,
+      reasons: item.failureReasons?.length ? item.failureReasons.map(toReason) : ['Bilinmeyen hata'],
+    }));
+  const successCount = items.filter((item) => item.status === 'SUCCESS').length;
+  const itemCount = result?.itemCount || requestedCount || items.length;
+  const processedCount = successCount + failedItems.length;
+  const done = result?.status === 'COMPLETED' || (itemCount > 0 && processedCount >= itemCount);
+
+  let status = JOB_STATUS.PROCESSING;
+  if (done) {
+    if (!failedItems.length) status = JOB_STATUS.COMPLETED;
+    else if (!successCount) status = JOB_STATUS.FAILED;
+    else status = JOB_STATUS.PARTIAL;
+  }
+  return { status, itemCount, processedCount, successCount, failedItems };
+};
+
+export const isJobActive = (job) => job.status === JOB_STATUS.PROCESSING;
+
+class BatchJobService {
+  constructor() {
+    this.pollers = new Map();
+    this.listeners = new Set();
+  }
+
+  jobsRef(uid) {
+    if (!uid) {
+      throw new Error('Toplu işlemler için giriş yapmalısınız');
+    }
+    return collection(db, 'users', uid, 'batchJobs');
+  }
+
+  // İş güncellendiğinde çağrılır; dönen fonksiyon aboneliği kaldırır
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  notify(job) {
+    this.listeners.forEach((listener) => listener(job));
+  }
+
+  async saveJob(uid, job) {
+    const updated = { ...job, updatedAt: new Date().toISOString() };
+    await setDoc(doc(this.jobsRef(uid), job.id), updated);
+    this.notify(updated);
+    return updated;
+  }
+
+  async listJobs(uid) {
+    const snapshot = await getDocs(query(this.jobsRef(uid), orderBy('createdAt', 'desc'), limit(JOB_LIST_LIMIT)));
+    return snapshot.docs.map((item) => item.data());
+  }
+
+  // Güncellemeleri gönder; 1000 kalemden büyük listeler birden fazla işe bölünür
+  async submit(uid, type, items, { retryOf = null } = {}) {
+    if (!JOB_TYPES[type]) {
+      throw new Error(`Bilinmeyen işlem türü: ${type}`);
+    }
+    if (!items?.length) {
+      throw new Error('Gönderilecek kalem yok');
+    }
+
+    const jobs = [];
+    for (const part of chunk(items, BATCH_ITEM_LIMIT)) {
+      jobs.push(await this.submitChunk(uid, type, part, retryOf));
+    }
+    return jobs;
+  }
+
+  async submitChunk(uid, type, items, retryOf) {
+    const now = new Date().toISOString();
+    const job = {
+      id: doc(this.jobsRef(uid)).id,
+      type,
+      batchId: null,
+      items,
+      itemCount: items.length,
+      processedCount: 0,
+      successCount: 0,
+      failedItems: [],
+      status: JOB_STATUS.PROCESSING,
+      error: null,
+      retryOf,
+      createdAt: now,
+      completedAt: null,
+    };
+
+    let batchId;
+    try {
+      ({ batchId } = type === 'stock'
+        ? await trendyolService.bulkUpdateStock(items)
+        : await trendyolService.bulkUpdatePrice(items));
+      if (!batchId) {
+        throw new Error('Trendyol işlem numarası döndürmedi');
+      }
+    } catch (error) {
+      // Gönderilemeyen iş de kaydedilir; tüm kalemler tekrar denenebilir
+      return this.saveJob(uid, {
+        ...job,
+        status: JOB_STATUS.FAILED,
+        error: error.message,
+        failedItems: items.map((item) => ({ barcode: item.barcode, reasons: [error.message] })),
+        completedAt: now,
+      });
+    }
+
+    const accepted = { ...job, batchId };
+    try {
+      const saved = await this.saveJob(uid, accepted);
+      this.startPolling(uid, saved);
+      return saved;
+    } catch (error) {
+      // Trendyol işi kabul etti; başarısız sayılmaz, kayıt yoklama sırasında tekrar denenir
+      console.warn('Toplu işlem kaydedilemedi:', error);
+      this.notify(accepted);
+      this.startPolling(uid, accepted);
+      return accepted;
+    }
+  }
+
+  // Açık kalan işleri (ör. sayfa yenilendikten sonra) yoklamaya devam et
+  resumePolling(uid, jobs) {
+    jobs.filter(isJobActive).forEach((job) => this.startPolling(uid, job));
+  }
+
+  startPolling(uid, job, interval = POLL_INTERVAL_MS) {
+    if (!job.batchId || this.pollers.has(job.id)) return;
+
+    const tick = async () => {
+      this.pollers.delete(job.id);
+
+      let current = job;
+      try {
+        const result = await trendyolService.getBatchStatus(job.batchId);
+        const summary = summarizeBatchResult(result, job.itemCount);
+        current = {
+          ...job,
+          ...summary,
+          completedAt: isJobActive(summary) ? null : new Date().toISOString(),
+        };
+      } catch (error) {
+        // Trendyol işi henüz kaydetmemiş olabilir; zaman aşımına kadar denemeye devam
+        console.warn('Toplu işlem durumu alınamadı:', error);
+      }
+
+      if (isJobActive(current) && Date.now() - new Date(job.createdAt).getTime() > POLL_TIMEOUT_MS) {
+        current = { ...current, status: JOB_STATUS.TIMEOUT, completedAt: new Date().toISOString() };
+      }
+
+      try {
+        current = await this.saveJob(uid, current);
+        if (!isJobActive(current)) return;
+      } catch (error) {
+        // Kaydedilemeyen sonuç kaybolmasın; iş bir sonraki turda yeniden yoklanıp kaydedilir
+        console.warn('Toplu işlem kaydedilemedi:', error);
+      }
+      this.startPolling(uid, current, Math.min(interval * 1.5, POLL_MAX_INTERVAL_MS));
+    };
+
+    this.pollers.set(job.id, setTimeout(tick, interval));
+  }
+
+  // Yalnızca başarısız kalemleri yeni bir iş olarak gönder
+  async retryFailed(uid, job) {
+    const failedBarcodes = new Set(job.failedItems.map((item) => item.barcode));
+    const items = job.items.filter((item) => failedBarcodes.has(item.barcode));
+    return this.submit(uid, job.type, items, { retryOf: job.id });
+  }
+}
+
+// Singleton instance
+const batchJobService = new BatchJobService();
+export default batchJobService;
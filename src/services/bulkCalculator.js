@@ -0,0 +1,240 @@
+// Toplu Kâr Hesaplama
+// CSV/XLSX ürün listesini okur, kolonları kâr motoru alanlarına eşler,
+// her satırı calculateProfit'ten geçirir ve sonuçlarla zenginleştirilmiş
+// dosyayı geri üretir.
+import { calculateProfit } from './profitEngine';
+
+// Kâr motoru alanları ve dosyada aranacak olası başlıklar
+export const BULK_COLUMNS = [
+  { key: 'barcode', label: 'Barkod', aliases: ['barkod', 'barcode', 'stok kodu', 'stockcode', 'sku'] },
+  { key: 'title', label: 'Ürün Adı', aliases: ['ürün adı', 'urun adi', 'ürün', 'title', 'name', 'ad'] },
+  { key: 'salePrice', label: 'Satış Fiyatı', required: true, aliases: ['satış fiyatı', 'satis fiyati', 'fiyat', 'saleprice', 'price'] },
+  { key: 'commission', label: 'Komisyon (%)', required: true, aliases: ['komisyon', 'komisyon oranı', 'commission'] },
+  { key: 'vatRate', label: 'KDV (%)', aliases: ['kdv', 'kdv oranı', 'vat', 'vatrate'] },
+  { key: 'productCost', label: 'Ürün Maliyeti', required: true, aliases: ['ürün maliyeti', 'urun maliyeti', 'maliyet', 'productcost', 'cost'] },
+  { key: 'packagingCost', label: 'Paketleme', aliases: ['paketleme', 'paketleme maliyeti', 'packagingcost'] },
+  { key: 'laborCost', label: 'İşçilik', aliases: ['işçilik', 'iscilik', 'işçilik maliyeti', 'laborcost'] },
+  { key: 'shippingCost', label: 'Kargo', aliases: ['kargo', 'kargo gideri', 'shippingcost'] },
+  { key: 'advertisingCost', label: 'Reklam', aliases: ['reklam', 'reklam gideri', 'advertisingcost'] },
+];
+
+// Sonuç dosyasına eklenen kolonlar
+export const RESULT_COLUMNS = [
+  { key: 'commissionAmount', label: 'Komisyon Tutarı' },
+  { key: 'serviceFee', label: 'Hizmet Bedeli' },
+  { key: 'payableVat', label: 'Ödenecek KDV' },
+  { key: 'totalCosts', label: 'Toplam Maliyet' },
+  { key: 'netProfit', label: 'Net Kâr' },
+  { key: 'profitMargin', label: 'Kâr Marjı (%)' },
+  { key: 'status', label: 'Durum' },
+];
+
+const normalizeHeader = (value) =>
+  (value ?? '').toString().trim().toLocaleLowerCase('tr-TR').replace(/\s+/g, ' ');
+
+// Yalnızca binlik ayırıcılı tam sayı: "1.299", "12.500.000" (nokta) veya "1,299,000" (virgül)
+const THOUSANDS_DOTS = /^-?[1-9]\d{0,2}(\.\d{3})+$/;
+const THOUSANDS_COMMAS = /^-?[1-9]\d{0,2}(,\d{3}){2,}$/;
+
+// "1.234,56" / "1234.56" / "1.299" / "₺149,99" gibi değerleri sayıya çevir.
+// Tek virgül ondalık sayılır ("1,299" = 1,299 TL); üçlü gruplu noktalar binliktir
+export const parseNumber = (value) => {
+  if (typeof value === 'number') return value;
+  let text = (value ?? '').toString().replace(/[^\d,.-]/g, '');
+  if (!text) return null;
+
+  if (text.includes(',') && text.includes('.')) {
+    text = text.lastIndexOf(',') > text.lastIndexOf('.')
+      ? text.replace(/\./g, '').replace(',', '.')
+      : text.replace(/,/g, '');
+  } else if (THOUSANDS_DOTS.test(text)) {
+    text = text.replace(/\./g, '');
+  } else if (THOUSANDS_COMMAS.test(text)) {
+    text = text.replace(/,/g, '');
+  } else if (text.includes(',')) {
+    text = text.replace(',', '.');
+  }
+
+  const parsed = parseFloat(text);
+  return Number.isFinite(parsed) ? parsed : null;
+};
+
+// Ayırıcıyı (; , veya tab) ilk satırdan tahmin ederek CSV ayrıştır
+export const parseCsv = (text) => {
+  const content = text.replace(/^\uFEFF/, '');
+  const firstLine = content.split(/\r?\n/, 1)[0] || '';
+  const delimiter = [';', '\t', ','].reduce((best, candidate) =>
+    firstLine.split(candidate).length > firstLine.split(best).length ? candidate : best
+  );
+
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < content.length; i += 1) {
+    const char = content[i];
+
+    if (inQuotes) {
+      if (char === '"' && content[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && content[i + 1] === '\n') i += 1;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter((cells) => cells.some((cell) => cell.trim() !== ''));
+};
+
+const escapeCsv = (value) => {
+  const text = (value ?? '').toString();
+  return /[";\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Satır dizisini Excel'in Türkçe ayarlarıyla açılabilen CSV'ye çevir
+export const toCsv = (rows) =>
+  '\uFEFF' + rows.map((cells) => cells.map(escapeCsv).join(';')).join('\r\n');
+
+// Dosyayı oku: { headers, rows }
+export async function readProductFile(file) {
+  const name = file.name.toLowerCase();
+
+  let table;
+  if (name.endsWith('.xlsx')) {
+    const { readSheet } = await import('read-excel-file/browser');
+    table = await readSheet(file);
+  } else if (name.endsWith('.xls')) {
+    throw new Error('Eski .xls dosyaları desteklenmiyor. Dosyayı Excel\'de .xlsx olarak kaydedip yükleyin.');
+  } else if (name.endsWith('.csv') || name.endsWith('.txt')) {
+    table = parseCsv(await file.text());
+  } else {
+    throw new Error('Desteklenmeyen dosya türü. Lütfen CSV veya XLSX yükleyin.');
+  }
+
+  if (table.length < 2) {
+    throw new Error('Dosyada başlık satırı ve en az bir ürün olmalı');
+  }
+
+  const [headers, ...rows] = table;
+  return { headers: headers.map((header) => (header ?? '').toString().trim()), rows };
+}
+
+// Başlıklara göre kolon eşlemesi tahmin et: { salePrice: 2, ... }
+export const guessColumnMapping = (headers) => {
+  const normalized = headers.map(normalizeHeader);
+  return BULK_COLUMNS.reduce((mapping, column) => {
+    const index = normalized.findIndex(
+      (header) => header === normalizeHeader(column.key) || column.aliases.includes(header)
+    );
+    mapping[column.key] = index === -1 ? null : index;
+    return mapping;
+  }, {});
+};
+
+export const getMissingRequiredColumns = (mapping) =>
+  BULK_COLUMNS.filter((column) => column.required && mapping[column.key] === null);
+
+// Her satırı kâr motorundan geçir
+export const runBulkCalculation = (rows, mapping, defaults = {}) =>
+  rows.map((cells, index) => {
+    const read = (key) => (mapping[key] === null || mapping[key] === undefined ? null : cells[mapping[key]]);
+    const number = (key) => parseNumber(read(key));
+
+    const salePrice = number('salePrice');
+    const commission = number('commission') ?? parseNumber(defaults.commission);
+    const productCost = number('productCost');
+
+    const base = {
+      rowNumber: index + 2,
+      cells,
+      barcode: (read('barcode') ?? '').toString(),
+      title: (read('title') ?? '').toString(),
+    };
+
+    if (salePrice === null || commission === null || productCost === null) {
+      return { ...base, error: 'Satış fiyatı, komisyon veya ürün maliyeti eksik', result: null };
+    }
+
+    const result = calculateProfit({
+      salePrice,
+      commissionRate: commission,
+      vatRate: number('vatRate') ?? defaults.vatRate,
+      productCost,
+      packagingCost: number('packagingCost') ?? defaults.packagingCost,
+      laborCost: number('laborCost') ?? defaults.laborCost,
+      shippingCost: number('shippingCost') ?? defaults.shippingCost,
+      advertisingCost: number('advertisingCost') ?? defaults.advertisingCost,
+    });
+
+    return { ...base, error: null, result };
+  });
+
+const resultValues = (row) => {
+  if (!row.result) {
+    return RESULT_COLUMNS.map((column) => (column.key === 'status' ? row.error : ''));
+  }
+  const { result } = row;
+  return [
+    result.platformFees.commission,
+    result.platformFees.serviceFee,
+    result.platformFees.payableVat,
+    result.totalCosts,
+    result.finalProfit,
+    result.profitMargin,
+    result.isLoss ? 'ZARAR' : 'KÂR',
+  ].map((value) => (typeof value === 'number' ? Math.round(value * 100) / 100 : value));
+};
+
+// Orijinal kolonlar + sonuç kolonları
+export const buildEnrichedTable = (headers, calculatedRows) => [
+  [...headers, ...RESULT_COLUMNS.map((column) => column.label)],
+  ...calculatedRows.map((row) => [
+    ...headers.map((_, index) => row.cells[index] ?? ''),
+    ...resultValues(row),
+  ]),
+];
+
+export const downloadBlob = (blob, fileName) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
+// Zenginleştirilmiş dosyayı indir (csv veya xlsx)
+export async function downloadEnrichedFile(headers, calculatedRows, format = 'xlsx') {
+  const table = buildEnrichedTable(headers, calculatedRows);
+  const date = new Date().toISOString().split('T')[0];
+
+  if (format === 'csv') {
+    downloadBlob(new Blob([toCsv(table)], { type: 'text/csv;charset=utf-8' }), `toplu-kar-hesabi-${date}.csv`);
+    return;
+  }
+
+  const { default: writeExcelFile } = await import('write-excel-file/browser');
+  await writeExcelFile(table, { sheet: 'Kâr Hesabı' }).toFile(`toplu-kar-hesabi-${date}.xlsx`);
+}
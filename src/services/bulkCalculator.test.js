@@ -0,0 +1,40 @@
+import { describe, it, expect } from 'vitest';
+import { parseNumber } from './bulkCalculator';
+
+describe('parseNumber', () => {
+  it('Türkçe biçimli tutarları okur', () => {
+    expect(parseNumber('1.234,56')).toBe(1234.56);
+    expect(parseNumber('₺149,99')).toBe(149.99);
+    expect(parseNumber('149,9 TL')).toBe(149.9);
+  });
+
+  it('İngilizce biçimli tutarları okur', () => {
+    expect(parseNumber('1234.56')).toBe(1234.56);
+    expect(parseNumber('1,234.56')).toBe(1234.56);
+    expect(parseNumber('1,299,000')).toBe(1299000);
+  });
+
+  it('üçlü gruplu noktaları binlik ayırıcı sayar', () => {
+    expect(parseNumber('1.299')).toBe(1299);
+    expect(parseNumber('12.500.000')).toBe(12500000);
+    expect(parseNumber('-1.299')).toBe(-1299);
+  });
+
+  it('binlik kalıbına uymayan noktaları ondalık sayar', () => {
+    expect(parseNumber('12.5')).toBe(12.5);
+    expect(parseNumber('1.2999')).toBe(1.2999);
+    expect(parseNumber('0.299')).toBe(0.299);
+  });
+
+  it('tek virgülü ondalık sayar', () => {
+    expect(parseNumber('1,299')).toBe(1.299);
+    expect(parseNumber('18')).toBe(18);
+  });
+
+  it('sayıları olduğu gibi, boş değerleri null döndürür', () => {
+    expect(parseNumber(42.5)).toBe(42.5);
+    expect(parseNumber('')).toBeNull();
+    expect(parseNumber(null)).toBeNull();
+    expect(parseNumber('yok')).toBeNull();
+  });
+});
@@ -0,0 +1,99 @@
+// Desi / Ağırlık Bazlı Kargo Maliyeti
+// Saf fonksiyonlar; kâr motoru tarafından da kullanıldığı için React veya
+// tarayıcı API'sine bağımlı olmamalı.
+import {
+  CARGO_PROVIDERS,
+  DEFAULT_CARGO_PROVIDER,
+} from '../config/cargoTariffs.js';
+
+// Hacimsel desi böleni (cm³ / 3000)
+export const DESI_DIVISOR = 3000;
+
+const toPositiveNumber = (value) => {
+  const parsed = parseFloat(value);
+  return Number.isFinite(parsed) && parsed > 0 ? parsed : 0;
+};
+
+// Desi hesapla: hacimsel desi ile ağırlıktan büyük olanı, yukarı yuvarlanmış.
+// Desisi önceden bilinen paketler (ör. Trendyol siparişindeki cargoDeci) doğrudan kullanılır.
+export const calculateDesi = ({ width, length, height, weight, desi } = {}) => {
+  if (toPositiveNumber(desi) > 0) {
+    return {
+      volumetricDesi: 0,
+      weight: 0,
+      desi: Math.max(1, Math.ceil(toPositiveNumber(desi))),
+      basis: 'declared',
+    };
+  }
+
+  const volumetricDesi =
+    (toPositiveNumber(width) * toPositiveNumber(length) * toPositiveNumber(height)) / DESI_DIVISOR;
+  const weightKg = toPositiveNumber(weight);
+  const rawDesi = Math.max(volumetricDesi, weightKg);
+
+  return {
+    volumetricDesi,
+    weight: weightKg,
+    // Kargo firmaları en az 1 desi ücretlendirir
+    desi: Math.max(1, Math.ceil(rawDesi)),
+    basis: volumetricDesi >= weightKg ? 'volume' : 'weight',
+  };
+};
+
+export const getCargoProvider = (code) =>
+  CARGO_PROVIDERS.find((provider) => provider.code === code) ||
+  CARGO_PROVIDERS.find((provider) => provider.code === DEFAULT_CARGO_PROVIDER);
+
+// Trendyol /shipment-providers kaydını tarife ile eşleştir
+export const matchCargoProvider = (trendyolProvider) => {
+  const name = (trendyolProvider?.name || '').toLocaleLowerCase('tr-TR');
+  const code = (trendyolProvider?.code || '').toUpperCase();
+
+  return (
+    CARGO_PROVIDERS.find((provider) => provider.code === code) ||
+    CARGO_PROVIDERS.find((provider) =>
+      provider.trendyolNames.some((alias) => alias.toLocaleLowerCase('tr-TR') === name)
+    ) ||
+    null
+  );
+};
+
+// Desiye göre tarifeden fiyat bul
+export const lookupCargoPrice = (provider, desi) => {
+  const index = provider.brackets.findIndex((bracket) => desi <= bracket.maxDesi);
+
+  if (index !== -1) {
+    const bracket = provider.brackets[index];
+    return {
+      cost: bracket.price,
+      bracket: {
+        minDesi: index === 0 ? 0 : provider.brackets[index - 1].maxDesi,
+        maxDesi: bracket.maxDesi,
+      },
+      extraDesi: 0,
+    };
+  }
+
+  // Son aralığın üzerindeki desiler için ek ücret
+  const last = provider.brackets[provider.brackets.length - 1];
+  const extraDesi = desi - last.maxDesi;
+  return {
+    cost: last.price + extraDesi * provider.extraDesiPrice,
+    bracket: { minDesi: last.maxDesi, maxDesi: null },
+    extraDesi,
+  };
+};
+
+// Paket ölçüleri ve kargo firmasına göre kargo maliyeti ve dökümü
+export const calculateCargoCost = (shipment = {}) => {
+  const provider = getCargoProvider(shipment.providerCode);
+  const desiInfo = calculateDesi(shipment);
+  const price = lookupCargoPrice(provider, desiInfo.desi);
+
+  return {
+    providerCode: provider.code,
+    providerName: provider.name,
+    ...desiInfo,
+    ...price,
+  };
+};
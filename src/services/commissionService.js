@@ -0,0 +1,170 @@
+// Kategori bazlı komisyon oranları
+// Paketle gelen tablo (config/commissionRates.js) varsayılandır; satıcı
+// Trendyol kategori ağacını proxy üzerinden çektiğinde ağaç, paket tablosundaki
+// oranlarla eşleştirilip tarayıcıda saklanır.
+import {
+  COMMISSION_TABLE_VERSION,
+  COMMISSION_TREE,
+  DEFAULT_COMMISSION_RATE,
+} from '../config/commissionRates';
+import trendyolService from './trendyolService';
+
+const STORAGE_KEY = 'trendyol_commission_table';
+
+// Türkçe karakterlere duyarlı karşılaştırma anahtarı
+export const normalizeName = (value) =>
+  (value || '').toString().trim().toLocaleLowerCase('tr-TR');
+
+// Ağacı düz listeye çevir; oranı olmayan düğüm üst kategorinin oranını alır
+export const flattenCategoryTree = (nodes, parent = null, out = []) => {
+  (nodes || []).forEach((node) => {
+    const path = parent ? [...parent.path, node.name] : [node.name];
+    const entry = {
+      id: node.id ?? null,
+      name: node.name,
+      path,
+      parentId: parent ? parent.id : null,
+      rate: node.rate ?? (parent ? parent.rate : null),
+      brands: node.brands || parent?.brands || null,
+      leaf: !node.subCategories || node.subCategories.length === 0,
+    };
+    out.push(entry);
+    flattenCategoryTree(node.subCategories, entry, out);
+  });
+  return out;
+};
+
+const BUNDLED_CATEGORIES = flattenCategoryTree(COMMISSION_TREE);
+
+const pathKey = (path) => path.map(normalizeName).join(' > ');
+
+// Trendyol ağacındaki her kategoriye paket tablosundan oran bul. Paket kaydında
+// kategori kimliği varsa kimlikle, yoksa kökten itibaren tam yolla eşleşir; farklı
+// dallardaki aynı isimli kategoriler birbirinin oranını almaz
+const applyBundledRates = (apiTree) => {
+  const byId = new Map(
+    BUNDLED_CATEGORIES.filter((entry) => entry.id !== null).map((entry) => [String(entry.id), entry])
+  );
+  const byPath = new Map(
+    BUNDLED_CATEGORIES.filter((entry) => entry.id === null).map((entry) => [pathKey(entry.path), entry])
+  );
+
+  const withRates = (nodes, parentPath = []) =>
+    (nodes || []).map((node) => {
+      const path = [...parentPath, node.name];
+      const match = byId.get(String(node.id ?? '')) || byPath.get(pathKey(path));
+      return {
+        id: node.id,
+        name: node.name,
+        rate: match ? match.rate : undefined,
+        brands: match ? match.brands : undefined,
+        subCategories: withRates(node.subCategories, path),
+      };
+    });
+
+  return flattenCategoryTree(withRates(apiTree));
+};
+
+class CommissionService {
+  constructor() {
+    this.table = null;
+  }
+
+  // Aktif tabloyu getir (önce tarayıcıdaki, yoksa paketteki)
+  getTable() {
+    if (this.table) return this.table;
+
+    try {
+      const stored = JSON.parse(localStorage.getItem(STORAGE_KEY) || 'null');
+      // Paket tablosu güncellendiyse eski eşleştirme geçersizdir
+      if (stored && stored.baseVersion === COMMISSION_TABLE_VERSION) {
+        this.table = stored;
+        return this.table;
+      }
+    } catch (error) {
+      console.warn('Komisyon tablosu okunamadı:', error);
+    }
+
+    this.table = {
+      version: COMMISSION_TABLE_VERSION,
+      baseVersion: COMMISSION_TABLE_VERSION,
+      source: 'bundled',
+      updatedAt: null,
+      categories: BUNDLED_CATEGORIES,
+    };
+    return this.table;
+  }
+
+  // Kategori ara (isim veya yol içinde)
+  searchCategories(query, limit = 20) {
+    const term = normalizeName(query);
+    const categories = this.getTable().categories.filter((category) => category.rate !== null);
+
+    if (!term) {
+      return categories.filter((category) => category.leaf).slice(0, limit);
+    }
+
+    return categories
+      .filter((category) => normalizeName(category.path.join(' ')).includes(term))
+      .sort((a, b) => Number(b.leaf) - Number(a.leaf))
+      .slice(0, limit);
+  }
+
+  findCategory(categoryIdOrName) {
+    const { categories } = this.getTable();
+    const key = normalizeName(categoryIdOrName);
+    return (
+      categories.find((category) => category.id !== null && String(category.id) === String(categoryIdOrName)) ||
+      categories.find((category) => normalizeName(category.name) === key) ||
+      null
+    );
+  }
+
+  // Kategori (ve varsa marka) için komisyon oranı
+  getCommissionRate(categoryIdOrName, brand = null) {
+    const category = this.findCategory(categoryIdOrName);
+    if (!category || category.rate === null) {
+      return DEFAULT_COMMISSION_RATE;
+    }
+
+    if (brand && category.brands) {
+      const brandKey = Object.keys(category.brands).find(
+        (name) => normalizeName(name) === normalizeName(brand)
+      );
+      if (brandKey) return category.brands[brandKey];
+    }
+
+    return category.rate;
+  }
+
+  // Trendyol kategori ağacını proxy'den çekip tabloyu yenile
+  async refreshFromTrendyol() {
+    const response = await trendyolService.getCategories();
+    const apiTree = Array.isArray(response) ? response : response?.categories;
+
+    if (!apiTree || apiTree.length === 0) {
+      throw new Error('Trendyol kategori listesi boş döndü');
+    }
+
+    this.table = {
+      version: `${COMMISSION_TABLE_VERSION}+trendyol`,
+      baseVersion: COMMISSION_TABLE_VERSION,
+      source: 'trendyol',
+      updatedAt: new Date().toISOString(),
+      categories: applyBundledRates(apiTree),
+    };
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(this.table));
+    return this.table;
+  }
+
+  // Paketteki tabloya geri dön
+  resetToBundled() {
+    localStorage.removeItem(STORAGE_KEY);
+    this.table = null;
+    return this.getTable();
+  }
+}
+
+// Singleton instance
+const commissionService = new CommissionService();
+export default commissionService;
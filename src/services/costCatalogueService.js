@@ -0,0 +1,233 @@
+// Maliyet Kataloğu
+// Ürün maliyetleri users/{uid}/costCatalogue/{barkod} altında, geçerlilik tarihli
+// geçmişle tutulur. Hesaplayıcı, panel ve sipariş raporları belirli bir tarihte
+// geçerli olan maliyeti buradan okur.
+import {
+  collection,
+  doc,
+  getDoc,
+  getDocs,
+  setDoc,
+  deleteDoc,
+  writeBatch,
+} from 'firebase/firestore';
+import { db } from '../config/firebase';
+import { parseCsv, parseNumber, toCsv } from './bulkCalculator';
+import { today, normalizeDate, resolveCostAt } from './costHistory.js';
+
+// Her geçmiş kaydında tutulan maliyet alanları
+export const CATALOGUE_COST_FIELDS = [
+  { key: 'productCost', label: 'Ürün Maliyeti' },
+  { key: 'packagingCost', label: 'Paketleme' },
+  { key: 'laborCost', label: 'İşçilik' },
+];
+
+// CSV kolonları ve kabul edilen başlıklar
+const CSV_COLUMNS = [
+  { key: 'barcode', label: 'Barkod', aliases: ['barkod', 'barcode'] },
+  { key: 'stockCode', label: 'Stok Kodu', aliases: ['stok kodu', 'stockcode', 'sku'] },
+  { key: 'title', label: 'Ürün Adı', aliases: ['ürün adı', 'urun adi', 'title', 'ad'] },
+  { key: 'effectiveFrom', label: 'Geçerlilik Tarihi', aliases: ['geçerlilik tarihi', 'gecerlilik tarihi', 'tarih', 'effectivefrom'] },
+  ...CATALOGUE_COST_FIELDS.map((field) => ({
+    ...field,
+    aliases: [field.label.toLocaleLowerCase('tr-TR'), field.key.toLowerCase()],
+  })),
+];
+
+const BATCH_LIMIT = 400;
+
+// "31.12.2024" -> "2024-12-31" ve tarihte geçerli kayıt (bkz. costHistory.js)
+export { normalizeDate, resolveCostAt } from './costHistory.js';
+
+// Geçmişe kayıt ekle; aynı tarihli kayıt varsa üzerine yazılır
+const mergeRecord = (history, record) =>
+  [...(history || []).filter((item) => item.effectiveFrom !== record.effectiveFrom), record].sort(
+    (a, b) => a.effectiveFrom.localeCompare(b.effectiveFrom)
+  );
+
+const buildRecord = (values, effectiveFrom) => ({
+  effectiveFrom,
+  ...CATALOGUE_COST_FIELDS.reduce((acc, field) => {
+    acc[field.key] = parseNumber(values[field.key]) ?? 0;
+    return acc;
+  }, {}),
+  createdAt: new Date().toISOString(),
+});
+
+class CostCatalogueService {
+  constructor() {
+    this.cache = { uid: null, entries: null };
+  }
+
+  catalogueRef(uid) {
+    if (!uid) {
+      throw new Error('Maliyet kataloğu için giriş yapmalısınız');
+    }
+    return collection(db, 'users', uid, 'costCatalogue');
+  }
+
+  // Barkodda "/" gibi karakterler olabileceği için belge kimliği kodlanır
+  entryRef(uid, barcode) {
+    return doc(this.catalogueRef(uid), encodeURIComponent(barcode));
+  }
+
+  invalidate() {
+    this.cache = { uid: null, entries: null };
+  }
+
+  async listEntries(uid, { force = false } = {}) {
+    if (!force && this.cache.uid === uid && this.cache.entries) {
+      return this.cache.entries;
+    }
+    const snapshot = await getDocs(this.catalogueRef(uid));
+    const entries = snapshot.docs
+      .map((item) => item.data())
+      .sort((a, b) => (a.title || a.barcode).localeCompare(b.title || b.barcode, 'tr'));
+    this.cache = { uid, entries };
+    return entries;
+  }
+
+  async getEntry(uid, barcode) {
+    const snapshot = await getDoc(this.entryRef(uid, barcode));
+    return snapshot.exists() ? snapshot.data() : null;
+  }
+
+  // Barkod veya stok koduna göre kayıt bul
+  async findEntry(uid, code) {
+    if (!code) return null;
+    const entries = await this.listEntries(uid);
+    return (
+      entries.find((entry) => entry.barcode === code) ||
+      entries.find((entry) => entry.stockCode && entry.stockCode === code) ||
+      null
+    );
+  }
+
+  // Tarihte geçerli maliyet; kayıt yoksa null
+  async getCostAt(uid, code, date) {
+    return resolveCostAt(await this.findEntry(uid, code), date);
+  }
+
+  // Yeni maliyet kaydı ekle (ürün yoksa oluşturulur)
+  async saveCost(uid, { barcode, stockCode = '', title = '' }, values, effectiveFrom = today()) {
+    if (!barcode) {
+      throw new Error('Barkod zorunludur');
+    }
+    const date = normalizeDate(effectiveFrom);
+    if (!date) {
+      throw new Error('Geçerlilik tarihi hatalı');
+    }
+
+    const existing = await this.getEntry(uid, barcode);
+    const entry = {
+      barcode,
+      stockCode: stockCode || existing?.stockCode || '',
+      title: title || existing?.title || '',
+      history: mergeRecord(existing?.history, buildRecord(values, date)),
+      updatedAt: new Date().toISOString(),
+    };
+    await setDoc(this.entryRef(uid, barcode), entry);
+    this.invalidate();
+    return entry;
+  }
+
+  async deleteCostRecord(uid, barcode, effectiveFrom) {
+    const existing = await this.getEntry(uid, barcode);
+    if (!existing) return null;
+
+    const entry = {
+      ...existing,
+      history: existing.history.filter((record) => record.effectiveFrom !== effectiveFrom),
+      updatedAt: new Date().toISOString(),
+    };
+    await setDoc(this.entryRef(uid, barcode), entry);
+    this.invalidate();
+    return entry;
+  }
+
+  async deleteEntry(uid, barcode) {
+    await deleteDoc(this.entryRef(uid, barcode));
+    this.invalidate();
+  }
+
+  // CSV içe aktar: her satır bir geçmiş kaydıdır
+  async importCsv(uid, text) {
+    const [headerRow, ...rows] = parseCsv(text);
+    if (!headerRow) {
+      throw new Error('CSV dosyası boş');
+    }
+
+    const headers = headerRow.map((header) => header.trim().toLocaleLowerCase('tr-TR'));
+    const columnIndex = CSV_COLUMNS.reduce((acc, column) => {
+      acc[column.key] = headers.findIndex(
+        (header) => header === column.key.toLowerCase() || column.aliases.includes(header)
+      );
+      return acc;
+    }, {});
+
+    if (columnIndex.barcode === -1 || columnIndex.productCost === -1) {
+      throw new Error('CSV dosyasında Barkod ve Ürün Maliyeti kolonları olmalı');
+    }
+
+    const entries = new Map((await this.listEntries(uid, { force: true })).map((entry) => [entry.barcode, entry]));
+    const changed = new Set();
+    const errors = [];
+
+    rows.forEach((cells, index) => {
+      const read = (key) => (columnIndex[key] === -1 ? '' : (cells[columnIndex[key]] ?? '').trim());
+      const barcode = read('barcode');
+      const effectiveFrom = read('effectiveFrom') ? normalizeDate(read('effectiveFrom')) : today();
+
+      if (!barcode || parseNumber(read('productCost')) === null || !effectiveFrom) {
+        errors.push({ rowNumber: index + 2, error: 'Barkod, ürün maliyeti veya tarih hatalı' });
+        return;
+      }
+
+      const existing = entries.get(barcode);
+      const values = CATALOGUE_COST_FIELDS.reduce((acc, field) => {
+        acc[field.key] = read(field.key);
+        return acc;
+      }, {});
+
+      entries.set(barcode, {
+        barcode,
+        stockCode: read('stockCode') || existing?.stockCode || '',
+        title: read('title') || existing?.title || '',
+        history: mergeRecord(existing?.history, buildRecord(values, effectiveFrom)),
+        updatedAt: new Date().toISOString(),
+      });
+      changed.add(barcode);
+    });
+
+    const barcodes = [...changed];
+    for (let i = 0; i < barcodes.length; i += BATCH_LIMIT) {
+      const batch = writeBatch(db);
+      barcodes.slice(i, i + BATCH_LIMIT).forEach((barcode) => {
+        batch.set(this.entryRef(uid, barcode), entries.get(barcode));
+      });
+      await batch.commit();
+    }
+
+    this.invalidate();
+    return { imported: rows.length - errors.length, products: barcodes.length, errors };
+  }
+
+  // Tüm geçmişi CSV olarak dışa aktar (içe aktarma ile aynı format)
+  exportCsv(entries) {
+    const header = CSV_COLUMNS.map((column) => column.label);
+    const rows = entries.flatMap((entry) =>
+      (entry.history || []).map((record) => [
+        entry.barcode,
+        entry.stockCode || '',
+        entry.title || '',
+        record.effectiveFrom,
+        ...CATALOGUE_COST_FIELDS.map((field) => String(record[field.key] ?? 0).replace('.', ',')),
+      ])
+    );
+    return toCsv([header, ...rows]);
+  }
+}
+
+// Singleton instance
+const costCatalogueService = new CostCatalogueService();
+export default costCatalogueService;
@@ -0,0 +1,28 @@
+// Maliyet geçmişi
+// Tarihte geçerli maliyet kaydını bulan saf fonksiyonlar. Firebase'e bağımlı
+// olmadığı için proxy sunucusu (otomatik fiyat kuralları) da aynı kuralı kullanır.
+
+export const today = () => new Date().toISOString().split('T')[0];
+
+// "31.12.2024" veya "2024-12-31" -> "2024-12-31"
+export const normalizeDate = (value) => {
+  if (value instanceof Date) return value.toISOString().split('T')[0];
+  const text = (value ?? '').toString().trim();
+  const turkish = text.match(/^(\d{1,2})[./](\d{1,2})[./](\d{4})$/);
+  if (turkish) {
+    const [, day, month, year] = turkish;
+    return `${year}-${month.padStart(2, '0')}-${day.padStart(2, '0')}`;
+  }
+  return /^\d{4}-\d{2}-\d{2}/.test(text) ? text.slice(0, 10) : null;
+};
+
+// Tarihte geçerli geçmiş kaydı (geçerlilik tarihi <= tarih olan en yenisi)
+export const resolveCostAt = (entry, date = today()) => {
+  if (!entry?.history?.length) return null;
+  const target = normalizeDate(date) || today();
+  return (
+    [...entry.history]
+      .filter((record) => record.effectiveFrom <= target)
+      .sort((a, b) => b.effectiveFrom.localeCompare(a.effectiveFrom))[0] || null
+  );
+};
@@ -0,0 +1,48 @@
+// Stok düzenleme yardımcıları
+// Stok ekranında yapılan düzenlemeler barkod -> yeni miktar olarak tutulur;
+// gönderimden önce mevcut stokla karşılaştırılıp değişiklik listesine çevrilir.
+
+export const STOCK_OPERATIONS = [
+  { key: 'set', label: 'Eşitle' },
+  { key: 'increase', label: 'Artır' },
+  { key: 'decrease', label: 'Azalt' },
+];
+
+// Bu miktar ve altı "az stok" sayılır
+export const LOW_STOCK_THRESHOLD = 5;
+
+// Trendyol stok miktarı 0 veya pozitif tam sayı olmalı
+export const isValidQuantity = (value) => Number.isInteger(value) && value >= 0;
+
+// "12" -> 12; boş veya sayı olmayan değer null
+export const parseQuantity = (value) => {
+  const text = (value ?? '').toString().trim();
+  if (!/^-?\d+$/.test(text)) return null;
+  return parseInt(text, 10);
+};
+
+// Toplu işlem sonucu; azaltma sıfırın altına inmez
+export const applyStockOperation = (quantity, operation, amount) => {
+  const current = quantity || 0;
+  if (operation === 'increase') return current + amount;
+  if (operation === 'decrease') return Math.max(0, current - amount);
+  return amount;
+};
+
+// Düzenlemeleri mevcut stokla karşılaştır: yalnızca değişen ve geçerli olanlar döner
+export const buildStockChanges = (products, edits) =>
+  products
+    .filter((product) => Object.prototype.hasOwnProperty.call(edits, product.barcode))
+    .map((product) => {
+      const current = product.quantity || 0;
+      const next = edits[product.barcode];
+      return {
+        barcode: product.barcode,
+        title: product.title,
+        stockCode: product.stockCode,
+        current,
+        next,
+        delta: next - current,
+      };
+    })
+    .filter((change) => isValidQuantity(change.next) && change.delta !== 0);
@@ -0,0 +1,226 @@
+// Yerel Veri Deposu
+// Trendyol ürün ve siparişleri tarayıcıda IndexedDB'de (kullanıcı ve satıcı
+// başına ayrı veritabanı) tutulur. İlk senkronizasyon entegrasyonda seçilen gün kadar
+// geriye gider; sonrakiler yalnızca son senkronizasyondan beri değişenleri çeker.
+// Panel ve raporlar bağlantı yokken bu depodan çalışır.
+import trendyolService from './trendyolService';
+
+const DB_PREFIX = 'karhesap-cache-';
+const DB_VERSION = 1;
+const DEFAULT_SYNC_DAYS = 3;
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Saat farkı ve geç yazılan kayıtlar için artımlı senkronizasyon biraz geriden başlar
+const SYNC_OVERLAP_MS = 60 * 60 * 1000;
+
+const requestToPromise = (request) =>
+  new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+
+const transactionDone = (transaction) =>
+  new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+
+const openDatabase = (name) =>
+  new Promise((resolve, reject) => {
+    const request = indexedDB.open(name, DB_VERSION);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains('products')) {
+        db.createObjectStore('products', { keyPath: 'barcode' });
+      }
+      if (!db.objectStoreNames.contains('orders')) {
+        db.createObjectStore('orders', { keyPath: 'id' }).createIndex('orderDate', 'orderDate');
+      }
+      if (!db.objectStoreNames.contains('meta')) {
+        db.createObjectStore('meta', { keyPath: 'name' });
+      }
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+
+// Entegrasyon formunda seçilen senkronizasyon gün sayısı
+export const getSyncDays = () => {
+  const days = Number(trendyolService.getStoredIntegration().syncDays);
+  return days > 0 ? days : DEFAULT_SYNC_DAYS;
+};
+
+class LocalCacheService {
+  constructor() {
+    this.databases = new Map();
+    this.syncing = null;
+  }
+
+  isSupported() {
+    return typeof indexedDB !== 'undefined';
+  }
+
+  isOnline() {
+    return typeof navigator === 'undefined' || navigator.onLine !== false;
+  }
+
+  async getDatabase() {
+    if (!this.isSupported()) {
+      throw new Error('Tarayıcınız yerel veri deposunu desteklemiyor');
+    }
+    if (!(await trendyolService.ensureCredentials())) {
+      throw new Error('Önce Trendyol entegrasyonunu tamamlayın');
+    }
+
+    // Aynı mağazaya bağlanan iki hesap da birbirinin deposunu görmez
+    const name = `${DB_PREFIX}${trendyolService.uid}-${trendyolService.sellerId}`;
+    if (!this.databases.has(name)) {
+      this.databases.set(name, openDatabase(name));
+    }
+    return this.databases.get(name);
+  }
+
+  async readAll(storeName) {
+    const db = await this.getDatabase();
+    return requestToPromise(db.transaction(storeName).objectStore(storeName).getAll());
+  }
+
+  async putAll(storeName, items, { clear = false } = {}) {
+    const db = await this.getDatabase();
+    const transaction = db.transaction(storeName, 'readwrite');
+    const store = transaction.objectStore(storeName);
+    if (clear) store.clear();
+    items.forEach((item) => store.put(item));
+    await transactionDone(transaction);
+  }
+
+  async getMeta(name) {
+    const db = await this.getDatabase();
+    const record = await requestToPromise(db.transaction('meta').objectStore('meta').get(name));
+    return record || { name };
+  }
+
+  async setMeta(name, values) {
+    const current = await this.getMeta(name);
+    await this.putAll('meta', [{ ...current, ...values, name }]);
+  }
+
+  // Depodaki ürünler
+  getProducts() {
+    return this.readAll('products');
+  }
+
+  // Panelde güncellenen siparişleri depoya yaz
+  saveOrders(orders) {
+    return this.putAll('orders', orders);
+  }
+
+  // Depodaki siparişler (orderDate aralığına göre, yeniden eskiye)
+  async getOrders({ startDate, endDate } = {}) {
+    const db = await this.getDatabase();
+    const index = db.transaction('orders').objectStore('orders').index('orderDate');
+    const lower = startDate ? new Date(startDate).getTime() : null;
+    const upper = endDate ? new Date(endDate).getTime() : null;
+
+    let range = null;
+    if (lower !== null && upper !== null) range = IDBKeyRange.bound(lower, upper);
+    else if (lower !== null) range = IDBKeyRange.lowerBound(lower);
+    else if (upper !== null) range = IDBKeyRange.upperBound(upper);
+
+    const orders = await requestToPromise(index.getAll(range));
+    return orders.reverse();
+  }
+
+  // Son senkronizasyon bilgisi
+  async getStatus() {
+    const [products, orders] = await Promise.all([this.getMeta('products'), this.getMeta('orders')]);
+    return {
+      productsSyncedAt: products.syncedAt || null,
+      ordersSyncedAt: orders.syncedAt || null,
+      ordersCoverageStart: orders.coverageStart || null,
+      // İkisinden eskisi: panel bu tarihten sonraki değişiklikleri göremez
+      lastSyncedAt:
+        products.syncedAt && orders.syncedAt ? Math.min(products.syncedAt, orders.syncedAt) : null,
+    };
+  }
+
+  // İlk seferde tüm katalog, sonra son güncellenme tarihine göre değişenler
+  async syncProducts({ full = false } = {}) {
+    const meta = await this.getMeta('products');
+    const now = Date.now();
+    const incremental = !full && meta.syncedAt;
+
+    const filters = incremental
+      ? { startDate: meta.syncedAt - SYNC_OVERLAP_MS, endDate: now, dateQueryType: 'LAST_MODIFIED_DATE' }
+      : {};
+    const products = await trendyolService.collect(trendyolService.iterateProducts(filters));
+
+    // Tam senkronizasyonda Trendyol'dan silinen ürünler de temizlenir
+    await this.putAll('products', products, { clear: !incremental });
+    await this.setMeta('products', { syncedAt: now });
+    return products.length;
+  }
+
+  // İlk seferde syncDays gün geriye, sonra değişen paketler
+  async syncOrders() {
+    const meta = await this.getMeta('orders');
+    const now = Date.now();
+    const wantedStart = now - getSyncDays() * DAY_MS;
+    const orders = [];
+
+    if (meta.syncedAt) {
+      orders.push(
+        ...(await trendyolService.collect(
+          trendyolService.iterateOrders({
+            startDate: meta.syncedAt - SYNC_OVERLAP_MS,
+            endDate: now,
+            orderByField: 'PackageLastModifiedDate',
+          })
+        ))
+      );
+    }
+
+    // İlk senkronizasyon veya gün sayısı artırıldıysa eksik geçmişi tamamla
+    const coverageStart = meta.syncedAt ? meta.coverageStart : now;
+    if (wantedStart < coverageStart) {
+      orders.push(
+        ...(await trendyolService.collect(
+          trendyolService.iterateOrders({ startDate: wantedStart, endDate: coverageStart })
+        ))
+      );
+    }
+
+    await this.putAll('orders', orders);
+    await this.setMeta('orders', { syncedAt: now, coverageStart: Math.min(coverageStart, wantedStart) });
+    return orders.length;
+  }
+
+  // Ürün ve siparişleri senkronize et; eşzamanlı çağrılar aynı işi bekler
+  sync(options = {}) {
+    if (!this.syncing) {
+      this.syncing = Promise.all([this.syncProducts(options), this.syncOrders()])
+        .then(([products, orders]) => ({ products, orders }))
+        .finally(() => {
+          this.syncing = null;
+        });
+    }
+    return this.syncing;
+  }
+
+  // Raporlar için: aralığın depoda olmayan kısmını canlı çekip depoya ekle
+  async ensureOrderRange(startDate) {
+    const meta = await this.getMeta('orders');
+    const start = new Date(startDate).getTime();
+    if (!meta.syncedAt || start >= meta.coverageStart) return;
+
+    const orders = await trendyolService.collect(
+      trendyolService.iterateOrders({ startDate: start, endDate: meta.coverageStart })
+    );
+    await this.putAll('orders', orders);
+    await this.setMeta('orders', { coverageStart: start });
+  }
+}
+
+// Singleton instance
+const localCacheService = new LocalCacheService();
+export default localCacheService;
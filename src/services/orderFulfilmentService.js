@@ -0,0 +1,200 @@
+// Sipariş Hazırlama Akışı
+// Trendyol paketleri Created -> Picking -> Invoiced -> Shipped sırasıyla ilerler.
+// Geçiş kuralları API çağrısından önce burada doğrulanır; kargoya verme, kargo
+// kaydı (firma + takip numarası) oluşturulduktan sonra durum güncellemesidir.
+import trendyolService from './trendyolService';
+import localCacheService from './localCacheService';
+
+export const ORDER_STATUSES = {
+  Created: { label: 'Oluşturuldu', color: 'bg-blue-100 text-blue-800' },
+  Picking: { label: 'Hazırlanıyor', color: 'bg-yellow-100 text-yellow-800' },
+  Invoiced: { label: 'Faturalandı', color: 'bg-orange-100 text-orange-800' },
+  Shipped: { label: 'Kargoda', color: 'bg-purple-100 text-purple-800' },
+  Delivered: { label: 'Teslim Edildi', color: 'bg-green-100 text-green-800' },
+  UnDelivered: { label: 'Teslim Edilemedi', color: 'bg-red-100 text-red-800' },
+  Cancelled: { label: 'İptal Edildi', color: 'bg-red-100 text-red-800' },
+  Returned: { label: 'İade Edildi', color: 'bg-gray-100 text-gray-800' },
+};
+
+// Her durumdan yalnızca bir sonraki adıma geçilebilir
+export const STATUS_TRANSITIONS = {
+  Created: ['Picking'],
+  Picking: ['Invoiced'],
+  Invoiced: ['Shipped'],
+};
+
+// Geçiş düğmelerinin metni
+export const TRANSITION_LABELS = {
+  Picking: 'Hazırlamaya Al',
+  Invoiced: 'Faturalandı İşaretle',
+  Shipped: 'Kargoya Ver',
+};
+
+// "shipped", "SHIPPED" -> "Shipped"
+export const normalizeStatus = (status) =>
+  Object.keys(ORDER_STATUSES).find((key) => key.toLowerCase() === (status || '').toLowerCase()) || status || null;
+
+export const getStatusInfo = (status) =>
+  ORDER_STATUSES[normalizeStatus(status)] || { label: status || 'Bilinmiyor', color: 'bg-gray-100 text-gray-800' };
+
+export const getNextStatus = (status) => STATUS_TRANSITIONS[normalizeStatus(status)]?.[0] || null;
+
+export const canTransition = (from, to) => (STATUS_TRANSITIONS[normalizeStatus(from)] || []).includes(to);
+
+// Geçişin hatası veya null; API'ye yalnızca geçerli istekler gider
+export const validateTransition = (order, to, details = {}) => {
+  if (!ORDER_STATUSES[to]) return 'Bilinmeyen sipariş durumu';
+  if (!canTransition(order.status, to)) {
+    return `${getStatusInfo(order.status).label} durumundaki sipariş "${ORDER_STATUSES[to].label}" durumuna geçemez`;
+  }
+  if (to === 'Invoiced' && !details.invoiceNumber?.trim()) return 'Fatura numarası gerekli';
+  // Kargo kaydı önceki denemede oluşturulduysa yalnızca durum güncellenir
+  if (to === 'Shipped' && !order.pendingShipment) {
+    if (!details.providerId) return 'Kargo firması seçin';
+    if (!details.trackingNumber?.trim()) return 'Takip numarası gerekli';
+  }
+  return null;
+};
+
+// Kargo kaydı oluşturulmuş ama durumu güncellenememiş siparişler (yerel depo meta kaydı)
+const PENDING_SHIPMENTS_META = 'pendingShipments';
+
+// Trendyol Picking/Invoiced güncellemesinde paketin satırlarını ister
+const toStatusLines = (order) =>
+  (order.lines || []).map((line) => ({ lineId: line.id, quantity: line.quantity }));
+
+class OrderFulfilmentService {
+  constructor() {
+    this.providers = null;
+    // IndexedDB yoksa bekleyen kargo kayıtları yalnızca bu oturumda tutulur
+    this.pendingShipments = new Map();
+  }
+
+  async getPendingShipment(orderId) {
+    if (this.pendingShipments.has(orderId)) return this.pendingShipments.get(orderId);
+    if (!localCacheService.isSupported()) return null;
+    const meta = await localCacheService.getMeta(PENDING_SHIPMENTS_META).catch(() => ({}));
+    return meta[orderId] || null;
+  }
+
+  async setPendingShipment(orderId, shipment) {
+    if (shipment) this.pendingShipments.set(orderId, shipment);
+    else this.pendingShipments.delete(orderId);
+    if (localCacheService.isSupported()) {
+      await localCacheService.setMeta(PENDING_SHIPMENTS_META, { [orderId]: shipment }).catch((cacheError) =>
+        console.warn('Kargo kaydı yerel depoya yazılamadı:', cacheError)
+      );
+    }
+  }
+
+  // Kargoya verilecek siparişe daha önce oluşturulmuş kargo kaydını ekle
+  async withPendingShipment(order, to) {
+    if (to !== 'Shipped' || order.pendingShipment) return order;
+    const pendingShipment = await this.getPendingShipment(order.id);
+    return pendingShipment ? { ...order, pendingShipment } : order;
+  }
+
+  async cacheOrder(order) {
+    if (!localCacheService.isSupported()) return;
+    await localCacheService.saveOrders([order]).catch((cacheError) =>
+      console.warn('Sipariş yerel depoya yazılamadı:', cacheError)
+    );
+  }
+
+  // Kargo firmaları oturum boyunca bir kez çekilir
+  getShipmentProviders() {
+    if (!this.providers) {
+      this.providers = trendyolService.getShipmentProviders().catch((error) => {
+        this.providers = null;
+        throw error;
+      });
+    }
+    return this.providers;
+  }
+
+  // Tek siparişi sonraki duruma taşı; güncellenen siparişi döndürür.
+  // Kargoya verirken kargo kaydı oluşup durum güncellenemezse hata, kaydı taşıyan
+  // siparişi (error.order) döndürür; tekrar denemede kargo yeniden oluşturulmaz
+  async transition(order, to, details = {}) {
+    let current = await this.withPendingShipment(order, to);
+    const error = validateTransition(current, to, details);
+    if (error) throw new Error(error);
+
+    if (to === 'Shipped' && !current.pendingShipment) {
+      const trackingNumber = details.trackingNumber.trim();
+      await trendyolService.createShipment(order.id, {
+        cargoProviderId: details.providerId,
+        trackingNumber,
+      });
+      const pendingShipment = {
+        providerName: details.providerName || order.cargoProviderName || null,
+        trackingNumber,
+        createdAt: new Date().toISOString(),
+      };
+      current = {
+        ...current,
+        cargoProviderName: pendingShipment.providerName,
+        cargoTrackingNumber: trackingNumber,
+        pendingShipment,
+      };
+      await this.setPendingShipment(order.id, pendingShipment);
+      await this.cacheOrder(current);
+    }
+
+    try {
+      await trendyolService.updateOrderStatus(order.id, to, {
+        lines: toStatusLines(order),
+        ...(to === 'Invoiced' && { params: { invoiceNumber: details.invoiceNumber.trim() } }),
+      });
+    } catch (statusError) {
+      if (!current.pendingShipment) throw statusError;
+      const partialError = new Error(
+        `Kargo kaydı oluşturuldu (takip no ${current.pendingShipment.trackingNumber}) ancak durum güncellenemedi: ` +
+        `${statusError.message}. Tekrar denediğinizde yalnızca durum güncellenir.`
+      );
+      partialError.order = current;
+      throw partialError;
+    }
+
+    const { pendingShipment, ...rest } = current;
+    const updated = {
+      ...rest,
+      status: to,
+      ...(to === 'Invoiced' && { invoiceNumber: details.invoiceNumber.trim() }),
+    };
+    if (pendingShipment) await this.setPendingShipment(order.id, null);
+    // Panel bir sonraki senkronizasyonu beklemeden yeni durumu göstersin
+    await this.cacheOrder(updated);
+    return updated;
+  }
+
+  // Siparişleri sırayla taşı; geçersizler API'ye gönderilmeden atlanır
+  // detailsFor(order) -> sipariş başına fatura/takip bilgisi
+  async bulkTransition(orders, to, detailsFor = () => ({})) {
+    const updated = [];
+    const failed = [];
+
+    for (const original of orders) {
+      const order = await this.withPendingShipment(original, to);
+      const details = detailsFor(order);
+      const error = validateTransition(order, to, details);
+      if (error) {
+        failed.push({ order, error, skipped: true });
+        continue;
+      }
+
+      try {
+        updated.push(await this.transition(order, to, details));
+      } catch (transitionError) {
+        // Kargo kaydı oluşan sipariş, kayıtla birlikte döner
+        failed.push({ order: transitionError.order || order, error: transitionError.message, skipped: false });
+      }
+    }
+
+    return { updated, failed };
+  }
+}
+
+// Singleton instance
+const orderFulfilmentService = new OrderFulfilmentService();
+export default orderFulfilmentService;
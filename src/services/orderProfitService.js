@@ -0,0 +1,243 @@
+// Sipariş Kârlılığı
+// Trendyol siparişlerini satırlarına açar; her satırı komisyon, hizmet bedeli,
+// kargo ve katalogdaki maliyetle kâr motorundan geçirir. Hizmet bedeli ve kargo
+// paket başına alındığı için satırlara tutar payına göre dağıtılır.
+import trendyolService from './trendyolService';
+import localCacheService from './localCacheService';
+import costCatalogueService, { resolveCostAt } from './costCatalogueService';
+import { calculateProfit, resolveServiceFee, toNumber, DEFAULT_VAT_RATE } from './profitEngine';
+import { calculateCargoCost, matchCargoProvider } from './cargoService';
+import { DEFAULT_COMMISSION_RATE } from '../config/commissionRates';
+
+// Kâra dahil edilmeyen sipariş durumları
+export const EXCLUDED_STATUSES = ['Cancelled', 'UnSupplied', 'Returned'];
+
+// Satır ve sipariş toplamlarında tutulan alanlar
+const TOTAL_FIELDS = [
+  'quantity',
+  'grossAmount',
+  'discount',
+  'revenue',
+  'commission',
+  'commissionVat',
+  'serviceFee',
+  'cargo',
+  'productCost',
+  'packagingCost',
+  'laborCost',
+  'payableVat',
+  'profit',
+];
+
+const emptyTotals = () =>
+  TOTAL_FIELDS.reduce((acc, field) => {
+    acc[field] = 0;
+    return acc;
+  }, {});
+
+const addTotals = (target, source) => {
+  TOTAL_FIELDS.forEach((field) => {
+    target[field] += source[field];
+  });
+  return target;
+};
+
+const withMargin = (totals) => ({
+  ...totals,
+  margin: totals.revenue !== 0 ? (totals.profit / totals.revenue) * 100 : 0,
+});
+
+// Yerel saatle 'YYYY-MM-DD'
+export const toDayKey = (timestamp) => {
+  const date = new Date(timestamp);
+  const pad = (value) => String(value).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+};
+
+const findCostEntry = (costEntries, line) =>
+  costEntries.find((entry) => entry.barcode === line.barcode) ||
+  costEntries.find((entry) => entry.stockCode && entry.stockCode === line.merchantSku) ||
+  null;
+
+// Paket kargo ücreti: firma ve desi siparişte yoksa null
+const resolveOrderCargo = (order) => {
+  const provider = matchCargoProvider({ name: order.cargoProviderName });
+  const desi = toNumber(order.cargoDeci);
+  if (!provider || desi <= 0) return null;
+  return calculateCargoCost({ providerCode: provider.code, desi });
+};
+
+// Tek siparişi satır satır kâr motorundan geçir
+export const reconcileOrder = (order, { costEntries = [], defaultCommissionRate = DEFAULT_COMMISSION_RATE } = {}) => {
+  const saleDate = new Date(order.orderDate || Date.now()).toISOString();
+  const lines = (order.lines || []).map((line) => {
+    const quantity = Math.max(1, toNumber(line.quantity));
+    const grossAmount = toNumber(line.amount) || toNumber(line.price) * quantity;
+    const discount = toNumber(line.discount);
+    return { line, quantity, grossAmount, discount, netAmount: grossAmount - discount };
+  });
+
+  const orderNet = lines.reduce((sum, item) => sum + item.netAmount, 0);
+  const serviceFee = resolveServiceFee(saleDate, orderNet).fee;
+  const cargo = resolveOrderCargo(order);
+  const cargoCost = cargo ? cargo.cost : 0;
+
+  const reconciledLines = lines.map(({ line, quantity, grossAmount, discount, netAmount }) => {
+    const share = orderNet > 0 ? netAmount / orderNet : 1 / lines.length;
+    const cost = resolveCostAt(findCostEntry(costEntries, line), saleDate);
+    const hasCommission = line.commission !== undefined && line.commission !== null;
+
+    // Motor birim fiyatla çalışır; paket giderleri birime bölünür
+    const result = calculateProfit({
+      salePrice: grossAmount / quantity,
+      discountType: 'fixed',
+      discountValue: discount / quantity,
+      commissionRate: hasCommission ? line.commission : defaultCommissionRate,
+      vatRate: line.vatRate ?? DEFAULT_VAT_RATE,
+      saleDate,
+      serviceFee: (serviceFee * share) / quantity,
+      shippingCost: (cargoCost * share) / quantity,
+      productCost: cost?.productCost,
+      packagingCost: cost?.packagingCost,
+      laborCost: cost?.laborCost,
+    });
+
+    return {
+      barcode: line.barcode,
+      merchantSku: line.merchantSku,
+      productName: line.productName,
+      commissionRate: result.commissionRate,
+      commissionSource: hasCommission ? 'order' : 'default',
+      missingCost: !cost,
+      unitResult: result,
+      quantity,
+      grossAmount,
+      discount,
+      revenue: result.netRevenue * quantity,
+      commission: result.platformFees.commission * quantity,
+      commissionVat: result.platformFees.commissionVat * quantity,
+      serviceFee: result.platformFees.serviceFee * quantity,
+      cargo: result.costs.shipping * quantity,
+      productCost: result.costs.product * quantity,
+      packagingCost: result.costs.packaging * quantity,
+      laborCost: result.costs.labor * quantity,
+      payableVat: result.platformFees.payableVat * quantity,
+      profit: result.finalProfit * quantity,
+    };
+  });
+
+  const totals = withMargin(reconciledLines.reduce(addTotals, emptyTotals()));
+
+  return {
+    id: order.id ?? order.orderNumber,
+    orderNumber: order.orderNumber,
+    orderDate: order.orderDate,
+    dayKey: toDayKey(order.orderDate || Date.now()),
+    status: order.status,
+    customerName: [order.customerFirstName, order.customerLastName].filter(Boolean).join(' '),
+    cargoProvider: cargo ? cargo.providerName : order.cargoProviderName || null,
+    cargoDesi: cargo ? cargo.desi : null,
+    missingCargo: !cargo,
+    missingCost: reconciledLines.some((line) => line.missingCost),
+    lines: reconciledLines,
+    totals,
+  };
+};
+
+export const summarizeOrders = (orders) => ({
+  orderCount: orders.length,
+  missingCostCount: orders.filter((order) => order.missingCost).length,
+  missingCargoCount: orders.filter((order) => order.missingCargo).length,
+  ...withMargin(orders.reduce((acc, order) => addTotals(acc, order.totals), emptyTotals())),
+});
+
+// Gün bazında toplamlar (yeniden eskiye)
+export const groupByDay = (orders) => {
+  const days = new Map();
+  orders.forEach((order) => {
+    const day = days.get(order.dayKey) || { dayKey: order.dayKey, orderCount: 0, ...emptyTotals() };
+    day.orderCount += 1;
+    addTotals(day, order.totals);
+    days.set(order.dayKey, day);
+  });
+  return [...days.values()].map(withMargin).sort((a, b) => b.dayKey.localeCompare(a.dayKey));
+};
+
+// Ürün (barkod) bazında toplamlar (kâra göre)
+export const groupByProduct = (orders) => {
+  const products = new Map();
+  orders.forEach((order) => {
+    order.lines.forEach((line) => {
+      const key = line.barcode || line.merchantSku || line.productName;
+      const product = products.get(key) || {
+        key,
+        barcode: line.barcode,
+        productName: line.productName,
+        orderCount: 0,
+        missingCost: false,
+        ...emptyTotals(),
+      };
+      product.orderCount += 1;
+      product.missingCost = product.missingCost || line.missingCost;
+      addTotals(product, line);
+      products.set(key, product);
+    });
+  });
+  return [...products.values()].map(withMargin).sort((a, b) => b.profit - a.profit);
+};
+
+class OrderProfitService {
+  // Tarih aralığındaki siparişler: önce yerel depo güncellenir, bağlantı
+  // yoksa depodaki son veriyle devam edilir. { orders, syncedAt, offline }
+  async fetchOrders({ startDate, endDate } = {}) {
+    if (!localCacheService.isSupported()) {
+      const orders = await trendyolService.collect(trendyolService.iterateOrders({ startDate, endDate }));
+      return { orders, syncedAt: Date.now(), offline: false };
+    }
+
+    let offline = !localCacheService.isOnline();
+    if (!offline) {
+      try {
+        await localCacheService.syncOrders();
+        if (startDate) await localCacheService.ensureOrderRange(startDate);
+      } catch (error) {
+        const { ordersSyncedAt } = await localCacheService.getStatus();
+        if (!ordersSyncedAt) throw error;
+        console.warn('Siparişler senkronize edilemedi, yerel veri kullanılıyor:', error);
+        offline = true;
+      }
+    }
+
+    const [orders, { ordersSyncedAt }] = await Promise.all([
+      localCacheService.getOrders({ startDate, endDate }),
+      localCacheService.getStatus(),
+    ]);
+    return { orders, syncedAt: ordersSyncedAt, offline };
+  }
+
+  // Siparişleri çekip mutabakat yap: { orders, excluded, syncedAt, offline }
+  async loadReconciliation(uid, { startDate, endDate, defaultCommissionRate } = {}) {
+    if (!(await trendyolService.ensureCredentials())) {
+      throw new Error('Sipariş kârlılığı için önce Trendyol entegrasyonunu tamamlayın');
+    }
+
+    const [{ orders: rawOrders, syncedAt, offline }, costEntries] = await Promise.all([
+      this.fetchOrders({ startDate, endDate }),
+      costCatalogueService.listEntries(uid),
+    ]);
+
+    const included = rawOrders.filter((order) => !EXCLUDED_STATUSES.includes(order.status));
+    return {
+      orders: included
+        .map((order) => reconcileOrder(order, { costEntries, defaultCommissionRate }))
+        .sort((a, b) => b.orderDate - a.orderDate),
+      excluded: rawOrders.length - included.length,
+      syncedAt,
+      offline,
+    };
+  }
+}
+
+// Singleton instance
+const orderProfitService = new OrderProfitService();
+export default orderProfitService;
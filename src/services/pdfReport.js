@@ -0,0 +1,411 @@
+// Kâr/Zarar PDF Raporu
+// Rapor jsPDF çizim fonksiyonlarıyla vektörel olarak üretilir: metin seçilebilir,
+// satırlar sayfa sonunda bölünmez. Türkçe karakterler için DejaVu Sans gömülür;
+// jsPDF fontu bütün olarak gömdüğü için yalnızca Latin ve Türkçe karakterleri
+// içeren alt küme kullanılır (scripts/subset-report-fonts.js).
+import dejavuSansUrl from '../assets/fonts/DejaVuSans-Report.ttf?url';
+import dejavuSansBoldUrl from '../assets/fonts/DejaVuSans-Bold-Report.ttf?url';
+
+const FONT_NAME = 'DejaVuSans';
+
+// A4, mm
+const PAGE = { width: 210, height: 297, margin: 15 };
+const HEADER_HEIGHT = 24;
+const FOOTER_HEIGHT = 14;
+const CONTENT_TOP = HEADER_HEIGHT + 8;
+const CONTENT_BOTTOM = PAGE.height - FOOTER_HEIGHT - 4;
+const ROW_HEIGHT = 7;
+
+const COLORS = {
+  text: [17, 24, 39],
+  muted: [107, 114, 128],
+  border: [229, 231, 235],
+  stripe: [249, 250, 251],
+  brand: [249, 115, 22],
+  green: [22, 163, 74],
+  red: [220, 38, 38],
+};
+
+const money = (value) =>
+  `₺${value.toLocaleString('tr-TR', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+const percent = (value) => `%${Number(value).toLocaleString('tr-TR', { maximumFractionDigits: 2 })}`;
+
+// Font dosyaları ilk raporda indirilir, sonra bellekte tutulur
+let fontCache = null;
+
+const toBase64 = (buffer) => {
+  const bytes = new Uint8Array(buffer);
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+};
+
+async function loadFonts() {
+  if (!fontCache) {
+    const [regular, bold] = await Promise.all(
+      [dejavuSansUrl, dejavuSansBoldUrl].map(async (url) => {
+        const response = await fetch(url);
+        if (!response.ok) throw new Error('Rapor fontu yüklenemedi');
+        return toBase64(await response.arrayBuffer());
+      })
+    );
+    fontCache = { regular, bold };
+  }
+  return fontCache;
+}
+
+function registerFonts(pdf, fonts) {
+  pdf.addFileToVFS('DejaVuSans-Report.ttf', fonts.regular);
+  pdf.addFont('DejaVuSans-Report.ttf', FONT_NAME, 'normal');
+  pdf.addFileToVFS('DejaVuSans-Bold-Report.ttf', fonts.bold);
+  pdf.addFont('DejaVuSans-Bold-Report.ttf', FONT_NAME, 'bold');
+}
+
+// jsPDF'in doğrudan gömebildiği biçimler, dosya imzasıyla tanınır
+const detectImageFormat = (bytes) => {
+  if (bytes[0] === 0x89 && bytes[1] === 0x50 && bytes[2] === 0x4e && bytes[3] === 0x47) return 'PNG';
+  if (bytes[0] === 0xff && bytes[1] === 0xd8 && bytes[2] === 0xff) return 'JPEG';
+  return null;
+};
+
+// Tarayıcının açabildiği diğer biçimleri (SVG, WebP, GIF...) PNG'ye çevir
+const rasterizeToPng = (image) => {
+  const canvas = document.createElement('canvas');
+  canvas.width = image.naturalWidth || image.width;
+  canvas.height = image.naturalHeight || image.height;
+  if (!canvas.width || !canvas.height) throw new Error('Logo boyutu okunamadı');
+  canvas.getContext('2d').drawImage(image, 0, 0, canvas.width, canvas.height);
+  return canvas.toDataURL('image/png');
+};
+
+// Logo URL'sini PNG/JPEG data URL'ye çevir; CORS, bozuk dosya vb. hatada logo atlanır
+async function loadLogo(url) {
+  if (!url) return null;
+  try {
+    const response = await fetch(url);
+    if (!response.ok) return null;
+    const blob = await response.blob();
+    const format = detectImageFormat(new Uint8Array(await blob.slice(0, 4).arrayBuffer()));
+    const dataUrl = await new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(reader.result);
+      reader.onerror = reject;
+      reader.readAsDataURL(blob);
+    });
+    const image = await new Promise((resolve, reject) => {
+      const img = new Image();
+      img.onload = () => resolve(img);
+      img.onerror = reject;
+      img.src = dataUrl;
+    });
+    const ratio = (image.naturalWidth || image.width) / (image.naturalHeight || image.height);
+    if (!Number.isFinite(ratio) || ratio <= 0) return null;
+
+    return format
+      ? { dataUrl, format, ratio }
+      : { dataUrl: rasterizeToPng(image), format: 'PNG', ratio };
+  } catch (error) {
+    console.warn('Logo yüklenemedi:', error);
+    return null;
+  }
+}
+
+// Sayfa sonunu takip eden basit yerleşim yardımcısı
+class ReportLayout {
+  constructor(pdf) {
+    this.pdf = pdf;
+    this.y = CONTENT_TOP;
+  }
+
+  get contentWidth() {
+    return PAGE.width - PAGE.margin * 2;
+  }
+
+  setFont(style = 'normal', size = 10, color = COLORS.text) {
+    this.pdf.setFont(FONT_NAME, style);
+    this.pdf.setFontSize(size);
+    this.pdf.setTextColor(...color);
+  }
+
+  // Yükseklik sığmıyorsa yeni sayfaya geç; geçildiyse true döner
+  ensureSpace(height) {
+    if (this.y + height <= CONTENT_BOTTOM) return false;
+    this.pdf.addPage();
+    this.y = CONTENT_TOP;
+    return true;
+  }
+
+  sectionTitle(title) {
+    this.setFont('bold', 12);
+    this.pdf.text(title, PAGE.margin, this.y + 5);
+    this.pdf.setDrawColor(...COLORS.brand);
+    this.pdf.setLineWidth(0.6);
+    this.pdf.line(PAGE.margin, this.y + 7, PAGE.margin + 30, this.y + 7);
+    this.y += 11;
+  }
+
+  // Etiket/değer tablosu; satırlar bölünmez, yeni sayfada başlık tekrarlanır
+  keyValueTable(title, rows) {
+    this.ensureSpace(11 + ROW_HEIGHT * Math.min(rows.length, 3));
+    this.sectionTitle(title);
+
+    rows.forEach((row, index) => {
+      const labelLines = this.pdf.splitTextToSize(row.label, this.contentWidth * 0.45);
+      const valueLines = this.pdf.splitTextToSize(String(row.value), this.contentWidth * 0.5);
+      const lineCount = Math.max(labelLines.length, valueLines.length);
+      const height = ROW_HEIGHT + (lineCount - 1) * 4.5;
+
+      if (this.ensureSpace(height)) {
+        this.sectionTitle(`${title} (devam)`);
+      }
+
+      if (row.total) {
+        this.pdf.setFillColor(...COLORS.stripe);
+        this.pdf.rect(PAGE.margin, this.y, this.contentWidth, height, 'F');
+        this.pdf.setDrawColor(...COLORS.text);
+        this.pdf.setLineWidth(0.3);
+        this.pdf.line(PAGE.margin, this.y, PAGE.margin + this.contentWidth, this.y);
+      } else if (index % 2 === 1) {
+        this.pdf.setFillColor(...COLORS.stripe);
+        this.pdf.rect(PAGE.margin, this.y, this.contentWidth, height, 'F');
+      }
+
+      const style = row.total ? 'bold' : 'normal';
+      this.setFont(style, 9.5, row.muted ? COLORS.muted : COLORS.text);
+      this.pdf.text(labelLines, PAGE.margin + 2, this.y + 4.8);
+      this.setFont(style, 9.5, row.color || (row.muted ? COLORS.muted : COLORS.text));
+      this.pdf.text(valueLines, PAGE.margin + this.contentWidth - 2, this.y + 4.8, { align: 'right' });
+
+      this.y += height;
+    });
+
+    this.y += 6;
+  }
+
+  // Özet kutuları
+  summaryCards(cards) {
+    const gap = 4;
+    const width = (this.contentWidth - gap * (cards.length - 1)) / cards.length;
+    const height = 20;
+    this.ensureSpace(height);
+
+    cards.forEach((card, index) => {
+      const x = PAGE.margin + index * (width + gap);
+      this.pdf.setDrawColor(...card.color);
+      this.pdf.setLineWidth(0.4);
+      this.pdf.roundedRect(x, this.y, width, height, 2, 2, 'S');
+      this.setFont('normal', 9, COLORS.muted);
+      this.pdf.text(card.label, x + 4, this.y + 7);
+      this.setFont('bold', 14, card.color);
+      this.pdf.text(card.value, x + 4, this.y + 15);
+    });
+
+    this.y += height + 8;
+  }
+
+  // Yatay çubuk grafik
+  barChart(title, items) {
+    const visible = items.filter((item) => item.value > 0);
+    if (visible.length === 0) return;
+
+    const barHeight = 6;
+    const labelWidth = 42;
+    const valueWidth = 26;
+    const chartWidth = this.contentWidth - labelWidth - valueWidth;
+    const max = Math.max(...visible.map((item) => item.value));
+
+    this.ensureSpace(11 + visible.length * (barHeight + 3));
+    this.sectionTitle(title);
+
+    visible.forEach((item) => {
+      const width = Math.max(0.5, (item.value / max) * chartWidth);
+      this.setFont('normal', 9);
+      this.pdf.text(item.label, PAGE.margin, this.y + 4.5);
+      this.pdf.setFillColor(...item.color);
+      this.pdf.rect(PAGE.margin + labelWidth, this.y, width, barHeight, 'F');
+      this.pdf.text(money(item.value), PAGE.margin + this.contentWidth, this.y + 4.5, {
+        align: 'right',
+      });
+      this.y += barHeight + 3;
+    });
+
+    this.y += 6;
+  }
+
+  note(text) {
+    const lines = this.pdf.splitTextToSize(text, this.contentWidth);
+    this.ensureSpace(lines.length * 4.5);
+    this.setFont('normal', 8.5, COLORS.muted);
+    this.pdf.text(lines, PAGE.margin, this.y + 3);
+    this.y += lines.length * 4.5 + 4;
+  }
+}
+
+// Tüm sayfalara üst/alt bilgi çiz
+function drawHeadersAndFooters(pdf, { sellerName, logo, createdAt }) {
+  const pageCount = pdf.getNumberOfPages();
+
+  for (let page = 1; page <= pageCount; page += 1) {
+    pdf.setPage(page);
+
+    let textX = PAGE.margin;
+    if (logo) {
+      const logoHeight = 12;
+      const logoWidth = Math.min(40, logoHeight * logo.ratio);
+      pdf.addImage(logo.dataUrl, logo.format, PAGE.margin, 6, logoWidth, logoHeight);
+      textX += logoWidth + 4;
+    }
+
+    pdf.setFont(FONT_NAME, 'bold');
+    pdf.setFontSize(11);
+    pdf.setTextColor(...COLORS.text);
+    pdf.text(sellerName || 'Kâr Hesabı', textX, 11);
+    pdf.setFont(FONT_NAME, 'normal');
+    pdf.setFontSize(8.5);
+    pdf.setTextColor(...COLORS.muted);
+    pdf.text('Trendyol Kâr/Zarar Analiz Raporu', textX, 16);
+    pdf.text(createdAt, PAGE.width - PAGE.margin, 11, { align: 'right' });
+
+    pdf.setDrawColor(...COLORS.brand);
+    pdf.setLineWidth(0.8);
+    pdf.line(PAGE.margin, HEADER_HEIGHT - 2, PAGE.width - PAGE.margin, HEADER_HEIGHT - 2);
+
+    const footerY = PAGE.height - FOOTER_HEIGHT + 6;
+    pdf.setDrawColor(...COLORS.border);
+    pdf.setLineWidth(0.3);
+    pdf.line(PAGE.margin, footerY - 4, PAGE.width - PAGE.margin, footerY - 4);
+    pdf.setFontSize(8);
+    pdf.text(`${sellerName || 'Kâr Hesabı'} · ${createdAt}`, PAGE.margin, footerY);
+    pdf.text(`Sayfa ${page} / ${pageCount}`, PAGE.width - PAGE.margin, footerY, { align: 'right' });
+  }
+}
+
+// Kâr motoru sonucundan PDF üret ve indir
+// meta: { category, brand, serviceFeeDescription, sellerName, logoUrl }
+export async function generateProfitReport(result, meta = {}) {
+  const [{ jsPDF }, fonts, logo] = await Promise.all([
+    import('jspdf'),
+    loadFonts(),
+    loadLogo(meta.logoUrl),
+  ]);
+
+  const pdf = new jsPDF({ orientation: 'p', unit: 'mm', format: 'a4' });
+  registerFonts(pdf, fonts);
+
+  const layout = new ReportLayout(pdf);
+  const totalExpenses = result.totalCosts + result.platformFees.total;
+  const profitColor = result.finalProfit >= 0 ? COLORS.green : COLORS.red;
+
+  layout.setFont('bold', 18);
+  pdf.text('Kâr/Zarar Analiz Raporu', PAGE.margin, layout.y + 6);
+  layout.y += 14;
+
+  layout.summaryCards([
+    { label: 'Toplam Gelir', value: money(result.netRevenue), color: COLORS.green },
+    { label: 'Toplam Gider', value: money(totalExpenses), color: COLORS.red },
+    {
+      label: result.finalProfit >= 0 ? 'Net Kâr' : 'Net Zarar',
+      value: `${money(Math.abs(result.finalProfit))} (${percent(result.profitMargin)})`,
+      color: profitColor,
+    },
+  ]);
+
+  layout.keyValueTable('Ürün ve Satış Bilgileri', [
+    { label: 'Orijinal Fiyat', value: money(result.originalPrice) },
+    { label: 'İndirim', value: money(result.discountAmount) },
+    ...(meta.category
+      ? [
+          {
+            label: 'Kategori',
+            value: meta.category.path.join(' > ') + (meta.brand ? ` (${meta.brand})` : ''),
+          },
+        ]
+      : []),
+    { label: 'Komisyon Oranı', value: percent(result.commissionRate) },
+    { label: 'KDV Oranı', value: percent(result.vatRate) },
+  ]);
+
+  layout.keyValueTable('Gelirler', [
+    { label: 'Ürün Satışı', value: money(result.discountedPrice) },
+    { label: 'Kargo Geliri', value: money(result.shippingIncome) },
+    { label: 'Toplam Gelir', value: money(result.netRevenue), total: true, color: COLORS.green },
+  ]);
+
+  layout.keyValueTable('Platform Kesintileri', [
+    { label: "KDV'siz Fiyat", value: money(result.priceWithoutVat) },
+    { label: 'Komisyon', value: `-${money(result.platformFees.commission)}` },
+    { label: 'Hizmet Bedeli', value: `-${money(result.platformFees.serviceFee)}` },
+    ...(meta.serviceFeeDescription
+      ? [{ label: 'Hizmet Bedeli Kaynağı', value: meta.serviceFeeDescription, muted: true }]
+      : []),
+    { label: 'Komisyon KDV', value: `-${money(result.platformFees.commissionVat)}` },
+    { label: 'Hizmet Bedeli KDV', value: `-${money(result.platformFees.serviceFeeVat)}` },
+    { label: 'Satış Fiyatı KDV', value: money(result.platformFees.saleVat) },
+    { label: 'Ödenecek KDV', value: `-${money(result.platformFees.payableVat)}` },
+    {
+      label: 'Toplam Kesinti',
+      value: `-${money(result.platformFees.total)}`,
+      total: true,
+      color: COLORS.red,
+    },
+  ]);
+
+  const cargo = result.cargo;
+  layout.keyValueTable('Maliyetler', [
+    { label: 'Ürün Maliyeti', value: money(result.costs.product) },
+    { label: 'Paketleme', value: money(result.costs.packaging) },
+    { label: 'İşçilik', value: money(result.costs.labor) },
+    { label: 'Kargo', value: money(result.costs.shipping) },
+    ...(cargo
+      ? [
+          {
+            label: 'Kargo Detayı',
+            value:
+              cargo.bracket.maxDesi === null
+                ? `${cargo.providerName} · ${cargo.desi} desi (${cargo.bracket.minDesi}+ aralığı)`
+                : `${cargo.providerName} · ${cargo.desi} desi (${cargo.bracket.minDesi}-${cargo.bracket.maxDesi} aralığı)`,
+            muted: true,
+          },
+        ]
+      : []),
+    { label: 'Reklam', value: money(result.costs.advertising) },
+    { label: 'Toplam Maliyet', value: money(result.totalCosts), total: true, color: COLORS.red },
+  ]);
+
+  layout.barChart('Gider Dağılımı', [
+    { label: 'Ürün Maliyeti', value: result.costs.product, color: [239, 68, 68] },
+    { label: 'Paketleme', value: result.costs.packaging, color: [245, 158, 11] },
+    { label: 'İşçilik', value: result.costs.labor, color: [139, 92, 246] },
+    { label: 'Kargo', value: result.costs.shipping, color: [6, 182, 212] },
+    { label: 'Reklam', value: result.costs.advertising, color: [236, 72, 153] },
+    { label: 'Komisyon', value: result.platformFees.commission, color: [249, 115, 22] },
+    { label: 'Hizmet Bedeli', value: result.platformFees.serviceFee, color: [132, 204, 22] },
+    { label: 'Ödenecek KDV', value: result.platformFees.payableVat, color: [100, 116, 139] },
+  ]);
+
+  layout.keyValueTable('Sonuç', [
+    { label: 'Toplam Gelir', value: money(result.netRevenue) },
+    { label: 'Toplam Gider', value: `-${money(totalExpenses)}` },
+    {
+      label: result.finalProfit >= 0 ? 'Net Kâr' : 'Net Zarar',
+      value: money(result.finalProfit),
+      total: true,
+      color: profitColor,
+    },
+    { label: 'Kâr Marjı', value: percent(result.profitMargin), color: profitColor },
+  ]);
+
+  layout.note('Tüm gelir ve maliyetler KDV dahil olarak girilmiştir.');
+
+  const createdAt = new Date().toLocaleDateString('tr-TR');
+  drawHeadersAndFooters(pdf, { sellerName: meta.sellerName, logo, createdAt });
+
+  pdf.setProperties({
+    title: 'Kâr/Zarar Analiz Raporu',
+    author: meta.sellerName || '',
+    creator: 'Kâr Hesabı',
+  });
+  pdf.save(`kar-zarar-raporu-${new Date().toISOString().split('T')[0]}.pdf`);
+}
@@ -0,0 +1,191 @@
+// Trendyol Ürün İçe Aktarma
+// Bağlı mağazanın kataloğunda arama yapar, ürünü hesaplayıcı alanlarına çevirir
+// ve satıcının barkod bazında girdiği maliyetleri hatırlar.
+import trendyolService from './trendyolService';
+import localCacheService from './localCacheService';
+import commissionService from './commissionService';
+import costCatalogueService, { CATALOGUE_COST_FIELDS } from './costCatalogueService';
+import { DEFAULT_COMMISSION_RATE } from '../config/commissionRates';
+
+const COSTS_STORAGE_KEY = 'trendyol_product_costs';
+const CATALOGUE_TTL = 10 * 60 * 1000; // 10 dakika
+const CATALOGUE_MAX_PRODUCTS = 5000; // Arama için bellekte tutulan en fazla ürün
+
+// Barkoda göre saklanan maliyet alanları
+export const COST_FIELDS = [
+  'productCost',
+  'packagingCost',
+  'laborCost',
+  'shippingCost',
+  'advertisingCost',
+];
+
+const normalize = (value) => (value ?? '').toString().trim().toLocaleLowerCase('tr-TR');
+
+// Trendyol ürününü hesaplayıcı alanlarına çevir
+export const productToCalculatorFields = (product) => {
+  const category =
+    (product.pimCategoryId && commissionService.findCategory(product.pimCategoryId)) ||
+    (product.categoryName && commissionService.findCategory(product.categoryName)) ||
+    null;
+  const commission = category
+    ? commissionService.getCommissionRate(category.id !== null ? category.id : category.name, product.brand)
+    : DEFAULT_COMMISSION_RATE;
+
+  return {
+    formData: {
+      salePrice: product.salePrice !== undefined ? String(product.salePrice) : '',
+      vatRate: product.vatRate ?? 20,
+      commission: String(commission),
+    },
+    category,
+    brand: product.brand || '',
+  };
+};
+
+class ProductImportService {
+  constructor() {
+    this.catalogue = null;
+    this.catalogueLoadedAt = 0;
+  }
+
+  // Entegrasyon tamam mı (tarayıcıda kayıt yoksa kasaya sorulur)
+  isAvailable() {
+    return trendyolService.ensureCredentials();
+  }
+
+  // Kataloğu yerel depodan oku (önce değişenler senkronize edilir), kısa süre bellekte tut
+  async getCatalogue({ force = false } = {}) {
+    if (!force && this.catalogue && Date.now() - this.catalogueLoadedAt < CATALOGUE_TTL) {
+      return this.catalogue;
+    }
+
+    const products = localCacheService.isSupported()
+      ? await this.loadCachedCatalogue()
+      : await trendyolService.collect(trendyolService.iterateProducts(), CATALOGUE_MAX_PRODUCTS);
+
+    this.catalogue = products;
+    this.catalogueLoadedAt = Date.now();
+    return products;
+  }
+
+  // Bağlantı yoksa depodaki son katalog kullanılır
+  async loadCachedCatalogue() {
+    if (localCacheService.isOnline()) {
+      try {
+        await localCacheService.syncProducts();
+      } catch (error) {
+        const { productsSyncedAt } = await localCacheService.getStatus();
+        if (!productsSyncedAt) throw error;
+        console.warn('Ürünler senkronize edilemedi, yerel katalog kullanılıyor:', error);
+      }
+    }
+    return localCacheService.getProducts();
+  }
+
+  // Barkod, başlık veya stok koduna göre ara
+  async searchProducts(query, limit = 20) {
+    if (!(await this.isAvailable())) {
+      throw new Error('Ürün aramak için önce Trendyol entegrasyonunu tamamlayın');
+    }
+
+    const term = normalize(query);
+    if (!term) return [];
+
+    // Tam barkod eşleşmesi için API filtresi, katalog henüz yüklenmediyse hızlı sonuç verir
+    if (!this.catalogue && /^\S+$/.test(term)) {
+      const [byBarcode, byStockCode] = await Promise.all([
+        trendyolService.getProducts(0, limit, { barcode: query.trim() }),
+        trendyolService.getProducts(0, limit, { stockCode: query.trim() }),
+      ]);
+      const exact = [...(byBarcode?.content || []), ...(byStockCode?.content || [])];
+      if (exact.length > 0) return exact.slice(0, limit);
+    }
+
+    const catalogue = await this.getCatalogue();
+    return catalogue
+      .filter((product) =>
+        [product.barcode, product.title, product.stockCode].some((field) =>
+          normalize(field).includes(term)
+        )
+      )
+      .slice(0, limit);
+  }
+
+  // Maliyetler hesap ve mağazaya göre ayrı saklanır; entegrasyon yoksa null
+  getCostsStorageKey() {
+    const uid = trendyolService.syncUser();
+    if (!uid || !trendyolService.loadStoredCredentials()) return null;
+    return `${COSTS_STORAGE_KEY}:${uid}:${trendyolService.sellerId}`;
+  }
+
+  // Eski sürümün hesapsız kaydı ilk okuyan hesaba taşınır
+  getAllSavedCosts() {
+    const key = this.getCostsStorageKey();
+    if (!key) return {};
+
+    try {
+      const stored = JSON.parse(localStorage.getItem(key));
+      if (stored) return stored;
+
+      const legacy = JSON.parse(localStorage.getItem(COSTS_STORAGE_KEY));
+      if (legacy) {
+        localStorage.setItem(key, JSON.stringify(legacy));
+        localStorage.removeItem(COSTS_STORAGE_KEY);
+        return legacy;
+      }
+    } catch {
+      return {};
+    }
+    return {};
+  }
+
+  // Barkod için kayıtlı maliyetler; yoksa null
+  getSavedCosts(barcode) {
+    if (!barcode) return null;
+    return this.getAllSavedCosts()[barcode] || null;
+  }
+
+  // Önce maliyet kataloğunda tarihte geçerli kayıt, yoksa son girilen değerler
+  // Dönüş: { costs, source: 'catalogue' | 'local' } veya null
+  async getRememberedCosts(product, { uid = null, date } = {}) {
+    if (uid) {
+      try {
+        const record =
+          (await costCatalogueService.getCostAt(uid, product.barcode, date)) ||
+          (await costCatalogueService.getCostAt(uid, product.stockCode, date));
+        if (record) {
+          const costs = CATALOGUE_COST_FIELDS.reduce((acc, field) => {
+            acc[field.key] = String(record[field.key] ?? '');
+            return acc;
+          }, {});
+          return { costs, source: 'catalogue', effectiveFrom: record.effectiveFrom };
+        }
+      } catch (error) {
+        console.warn('Maliyet kataloğu okunamadı:', error);
+      }
+    }
+
+    const saved = this.getSavedCosts(product.barcode);
+    return saved ? { costs: saved, source: 'local' } : null;
+  }
+
+  // Hesaplama yapıldığında ürünün maliyet alanlarını sakla
+  saveCosts(barcode, formData) {
+    const key = this.getCostsStorageKey();
+    if (!barcode || !key) return;
+
+    const costs = COST_FIELDS.reduce((acc, field) => {
+      acc[field] = formData[field] ?? '';
+      return acc;
+    }, {});
+
+    const all = this.getAllSavedCosts();
+    all[barcode] = { ...costs, updatedAt: new Date().toISOString() };
+    localStorage.setItem(key, JSON.stringify(all));
+  }
+}
+
+// Singleton instance
+const productImportService = new ProductImportService();
+export default productImportService;
@@ -0,0 +1,257 @@
+// Kâr Hesaplama Motoru
+// React, Firebase veya tarayıcı API'si kullanmayan saf fonksiyonlar.
+// Hesaplayıcı, satıcı paneli ve trendyolService aynı formülü buradan kullanır;
+// böylece ekranlar arasında rakamlar farklılaşmaz.
+//
+// Girdi (tutarlar KDV dahil TL, oranlar yüzde; string de kabul edilir):
+//   {
+//     salePrice,        // Satış fiyatı
+//     commissionRate,   // Komisyon oranı (%), KDV'siz fiyat üzerinden
+//     vatRate,          // KDV oranı (%), varsayılan 20
+//     discountType,     // 'percentage' | 'fixed'
+//     discountValue,    // İndirim yüzdesi veya tutarı
+//     shippingIncome,   // Müşteriden alınan kargo ücreti
+//     productCost, packagingCost, laborCost, shippingCost, advertisingCost,
+//     saleDate,         // Hizmet bedeli tarifesi için satış tarihi (varsayılan bugün)
+//     serviceFee,       // Elle girilen hizmet bedeli; boşsa tarifeden bulunur
+//     shipment          // { providerCode, width, length, height, weight } verilirse
+//                       // kargo gideri shippingCost yerine tarifeden hesaplanır
+//   }
+//
+// Çıktı:
+//   {
+//     originalPrice, discountAmount, discountedPrice, priceWithoutVat,
+//     shippingIncome, netRevenue,
+//     costs: { product, packaging, labor, shipping, advertising },
+//     totalCosts,
+//     platformFees: {
+//       commission, commissionVat, serviceFee, serviceFeeBare, serviceFeeVat,
+//       serviceFeeSource, serviceFeeRule, saleVat, payableVat,
+//       productCostVat, packagingCostVat, shippingCostVat, advertisingCostVat, total
+//     },
+//     finalProfit,      // Net kâr (negatifse zarar)
+//     profitMargin,     // Net gelire göre kâr marjı (%), sayı
+//     cargo,            // Kargo dökümü (firma, desi, desi aralığı) veya null
+//     isLoss, commissionRate, vatRate
+//   }
+
+import { SERVICE_FEE_SCHEDULE } from '../config/serviceFees.js';
+import { calculateCargoCost } from './cargoService.js';
+
+export const DEFAULT_VAT_RATE = 20;
+
+// Form alanlarından gelen boş string/NaN değerleri 0'a çevir
+export const toNumber = (value) => {
+  const parsed = parseFloat(value);
+  return Number.isFinite(parsed) ? parsed : 0;
+};
+
+// İndirim tutarını hesapla
+export const calculateDiscount = (price, discountType, discountValue) => {
+  const value = toNumber(discountValue);
+  if (!value) return 0;
+
+  if (discountType === 'fixed') {
+    return value;
+  }
+  return (price * value) / 100;
+};
+
+// Tarihi İstanbul saatiyle 'YYYY-MM-DD' formatına çevir (tarife dönemleri Türkiye saatiyle başlar)
+const toDateKey = (date) => {
+  if (typeof date === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(date)) return date;
+  return (date ? new Date(date) : new Date()).toLocaleDateString('sv-SE', { timeZone: 'Europe/Istanbul' });
+};
+
+// Satış tarihi ve fiyatına göre geçerli hizmet bedelini bul
+export const resolveServiceFee = (saleDate, price, schedule = SERVICE_FEE_SCHEDULE) => {
+  const dateKey = toDateKey(saleDate);
+  const sorted = [...schedule].sort((a, b) => a.effectiveFrom.localeCompare(b.effectiveFrom));
+  const period = sorted.filter((entry) => entry.effectiveFrom <= dateKey).pop() || sorted[0];
+
+  const band = period.bands.find((entry) => entry.maxPrice === null || price <= entry.maxPrice);
+
+  return {
+    fee: band.fee,
+    effectiveFrom: period.effectiveFrom,
+    maxPrice: band.maxPrice,
+    minPrice: period.bands[period.bands.indexOf(band) - 1]?.maxPrice ?? 0,
+  };
+};
+
+// KDV dahil tutarın içindeki KDV
+const includedVat = (amount, vatDecimal) => (amount / (1 + vatDecimal)) * vatDecimal;
+
+export function calculateProfit(input = {}) {
+  const price = toNumber(input.salePrice);
+  const commissionRate = toNumber(input.commissionRate);
+  const vatRate = input.vatRate === undefined || input.vatRate === ''
+    ? DEFAULT_VAT_RATE
+    : toNumber(input.vatRate);
+  const vatDecimal = vatRate / 100;
+
+  // İndirim
+  const discountAmount = calculateDiscount(price, input.discountType, input.discountValue);
+  const discountedPrice = price - discountAmount;
+
+  // KDV'siz fiyat
+  const priceWithoutVat = discountedPrice / (1 + vatDecimal);
+  const saleVat = discountedPrice - priceWithoutVat;
+
+  // Komisyon (KDV'siz fiyattan)
+  const commission = priceWithoutVat * (commissionRate / 100);
+  const commissionVat = commission * vatDecimal;
+
+  // Hizmet bedeli (KDV dahil) - elle girilmediyse tarifeden
+  const hasServiceFeeOverride =
+    input.serviceFee !== undefined && input.serviceFee !== null && input.serviceFee !== '';
+  const serviceFeeRule = hasServiceFeeOverride
+    ? null
+    : resolveServiceFee(input.saleDate, discountedPrice);
+  const serviceFee = hasServiceFeeOverride ? toNumber(input.serviceFee) : serviceFeeRule.fee;
+
+  // Kargo gideri - paket bilgisi verildiyse firma tarifesinden
+  const cargo = input.shipment ? calculateCargoCost(input.shipment) : null;
+
+  const costs = {
+    product: toNumber(input.productCost),
+    packaging: toNumber(input.packagingCost),
+    labor: toNumber(input.laborCost),
+    shipping: cargo ? cargo.cost : toNumber(input.shippingCost),
+    advertising: toNumber(input.advertisingCost),
+  };
+
+  // Maliyetlerin içindeki KDV (işçilik KDV'siz kabul edilir)
+  const productCostVat = includedVat(costs.product, vatDecimal);
+  const packagingCostVat = includedVat(costs.packaging, vatDecimal);
+  const shippingCostVat = includedVat(costs.shipping, vatDecimal);
+  const advertisingCostVat = includedVat(costs.advertising, vatDecimal);
+
+  // Ödenecek KDV
+  // Satış Fiyatı KDV - (Ürün Maliyeti KDV + Paketleme KDV + Kargo KDV + Reklam KDV + Komisyon KDV)
+  const payableVat = saleVat - (
+    productCostVat + packagingCostVat + shippingCostVat + advertisingCostVat + commissionVat
+  );
+
+  // Toplam kesinti
+  const totalPlatformFees = commission + serviceFee + commissionVat + payableVat;
+
+  // Toplam maliyet (KDV dahil)
+  const totalCosts =
+    costs.product + costs.packaging + costs.labor + costs.shipping + costs.advertising;
+
+  // Net kâr
+  const shippingIncome = toNumber(input.shippingIncome);
+  const netRevenue = discountedPrice + shippingIncome;
+  const finalProfit = netRevenue - totalCosts - totalPlatformFees;
+  const profitMargin = netRevenue !== 0 ? (finalProfit / netRevenue) * 100 : 0;
+
+  return {
+    originalPrice: price,
+    discountAmount,
+    discountedPrice,
+    priceWithoutVat,
+    shippingIncome,
+    netRevenue,
+    costs,
+    totalCosts,
+    platformFees: {
+      commission,
+      commissionVat,
+      serviceFee,
+      serviceFeeBare: serviceFee, // KDV dahil olduğu için aynı
+      serviceFeeVat: 0, // KDV dahil olduğu için ayrı gösterilmiyor
+      serviceFeeSource: hasServiceFeeOverride ? 'override' : 'schedule',
+      serviceFeeRule,
+      saleVat,
+      payableVat,
+      productCostVat,
+      packagingCostVat,
+      shippingCostVat,
+      advertisingCostVat,
+      total: totalPlatformFees,
+    },
+    finalProfit,
+    profitMargin,
+    cargo,
+    isLoss: finalProfit < 0,
+    commissionRate,
+    vatRate,
+  };
+}
+
+// İndirimli fiyattan liste fiyatına dönüş (tarife bant sınırları için)
+const salePriceForDiscounted = (discountedPrice, discountType, discountValue) => {
+  const value = toNumber(discountValue);
+  if (!value) return discountedPrice;
+  if (discountType === 'fixed') return discountedPrice + value;
+  return value < 100 ? discountedPrice / (1 - value / 100) : Infinity;
+};
+
+const MAX_SOLVED_PRICE = 10000000;
+
+// Hedef net kâra (TL) veya hedef marja (%) ulaşan en düşük satış fiyatını bul.
+// target: { targetProfit } veya { targetMargin }
+// Dönüş: { salePrice, result } veya hedefe ulaşılamıyorsa null.
+//
+// Kâr, hizmet bedeli bandı içinde fiyatla doğrusal arttığı için bantlar
+// küçükten büyüğe taranır ve hedefi karşılayan ilk bantta ikiye bölme yapılır.
+export function solveSalePrice(input = {}, target = {}) {
+  const useMargin = target.targetMargin !== undefined && target.targetMargin !== '';
+  const goal = useMargin ? toNumber(target.targetMargin) : toNumber(target.targetProfit);
+
+  const evaluate = (price) => {
+    const result = calculateProfit({ ...input, salePrice: price });
+    return { result, value: useMargin ? result.profitMargin : result.finalProfit };
+  };
+
+  // Hizmet bedeli bant sınırlarını liste fiyatına çevir
+  const hasServiceFeeOverride =
+    input.serviceFee !== undefined && input.serviceFee !== null && input.serviceFee !== '';
+  const period = hasServiceFeeOverride ? null : resolveServiceFee(input.saleDate, 0);
+  const schedulePeriod = period
+    ? SERVICE_FEE_SCHEDULE.find((entry) => entry.effectiveFrom === period.effectiveFrom)
+    : null;
+  const breakpoints = (schedulePeriod ? schedulePeriod.bands : [])
+    .filter((band) => band.maxPrice !== null)
+    .map((band) => salePriceForDiscounted(band.maxPrice, input.discountType, input.discountValue))
+    .filter((price) => price < MAX_SOLVED_PRICE);
+
+  const segments = [];
+  let lower = 0;
+  [...breakpoints, MAX_SOLVED_PRICE].forEach((upper) => {
+    segments.push([lower, upper]);
+    lower = upper;
+  });
+
+  for (const [segmentLow, segmentHigh] of segments) {
+    if (evaluate(segmentHigh).value < goal) continue;
+
+    let low = segmentLow;
+    let high = segmentHigh;
+    for (let i = 0; i < 100 && high - low > 0.001; i += 1) {
+      const mid = (low + high) / 2;
+      if (evaluate(mid).value >= goal) {
+        high = mid;
+      } else {
+        low = mid;
+      }
+    }
+
+    // Kuruşa yukarı yuvarla; yuvarlama bant sınırını geçse de hedef korunur
+    let salePrice = Math.ceil(high * 100) / 100;
+    let evaluation = evaluate(salePrice);
+    while (evaluation.value < goal && salePrice < segmentHigh) {
+      salePrice = Math.round((salePrice + 0.01) * 100) / 100;
+      evaluation = evaluate(salePrice);
+    }
+    // Hedef yalnızca kuruş altı bir bant sınırında karşılanıyorsa sonraki banda geç
+    if (evaluation.value < goal) continue;
+
+    return { salePrice, result: evaluation.result };
+  }
+
+  return null;
+}
+
+export default calculateProfit;
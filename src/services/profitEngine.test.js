@@ -0,0 +1,254 @@
+import { describe, it, expect } from 'vitest';
+import { calculateProfit, calculateDiscount, resolveServiceFee, solveSalePrice, toNumber } from './profitEngine';
+
+// Hizmet bedeli tarifeden bağımsız olsun diye elle 0 verilir
+const base = {
+  salePrice: 240,
+  commissionRate: 10,
+  vatRate: 20,
+  productCost: 120,
+  serviceFee: 0,
+};
+
+describe('calculateProfit', () => {
+  it('KDV, komisyon ve maliyet KDV\'sini düşerek net kârı hesaplar', () => {
+    const result = calculateProfit(base);
+
+    expect(result.priceWithoutVat).toBeCloseTo(200);
+    expect(result.platformFees.saleVat).toBeCloseTo(40);
+    expect(result.platformFees.commission).toBeCloseTo(20);
+    expect(result.platformFees.commissionVat).toBeCloseTo(4);
+    expect(result.platformFees.productCostVat).toBeCloseTo(20);
+    expect(result.platformFees.payableVat).toBeCloseTo(16);
+    expect(result.platformFees.total).toBeCloseTo(40);
+    expect(result.finalProfit).toBeCloseTo(80);
+    expect(result.profitMargin).toBeCloseTo(33.333, 2);
+    expect(result.isLoss).toBe(false);
+  });
+
+  it('form alanlarından gelen string değerleri kabul eder', () => {
+    const result = calculateProfit({ salePrice: '240', commissionRate: '10', vatRate: '20', productCost: '120', serviceFee: '0' });
+    expect(result.finalProfit).toBeCloseTo(80);
+  });
+
+  describe('indirim', () => {
+    it('yüzde indirimi satış fiyatından düşer', () => {
+      const result = calculateProfit({ ...base, salePrice: 320, discountType: 'percentage', discountValue: 25 });
+
+      expect(result.originalPrice).toBe(320);
+      expect(result.discountAmount).toBeCloseTo(80);
+      expect(result.discountedPrice).toBeCloseTo(240);
+      expect(result.finalProfit).toBeCloseTo(80);
+    });
+
+    it('tutar indirimini satış fiyatından düşer', () => {
+      const result = calculateProfit({ ...base, salePrice: 320, discountType: 'fixed', discountValue: 80 });
+
+      expect(result.discountAmount).toBe(80);
+      expect(result.finalProfit).toBeCloseTo(80);
+    });
+
+    it('boş indirim değerini 0 sayar', () => {
+      expect(calculateDiscount(100, 'percentage', '')).toBe(0);
+      expect(calculateDiscount(100, 'fixed', undefined)).toBe(0);
+    });
+  });
+
+  describe('KDV oranı', () => {
+    it('%10 KDV ile hesaplar', () => {
+      const result = calculateProfit({ ...base, salePrice: 220, productCost: 110, vatRate: 10 });
+
+      expect(result.priceWithoutVat).toBeCloseTo(200);
+      expect(result.platformFees.commissionVat).toBeCloseTo(2);
+      expect(result.platformFees.payableVat).toBeCloseTo(8);
+      expect(result.finalProfit).toBeCloseTo(80);
+    });
+
+    it('%0 KDV\'de KDV kalemleri oluşmaz', () => {
+      const result = calculateProfit({ ...base, salePrice: 200, productCost: 100, vatRate: 0 });
+
+      expect(result.platformFees.saleVat).toBe(0);
+      expect(result.platformFees.payableVat).toBe(0);
+      expect(result.finalProfit).toBeCloseTo(80);
+    });
+
+    it('KDV oranı boşsa varsayılan %20 kullanılır', () => {
+      expect(calculateProfit({ ...base, vatRate: '' }).vatRate).toBe(20);
+      expect(calculateProfit({ ...base, vatRate: undefined }).vatRate).toBe(20);
+    });
+  });
+
+  describe('kargo', () => {
+    it('müşteriden alınan kargo ücreti net gelire eklenir', () => {
+      const result = calculateProfit({ ...base, shippingIncome: 30 });
+
+      expect(result.shippingIncome).toBe(30);
+      expect(result.netRevenue).toBeCloseTo(270);
+      expect(result.finalProfit).toBeCloseTo(110);
+    });
+
+    it('kargo giderinin KDV\'si ödenecek KDV\'den düşülür', () => {
+      const result = calculateProfit({ ...base, shippingCost: 36 });
+
+      expect(result.platformFees.shippingCostVat).toBeCloseTo(6);
+      expect(result.platformFees.payableVat).toBeCloseTo(10);
+      expect(result.totalCosts).toBeCloseTo(156);
+      expect(result.finalProfit).toBeCloseTo(50);
+    });
+  });
+
+  describe('zarar', () => {
+    it('maliyet satış fiyatını aşınca zarar olarak işaretler', () => {
+      const result = calculateProfit({ ...base, salePrice: 100 });
+
+      expect(result.platformFees.payableVat).toBeCloseTo(-5);
+      expect(result.finalProfit).toBeCloseTo(-25);
+      expect(result.profitMargin).toBeCloseTo(-25);
+      expect(result.isLoss).toBe(true);
+    });
+
+    it('hizmet bedeli tek başına kârı zarara çevirebilir', () => {
+      const result = calculateProfit({ ...base, serviceFee: 90 });
+
+      expect(result.platformFees.serviceFeeSource).toBe('override');
+      expect(result.finalProfit).toBeCloseTo(-10);
+      expect(result.isLoss).toBe(true);
+    });
+  });
+
+  it('fiyat 0 iken marj 0 döner', () => {
+    expect(calculateProfit({}).profitMargin).toBe(0);
+  });
+
+  it('toNumber geçersiz değerleri 0 yapar', () => {
+    expect(toNumber('')).toBe(0);
+    expect(toNumber('abc')).toBe(0);
+    expect(toNumber('12.5')).toBe(12.5);
+  });
+});
+
+describe('solveSalePrice', () => {
+  const { salePrice, ...input } = base;
+
+  it('hedef net kâra ulaşan fiyatı bulur', () => {
+    const solution = solveSalePrice(input, { targetProfit: 80 });
+
+    expect(solution.salePrice).toBeCloseTo(salePrice, 1);
+    expect(solution.result.finalProfit).toBeGreaterThanOrEqual(80);
+  });
+
+  it('hedef marja ulaşan fiyatı bulur', () => {
+    const solution = solveSalePrice(input, { targetMargin: 27 });
+
+    expect(solution.result.profitMargin).toBeGreaterThanOrEqual(27);
+    expect(calculateProfit({ ...input, salePrice: solution.salePrice - 0.01 }).profitMargin).toBeLessThan(27);
+  });
+
+  it('başabaş fiyatında kâr 0\'dan küçük değildir, bir kuruş altında zarar eder', () => {
+    const solution = solveSalePrice(input, { targetProfit: 0 });
+
+    expect(solution.result.finalProfit).toBeGreaterThanOrEqual(0);
+    expect(calculateProfit({ ...input, salePrice: solution.salePrice - 0.01 }).isLoss).toBe(true);
+  });
+
+  it('indirimi hesaba katar', () => {
+    const solution = solveSalePrice({ ...input, discountType: 'percentage', discountValue: 25 }, { targetProfit: 80 });
+
+    expect(solution.salePrice).toBeCloseTo(320, 1);
+    expect(solution.result.discountedPrice).toBeCloseTo(240, 1);
+  });
+
+  describe('hizmet bedeli bantları', () => {
+    // 2025 tarifesi: 149,99 TL'ye kadar 6,99 TL, üzeri 10,19 TL.
+    // Bu girdiyle kâr = 0,75 × fiyat − 83,33 − hizmet bedeli
+    const scheduled = { commissionRate: 10, vatRate: 20, productCost: 100, saleDate: '2025-06-01' };
+
+    it('hedef alt bantta karşılanıyorsa alt bantta kalır', () => {
+      const solution = solveSalePrice(scheduled, { targetProfit: 20 });
+
+      expect(solution.salePrice).toBeLessThan(150);
+      expect(solution.result.platformFees.serviceFee).toBe(6.99);
+      expect(solution.result.finalProfit).toBeGreaterThanOrEqual(20);
+    });
+
+    it('alt bantta ulaşılamayan hedefte üst bandın en düşük fiyatını seçer', () => {
+      // 149,99 TL'de kâr 22,17 TL; 150 TL'de bedel artınca 18,98 TL'ye düşer
+      const solution = solveSalePrice(scheduled, { targetProfit: 23 });
+
+      expect(solution.salePrice).toBeCloseTo(155.36, 1);
+      expect(solution.result.platformFees.serviceFee).toBe(10.19);
+      expect(solution.result.finalProfit).toBeGreaterThanOrEqual(23);
+      expect(calculateProfit({ ...scheduled, salePrice: solution.salePrice - 0.01 }).finalProfit).toBeLessThan(23);
+    });
+
+    it('hedef yalnızca kuruş altı bant sınırında karşılanıyorsa üst banda geçer', () => {
+      // %10 indirimle bant sınırı 149,99 / 0,9 = 166,6555... TL; 166,66 TL üst bantta kalır
+      const discounted = { ...scheduled, discountType: 'percentage', discountValue: 10 };
+      const goal = calculateProfit({ ...discounted, salePrice: 149.99 / 0.9 }).finalProfit;
+      const solution = solveSalePrice(discounted, { targetProfit: goal });
+
+      expect(calculateProfit({ ...discounted, salePrice: 166.65 }).finalProfit).toBeLessThan(goal);
+      expect(calculateProfit({ ...discounted, salePrice: 166.66 }).finalProfit).toBeLessThan(goal);
+      expect(solution.result.platformFees.serviceFee).toBe(10.19);
+      expect(solution.result.finalProfit).toBeGreaterThanOrEqual(goal);
+    });
+  });
+
+  it('ulaşılamayan hedefte null döner', () => {
+    expect(solveSalePrice(input, { targetMargin: 100 })).toBeNull();
+  });
+});
+
+describe('resolveServiceFee', () => {
+  it('satış tarihindeki dönemin tarifesini kullanır', () => {
+    expect(resolveServiceFee('2024-06-01', 500)).toEqual({ fee: 9.79, effectiveFrom: '2024-01-01', maxPrice: null, minPrice: 0 });
+    expect(resolveServiceFee('2025-06-01', 500).effectiveFrom).toBe('2025-01-01');
+  });
+
+  it('yürürlük gününden itibaren yeni dönem geçerlidir', () => {
+    expect(resolveServiceFee('2024-12-31', 100).fee).toBe(9.79);
+    expect(resolveServiceFee('2025-01-01', 100).fee).toBe(6.99);
+  });
+
+  it('fiyatı bant sınırlarına göre eşler', () => {
+    expect(resolveServiceFee('2025-06-01', 149.99)).toEqual({ fee: 6.99, effectiveFrom: '2025-01-01', maxPrice: 149.99, minPrice: 0 });
+    expect(resolveServiceFee('2025-06-01', 150)).toEqual({ fee: 10.19, effectiveFrom: '2025-01-01', maxPrice: 299.99, minPrice: 149.99 });
+    expect(resolveServiceFee('2025-06-01', 300)).toEqual({ fee: 13.49, effectiveFrom: '2025-01-01', maxPrice: null, minPrice: 299.99 });
+  });
+
+  it('Date ve saatli ISO tarihlerini kabul eder', () => {
+    expect(resolveServiceFee(new Date('2025-03-10T12:00:00Z'), 100).fee).toBe(6.99);
+    expect(resolveServiceFee('2025-03-10T23:59:00.000Z', 100).fee).toBe(6.99);
+  });
+
+  it('saatli tarihlerde günü İstanbul saatine göre belirler', () => {
+    // 31 Aralık 22:30 UTC, İstanbul'da 1 Ocak 01:30
+    expect(resolveServiceFee('2024-12-31T22:30:00.000Z', 100).effectiveFrom).toBe('2025-01-01');
+    expect(resolveServiceFee(new Date('2024-12-31T20:59:00Z'), 100).effectiveFrom).toBe('2024-01-01');
+  });
+
+  it('ilk dönemden önceki tarihte ilk dönemi kullanır', () => {
+    expect(resolveServiceFee('2023-05-01', 100).effectiveFrom).toBe('2024-01-01');
+  });
+
+  it('verilen tarifeyi sıralamadan bağımsız kullanır', () => {
+    const schedule = [
+      { effectiveFrom: '2026-01-01', bands: [{ maxPrice: 100, fee: 5 }, { maxPrice: null, fee: 15 }] },
+      { effectiveFrom: '2025-01-01', bands: [{ maxPrice: null, fee: 8 }] },
+    ];
+
+    expect(resolveServiceFee('2025-06-01', 50, schedule).fee).toBe(8);
+    expect(resolveServiceFee('2026-02-01', 50, schedule).fee).toBe(5);
+    expect(resolveServiceFee('2026-02-01', 150, schedule)).toEqual({ fee: 15, effectiveFrom: '2026-01-01', maxPrice: null, minPrice: 100 });
+    // İlk dönemden önce, listedeki ilk kayıt değil en eski dönem kullanılır
+    expect(resolveServiceFee('2024-06-01', 50, schedule).effectiveFrom).toBe('2025-01-01');
+  });
+
+  it('hesaplamada indirimli fiyatın bandını seçer', () => {
+    const result = calculateProfit({ ...base, serviceFee: undefined, saleDate: '2025-06-01', salePrice: 200, discountType: 'fixed', discountValue: 60 });
+
+    expect(result.platformFees.serviceFeeSource).toBe('schedule');
+    expect(result.platformFees.serviceFee).toBe(6.99);
+    expect(result.platformFees.serviceFeeRule.maxPrice).toBe(149.99);
+  });
+});
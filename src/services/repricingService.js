@@ -0,0 +1,127 @@
+// Kâr Odaklı Fiyatlandırma
+// Seçilen kurala göre yeni satış fiyatını bulur ve sonucu kâr motorundan geçirir;
+// böylece fiyat değişmeden önce ürün başına net kâr görülür. Fiyatlar
+// batchJobService üzerinden Trendyol'a gönderilir.
+import productImportService, { productToCalculatorFields } from './productImportService';
+import costCatalogueService, { resolveCostAt } from './costCatalogueService';
+import { calculateProfit, solveSalePrice, toNumber, DEFAULT_VAT_RATE } from './profitEngine';
+
+export const REPRICING_RULES = [
+  { key: 'targetMargin', label: 'Hedef Marj', unit: '%', description: 'Net gelire göre kâr marjı' },
+  { key: 'targetProfit', label: 'Sabit Kâr', unit: 'TL', description: 'Ürün başına net kâr' },
+  { key: 'percentChange', label: 'Yüzde Değişim', unit: '%', description: 'Negatif değer fiyatı düşürür' },
+  { key: 'round99', label: '.99\'a Yuvarla', unit: null, description: 'Mevcut fiyatı ,99 ile bitir' },
+];
+
+const roundPrice = (price) => Math.round(price * 100) / 100;
+
+// 123.40 -> 123.99, 124.00 -> 124.99; yukarı yuvarlandığı için hedef kâr korunur
+export const roundTo99 = (price) => {
+  const cents = Math.max(0, Math.round(price * 100));
+  return (Math.ceil((cents + 1) / 100) * 100 - 1) / 100;
+};
+
+const findCostEntry = (costEntries, product) =>
+  costEntries.find((entry) => entry.barcode === product.barcode) ||
+  costEntries.find((entry) => entry.stockCode && entry.stockCode === product.stockCode) ||
+  null;
+
+// Ürünün kâr motoru girdisi (fiyat hariç): komisyon, KDV, maliyet ve kargo
+export const buildProfitInput = (product, { costEntries = [], savedCosts = null } = {}) => {
+  const { formData } = productToCalculatorFields(product);
+  const cost = resolveCostAt(findCostEntry(costEntries, product));
+  const desi = toNumber(product.dimensionalWeight);
+
+  return {
+    commissionRate: formData.commission,
+    vatRate: product.vatRate ?? DEFAULT_VAT_RATE,
+    productCost: cost?.productCost ?? savedCosts?.productCost,
+    packagingCost: cost?.packagingCost ?? savedCosts?.packagingCost,
+    laborCost: cost?.laborCost ?? savedCosts?.laborCost,
+    advertisingCost: savedCosts?.advertisingCost,
+    // Desi biliniyorsa kargo tarifeden, yoksa hesaplayıcıda girilen tutardan
+    ...(desi > 0 ? { shipment: { desi } } : { shippingCost: savedCosts?.shippingCost }),
+  };
+};
+
+// Kurala göre yeni satış fiyatı: { salePrice } veya { error }
+export const computeSalePrice = (input, currentPrice, { rule, value, round99 = false }) => {
+  let salePrice;
+  if (rule === 'targetMargin' || rule === 'targetProfit') {
+    const solved = solveSalePrice(input, { [rule]: toNumber(value) });
+    if (!solved) return { error: 'Bu hedefe ulaşan fiyat bulunamadı' };
+    salePrice = solved.salePrice;
+  } else if (rule === 'percentChange') {
+    salePrice = roundPrice(currentPrice * (1 + toNumber(value) / 100));
+  } else {
+    salePrice = currentPrice;
+  }
+
+  if (round99 || rule === 'round99') salePrice = roundTo99(salePrice);
+  if (!(salePrice > 0)) return { error: 'Fiyat sıfırdan büyük olmalı' };
+  return { salePrice };
+};
+
+// Tek ürünün önizlemesi: mevcut ve yeni fiyatla net kâr
+export const repriceProduct = ({ product, input, missingCost }, options) => {
+  const currentPrice = toNumber(product.salePrice);
+  const currentListPrice = toNumber(product.listPrice);
+  const current = calculateProfit({ ...input, salePrice: currentPrice });
+  const { salePrice, error } = computeSalePrice(input, currentPrice, options);
+
+  if (error) {
+    return { barcode: product.barcode, product, missingCost, current, error };
+  }
+
+  const result = calculateProfit({ ...input, salePrice });
+  const isLoss = result.finalProfit < 0;
+  return {
+    barcode: product.barcode,
+    product,
+    missingCost,
+    current,
+    salePrice,
+    // Trendyol liste fiyatının satış fiyatından düşük olmasına izin vermez
+    listPrice: Math.max(currentListPrice, salePrice),
+    result,
+    isLoss,
+    // Maliyet bilinmeden kâr 0 maliyetle hesaplanır; zarar görünmez, ayrıca onay ister
+    needsConfirmation: isLoss || Boolean(missingCost),
+    changed: salePrice !== currentPrice || Math.max(currentListPrice, salePrice) !== currentListPrice,
+  };
+};
+
+class RepricingService {
+  // Katalog ürünleri ve her birinin kâr motoru girdisi
+  async loadCandidates(uid) {
+    const [catalogue, costEntries] = await Promise.all([
+      productImportService.getCatalogue(),
+      costCatalogueService.listEntries(uid),
+    ]);
+
+    return catalogue
+      .filter((product) => product.barcode && toNumber(product.salePrice) > 0)
+      .map((product) => {
+        const savedCosts = productImportService.getSavedCosts(product.barcode);
+        const input = buildProfitInput(product, { costEntries, savedCosts });
+        return {
+          product,
+          input,
+          missingCost: !toNumber(input.productCost),
+        };
+      });
+  }
+
+  // Onaylanan önizlemeleri fiyat güncelleme kalemlerine çevir
+  toPriceUpdates(previews) {
+    return previews.map((preview) => ({
+      barcode: preview.barcode,
+      salePrice: preview.salePrice,
+      listPrice: preview.listPrice,
+    }));
+  }
+}
+
+// Singleton instance
+const repricingService = new RepricingService();
+export default repricingService;
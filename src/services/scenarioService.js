@@ -0,0 +1,85 @@
+// Hesaplama Senaryoları
+// Kullanıcının kaydettiği hesaplayıcı girdileri users/{uid}/scenarios altında tutulur.
+import {
+  collection,
+  doc,
+  addDoc,
+  getDoc,
+  getDocs,
+  updateDoc,
+  deleteDoc,
+  query,
+  orderBy,
+} from 'firebase/firestore';
+import { db } from '../config/firebase';
+
+// Kayıtlı senaryoyu kâr motorunun beklediği girdiye çevir
+export const toEngineInput = ({ formData, shipment }) => ({
+  ...formData,
+  commissionRate: formData.commission,
+  shipment: shipment?.enabled ? shipment : undefined,
+});
+
+class ScenarioService {
+  scenariosRef(uid) {
+    if (!uid) {
+      throw new Error('Senaryoları kaydetmek için giriş yapmalısınız');
+    }
+    return collection(db, 'users', uid, 'scenarios');
+  }
+
+  // Son güncellenen en üstte
+  async listScenarios(uid) {
+    const snapshot = await getDocs(query(this.scenariosRef(uid), orderBy('updatedAt', 'desc')));
+    return snapshot.docs.map((item) => ({ id: item.id, ...item.data() }));
+  }
+
+  async getScenario(uid, scenarioId) {
+    const snapshot = await getDoc(doc(this.scenariosRef(uid), scenarioId));
+    return snapshot.exists() ? { id: snapshot.id, ...snapshot.data() } : null;
+  }
+
+  // Yeni senaryo kaydet: { name, formData, category, brand, shipment }
+  async saveScenario(uid, { name, formData, category = null, brand = '', shipment = null }) {
+    const now = new Date().toISOString();
+    const scenario = {
+      name: name.trim(),
+      formData,
+      category,
+      brand,
+      shipment,
+      createdAt: now,
+      updatedAt: now,
+    };
+    const ref = await addDoc(this.scenariosRef(uid), scenario);
+    return { id: ref.id, ...scenario };
+  }
+
+  // Mevcut senaryonun girdilerini güncelle
+  async updateScenario(uid, scenarioId, data) {
+    const changes = { ...data, updatedAt: new Date().toISOString() };
+    await updateDoc(doc(this.scenariosRef(uid), scenarioId), changes);
+    return changes;
+  }
+
+  async renameScenario(uid, scenarioId, name) {
+    return this.updateScenario(uid, scenarioId, { name: name.trim() });
+  }
+
+  async duplicateScenario(uid, scenarioId) {
+    const original = await this.getScenario(uid, scenarioId);
+    if (!original) {
+      throw new Error('Senaryo bulunamadı');
+    }
+    const { id, createdAt, updatedAt, ...data } = original;
+    return this.saveScenario(uid, { ...data, name: `${original.name} (kopya)` });
+  }
+
+  async deleteScenario(uid, scenarioId) {
+    await deleteDoc(doc(this.scenariosRef(uid), scenarioId));
+  }
+}
+
+// Singleton instance
+const scenarioService = new ScenarioService();
+export default scenarioService;
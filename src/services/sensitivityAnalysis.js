@@ -0,0 +1,80 @@
+// Duyarlılık ve Başabaş Analizi
+// Tüm noktalar kâr motorundan (calculateProfit) geçer; burada formül tekrarlanmaz.
+import { calculateProfit, solveSalePrice } from './profitEngine';
+
+// Analiz edilebilen değişkenler
+export const SENSITIVITY_VARIABLES = {
+  salePrice: { label: 'Satış Fiyatı', unit: '₺' },
+  commissionRate: { label: 'Komisyon Oranı', unit: '%' },
+  discountValue: { label: 'İndirim Oranı', unit: '%' },
+};
+
+// Değişkeni girdiye uygula (indirim her zaman yüzde olarak değiştirilir)
+const withVariable = (input, variable, value) => {
+  if (variable === 'discountValue') {
+    return { ...input, discountType: 'percentage', discountValue: value };
+  }
+  return { ...input, [variable]: value };
+};
+
+export const evaluateAt = (input, variable, value) =>
+  calculateProfit(withVariable(input, variable, value));
+
+// from-to aralığını eşit adımlara böl
+export const buildRange = (from, to, steps) => {
+  const count = Math.max(2, steps);
+  const step = (to - from) / (count - 1);
+  return Array.from({ length: count }, (_, index) => from + step * index);
+};
+
+// Tek değişkenli seri: her nokta için net kâr ve marj
+export const buildSensitivitySeries = (input, variable, { from, to, steps = 25 }) =>
+  buildRange(from, to, steps).map((value) => {
+    const result = evaluateAt(input, variable, value);
+    return {
+      value,
+      profit: result.finalProfit,
+      margin: result.profitMargin,
+      isLoss: result.isLoss,
+    };
+  });
+
+// Net kârın sıfır olduğu değer; aralıkta yoksa null
+export const findBreakEven = (input, variable, { from = 0, to = 100 } = {}) => {
+  if (variable === 'salePrice') {
+    const solution = solveSalePrice(input, { targetProfit: 0 });
+    return solution ? solution.salePrice : null;
+  }
+
+  // Komisyon ve indirim arttıkça kâr azalır
+  const profitAt = (value) => evaluateAt(input, variable, value).finalProfit;
+  if (profitAt(from) < 0 || profitAt(to) > 0) return null;
+
+  let low = from;
+  let high = to;
+  for (let i = 0; i < 60; i += 1) {
+    const mid = (low + high) / 2;
+    if (profitAt(mid) >= 0) {
+      low = mid;
+    } else {
+      high = mid;
+    }
+  }
+  return low;
+};
+
+// İki değişkenli tablo: satırlar x kolonlar
+export const buildSensitivityMatrix = (input, rowVariable, rowValues, columnVariable, columnValues) =>
+  rowValues.map((rowValue) => ({
+    value: rowValue,
+    cells: columnValues.map((columnValue) => {
+      const result = calculateProfit(
+        withVariable(withVariable(input, rowVariable, rowValue), columnVariable, columnValue)
+      );
+      return {
+        value: columnValue,
+        profit: result.finalProfit,
+        margin: result.profitMargin,
+      };
+    }),
+  }));
@@ -1,4 +1,7 @@
 // Trendyol API Service - Proxy Server üzerinden
+import { calculateProfit as runProfitEngine, toNumber } from './profitEngine';
+import { auth } from '../config/firebase';
+
 const getProxyBaseUrl = () => {
   const mode = import.meta.env.VITE_TRENDYOL_ENV || import.meta.env.MODE;
   
@@ -13,28 +16,282 @@ const getProxyBaseUrl = () => {
 
 const PROXY_BASE_URL = getProxyBaseUrl();
 
+const CREDENTIALS_STORAGE_KEY = 'trendyol_credentials';
+const SESSION_HEADER = 'X-Trendyol-Session';
+// Süresi dolmak üzere olan oturum, istek yoldayken geçersiz kalmasın diye önceden yenilenir
+const SESSION_RENEW_MARGIN_MS = 60 * 1000;
+// Proxy'nin 401 kodlarından yenilenip tekrar denenebilenler
+const RENEWABLE_AUTH_ERRORS = ['AUTH_INVALID', 'SESSION_EXPIRED'];
+
+// Trendyol sayfa başına en fazla 200 kayıt döndürür
+export const MAX_PAGE_SIZE = 200;
+
+// Sipariş sorgularında izin verilen en uzun tarih aralığı (2 hafta)
+export const ORDER_DATE_WINDOW_MS = 14 * 24 * 60 * 60 * 1000;
+
+// Uzun tarih aralığını Trendyol'un izin verdiği ardışık pencerelere böl
+export const splitDateRange = (startDate, endDate, windowMs = ORDER_DATE_WINDOW_MS) => {
+  const start = new Date(startDate).getTime();
+  const end = new Date(endDate).getTime();
+  if (!Number.isFinite(start) || !Number.isFinite(end) || start > end) return [];
+
+  const windows = [];
+  for (let from = start; from <= end; from += windowMs) {
+    windows.push({ startDate: from, endDate: Math.min(from + windowMs - 1, end) });
+  }
+  return windows;
+};
+
+// Proxy hata kodlarının kullanıcıya gösterilen karşılıkları
+export const TRENDYOL_ERROR_MESSAGES = {
+  AUTH_REQUIRED: 'Trendyol işlemleri için giriş yapmalısınız',
+  AUTH_INVALID: 'Oturumunuzun süresi dolmuş, lütfen tekrar giriş yapın',
+  SESSION_EXPIRED: 'Trendyol bağlantı oturumu sona erdi, lütfen tekrar deneyin',
+  VAULT_NOT_FOUND: 'Kayıtlı Trendyol bilgisi bulunamadı, entegrasyonu tamamlayın',
+  BAD_REQUEST: 'İstek eksik veya hatalı',
+  TRENDYOL_AUTH_FAILED: 'Trendyol API bilgileri hatalı veya yetkisiz. API Key, API Secret ve Seller ID\'yi kontrol edin',
+  TRENDYOL_IP_FORBIDDEN: 'Trendyol isteği reddetti: sunucunun IP adresi Trendyol\'da izinli listede değil',
+  TRENDYOL_NOT_FOUND: 'İstenen kayıt Trendyol\'da bulunamadı',
+  TRENDYOL_VALIDATION: 'Trendyol gönderilen bilgileri kabul etmedi',
+  TRENDYOL_RATE_LIMITED: 'Trendyol istek sınırı aşıldı, lütfen biraz sonra tekrar deneyin',
+  TRENDYOL_UNAVAILABLE: 'Trendyol servisine şu anda ulaşılamıyor, lütfen daha sonra tekrar deneyin',
+  TRENDYOL_TIMEOUT: 'Trendyol zamanında yanıt vermedi, lütfen tekrar deneyin',
+  LIVE_RUN_UNAVAILABLE: 'Canlı fiyat gönderimi bu sunucuda yapılamaz; deneme modunda çalıştırın veya Express sunucusunu kullanın',
+  NETWORK_ERROR: 'Sunucuya ulaşılamadı, internet bağlantınızı kontrol edin'
+};
+
+// Proxy'den dönen hata: code sabit, message kullanıcıya gösterilecek Türkçe metin
+export class TrendyolError extends Error {
+  constructor({ code = null, status = null, error = null, fieldErrors = [], retryAfter = null } = {}) {
+    let message = TRENDYOL_ERROR_MESSAGES[code] || error || `HTTP ${status}`;
+    if (fieldErrors.length) {
+      message += `: ${fieldErrors.map((fieldError) => fieldError.message).join(', ')}`;
+    }
+    if (retryAfter) {
+      message += ` (${retryAfter} sn sonra)`;
+    }
+
+    super(message);
+    this.name = 'TrendyolError';
+    this.code = code;
+    this.status = status;
+    this.details = error;
+    this.fieldErrors = fieldErrors;
+    this.retryAfter = retryAfter;
+  }
+}
+
 class TrendyolService {
   constructor() {
-    this.apiKey = null;
-    this.apiSecret = null;
+    this.uid = null;
     this.sellerId = null;
+    this.legacyCredentials = null;
+    this.session = null;
+    this.sessionRequest = null;
+  }
+
+  // Kayıt ve önbellek Firebase kullanıcısına göre ayrılır; hesap değişince bellekteki bağlantı bırakılır
+  syncUser() {
+    const uid = auth.currentUser?.uid || null;
+    if (uid !== this.uid) {
+      this.uid = uid;
+      this.sellerId = null;
+      this.legacyCredentials = null;
+      this.session = null;
+    }
+    return uid;
+  }
+
+  getStorageKey() {
+    const uid = this.syncUser();
+    return uid ? `${CREDENTIALS_STORAGE_KEY}:${uid}` : null;
+  }
+
+  // Kullanıcıya ait özet kayıt; eski sürümün hesapsız kaydı ilk okuyan kullanıcıya taşınır
+  getStoredIntegration() {
+    const key = this.getStorageKey();
+    if (!key) return {};
+
+    try {
+      const stored = JSON.parse(localStorage.getItem(key));
+      if (stored) return stored;
+
+      const legacy = JSON.parse(localStorage.getItem(CREDENTIALS_STORAGE_KEY));
+      if (legacy?.sellerId) {
+        localStorage.setItem(key, JSON.stringify(legacy));
+        localStorage.removeItem(CREDENTIALS_STORAGE_KEY);
+        return legacy;
+      }
+    } catch (error) {
+      console.warn('Kayıtlı Trendyol bilgileri okunamadı:', error);
+    }
+    return {};
+  }
+
+  setStoredIntegration(values) {
+    const key = this.getStorageKey();
+    if (!key) return;
+    localStorage.setItem(key, JSON.stringify({ ...this.getStoredIntegration(), ...values }));
+  }
+
+  // Entegrasyon ekranında kaydedilen mağaza bilgisini yükle (API secret tarayıcıda tutulmaz)
+  loadStoredCredentials() {
+    const stored = this.getStoredIntegration();
+    if (this.sellerId) return true;
+
+    if (stored.sellerId) {
+      this.sellerId = stored.sellerId;
+      // Eski sürümün düz kaydettiği bilgiler ilk oturumda kasaya taşınır
+      if (stored.apiKey && stored.apiSecret) {
+        this.legacyCredentials = { apiKey: stored.apiKey, apiSecret: stored.apiSecret };
+      }
+      return true;
+    }
+    return false;
+  }
+
+  // Tarayıcıda kayıt yoksa (başka cihaz, temizlenmiş depo) mağaza bilgisi kasadan alınır
+  async ensureCredentials() {
+    if (this.loadStoredCredentials()) return true;
+    if (!auth.currentUser) return false;
+
+    try {
+      const vault = await this.getVaultStatus();
+      return Boolean(vault?.connected) && this.loadStoredCredentials();
+    } catch (error) {
+      console.warn('Kayıtlı bağlantı okunamadı:', error);
+      return false;
+    }
+  }
+
+  // Proxy'nin kullanıcıyı doğrulaması için Firebase ID token başlığı
+  async getAuthHeaders(forceRefresh = false) {
+    if (!auth.currentUser) {
+      throw new Error('Trendyol işlemleri için giriş yapmalısınız');
+    }
+    return { Authorization: `Bearer ${await auth.currentUser.getIdToken(forceRefresh)}` };
+  }
+
+  // Bilgileri kasaya kaydet veya yenile; tarayıcıda yalnızca secret içermeyen özet kalır
+  async saveCredentials({ apiKey, apiSecret, sellerId, sellerInfo, syncDays }) {
+    const response = await this.makeProxyRequest('/vault', {
+      method: 'PUT',
+      session: false,
+      body: { apiKey, apiSecret, sellerId }
+    });
+
+    const stored = this.getStoredIntegration();
+    this.setStoredIntegration({
+      apiKey: undefined,
+      apiSecret: undefined,
+      sellerId: response.vault.sellerId,
+      sellerInfo: sellerInfo ?? stored.sellerInfo ?? null,
+      syncDays: syncDays ?? stored.syncDays,
+      apiKeyHint: response.vault.apiKeyHint
+    });
+
+    this.sellerId = response.vault.sellerId;
+    this.legacyCredentials = null;
+    this.session = null;
+    return response.vault;
+  }
+
+  // Kasadaki kaydın durumu: { connected, sellerId, apiKeyHint, createdAt, rotatedAt }
+  // Tarayıcıdaki özet kayıt kasaya göre güncellenir
+  async getVaultStatus() {
+    const response = await this.makeProxyRequest('/vault', {
+      session: false
+    });
+
+    const { vault } = response;
+    if (vault?.connected) {
+      this.setStoredIntegration({ sellerId: vault.sellerId, apiKeyHint: vault.apiKeyHint });
+      this.sellerId = vault.sellerId;
+    } else if (!this.getStoredIntegration().apiSecret) {
+      // Eski sürümün kasaya taşınmamış kaydı dışında, kasada olmayan bağlantı unutulur
+      this.clearStoredIntegration();
+    }
+    return vault;
+  }
+
+  clearStoredIntegration() {
+    const key = this.getStorageKey();
+    if (key) localStorage.removeItem(key);
+    this.sellerId = null;
+    this.legacyCredentials = null;
+    this.session = null;
+  }
+
+  // Bilgileri kasadan sil; proxy açık oturumları da kapatır
+  async revokeCredentials() {
+    await this.makeProxyRequest('/vault', {
+      method: 'DELETE',
+      session: false
+    });
+
+    this.clearStoredIntegration();
+  }
+
+  // Proxy oturumu: kasadaki bilgilerle açılır, sonraki isteklerde yalnızca token taşınır
+  async getSessionToken() {
+    // Hesap değiştiyse önceki kullanıcının oturumu kullanılmaz
+    if (!this.loadStoredCredentials()) {
+      throw new Error('API bilgileri eksik');
+    }
+    if (this.session && this.session.expiresAt - SESSION_RENEW_MARGIN_MS > Date.now()) {
+      return this.session.token;
+    }
+
+    // Eşzamanlı istekler aynı oturum isteğini bekler
+    if (!this.sessionRequest) {
+      this.sessionRequest = this.openSession().finally(() => {
+        this.sessionRequest = null;
+      });
+    }
+    return this.sessionRequest;
+  }
+
+  async openSession() {
+    if (this.legacyCredentials) {
+      await this.saveCredentials({ ...this.legacyCredentials, sellerId: this.sellerId });
+    }
+
+    const { token, expiresAt } = await this.makeProxyRequest('/session', {
+      method: 'POST',
+      session: false
+    });
+    this.session = { token, expiresAt };
+    return token;
   }
 
-  // API bilgilerini ayarla
-  setCredentials(apiKey, apiSecret, sellerId = null) {
-    this.apiKey = apiKey;
-    this.apiSecret = apiSecret;
-    this.sellerId = sellerId;
+  // Oturumu proxy tarafında da sonlandır
+  async endSession() {
+    if (!this.session) return;
+    const { token } = this.session;
+    this.session = null;
+    try {
+      await this.makeProxyRequest('/session', {
+        method: 'DELETE',
+        session: false,
+        headers: { [SESSION_HEADER]: token }
+      });
+    } catch (error) {
+      console.warn('Oturum sonlandırılamadı:', error);
+    }
   }
 
-  // Proxy üzerinden API isteği gönder
+  // Proxy üzerinden API isteği gönder. Her istek Firebase ID token taşır;
+  // session: false ise Trendyol oturum başlığı eklenmez.
   async makeProxyRequest(endpoint, options = {}) {
     try {
       let url = `${PROXY_BASE_URL}${endpoint}`;
+      const { session = true, retried = false } = options;
       const requestOptions = {
         method: options.method || 'GET',
         headers: {
           'Content-Type': 'application/json',
+          ...(await this.getAuthHeaders(retried)),
+          ...(session && { [SESSION_HEADER]: await this.getSessionToken() }),
           ...options.headers
         }
       };
@@ -58,11 +315,23 @@ class TrendyolService {
         requestOptions.body = JSON.stringify(options.body);
       }
 
-      const response = await fetch(url, requestOptions);
-      const data = await response.json();
+      let response;
+      try {
+        response = await fetch(url, requestOptions);
+      } catch (error) {
+        throw new TrendyolError({ code: 'NETWORK_ERROR', error: error.message });
+      }
+      // Ağ geçidi hata sayfaları JSON olmayabilir
+      const data = await response.json().catch(() => ({}));
+
+      // ID token veya oturumun süresi dolduysa yenileyip bir kez tekrar dene
+      if (!retried && response.status === 401 && RENEWABLE_AUTH_ERRORS.includes(data.code)) {
+        if (data.code === 'SESSION_EXPIRED') this.session = null;
+        return this.makeProxyRequest(endpoint, { ...options, retried: true });
+      }
 
       if (!response.ok) {
-        throw new Error(data.error || `HTTP ${response.status}: ${response.statusText}`);
+        throw new TrendyolError({ ...data, status: response.status });
       }
 
       return data;
@@ -72,23 +341,19 @@ class TrendyolService {
     }
   }
 
-  // Bağlantı testi
+  // Bağlantı testi (kaydedilmeden önce form bilgileriyle)
   async testConnection(apiKey, apiSecret, sellerId) {
-    // Parametreler verilmişse geçici olarak kullan
-    const testApiKey = apiKey || this.apiKey;
-    const testApiSecret = apiSecret || this.apiSecret;
-    const testSellerId = sellerId || this.sellerId;
-    
-    if (!testApiKey || !testApiSecret) {
+    if (!apiKey || !apiSecret) {
       throw new Error('API bilgileri eksik');
     }
     
     const response = await this.makeProxyRequest('/test-connection', {
       method: 'POST',
+      session: false,
       body: {
-        apiKey: testApiKey,
-        apiSecret: testApiSecret,
-        sellerId: testSellerId
+        apiKey,
+        apiSecret,
+        sellerId
       }
     });
     return response;
@@ -96,17 +361,12 @@ class TrendyolService {
 
   // Seller bilgilerini al
   async getSellerInfo() {
-    if (!this.apiKey || !this.apiSecret) {
+    if (!this.sellerId) {
       throw new Error('API bilgileri ayarlanmamış');
     }
 
     try {
-      const response = await this.makeProxyRequest('/seller-info', {
-        params: {
-          apiKey: this.apiKey,
-          apiSecret: this.apiSecret
-        }
-      });
+      const response = await this.makeProxyRequest('/seller-info');
 
       if (response.success) {
         this.sellerId = response.sellerInfo?.id;
@@ -120,20 +380,22 @@ class TrendyolService {
     }
   }
 
-  // Ürünleri listele
-  async getProducts(page = 0, size = 50) {
-    if (!this.apiKey || !this.apiSecret || !this.sellerId) {
+  // Ürünleri listele (filters: { barcode, stockCode, startDate, endDate, dateQueryType })
+  async getProducts(page = 0, size = 50, filters = {}) {
+    if (!this.sellerId) {
       throw new Error('API bilgileri eksik');
     }
 
     try {
       const response = await this.makeProxyRequest('/products', {
         params: {
-          apiKey: this.apiKey,
-          apiSecret: this.apiSecret,
-          sellerId: this.sellerId,
           page,
-          size
+          size,
+          barcode: filters.barcode,
+          stockCode: filters.stockCode,
+          startDate: filters.startDate,
+          endDate: filters.endDate,
+          dateQueryType: filters.dateQueryType
         }
       });
 
@@ -144,41 +406,44 @@ class TrendyolService {
     }
   }
 
-  // Tek ürün bilgisi al
+  // Tek ürün bilgisi al (id veya barkod)
   async getProduct(productId) {
-    if (!this.apiKey || !this.apiSecret || !this.sellerId) {
+    if (!this.sellerId) {
       throw new Error('API bilgileri eksik');
     }
 
     try {
-      // Önce tüm ürünleri al ve filtrele
-      const products = await this.getProducts(0, 1000);
-      const product = products.find(p => p.id === productId || p.barcode === productId);
-      
-      if (!product) {
-        throw new Error('Ürün bulunamadı');
+      // Barkod filtresi tek istekte döner; bulunamazsa tüm sayfalarda id ile ara
+      const [byBarcode] = await this.collect(this.iterateProducts({ barcode: productId }), 1);
+      if (byBarcode) return byBarcode;
+
+      for await (const product of this.iterateProducts()) {
+        if (product.id === productId || product.barcode === productId) {
+          return product;
+        }
       }
 
-      return product;
+      throw new Error('Ürün bulunamadı');
     } catch (error) {
       console.error('Get product failed:', error);
       throw error;
     }
   }
 
-  // Siparişleri listele
-  async getOrders(page = 0, size = 50, status = null) {
-    if (!this.apiKey || !this.apiSecret || !this.sellerId) {
+  // Siparişleri listele (filters: { startDate, endDate, orderByField, orderByDirection })
+  async getOrders(page = 0, size = 50, status = null, filters = {}) {
+    if (!this.sellerId) {
       throw new Error('API bilgileri eksik');
     }
 
     try {
       const params = {
-        apiKey: this.apiKey,
-        apiSecret: this.apiSecret,
-        sellerId: this.sellerId,
         page,
-        size
+        size,
+        startDate: filters.startDate,
+        endDate: filters.endDate,
+        orderByField: filters.orderByField,
+        orderByDirection: filters.orderByDirection
       };
 
       if (status) {
@@ -196,31 +461,75 @@ class TrendyolService {
     }
   }
 
-  // Tek sipariş bilgisi al
-  async getOrder(orderId) {
-    if (!this.apiKey || !this.apiSecret || !this.sellerId) {
+  // Tek sipariş bilgisi al (options: iterateOrders ile aynı)
+  async getOrder(orderId, options = {}) {
+    if (!this.sellerId) {
       throw new Error('API bilgileri eksik');
     }
 
     try {
-      // Önce tüm siparişleri al ve filtrele
-      const orders = await this.getOrders(0, 1000);
-      const order = orders.find(o => o.id === orderId);
-      
-      if (!order) {
-        throw new Error('Sipariş bulunamadı');
+      for await (const order of this.iterateOrders(options)) {
+        if (order.id === orderId || order.orderNumber === orderId) {
+          return order;
+        }
       }
 
-      return order;
+      throw new Error('Sipariş bulunamadı');
     } catch (error) {
       console.error('Get order failed:', error);
       throw error;
     }
   }
 
-  // Sipariş durumunu güncelle
-  async updateOrderStatus(orderId, status) {
-    if (!this.apiKey || !this.apiSecret || !this.sellerId) {
+  // Sayfalı bir uç noktayı son sayfaya kadar gez, kayıtları tek tek ver
+  async *paginate(fetchPage, size = MAX_PAGE_SIZE) {
+    for (let page = 0; ; page += 1) {
+      const response = await fetchPage(page, size);
+      const content = response?.content || [];
+      yield* content;
+
+      const totalPages = response?.totalPages ?? 0;
+      if (content.length === 0 || page + 1 >= totalPages) return;
+    }
+  }
+
+  // Tüm ürünler (filters: getProducts ile aynı)
+  iterateProducts(filters = {}) {
+    return this.paginate((page, size) => this.getProducts(page, size, filters));
+  }
+
+  // Tüm siparişler; uzun tarih aralıkları 2 haftalık pencerelere bölünür
+  async *iterateOrders({ startDate, endDate, status = null, orderByField, orderByDirection } = {}) {
+    let windows = [{}];
+    if (startDate || endDate) {
+      const end = endDate ?? Date.now();
+      windows = splitDateRange(startDate ?? new Date(end).getTime() - ORDER_DATE_WINDOW_MS, end);
+    }
+    // Yeniden eskiye sıralamada pencereler de sondan başa gezilir
+    if (orderByDirection === 'DESC') windows.reverse();
+
+    for (const window of windows) {
+      yield* this.paginate((page, size) =>
+        this.getOrders(page, size, status, { ...window, orderByField, orderByDirection })
+      );
+    }
+  }
+
+  // Yineleyicideki kayıtları diziye topla
+  async collect(iterator, limit = Infinity) {
+    const items = [];
+    if (limit <= 0) return items;
+
+    for await (const item of iterator) {
+      items.push(item);
+      if (items.length >= limit) break;
+    }
+    return items;
+  }
+
+  // Sipariş durumunu güncelle; lines: [{ lineId, quantity }], params: { invoiceNumber }
+  async updateOrderStatus(orderId, status, { lines, params } = {}) {
+    if (!this.sellerId) {
       throw new Error('API bilgileri eksik');
     }
 
@@ -228,11 +537,10 @@ class TrendyolService {
       const response = await this.makeProxyRequest('/update-order-status', {
         method: 'PUT',
         body: {
-          apiKey: this.apiKey,
-          apiSecret: this.apiSecret,
-          sellerId: this.sellerId,
           orderId,
-          status
+          status,
+          lines,
+          params
         }
       });
 
@@ -245,17 +553,12 @@ class TrendyolService {
 
   // Kategorileri listele
   async getCategories() {
-    if (!this.apiKey || !this.apiSecret) {
+    if (!this.sellerId) {
       throw new Error('API bilgileri eksik');
     }
 
     try {
-      const response = await this.makeProxyRequest('/categories', {
-        params: {
-          apiKey: this.apiKey,
-          apiSecret: this.apiSecret
-        }
-      });
+      const response = await this.makeProxyRequest('/categories');
 
       return response.success ? response.categories : [];
     } catch (error) {
@@ -264,9 +567,9 @@ class TrendyolService {
     }
   }
 
-  // Stok güncelle
+  // Stok güncelle: { batchId, result }; sonuç batchJobService ile izlenir
   async updateStock(stockUpdates) {
-    if (!this.apiKey || !this.apiSecret || !this.sellerId) {
+    if (!this.sellerId) {
       throw new Error('API bilgileri eksik');
     }
 
@@ -274,23 +577,20 @@ class TrendyolService {
       const response = await this.makeProxyRequest('/update-stock', {
         method: 'POST',
         body: {
-          apiKey: this.apiKey,
-          apiSecret: this.apiSecret,
-          sellerId: this.sellerId,
           stockUpdates
         }
       });
 
-      return response.success ? response.result : null;
+      return { batchId: response.batchId, result: response.result };
     } catch (error) {
       console.error('Update stock failed:', error);
       throw error;
     }
   }
 
-  // Fiyat güncelle
+  // Fiyat güncelle: { batchId, result }
   async updatePrice(priceUpdates) {
-    if (!this.apiKey || !this.apiSecret || !this.sellerId) {
+    if (!this.sellerId) {
       throw new Error('API bilgileri eksik');
     }
 
@@ -298,34 +598,76 @@ class TrendyolService {
       const response = await this.makeProxyRequest('/update-price', {
         method: 'POST',
         body: {
-          apiKey: this.apiKey,
-          apiSecret: this.apiSecret,
-          sellerId: this.sellerId,
           priceUpdates
         }
       });
 
-      return response.success ? response.result : null;
+      return { batchId: response.batchId, result: response.result };
     } catch (error) {
       console.error('Update price failed:', error);
       throw error;
     }
   }
 
+  // Stok/fiyat isteğinin sonucu: { status, itemCount, items: [{ requestItem, status, failureReasons }] }
+  async getBatchStatus(batchId) {
+    if (!this.sellerId) {
+      throw new Error('API bilgileri eksik');
+    }
+
+    const response = await this.makeProxyRequest('/check-batch-status', {
+      params: { batchId }
+    });
+    return response.result;
+  }
+
+  // Otomatik fiyat kuralları: { rules, settings, updatedAt }
+  async getRepricingRules() {
+    const { rules, settings, updatedAt } = await this.makeProxyRequest('/repricing-rules', {
+      session: false
+    });
+    return { rules, settings, updatedAt };
+  }
+
+  // Kuralları doğrulayıp kaydeder; proxy normalize edilmiş hâlini döndürür
+  async saveRepricingRules({ rules, settings }) {
+    const response = await this.makeProxyRequest('/repricing-rules', {
+      method: 'PUT',
+      session: false,
+      body: { rules, settings }
+    });
+    return { rules: response.rules, settings: response.settings, updatedAt: response.updatedAt };
+  }
+
+  // Kuralları hemen çalıştır; deneme modunda fiyat gönderilmez
+  async runRepricing({ dryRun = true } = {}) {
+    if (!this.sellerId) {
+      throw new Error('API bilgileri eksik');
+    }
+
+    const response = await this.makeProxyRequest('/repricing-runs', {
+      method: 'POST',
+      body: { dryRun }
+    });
+    return response.run;
+  }
+
+  // Son çalıştırmaların denetim kayıtları (yeniden eskiye)
+  async getRepricingRuns() {
+    const response = await this.makeProxyRequest('/repricing-runs', {
+      session: false
+    });
+    return response.runs || [];
+  }
+
   // Kargo sağlayıcılarını listele
   async getShipmentProviders() {
-    if (!this.apiKey || !this.apiSecret || !this.sellerId) {
+    if (!this.sellerId) {
       throw new Error('API bilgileri eksik');
     }
 
     try {
-      const response = await this.makeProxyRequest('/shipment-providers', {
-        params: {
-          apiKey: this.apiKey,
-          apiSecret: this.apiSecret,
-          sellerId: this.sellerId
-        }
-      });
+      const response = await this.makeProxyRequest('/shipment-providers');
 
       return response.success ? response.providers : [];
     } catch (error) {
@@ -336,7 +678,7 @@ class TrendyolService {
 
   // Kargo oluştur
   async createShipment(orderId, shipmentData) {
-    if (!this.apiKey || !this.apiSecret || !this.sellerId) {
+    if (!this.sellerId) {
       throw new Error('API bilgileri eksik');
     }
 
@@ -344,9 +686,6 @@ class TrendyolService {
       const response = await this.makeProxyRequest('/create-shipment', {
         method: 'POST',
         body: {
-          apiKey: this.apiKey,
-          apiSecret: this.apiSecret,
-          sellerId: this.sellerId,
           orderId,
           shipmentData
         }
@@ -382,47 +721,39 @@ class TrendyolService {
     return this.updatePrice(priceUpdates);
   }
 
-  // Kâr hesaplama
-  calculateProfit(salePrice, costPrice, commission = 0.15) {
-    const commissionAmount = salePrice * commission;
-    const netPrice = salePrice - commissionAmount;
-    const profit = netPrice - costPrice;
-    const profitMargin = (profit / costPrice) * 100;
-    
-    return {
-      salePrice,
-      costPrice,
-      commissionAmount,
-      netPrice,
-      profit,
-      profitMargin
-    };
+  // Kâr hesaplama - hesaplayıcı ile aynı motoru kullanır (bkz. profitEngine.js)
+  calculateProfit(input) {
+    return runProfitEngine(input);
   }
 
-  // Ürün performans analizi
+  // Ürün performans analizi (son `days` gün)
   async analyzeProductPerformance(productId, days = 30) {
     try {
-      const orders = await this.getOrders(0, 1000);
-      const productOrders = orders.filter(order => 
-        order.items.some(item => item.productId === productId)
+      const endDate = Date.now();
+      const startDate = endDate - days * 24 * 60 * 60 * 1000;
+      const orders = await this.collect(this.iterateOrders({ startDate, endDate }));
+
+      const matchesProduct = (line) =>
+        line.productId === productId || line.barcode === productId;
+      const productLines = orders.flatMap((order) =>
+        (order.lines || []).filter(matchesProduct)
+      );
+      const orderCount = orders.filter((order) =>
+        (order.lines || []).some(matchesProduct)
+      ).length;
+
+      const totalSales = productLines.reduce((sum, line) => sum + (line.quantity || 0), 0);
+      const totalRevenue = productLines.reduce(
+        (sum, line) => sum + (line.amount ?? toNumber(line.price) * toNumber(line.quantity)),
+        0
       );
-
-      const totalSales = productOrders.reduce((sum, order) => {
-        const item = order.items.find(item => item.productId === productId);
-        return sum + (item ? item.quantity : 0);
-      }, 0);
-
-      const totalRevenue = productOrders.reduce((sum, order) => {
-        const item = order.items.find(item => item.productId === productId);
-        return sum + (item ? item.totalPrice : 0);
-      }, 0);
 
       return {
         productId,
         totalSales,
         totalRevenue,
         averageOrderValue: totalSales > 0 ? totalRevenue / totalSales : 0,
-        orderCount: productOrders.length
+        orderCount
       };
     } catch (error) {
       console.error('Product performance analysis failed:', error);